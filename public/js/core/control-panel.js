@@ -0,0 +1,330 @@
+// Control Panel - Builds #exhibit-controls from the params declared in config.json
+//
+// Each param describes one control and the exhibit property it drives:
+//   { "key": "speed", "label": "Speed", "type": "range",
+//     "min": 0.5, "max": 4, "step": 0.1, "default": 2 }
+// Supported types: range, enum, color, boolean, text and button. Values are
+// written straight onto the exhibit instance, followed by
+// exhibit.paramChanged(). Ranges spanning several orders of magnitude can add
+// "scale": "log" so the slider moves evenly through them. Text params commit
+// on Enter or blur, and may set "maxLength".
+//
+// A control that only matters for some values of another param can say so
+// with "when", e.g. "when": { "formula": ["multibrot", "newton"] }; it is
+// hidden otherwise.
+
+const SVG_OPEN = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">';
+
+// Built-in icons; a param may also give raw SVG path data as its icon
+const ICONS = {
+  reset: `
+    <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
+    <path d="M21 3v5h-5"/>
+    <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
+    <path d="M3 21v-5h5"/>`,
+  play: '<polygon points="5 3 19 12 5 21 5 3"></polygon>'
+};
+
+function iconMarkup(icon) {
+  const body = ICONS[icon] || `<path d="${icon}"/>`;
+  return `${SVG_OPEN}${body}</svg>`;
+}
+
+// Decimal places implied by a step, e.g. 0.005 -> 3
+function stepPrecision(step) {
+  const text = String(step ?? 1);
+  const dot = text.indexOf('.');
+  return dot === -1 ? 0 : text.length - dot - 1;
+}
+
+// Slider positions of a log-scale range run over 0..LOG_STEPS
+const LOG_STEPS = 1000;
+
+function logPosition(param, value) {
+  return Math.round(LOG_STEPS * Math.log(value / param.min) / Math.log(param.max / param.min));
+}
+
+function logValue(param, position) {
+  const value = param.min * (param.max / param.min) ** (position / LOG_STEPS);
+  const step = param.step ?? 1;
+  return Math.round(value / step) * step;
+}
+
+// Convert a raw input or URL value into the param's type
+export function coerceParam(param, raw) {
+  switch (param.type) {
+    case 'range': {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) return param.default;
+      return Math.min(param.max, Math.max(param.min, value));
+    }
+    case 'boolean':
+      return raw === true || raw === 'true' || raw === '1';
+    case 'enum': {
+      const values = enumOptions(param).map(o => o.value);
+      return values.includes(raw) ? raw : param.default;
+    }
+    case 'color':
+      return /^#[0-9a-f]{6}$/i.test(raw) ? raw.toLowerCase() : param.default;
+    case 'text':
+      return String(raw ?? param.default).slice(0, param.maxLength ?? 100);
+    default:
+      return raw;
+  }
+}
+
+// Params that hold a value (everything except buttons)
+export function valueParams(params = []) {
+  return params.filter(param => param.type !== 'button');
+}
+
+function enumOptions(param) {
+  return (param.options || []).map(option =>
+    typeof option === 'object' ? option : { value: option, label: option }
+  );
+}
+
+export class ControlPanel {
+  constructor(exhibit, params) {
+    this.exhibit = exhibit;
+    this.params = params || [];
+    this.container = document.getElementById('exhibit-controls');
+
+    // key -> { param, input, valueElement }
+    this.bindings = new Map();
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    this.bindings.clear();
+    this.conditional = [];
+
+    for (const param of this.params) {
+      const element = this.createControl(param);
+      if (!element) continue;
+      this.container.appendChild(element);
+      if (param.when) this.conditional.push({ param, element });
+    }
+    this.updateVisibility();
+  }
+
+  // Show the controls whose "when" conditions hold
+  updateVisibility() {
+    for (const { param, element } of this.conditional || []) {
+      element.hidden = !Object.entries(param.when).every(([key, values]) =>
+        [].concat(values).includes(this.exhibit[key])
+      );
+    }
+  }
+
+  createControl(param) {
+    switch (param.type) {
+      case 'range': return this.createRange(param);
+      case 'enum': return this.createEnum(param);
+      case 'color': return this.createColor(param);
+      case 'boolean': return this.createBoolean(param);
+      case 'text': return this.createText(param);
+      case 'button': return this.createButton(param);
+      default:
+        console.warn(`Unknown control type "${param.type}" for param "${param.key}"`);
+        return null;
+    }
+  }
+
+  createRange(param) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'control-slider';
+
+    const label = document.createElement('label');
+    label.textContent = param.label;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    if (param.scale === 'log') {
+      input.min = 0;
+      input.max = LOG_STEPS;
+      input.step = 1;
+      input.value = logPosition(param, this.exhibit[param.key]);
+    } else {
+      input.min = param.min;
+      input.max = param.max;
+      input.step = param.step ?? 1;
+      input.value = this.exhibit[param.key];
+    }
+    input.addEventListener('input', () => {
+      const value = param.scale === 'log'
+        ? logValue(param, Number(input.value))
+        : Number(input.value);
+      this.setValue(param.key, value, { syncInput: false });
+    });
+
+    const valueElement = document.createElement('span');
+
+    wrapper.append(label, input, valueElement);
+    this.bindings.set(param.key, { param, input, valueElement });
+    this.updateDisplay(param.key);
+    return wrapper;
+  }
+
+  createEnum(param) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'control-select';
+
+    const label = document.createElement('label');
+    label.textContent = param.label;
+
+    const select = document.createElement('select');
+    for (const option of enumOptions(param)) {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    }
+    select.value = this.exhibit[param.key];
+    select.addEventListener('change', () => {
+      this.setValue(param.key, select.value, { syncInput: false });
+    });
+
+    wrapper.append(label, select);
+    this.bindings.set(param.key, { param, input: select });
+    return wrapper;
+  }
+
+  createColor(param) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'control-color';
+
+    const label = document.createElement('label');
+    label.textContent = param.label;
+
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = this.exhibit[param.key];
+    input.addEventListener('input', () => {
+      this.setValue(param.key, input.value, { syncInput: false });
+    });
+
+    wrapper.append(label, input);
+    this.bindings.set(param.key, { param, input });
+    return wrapper;
+  }
+
+  createText(param) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'control-text';
+
+    const label = document.createElement('label');
+    label.textContent = param.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = param.maxLength ?? 100;
+    input.spellcheck = false;
+    input.value = this.exhibit[param.key];
+    input.addEventListener('change', () => {
+      this.setValue(param.key, input.value, { syncInput: false });
+    });
+
+    wrapper.append(label, input);
+    this.bindings.set(param.key, { param, input });
+    return wrapper;
+  }
+
+  createBoolean(param) {
+    // With an icon the toggle is a button that lights up while enabled
+    if (param.icon) {
+      const button = document.createElement('button');
+      button.className = 'control-button';
+      button.innerHTML = iconMarkup(param.icon);
+      button.title = param.label;
+      button.classList.toggle('active', Boolean(this.exhibit[param.key]));
+      button.addEventListener('click', () => {
+        this.setValue(param.key, !this.exhibit[param.key]);
+      });
+
+      this.bindings.set(param.key, { param, input: button });
+      return button;
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'control-toggle';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(this.exhibit[param.key]);
+    checkbox.addEventListener('change', () => {
+      this.setValue(param.key, checkbox.checked, { syncInput: false });
+    });
+    label.append(checkbox, ` ${param.label}`);
+
+    wrapper.appendChild(label);
+    this.bindings.set(param.key, { param, input: checkbox });
+    return wrapper;
+  }
+
+  createButton(param) {
+    const button = document.createElement('button');
+    button.className = 'control-button';
+    button.innerHTML = iconMarkup(param.icon || 'reset');
+    button.title = param.label;
+    button.addEventListener('click', () => {
+      const action = this.exhibit[param.action];
+      if (typeof action === 'function') {
+        action.call(this.exhibit);
+      } else {
+        console.warn(`Exhibit has no action "${param.action}"`);
+      }
+    });
+    return button;
+  }
+
+  // Set a param on the exhibit, keep its control in sync and notify the exhibit
+  setValue(key, raw, { syncInput = true } = {}) {
+    const param = this.params.find(p => p.key === key);
+    if (!param) return;
+
+    const previous = this.exhibit[key];
+    const value = coerceParam(param, raw);
+    this.exhibit[key] = value;
+
+    if (syncInput) this.syncInput(key);
+    this.updateDisplay(key);
+    this.updateVisibility();
+
+    if (value !== previous) {
+      this.exhibit.paramChanged(key, value, previous);
+    }
+  }
+
+  syncInput(key) {
+    const binding = this.bindings.get(key);
+    if (!binding) return;
+
+    const { param, input } = binding;
+    const value = this.exhibit[key];
+
+    if (param.type === 'boolean') {
+      if (param.icon) {
+        input.classList.toggle('active', Boolean(value));
+      } else {
+        input.checked = Boolean(value);
+      }
+    } else if (param.scale === 'log') {
+      input.value = logPosition(param, value);
+    } else {
+      input.value = value;
+    }
+  }
+
+  updateDisplay(key) {
+    const binding = this.bindings.get(key);
+    if (!binding || !binding.valueElement) return;
+
+    const { param, valueElement } = binding;
+    const precision = param.precision ?? stepPrecision(param.step);
+    valueElement.textContent = Number(this.exhibit[key]).toFixed(precision) + (param.unit || '');
+  }
+}
@@ -1,9 +1,19 @@
 // Exhibit Loader - Dynamically loads and manages exhibits
 
+import { Exhibit } from './exhibit.js';
+import { readUrlState, UrlStateSync } from './url-state.js';
+import { SeedControl } from './seed-control.js';
+import { ExportPanel } from './export-panel.js';
+import { VisibilityWatcher } from './visibility.js';
+
 export class ExhibitLoader {
   constructor() {
     this.registry = null;
     this.container = document.getElementById('exhibit-container');
+    this.stateSync = new UrlStateSync();
+    this.seedControl = new SeedControl();
+    this.exportPanel = new ExportPanel();
+    this.visibility = new VisibilityWatcher();
     this.loadRegistry();
   }
 
@@ -56,33 +66,35 @@ export class ExhibitLoader {
       const module = await import(`/js/exhibits/${exhibitId}/index.js`);
 
       // Get the exhibit class (should be exported as default or named export)
-      const ExhibitClass = module.default || module.Exhibit || module[Object.keys(module)[0]];
+      const ExhibitClass = module.default || module[Object.keys(module)[0]];
 
       if (!ExhibitClass) {
         console.error(`No exhibit class found in module for "${exhibitId}"`);
         return null;
       }
 
+      if (!(ExhibitClass.prototype instanceof Exhibit)) {
+        console.error(`Exhibit "${exhibitId}" must extend the core Exhibit class`);
+        return null;
+      }
+
       // Create exhibit instance
       const exhibit = new ExhibitClass(this.container, config);
       exhibit.config = config;
       exhibit.id = exhibitId;
 
-      // Initialize the exhibit
-      if (exhibit.init) {
-        // Allow loading indicator to render first
-        await new Promise(resolve => setTimeout(resolve, 0));
-        await exhibit.init();
-      }
+      // Initialize the exhibit (allow loading indicator to render first)
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await exhibit.init();
 
-      // Handle window resize
-      const resizeHandler = () => {
-        if (exhibit.resize) {
-          exhibit.resize();
-        }
-      };
-      window.addEventListener('resize', resizeHandler);
-      exhibit._resizeHandler = resizeHandler;
+      // Restore shared state from the URL, then keep the URL up to date
+      this.seedControl.attach(exhibit);
+      this.exportPanel.attach(exhibit);
+      exhibit.setState(readUrlState());
+      this.stateSync.attach(exhibit);
+
+      // Stop drawing while the tab is hidden or the exhibit is off-screen
+      this.visibility.attach(exhibit);
 
       // Update page title
       document.title = `${config.title} - AIRT`;
@@ -100,20 +112,13 @@ export class ExhibitLoader {
     if (!exhibit) return;
 
     try {
-      // Stop the exhibit
-      if (exhibit.stop) {
-        exhibit.stop();
-      }
+      this.visibility.detach();
+      this.stateSync.detach();
+      this.seedControl.detach();
+      this.exportPanel.detach();
 
-      // Clean up the exhibit
-      if (exhibit.destroy) {
-        exhibit.destroy();
-      }
-
-      // Remove resize handler
-      if (exhibit._resizeHandler) {
-        window.removeEventListener('resize', exhibit._resizeHandler);
-      }
+      // Stops the loop and releases listeners, controls and resources
+      exhibit.destroy();
 
       // Clear container
       this.container.innerHTML = '';
@@ -0,0 +1,422 @@
+// Exhibit - Shared base class and lifecycle contract for every exhibit
+//
+// Subclasses build their canvas or scene in setup(), advance their state in
+// update(dt) and draw a frame in render(). The base class owns everything
+// else: the requestAnimationFrame loop, pause state, FPS metering, DOM
+// listener bookkeeping and teardown, so all exhibits respond identically to
+// the router's shortcuts and leave nothing behind when unloaded.
+//
+// Tunable parameters are declared as "params" in config.json. Their defaults
+// are applied to the instance before the subclass constructor runs, and the
+// default createControls() renders them through the shared ControlPanel.
+//
+// getState()/setState() expose the shareable part of an exhibit (params plus
+// whatever view state a subclass adds) as flat string maps for the URL.
+//
+// The loader suspends the loop while the tab is hidden or the exhibit is
+// scrolled off-screen; "runWhenHidden" in config.json opts out (e.g. for
+// exhibits that play audio).
+//
+// A "quality" block in config.json hands the exhibit to a QualityGovernor,
+// which sets this.quality (a fraction of full quality) to hold a target
+// frame rate; the exhibit maps it onto its own knob in onQualityChange().
+//
+// Exhibits marked "seeded" in config.json draw all randomness from
+// this.random and build their composition in regenerate(), so the seed shown
+// in the header plus the params reproduces the same initial state.
+
+import { ControlPanel, coerceParam, valueParams } from './control-panel.js';
+import { Random, createSeed, normalizeSeed } from './random.js';
+import { captureCanvases } from './image-export.js';
+import { QualityGovernor } from './quality.js';
+
+// Longest step handed to update() so a stalled tab never explodes a simulation
+const MAX_FRAME_DT = 0.1;
+
+export class Exhibit {
+  constructor(container, config) {
+    this.container = container;
+    this.config = config;
+    this.animationId = null;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isSuspended = false;
+    this.runWhenHidden = Boolean(config?.runWhenHidden);
+
+    // Exhibits that only redraw on interaction (e.g. fractal explorers) set
+    // this to false and call invalidate() whenever their view changes
+    this.animated = true;
+    this.needsRender = true;
+
+    // Performance tracking
+    this.frameCount = 0;
+    this.lastTime = performance.now();
+    this.lastFrameTime = null;
+    this.fps = 60;
+    this.fpsElement = null;
+
+    // Adaptive quality, for exhibits that declare a knob in config.json
+    this.quality = 1;
+    this.governor = config?.quality ? new QualityGovernor(this, config.quality) : null;
+    // Set by on-demand exhibits whose redraws finish later, off the main
+    // thread; they time each one themselves through reportRenderTime()
+    this.deferredRender = false;
+
+    // DOM listeners registered through listen(), removed on destroy()
+    this.listeners = [];
+
+    // Declared params, with defaults applied as instance properties
+    this.params = config?.params || [];
+    this.controlPanel = null;
+    for (const param of valueParams(this.params)) {
+      this[param.key] = param.default;
+    }
+
+    // Seeded randomness; a locked seed survives reset()
+    this.seeded = Boolean(config?.seeded);
+    this.random = new Random();
+    this.seedLocked = false;
+
+    // Set by the loader to keep the URL and header in sync
+    this.onStateChange = null;
+    this.onSeedChange = null;
+
+    // Called after every rendered frame while a live recording runs
+    this.onFrame = null;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  async init() {
+    await this.setup();
+
+    this.listen(window, 'resize', () => this.resize());
+    this.createFPSCounter();
+    this.createControls();
+  }
+
+  // --- Hooks for subclasses ---
+
+  // Create canvases, contexts, scenes and initial state
+  async setup() {}
+
+  // Advance the simulation by dt seconds
+  update(dt) {}
+
+  // Draw the current state
+  render() {}
+
+  // Match the drawing surface to the container
+  resize() {}
+
+  // Restore the initial state (R key)
+  reset() {
+    this.resetParams();
+    if (this.seeded) {
+      this.reseed();
+      this.regenerate();
+    }
+  }
+
+  // Build the seeded composition from this.random with the current params
+  regenerate() {}
+
+  // Pixels (an ImageData) for one tile of a high-resolution export, see
+  // core/image-export.js. The default scales up the on-screen canvases;
+  // exhibits that can redraw at any resolution override it.
+  renderTile(tile) {
+    return captureCanvases(this.container.querySelectorAll('canvas'), tile);
+  }
+
+  // Line art exhibits add their strokes to a VectorDrawing here, which
+  // offers them the SVG and plotter export (core/vector-export.js)
+  drawVector(drawing) {}
+
+  // The export panel has opened; exhibits that only keep what they export
+  // on request start keeping it here
+  prepareExport() {}
+
+  // Populate #exhibit-controls from the declared params
+  createControls() {
+    this.controlPanel = new ControlPanel(this, this.params);
+    this.controlPanel.render();
+  }
+
+  // React to a param changed through the control panel or setParam()
+  onParamChange(key, value, previous) {}
+
+  // Apply this.quality (min..1 of full quality) to the exhibit's knob
+  onQualityChange(quality) {}
+
+  // Release exhibit-specific resources (GL contexts, p5 instances, ...)
+  teardown() {}
+
+  // --- Params ---
+
+  // Change a param from code, keeping its control in sync
+  setParam(key, value) {
+    if (this.controlPanel) {
+      this.controlPanel.setValue(key, value);
+      return;
+    }
+    const param = this.params.find(p => p.key === key);
+    if (param) value = coerceParam(param, value);
+
+    const previous = this[key];
+    this[key] = value;
+    if (value !== previous) {
+      this.paramChanged(key, value, previous);
+    }
+  }
+
+  // Shared follow-up for every param change, whatever its source
+  paramChanged(key, value, previous) {
+    this.onParamChange(key, value, previous);
+    this.invalidate();
+    this.notifyStateChange();
+  }
+
+  resetParams() {
+    for (const param of valueParams(this.params)) {
+      this.setParam(param.key, param.default);
+    }
+  }
+
+  // --- Seed ---
+
+  // Rewind this.random for a rebuild, drawing a fresh seed unless locked
+  reseed() {
+    this.random.setSeed(this.seedLocked ? this.random.seed : createSeed());
+    this.seedChanged();
+  }
+
+  // Rebuild the composition from a given seed, keeping the current params
+  setSeed(seed) {
+    this.random.setSeed(seed);
+    this.regenerate();
+    this.invalidate();
+    this.seedChanged();
+  }
+
+  newSeed() {
+    this.setSeed(createSeed());
+  }
+
+  setSeedLocked(locked) {
+    this.seedLocked = Boolean(locked);
+    this.seedChanged();
+  }
+
+  seedChanged() {
+    if (this.onSeedChange) this.onSeedChange(this.random.seed, this.seedLocked);
+    this.notifyStateChange();
+  }
+
+  // --- Shareable state ---
+
+  // Params that differ from their defaults; subclasses add view state
+  getState() {
+    const state = {};
+    for (const param of valueParams(this.params)) {
+      if (this[param.key] !== param.default) {
+        state[param.key] = String(this[param.key]);
+      }
+    }
+    if (this.seeded) state.seed = String(this.random.seed);
+    return state;
+  }
+
+  // Apply a state object as produced by getState() (values may be strings)
+  setState(state) {
+    for (const param of valueParams(this.params)) {
+      if (param.key in state) {
+        this.setParam(param.key, state[param.key]);
+      }
+    }
+
+    // A seed from a shared link stays locked so R replays that composition
+    if (this.seeded && 'seed' in state) {
+      this.seedLocked = true;
+      this.setSeed(normalizeSeed(state.seed));
+    }
+  }
+
+  // Call whenever state that getState() reports has changed
+  notifyStateChange() {
+    if (this.onStateChange) this.onStateChange();
+  }
+
+  // --- Animation loop ---
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.isPaused = false;
+    this.needsRender = true;
+    this.scheduleFrame();
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.cancelFrame();
+  }
+
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    this.cancelFrame();
+  }
+
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    if (this.isRunning) this.scheduleFrame();
+  }
+
+  // Stop drawing while nobody can see the exhibit. Kept apart from pause() so
+  // that coming back to the tab never undoes the viewer's own pause.
+  setSuspended(suspended) {
+    if (this.runWhenHidden || suspended === this.isSuspended) return;
+    this.isSuspended = suspended;
+    if (suspended) {
+      this.cancelFrame();
+    } else if (this.isRunning && !this.isPaused) {
+      this.scheduleFrame();
+    }
+  }
+
+  togglePause() {
+    if (this.isPaused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  // How long a deferred redraw took from start to its last pixel
+  reportRenderTime(ms) {
+    if (this.governor) this.governor.measure(1000 / Math.max(1, ms));
+  }
+
+  // Set by the quality governor
+  setQuality(quality) {
+    if (quality === this.quality) return;
+    this.quality = quality;
+    this.onQualityChange(quality);
+    this.invalidate();
+  }
+
+  // Request a redraw on the next frame (for non-animated exhibits)
+  invalidate() {
+    this.needsRender = true;
+  }
+
+  scheduleFrame() {
+    if (this.animationId || this.isSuspended) return;
+    // Restart the frame clock so time spent stopped is not fed to update(),
+    // and the FPS window so it does not count it either
+    this.lastFrameTime = null;
+    this.frameCount = 0;
+    this.lastTime = performance.now();
+    this.animationId = requestAnimationFrame(this.tick);
+  }
+
+  cancelFrame() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  tick(now) {
+    this.animationId = null;
+    if (!this.isRunning || this.isPaused || this.isSuspended) return;
+    this.animationId = requestAnimationFrame(this.tick);
+
+    const dt = this.lastFrameTime === null
+      ? 1 / 60
+      : Math.min(MAX_FRAME_DT, (now - this.lastFrameTime) / 1000);
+    this.lastFrameTime = now;
+
+    if (!this.animated && !this.needsRender) return;
+    this.needsRender = false;
+
+    const started = performance.now();
+    this.update(dt);
+    this.render();
+    if (this.onFrame) this.onFrame();
+
+    // On-demand exhibits are judged by how long each redraw takes
+    if (this.governor && !this.animated && !this.deferredRender) {
+      this.governor.measure(1000 / Math.max(1, performance.now() - started));
+    }
+    this.updateFPS();
+  }
+
+  // --- FPS metering ---
+
+  createFPSCounter() {
+    this.fpsElement = document.createElement('div');
+    this.fpsElement.className = 'fps-counter good';
+    this.fpsElement.textContent = '60 FPS';
+    this.container.appendChild(this.fpsElement);
+  }
+
+  updateFPS() {
+    this.frameCount++;
+    const now = performance.now();
+    const elapsed = now - this.lastTime;
+
+    if (elapsed >= 1000) {
+      this.fps = Math.round((this.frameCount * 1000) / elapsed);
+      this.frameCount = 0;
+      this.lastTime = now;
+
+      if (this.governor && this.animated) this.governor.measure(this.fps);
+
+      if (this.fpsElement) {
+        this.fpsElement.textContent = this.governor
+          ? `${this.fps} FPS · ${this.governor.describe()}`
+          : `${this.fps} FPS`;
+        this.fpsElement.className = 'fps-counter ' +
+          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
+      }
+    }
+  }
+
+  // --- Listener tracking ---
+
+  // addEventListener that is automatically undone on destroy()
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+    return handler;
+  }
+
+  removeListeners() {
+    for (const { target, type, handler, options } of this.listeners) {
+      target.removeEventListener(type, handler, options);
+    }
+    this.listeners = [];
+  }
+
+  // --- Teardown ---
+
+  destroy() {
+    this.stop();
+    this.removeListeners();
+    this.teardown();
+
+    if (this.fpsElement) {
+      this.fpsElement.remove();
+      this.fpsElement = null;
+    }
+
+    // Clear controls
+    this.controlPanel = null;
+    const controlsContainer = document.getElementById('exhibit-controls');
+    if (controlsContainer) {
+      controlsContainer.innerHTML = '';
+    }
+  }
+}
@@ -0,0 +1,381 @@
+// Export Panel - The export popover in the exhibit header
+//
+// Offers 1x/2x/4x of the on-screen size or a custom print size, renders the
+// PNG through core/image-export.js and downloads it. Below that, records
+// clips through core/recorder.js: live WebM, or a fixed-timestep GIF or
+// ZIP of PNG frames. Line art exhibits also get a vector section
+// (core/vector-export.js): SVG, HPGL or G-code on a chosen paper size.
+
+import { exportImage, downloadBlob, MAX_EXPORT_SIZE } from './image-export.js';
+import { LiveRecorder, liveRecordingSupported, recordOffline, MAX_CLIP_SIZE } from './recorder.js';
+import { exportVector, vectorSupported, PAPER_SIZES, VECTOR_EXTENSIONS } from './vector-export.js';
+
+const CLIP_EXTENSIONS = { webm: '.webm', gif: '.gif', png: '-frames.zip' };
+const VECTOR_LABELS = { svg: 'SVG', hpgl: 'HPGL', gcode: 'G-code' };
+
+export class ExportPanel {
+  constructor() {
+    this.button = document.getElementById('export-btn');
+    this.panel = document.getElementById('export-panel');
+    this.exhibit = null;
+    this.abort = null;
+    this.clip = null;
+
+    if (!this.button || !this.panel) return;
+
+    this.sizeInputs = this.panel.querySelectorAll('input[name="export-size"]');
+    this.widthInput = document.getElementById('export-width');
+    this.heightInput = document.getElementById('export-height');
+    this.status = document.getElementById('export-status');
+    this.startButton = document.getElementById('export-start');
+    this.cancelButton = document.getElementById('export-cancel');
+
+    this.button.addEventListener('click', () => this.toggle());
+    for (const input of [...this.sizeInputs, this.widthInput, this.heightInput]) {
+      input.addEventListener('input', () => this.updateStatus());
+    }
+    this.startButton.addEventListener('click', () => this.start());
+    this.cancelButton.addEventListener('click', () => this.abort?.abort());
+
+    this.clipFormat = document.getElementById('clip-format');
+    this.clipDuration = document.getElementById('clip-duration');
+    this.clipFps = document.getElementById('clip-fps');
+    this.clipScale = document.getElementById('clip-scale');
+    this.clipStatus = document.getElementById('clip-status');
+    this.clipStartButton = document.getElementById('clip-start');
+    this.clipStopButton = document.getElementById('clip-stop');
+
+    if (!liveRecordingSupported()) {
+      this.clipFormat.querySelector('option[value="webm"]').disabled = true;
+      this.clipFormat.value = 'gif';
+    }
+    this.clipFormat.addEventListener('change', () => {
+      // Full-size GIFs are slow to encode and large; start smaller
+      if (this.clipFormat.value === 'gif') this.clipScale.value = '0.5';
+      this.updateClipStatus();
+    });
+    for (const input of [this.clipDuration, this.clipFps, this.clipScale]) {
+      input.addEventListener('input', () => this.updateClipStatus());
+    }
+    this.clipStartButton.addEventListener('click', () => this.startClip());
+    this.clipStopButton.addEventListener('click', () => this.stopClip());
+
+    this.vectorSection = document.getElementById('vector-export');
+    this.vectorFormat = document.getElementById('vector-format');
+    this.vectorPaper = document.getElementById('vector-paper');
+    this.vectorPens = document.getElementById('vector-pens');
+    this.vectorOrder = document.getElementById('vector-order');
+    this.vectorStatus = document.getElementById('vector-status');
+    this.vectorStartButton = document.getElementById('vector-start');
+
+    for (const input of [this.vectorFormat, this.vectorPaper, this.vectorPens, this.vectorOrder]) {
+      input.addEventListener('change', () => this.updateVectorStatus());
+    }
+    this.vectorStartButton.addEventListener('click', () => this.startVector());
+  }
+
+  attach(exhibit) {
+    this.detach();
+    this.exhibit = exhibit;
+  }
+
+  detach() {
+    this.abort?.abort();
+    this.cancelClip();
+    this.exhibit = null;
+    if (this.panel) {
+      this.panel.hidden = true;
+      this.button.setAttribute('aria-expanded', 'false');
+    }
+  }
+
+  toggle() {
+    if (this.panel.hidden) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  open() {
+    if (!this.exhibit) return;
+    this.panel.hidden = false;
+    this.button.setAttribute('aria-expanded', 'true');
+    this.exhibit.prepareExport();
+    this.updateStatus();
+    this.updateClipStatus();
+    this.updateVectorStatus();
+  }
+
+  // Stays open while an export is running so it can be cancelled. A live
+  // recording keeps going when closed; the header button shows it is on.
+  close() {
+    if (this.abort || this.clip?.offline) return;
+    this.panel.hidden = true;
+    this.button.setAttribute('aria-expanded', 'false');
+  }
+
+  selectedSize() {
+    const choice = [...this.sizeInputs].find(input => input.checked)?.value || '1';
+    if (choice === 'custom') {
+      return {
+        width: Math.round(Number(this.widthInput.value)),
+        height: Math.round(Number(this.heightInput.value))
+      };
+    }
+
+    const scale = Number(choice);
+    const { clientWidth, clientHeight } = this.exhibit.container;
+    return { width: clientWidth * scale, height: clientHeight * scale };
+  }
+
+  updateStatus() {
+    if (!this.exhibit || this.abort || this.clip) return;
+
+    const custom = this.panel.querySelector('input[value="custom"]').checked;
+    this.widthInput.disabled = !custom;
+    this.heightInput.disabled = !custom;
+
+    const { width, height } = this.selectedSize();
+    const valid = width > 0 && height > 0 && width <= MAX_EXPORT_SIZE && height <= MAX_EXPORT_SIZE;
+    this.status.textContent = valid
+      ? `${width} × ${height} px`
+      : `Sizes run from 1 to ${MAX_EXPORT_SIZE} px`;
+    this.startButton.disabled = !valid;
+  }
+
+  async start() {
+    const exhibit = this.exhibit;
+    if (!exhibit || this.abort || this.clip) return;
+
+    const { width, height } = this.selectedSize();
+    this.abort = new AbortController();
+    this.startButton.hidden = true;
+    this.cancelButton.hidden = false;
+    this.clipStartButton.disabled = true;
+    this.status.textContent = 'Rendering…';
+
+    try {
+      const blob = await exportImage(exhibit, width, height, {
+        signal: this.abort.signal,
+        onProgress: (fraction) => {
+          this.status.textContent = `Rendering ${Math.round(fraction * 100)}%`;
+        }
+      });
+      const seed = exhibit.seeded ? `-${exhibit.random.seed}` : '';
+      downloadBlob(blob, `${exhibit.id}${seed}-${width}x${height}.png`);
+      this.status.textContent = 'Saved';
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.status.textContent = 'Export cancelled';
+      } else {
+        console.error('Image export failed:', error);
+        this.status.textContent = error.message;
+      }
+    } finally {
+      this.abort = null;
+      this.startButton.hidden = false;
+      this.cancelButton.hidden = true;
+      this.updateClipStatus();
+    }
+  }
+
+  // --- Clips ---
+
+  clipSettings() {
+    const scale = Number(this.clipScale.value);
+    const { clientWidth, clientHeight } = this.exhibit.container;
+    return {
+      format: this.clipFormat.value,
+      duration: Number(this.clipDuration.value),
+      fps: Number(this.clipFps.value),
+      width: Math.round(clientWidth * scale),
+      height: Math.round(clientHeight * scale)
+    };
+  }
+
+  updateClipStatus() {
+    if (!this.exhibit || this.abort || this.clip) return;
+
+    const { format, duration, fps, width, height } = this.clipSettings();
+    const live = format === 'webm';
+    this.clipScale.disabled = live;
+
+    let valid = duration > 0 && duration <= 60;
+    if (!valid) {
+      this.clipStatus.textContent = 'Clips run from 1 to 60 seconds';
+    } else if (live) {
+      this.clipStatus.textContent = `Records ${duration}s as it plays`;
+    } else if (width > MAX_CLIP_SIZE || height > MAX_CLIP_SIZE) {
+      valid = false;
+      this.clipStatus.textContent = `Clips are limited to ${MAX_CLIP_SIZE} px per side`;
+    } else {
+      this.clipStatus.textContent = `${Math.round(duration * fps)} frames at ${width} × ${height} px`;
+    }
+    this.clipStartButton.disabled = !valid;
+  }
+
+  clipFilename(format) {
+    const exhibit = this.exhibit;
+    const seed = exhibit.seeded ? `-${exhibit.random.seed}` : '';
+    return `${exhibit.id}${seed}-clip${CLIP_EXTENSIONS[format]}`;
+  }
+
+  startClip() {
+    if (!this.exhibit || this.abort || this.clip) return;
+
+    const settings = this.clipSettings();
+    this.clipStartButton.hidden = true;
+    this.clipStopButton.hidden = false;
+    this.startButton.disabled = true;
+
+    if (settings.format === 'webm') {
+      this.startLiveClip(settings);
+    } else {
+      this.startOfflineClip(settings);
+    }
+  }
+
+  startLiveClip({ fps, duration }) {
+    const recorder = new LiveRecorder(this.exhibit, { fps });
+    const filename = this.clipFilename('webm');
+    const started = performance.now();
+
+    this.clip = { recorder, filename };
+    this.clip.timer = setInterval(() => {
+      const elapsed = (performance.now() - started) / 1000;
+      if (elapsed >= duration) {
+        this.stopClip();
+      } else {
+        this.clipStatus.textContent = `Recording ${Math.floor(elapsed)}s / ${duration}s`;
+      }
+    }, 250);
+
+    this.button.classList.add('recording');
+    this.clipStatus.textContent = 'Recording…';
+    recorder.start();
+  }
+
+  async startOfflineClip({ format, fps, duration, width, height }) {
+    const filename = this.clipFilename(format);
+    this.clip = { offline: true, abort: new AbortController() };
+    this.clipStopButton.textContent = 'Cancel';
+    this.clipStatus.textContent = 'Rendering frames…';
+
+    try {
+      const blob = await recordOffline(this.exhibit, {
+        format, fps, duration, width, height,
+        signal: this.clip.abort.signal,
+        onProgress: (fraction) => {
+          this.clipStatus.textContent = `Rendering ${Math.round(fraction * 100)}%`;
+        }
+      });
+      downloadBlob(blob, filename);
+      this.clipStatus.textContent = 'Saved';
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.clipStatus.textContent = 'Recording cancelled';
+      } else {
+        console.error('Clip recording failed:', error);
+        this.clipStatus.textContent = error.message;
+      }
+    } finally {
+      this.finishClip();
+    }
+  }
+
+  // Stop a live recording and save it, or cancel an offline one
+  async stopClip() {
+    const clip = this.clip;
+    if (!clip) return;
+
+    if (clip.offline) {
+      clip.abort.abort();
+      return;
+    }
+
+    clearInterval(clip.timer);
+    clip.stopping = true;
+    this.clipStopButton.disabled = true;
+    try {
+      const blob = await clip.recorder.stop();
+      downloadBlob(blob, clip.filename);
+      this.clipStatus.textContent = 'Saved';
+    } catch (error) {
+      console.error('Clip recording failed:', error);
+      this.clipStatus.textContent = error.message;
+    } finally {
+      this.finishClip();
+    }
+  }
+
+  // Drop a recording without saving it (the exhibit is being unloaded)
+  cancelClip() {
+    const clip = this.clip;
+    if (!clip) return;
+
+    if (clip.offline) {
+      clip.abort.abort();
+      return;
+    }
+
+    clearInterval(clip.timer);
+    if (!clip.stopping) clip.recorder.stop();
+    this.finishClip();
+  }
+
+  // --- Vector ---
+
+  updateVectorStatus() {
+    this.vectorSection.hidden = !vectorSupported(this.exhibit);
+    if (this.vectorSection.hidden) return;
+
+    const format = this.vectorFormat.value;
+    const paper = this.vectorPaper.value;
+    this.vectorStartButton.textContent = `Export ${VECTOR_LABELS[format]}`;
+    if (paper === 'screen') {
+      const { clientWidth, clientHeight } = this.exhibit.container;
+      this.vectorStatus.textContent = `${clientWidth} × ${clientHeight} px at 96 dpi`;
+    } else {
+      const { label, width, height } = PAPER_SIZES[paper];
+      this.vectorStatus.textContent = `${label}, ${width} × ${height} mm, fitted inside a 10 mm margin`;
+    }
+  }
+
+  startVector() {
+    const exhibit = this.exhibit;
+    if (!vectorSupported(exhibit)) return;
+
+    const format = this.vectorFormat.value;
+    try {
+      const { blob, pens, travel } = exportVector(exhibit, {
+        format,
+        paper: this.vectorPaper.value,
+        pens: Number(this.vectorPens.value),
+        optimize: this.vectorOrder.value === 'optimize'
+      });
+      const seed = exhibit.seeded ? `-${exhibit.random.seed}` : '';
+      downloadBlob(blob, `${exhibit.id}${seed}${VECTOR_EXTENSIONS[format]}`);
+      const metres = (mm) => (mm / 1000).toFixed(1);
+      const order = travel.after < travel.before
+        ? `pen-up travel ${metres(travel.before)} m → ${metres(travel.after)} m`
+        : `pen-up travel ${metres(travel.after)} m`;
+      this.vectorStatus.textContent = `Saved: ${pens} pen${pens === 1 ? '' : 's'}, ${order}`;
+    } catch (error) {
+      console.error('Vector export failed:', error);
+      this.vectorStatus.textContent = error.message;
+    }
+  }
+
+  finishClip() {
+    this.clip = null;
+    this.button.classList.remove('recording');
+    this.clipStartButton.hidden = false;
+    this.clipStopButton.hidden = true;
+    this.clipStopButton.disabled = false;
+    this.clipStopButton.textContent = 'Stop';
+    this.startButton.disabled = false;
+    this.updateStatus();
+    this.updateClipStatus();
+  }
+}
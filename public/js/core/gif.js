@@ -0,0 +1,214 @@
+// GIF - Animated GIF89a encoder for offline clip capture
+//
+// Each frame gets its own 256-colour palette from a median-cut quantizer
+// over a 15-bit colour histogram, then is LZW-compressed. Frames are added
+// one at a time so a long clip never holds more than one frame of RGBA.
+
+// --- Quantization ---
+
+// Median cut over the 15-bit histogram; returns the palette as [r, g, b][]
+function medianCut(histogram, maxColors) {
+  const colors = [];
+  for (let key = 0; key < histogram.length; key++) {
+    if (histogram[key]) colors.push(key);
+  }
+
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+  let boxes = [colors];
+
+  while (boxes.length < maxColors) {
+    // Split the box with the widest channel range
+    let best = -1, bestRange = 0, bestChannel = 0;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      for (let c = 0; c < 3; c++) {
+        let min = 31, max = 0;
+        for (const key of box) {
+          const v = channel(key, c);
+          if (v < min) min = v;
+          if (v > max) max = v;
+        }
+        if (max - min > bestRange) {
+          best = index;
+          bestRange = max - min;
+          bestChannel = c;
+        }
+      }
+    });
+    if (best === -1) break;
+
+    const box = boxes[best].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+
+    // Split at the weighted median so busy colours get more entries
+    let total = 0;
+    for (const key of box) total += histogram[key];
+    let running = 0, split = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      running += histogram[box[i]];
+      if (running >= total / 2) {
+        split = i + 1;
+        break;
+      }
+    }
+    boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+  }
+
+  return boxes.map(box => {
+    let r = 0, g = 0, b = 0, n = 0;
+    for (const key of box) {
+      const weight = histogram[key];
+      r += channel(key, 0) * weight;
+      g += channel(key, 1) * weight;
+      b += channel(key, 2) * weight;
+      n += weight;
+    }
+    return [r, g, b].map(v => Math.round((v / n) * 255 / 31));
+  });
+}
+
+function quantize(rgba) {
+  const histogram = new Uint32Array(32768);
+  const keys = new Uint16Array(rgba.length / 4);
+  for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+    const key = ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+    keys[p] = key;
+    histogram[key]++;
+  }
+
+  const palette = medianCut(histogram, 256);
+
+  // Nearest palette entry per histogram bin, computed once per used bin
+  const lookup = new Int16Array(32768).fill(-1);
+  const indices = new Uint8Array(keys.length);
+  for (let p = 0; p < keys.length; p++) {
+    const key = keys[p];
+    if (lookup[key] === -1) {
+      const r = ((key >> 10) & 31) * 255 / 31;
+      const g = ((key >> 5) & 31) * 255 / 31;
+      const b = (key & 31) * 255 / 31;
+      let best = 0, bestDistance = Infinity;
+      for (let i = 0; i < palette.length; i++) {
+        const [pr, pg, pb] = palette[i];
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < bestDistance) {
+          best = i;
+          bestDistance = distance;
+        }
+      }
+      lookup[key] = best;
+    }
+    indices[p] = lookup[key];
+  }
+
+  return { palette, indices };
+}
+
+// --- LZW ---
+
+function lzwEncode(indices, minCodeSize, out) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  // Pack codes LSB-first into 255-byte sub-blocks
+  let block = [];
+  let bitBuffer = 0, bitCount = 0;
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xFF);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+      if (block.length === 255) {
+        out.push(255, ...block);
+        block = [];
+      }
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode < 4096) {
+      dictionary.set(key, nextCode++);
+      if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+    } else {
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) block.push(bitBuffer & 0xFF);
+  if (block.length) out.push(block.length, ...block);
+  out.push(0);
+}
+
+// --- Encoder ---
+
+export class GifEncoder {
+  constructor(width, height, { delay = 4, loop = true } = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = delay; // hundredths of a second per frame
+    this.parts = [];
+
+    const header = [
+      ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+      width & 0xFF, width >> 8, height & 0xFF, height >> 8,
+      0x00, 0, 0 // no global colour table
+    ];
+    if (loop) {
+      // NETSCAPE2.0 application extension: loop forever
+      header.push(
+        0x21, 0xFF, 11,
+        ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)),
+        3, 1, 0, 0, 0
+      );
+    }
+    this.parts.push(new Uint8Array(header));
+  }
+
+  // rgba: width * height * 4 bytes
+  addFrame(rgba) {
+    const { palette, indices } = quantize(rgba);
+    const out = [];
+
+    // Graphic control extension: frame delay, no transparency
+    out.push(0x21, 0xF9, 4, 0x00, this.delay & 0xFF, this.delay >> 8, 0, 0);
+
+    // Image descriptor with a 256-entry local colour table
+    const { width, height } = this;
+    out.push(0x2C, 0, 0, 0, 0, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x87);
+    for (let i = 0; i < 256; i++) {
+      const [r, g, b] = palette[i] || [0, 0, 0];
+      out.push(r, g, b);
+    }
+
+    out.push(8);
+    lzwEncode(indices, 8, out);
+    this.parts.push(new Uint8Array(out));
+  }
+
+  finish() {
+    this.parts.push(new Uint8Array([0x3B]));
+    return new Blob(this.parts, { type: 'image/gif' });
+  }
+}
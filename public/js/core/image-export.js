@@ -0,0 +1,159 @@
+// Image Export - Renders the current frame at print resolution as a PNG
+//
+// The image is produced tile by tile through exhibit.renderTile(tile), where
+// tile = { x, y, width, height, fullWidth, fullHeight } is a window onto a
+// fullWidth x fullHeight frame. Rows of tiles are streamed into the PNG
+// encoder, so exports can be far larger than the largest canvas a browser
+// allows. The exhibit is paused while its tiles render so they line up.
+
+import { encodePNG } from './png.js';
+
+export const MAX_EXPORT_SIZE = 16384;
+const TILE_SIZE = 1024;
+
+// Draw the tile's window of the on-screen canvases, cover-fit and stacked in
+// DOM order, over black
+export function drawCanvases(ctx, canvases, tile) {
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, tile.width, tile.height);
+
+  for (const source of canvases) {
+    if (!source.width || !source.height) continue;
+    const scale = Math.max(tile.fullWidth / source.width, tile.fullHeight / source.height);
+    const offsetX = (tile.fullWidth - source.width * scale) / 2;
+    const offsetY = (tile.fullHeight - source.height * scale) / 2;
+    ctx.drawImage(
+      source,
+      offsetX - tile.x, offsetY - tile.y,
+      source.width * scale, source.height * scale
+    );
+  }
+}
+
+// Fallback for exhibits whose frame only exists at screen resolution
+// (e.g. accumulated p5 trails): scale up what is on screen
+export function captureCanvases(canvases, tile) {
+  const canvas = document.createElement('canvas');
+  canvas.width = tile.width;
+  canvas.height = tile.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  drawCanvases(ctx, canvases, tile);
+  return ctx.getImageData(0, 0, tile.width, tile.height);
+}
+
+// Render one tile of a three.js scene by offsetting the camera's view.
+// Tiles go through the renderer's own canvas rather than a render target so
+// the output colour space and tone mapping match what is on screen.
+export function renderThreeTile(renderer, scene, camera, tile) {
+  const { clientWidth, clientHeight } = renderer.domElement;
+  const pixelRatio = renderer.getPixelRatio();
+  const aspect = camera.aspect;
+
+  renderer.setPixelRatio(1);
+  renderer.setSize(tile.width, tile.height, false);
+  camera.aspect = tile.fullWidth / tile.fullHeight;
+  camera.setViewOffset(tile.fullWidth, tile.fullHeight, tile.x, tile.y, tile.width, tile.height);
+  camera.updateProjectionMatrix();
+
+  renderer.render(scene, camera);
+  const canvas = document.createElement('canvas');
+  canvas.width = tile.width;
+  canvas.height = tile.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, tile.width, tile.height);
+  ctx.drawImage(renderer.domElement, 0, 0);
+
+  camera.clearViewOffset();
+  camera.aspect = aspect;
+  camera.updateProjectionMatrix();
+  renderer.setPixelRatio(pixelRatio);
+  renderer.setSize(clientWidth, clientHeight, false);
+  renderer.render(scene, camera);
+
+  return ctx.getImageData(0, 0, tile.width, tile.height);
+}
+
+// PNG text metadata describing how to reproduce the image
+export function imageMetadata(exhibit) {
+  const params = {};
+  for (const param of exhibit.params) {
+    if (param.type !== 'button') params[param.key] = exhibit[param.key];
+  }
+
+  return {
+    Title: exhibit.config?.title,
+    Software: 'AIRT',
+    Exhibit: exhibit.id,
+    Seed: exhibit.seeded ? String(exhibit.random.seed) : undefined,
+    Parameters: JSON.stringify(params),
+    Source: window.location.href
+  };
+}
+
+export async function exportImage(exhibit, width, height, { onProgress, signal } = {}) {
+  width = Math.round(width);
+  height = Math.round(height);
+  if (!(width > 0 && height > 0) || width > MAX_EXPORT_SIZE || height > MAX_EXPORT_SIZE) {
+    throw new Error(`Export size must be between 1 and ${MAX_EXPORT_SIZE} pixels per side`);
+  }
+
+  const columns = Math.ceil(width / TILE_SIZE);
+  const rows = Math.ceil(height / TILE_SIZE);
+  const total = columns * rows;
+  let done = 0;
+
+  async function* strips() {
+    for (let row = 0; row < rows; row++) {
+      const y = row * TILE_SIZE;
+      const stripHeight = Math.min(TILE_SIZE, height - y);
+      const strip = new Uint8ClampedArray(width * stripHeight * 4);
+
+      for (let column = 0; column < columns; column++) {
+        if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+
+        const x = column * TILE_SIZE;
+        const tile = {
+          x, y,
+          width: Math.min(TILE_SIZE, width - x),
+          height: stripHeight,
+          fullWidth: width,
+          fullHeight: height
+        };
+        const image = await exhibit.renderTile(tile);
+
+        for (let line = 0; line < tile.height; line++) {
+          const from = line * tile.width * 4;
+          strip.set(image.data.subarray(from, from + tile.width * 4), (line * width + x) * 4);
+        }
+
+        done++;
+        if (onProgress) onProgress(done / total);
+
+        // Let the page breathe (and the progress text paint) between tiles
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      yield strip;
+    }
+  }
+
+  const wasPaused = exhibit.isPaused;
+  exhibit.pause();
+  try {
+    return await encodePNG(width, height, strips(), imageMetadata(exhibit));
+  } finally {
+    if (!wasPaused) exhibit.resume();
+  }
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,235 @@
+// Pan Zoom - Pointer, wheel and pinch navigation over an exhibit's canvas
+//
+// Gestures are reported as a similarity transform of the picture in CSS
+// pixels: a point at p before the gesture ends up at p * scale + (x, y).
+// While a gesture runs, onPreview(transform) lets the exhibit show the old
+// image moved and scaled; onCommit(transform) fires once it ends and the
+// view should be re-rendered.
+//
+//   drag               pan
+//   wheel, pinch       zoom anchored at the pointer or between the fingers
+//   Alt/Ctrl + drag    rubber-band box zoom
+//   click              zoom in 2x on the point
+//   Shift/right-click  zoom out 2x on the point
+
+const CLICK_DISTANCE = 5;     // px a pointer may move and still count as a click
+const WHEEL_SETTLE = 250;     // ms without wheel events before a wheel zoom commits
+const WHEEL_RATE = 0.002;     // zoom per wheel pixel (exponential)
+const MIN_BOX = 8;            // px; smaller boxes are ignored
+
+const IDENTITY = { scale: 1, x: 0, y: 0 };
+
+// Scale a transform by factor about the screen point (px, py)
+function zoomAbout(transform, factor, px, py) {
+  return {
+    scale: transform.scale * factor,
+    x: (transform.x - px) * factor + px,
+    y: (transform.y - py) * factor + py
+  };
+}
+
+export class PanZoomGestures {
+  // exhibit: owner whose listen() tracks the listeners
+  // element: the surface receiving input (usually the canvas)
+  constructor(exhibit, element, { onPreview, onCommit }) {
+    this.element = element;
+    this.onPreview = onPreview;
+    this.onCommit = onCommit;
+
+    this.pointers = new Map();
+    this.gesture = null;
+    this.wheel = null;
+
+    // Rubber band shown during box zoom
+    this.box = document.createElement('div');
+    this.box.className = 'zoom-box';
+    this.box.hidden = true;
+    exhibit.container.appendChild(this.box);
+
+    // Pinch and drag need the pointer events the browser would otherwise
+    // take for scrolling
+    element.style.touchAction = 'none';
+
+    exhibit.listen(element, 'pointerdown', (e) => this.pointerDown(e));
+    exhibit.listen(element, 'pointermove', (e) => this.pointerMove(e));
+    exhibit.listen(element, 'pointerup', (e) => this.pointerUp(e));
+    exhibit.listen(element, 'pointercancel', (e) => this.pointerUp(e, true));
+    exhibit.listen(element, 'wheel', (e) => this.wheelZoom(e), { passive: false });
+    exhibit.listen(element, 'contextmenu', (e) => e.preventDefault());
+  }
+
+  // Pointer position relative to the element, in CSS pixels
+  point(e) {
+    const rect = this.element.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // Transform that zooms by factor and brings (px, py) to the centre
+  zoomTo(px, py, factor) {
+    const { clientWidth, clientHeight } = this.element;
+    return {
+      scale: factor,
+      x: clientWidth / 2 - px * factor,
+      y: clientHeight / 2 - py * factor
+    };
+  }
+
+  pointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0 && e.button !== 2) return;
+    this.finishWheel();
+    this.element.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, this.point(e));
+
+    if (this.pointers.size === 2) {
+      this.startPinch();
+    } else if (this.pointers.size === 1) {
+      this.gesture = {
+        mode: e.altKey || e.ctrlKey || e.metaKey ? 'box' : 'pan',
+        zoomOut: e.button === 2 || e.shiftKey,
+        start: this.point(e),
+        base: IDENTITY,
+        transform: IDENTITY,
+        moved: false
+      };
+    }
+  }
+
+  startPinch() {
+    const [a, b] = [...this.pointers.values()];
+    this.box.hidden = true;
+    this.gesture = {
+      mode: 'pinch',
+      base: this.gesture?.mode === 'pan' ? this.gesture.transform : IDENTITY,
+      distance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+      middle: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      transform: this.gesture?.transform || IDENTITY,
+      moved: true
+    };
+  }
+
+  pointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+    const point = this.point(e);
+    this.pointers.set(e.pointerId, point);
+    const gesture = this.gesture;
+
+    if (gesture.mode === 'pinch') {
+      if (this.pointers.size < 2) return;
+      const [a, b] = [...this.pointers.values()];
+      const factor = (Math.hypot(b.x - a.x, b.y - a.y) || 1) / gesture.distance;
+      const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+      // The point that was between the fingers stays between them
+      const zoomed = zoomAbout(gesture.base, factor, gesture.middle.x, gesture.middle.y);
+      gesture.transform = {
+        scale: zoomed.scale,
+        x: zoomed.x + middle.x - gesture.middle.x,
+        y: zoomed.y + middle.y - gesture.middle.y
+      };
+      this.onPreview(gesture.transform);
+      return;
+    }
+
+    const dx = point.x - gesture.start.x;
+    const dy = point.y - gesture.start.y;
+    if (!gesture.moved && Math.hypot(dx, dy) < CLICK_DISTANCE) return;
+    gesture.moved = true;
+
+    if (gesture.mode === 'box') {
+      Object.assign(this.box.style, {
+        left: `${Math.min(point.x, gesture.start.x) + this.element.offsetLeft}px`,
+        top: `${Math.min(point.y, gesture.start.y) + this.element.offsetTop}px`,
+        width: `${Math.abs(dx)}px`,
+        height: `${Math.abs(dy)}px`
+      });
+      this.box.hidden = false;
+      gesture.end = point;
+    } else {
+      const { base } = gesture;
+      gesture.transform = { scale: base.scale, x: base.x + dx, y: base.y + dy };
+      this.onPreview(gesture.transform);
+    }
+  }
+
+  pointerUp(e, cancelled = false) {
+    if (!this.pointers.delete(e.pointerId)) return;
+    const gesture = this.gesture;
+    if (!gesture) return;
+
+    // Lifting one finger of a pinch carries on as a pan with the other
+    if (gesture.mode === 'pinch' && this.pointers.size === 1) {
+      const [rest] = this.pointers.values();
+      this.gesture = {
+        mode: 'pan',
+        start: rest,
+        base: gesture.transform,
+        transform: gesture.transform,
+        moved: true
+      };
+      return;
+    }
+    if (this.pointers.size) return;
+
+    this.gesture = null;
+    this.box.hidden = true;
+
+    // A cancelled gesture puts the view back where it was
+    if (cancelled) {
+      if (gesture.moved) this.onCommit(IDENTITY);
+      return;
+    }
+
+    const point = this.point(e);
+    if (!gesture.moved) {
+      this.onCommit(this.zoomTo(point.x, point.y, gesture.zoomOut ? 0.5 : 2));
+    } else if (gesture.mode === 'box') {
+      const width = Math.abs(gesture.end.x - gesture.start.x);
+      const height = Math.abs(gesture.end.y - gesture.start.y);
+      if (width < MIN_BOX || height < MIN_BOX) return;
+      const factor = Math.min(this.element.clientWidth / width, this.element.clientHeight / height);
+      this.onCommit(this.zoomTo(
+        (gesture.start.x + gesture.end.x) / 2,
+        (gesture.start.y + gesture.end.y) / 2,
+        factor
+      ));
+    } else {
+      this.onCommit(gesture.transform);
+    }
+  }
+
+  // Wheel steps accumulate into one transform that commits once the wheel
+  // has been still for a moment, so a long scroll renders once
+  wheelZoom(e) {
+    e.preventDefault();
+    if (this.gesture) return;
+
+    // Lines and pages are converted to rough pixel amounts
+    const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1);
+    const { x, y } = this.point(e);
+    const transform = this.wheel?.transform || IDENTITY;
+
+    clearTimeout(this.wheel?.timer);
+    this.wheel = {
+      transform: zoomAbout(transform, Math.exp(-delta * WHEEL_RATE), x, y),
+      timer: setTimeout(() => this.finishWheel(), WHEEL_SETTLE)
+    };
+    this.onPreview(this.wheel.transform);
+  }
+
+  finishWheel() {
+    if (!this.wheel) return;
+    clearTimeout(this.wheel.timer);
+    const { transform } = this.wheel;
+    this.wheel = null;
+    this.onCommit(transform);
+  }
+
+  // Drop a pending wheel zoom without committing it (the exhibit is going)
+  destroy() {
+    clearTimeout(this.wheel?.timer);
+    this.wheel = null;
+    this.gesture = null;
+    this.pointers.clear();
+    this.box.remove();
+  }
+}
@@ -0,0 +1,129 @@
+// PNG - Streaming PNG encoder for exports larger than a canvas can hold
+//
+// Pixels arrive as horizontal strips of RGBA rows, so an 8000x8000 image
+// never has to exist in memory uncompressed. Compression uses the browser's
+// CompressionStream ('deflate' produces the zlib stream PNG expects). Text
+// metadata is written as tEXt chunks, or iTXt when it is not Latin-1.
+
+const SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+// CRC-32 as used by PNG chunks and ZIP entries
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+function headerChunk(width, height) {
+  const data = new Uint8Array(13);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  data[8] = 8;  // bit depth
+  data[9] = 6;  // colour type: RGBA
+  return chunk('IHDR', data);
+}
+
+function textChunk(keyword, text) {
+  const key = keyword.slice(0, 79);
+  if (/^[\x20-\x7E\xA0-\xFF\n]*$/.test(text)) {
+    const data = new Uint8Array(key.length + 1 + text.length);
+    for (let i = 0; i < key.length; i++) data[i] = key.charCodeAt(i);
+    for (let i = 0; i < text.length; i++) data[key.length + 1 + i] = text.charCodeAt(i);
+    return chunk('tEXt', data);
+  }
+
+  // iTXt: keyword, no compression, empty language and translated keyword
+  const utf8 = new TextEncoder().encode(text);
+  const data = new Uint8Array(key.length + 5 + utf8.length);
+  for (let i = 0; i < key.length; i++) data[i] = key.charCodeAt(i);
+  data.set(utf8, key.length + 5);
+  return chunk('iTXt', data);
+}
+
+// Prefix each row with filter type 1 (Sub), which suits smooth gradients
+function filterRows(rgba, width) {
+  const stride = width * 4;
+  const rows = rgba.length / stride;
+  const out = new Uint8Array(rows * (stride + 1));
+  for (let y = 0; y < rows; y++) {
+    const src = y * stride;
+    const dst = y * (stride + 1);
+    out[dst] = 1;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? rgba[src + i - 4] : 0;
+      out[dst + 1 + i] = (rgba[src + i] - left) & 0xFF;
+    }
+  }
+  return out;
+}
+
+// strips: async iterable of RGBA Uint8(Clamped)Arrays, whole rows each,
+// top to bottom. Returns a Blob of type image/png.
+export async function encodePNG(width, height, strips, text = {}) {
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('PNG export needs CompressionStream, which this browser lacks');
+  }
+
+  const compressor = new CompressionStream('deflate');
+  const writer = compressor.writable.getWriter();
+
+  // Drain compressed output while rows are still being written
+  const idat = [];
+  const reading = (async () => {
+    const reader = compressor.readable.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      idat.push(chunk('IDAT', value));
+    }
+  })();
+
+  let rows = 0;
+  try {
+    for await (const strip of strips) {
+      await writer.write(filterRows(strip, width));
+      rows += strip.length / (width * 4);
+    }
+    await writer.close();
+  } catch (error) {
+    writer.abort(error).catch(() => {});
+    reading.catch(() => {});
+    throw error;
+  }
+  await reading;
+
+  if (rows !== height) {
+    throw new Error(`PNG expected ${height} rows, received ${rows}`);
+  }
+
+  const texts = Object.entries(text)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => textChunk(key, String(value)));
+
+  return new Blob(
+    [SIGNATURE, headerChunk(width, height), ...texts, ...idat, chunk('IEND', new Uint8Array(0))],
+    { type: 'image/png' }
+  );
+}
@@ -0,0 +1,75 @@
+// Quality Governor - Holds a target frame rate by scaling an exhibit's
+// quality knob
+//
+// Exhibits opt in with a "quality" block in config.json:
+//   "quality": { "label": "Particles", "min": 0.2, "targetFps": 50 }
+// The governor sets exhibit.quality to a fraction of full quality between
+// min and 1, and the exhibit applies it to its knob (particle count, flock
+// size, render resolution, ...) in onQualityChange(). Quality drops quickly
+// when the frame rate falls short and creeps back up after a run of smooth
+// measurements, waiting longer each time a step up proves too much.
+
+const DEFAULT_TARGET_FPS = 50;
+
+// Levels snap to this grid so knobs only change by meaningful amounts
+const LEVEL_STEP = 0.05;
+const RAISE_FACTOR = 1.2;
+const MAX_RAISE_DELAY = 16;
+
+export class QualityGovernor {
+  constructor(exhibit, { min = 0.25, targetFps = DEFAULT_TARGET_FPS, label = 'Quality' } = {}) {
+    this.exhibit = exhibit;
+    this.min = min;
+    this.targetFps = targetFps;
+    this.label = label;
+    this.level = 1;
+
+    // Measurements to ignore: the first one (shader compiles, warm-up) and
+    // the one after every change (rebuild cost)
+    this.settle = 1;
+    this.smooth = 0;
+    this.raiseDelay = 3;
+    this.raised = false;
+  }
+
+  // Feed one measured frame rate: once per FPS window for animated exhibits,
+  // once per redraw for exhibits that only render on demand
+  measure(fps) {
+    if (this.settle > 0) {
+      this.settle--;
+      return;
+    }
+
+    if (fps < this.targetFps * 0.9) {
+      // The last step up was too much: wait longer before the next one
+      if (this.raised) this.raiseDelay = Math.min(this.raiseDelay * 2, MAX_RAISE_DELAY);
+      this.raised = false;
+      this.smooth = 0;
+      const factor = Math.max(0.5, Math.min(0.85, fps / this.targetFps));
+      this.setLevel(Math.min(this.level * factor, this.level - LEVEL_STEP));
+      return;
+    }
+
+    this.raised = false;
+    if (fps >= this.targetFps && this.level < 1 && ++this.smooth >= this.raiseDelay) {
+      this.smooth = 0;
+      this.raised = this.setLevel(Math.max(this.level * RAISE_FACTOR, this.level + LEVEL_STEP));
+    }
+  }
+
+  // Returns whether the level changed
+  setLevel(level) {
+    level = Math.round(level / LEVEL_STEP) * LEVEL_STEP;
+    level = Math.min(1, Math.max(this.min, level));
+    if (Math.abs(level - this.level) < LEVEL_STEP / 2) return false;
+
+    this.level = level;
+    this.settle = 1;
+    this.exhibit.setQuality(level);
+    return true;
+  }
+
+  describe() {
+    return `${this.label} ${Math.round(this.level * 100)}%`;
+  }
+}
@@ -0,0 +1,86 @@
+// Random - Seeded pseudo-random numbers shared by every exhibit
+//
+// Each exhibit owns a Random (this.random) whose seed, this.random.seed, is
+// set through the exhibit's setSeed() and reseed(). Drawing all randomness
+// from it instead of Math.random means a seed plus the exhibit's params
+// reproduces the same composition. Seeds are unsigned 32-bit integers; any
+// other text typed into the seed field is hashed down to one.
+
+const UINT32 = 4294967296;
+
+// A fresh, non-deterministic seed for new compositions
+export function createSeed() {
+  if (window.crypto?.getRandomValues) {
+    return window.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * UINT32);
+}
+
+// Accept a seed as a number, a numeric string or arbitrary text
+export function normalizeSeed(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text) && Number(text) < UINT32) {
+    return Number(text);
+  }
+
+  // FNV-1a hash for free-form seeds like "aurora"
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+export class Random {
+  constructor(seed = createSeed()) {
+    this.setSeed(seed);
+  }
+
+  // Restart the sequence from the beginning of a seed
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // mulberry32: uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  }
+
+  // Uniform float in [min, max)
+  range(min, max) {
+    return min + (max - min) * this.next();
+  }
+
+  // Uniform integer in [min, max)
+  int(min, max) {
+    return Math.floor(this.range(min, max));
+  }
+
+  // True with probability p
+  chance(p) {
+    return this.next() < p;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  // Standard normal sample (Box-Muller)
+  gaussian() {
+    const u = 1 - this.next();
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+// Point a p5 instance's random() and noise() at the same seed
+export function seedP5(p, seed) {
+  p.randomSeed(seed);
+  p.noiseSeed(seed);
+}
@@ -0,0 +1,124 @@
+// Recorder - Captures clips of animated exhibits
+//
+// Live mode records the exhibit as it plays through MediaRecorder (WebM), so
+// the clip includes whatever the viewer does while it runs. Offline mode
+// pauses the exhibit and steps it with a fixed timestep, grabbing each frame
+// through renderTile(), so the clip is smooth however slow the machine is.
+// Offline clips are encoded as an animated GIF or a ZIP of numbered PNGs.
+
+import { drawCanvases, imageMetadata } from './image-export.js';
+import { encodePNG } from './png.js';
+import { GifEncoder } from './gif.js';
+import { ZipWriter } from './zip.js';
+
+export const MAX_CLIP_SIZE = 2048;
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export function liveRecordingSupported() {
+  return typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function';
+}
+
+// Composites the exhibit's canvases into one canvas after every frame and
+// records that canvas's stream
+export class LiveRecorder {
+  constructor(exhibit, { fps = 30 } = {}) {
+    this.exhibit = exhibit;
+    this.fps = fps;
+    this.chunks = [];
+
+    // Video encoders want even dimensions
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const even = (value) => Math.max(2, Math.round(value * dpr / 2) * 2);
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = even(exhibit.container.clientWidth);
+    this.canvas.height = even(exhibit.container.clientHeight);
+    this.ctx = this.canvas.getContext('2d');
+    this.tile = {
+      x: 0, y: 0,
+      width: this.canvas.width, height: this.canvas.height,
+      fullWidth: this.canvas.width, fullHeight: this.canvas.height
+    };
+  }
+
+  start() {
+    this.stream = this.canvas.captureStream(this.fps);
+    const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : undefined);
+    this.recorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size) this.chunks.push(e.data);
+    });
+
+    this.exhibit.onFrame = () => this.drawFrame();
+    this.drawFrame();
+    this.recorder.start(1000);
+  }
+
+  drawFrame() {
+    drawCanvases(this.ctx, this.exhibit.container.querySelectorAll('canvas'), this.tile);
+  }
+
+  // Resolves with the recorded WebM
+  stop() {
+    return new Promise((resolve) => {
+      this.recorder.addEventListener('stop', () => {
+        resolve(new Blob(this.chunks, { type: this.recorder.mimeType || 'video/webm' }));
+      });
+      this.exhibit.onFrame = null;
+      this.recorder.stop();
+      this.stream.getTracks().forEach(track => track.stop());
+    });
+  }
+}
+
+// Step the exhibit frame by frame and encode the result. format is 'gif' or
+// 'png' (a ZIP of PNG frames). Resolves with the encoded Blob.
+export async function recordOffline(exhibit, {
+  format = 'gif', width, height, fps = 30, duration = 5, onProgress, signal
+} = {}) {
+  width = Math.round(width);
+  height = Math.round(height);
+  if (!(width > 0 && height > 0) || width > MAX_CLIP_SIZE || height > MAX_CLIP_SIZE) {
+    throw new Error(`Clip size must be between 1 and ${MAX_CLIP_SIZE} pixels per side`);
+  }
+
+  const frames = Math.max(1, Math.round(duration * fps));
+  const dt = 1 / fps;
+  const tile = { x: 0, y: 0, width, height, fullWidth: width, fullHeight: height };
+  const gif = format === 'gif'
+    ? new GifEncoder(width, height, { delay: Math.max(2, Math.round(100 / fps)) })
+    : null;
+  const zip = gif ? null : new ZipWriter();
+  const metadata = imageMetadata(exhibit);
+  const digits = Math.max(4, String(frames).length);
+
+  const wasPaused = exhibit.isPaused;
+  exhibit.pause();
+  try {
+    for (let frame = 0; frame < frames; frame++) {
+      if (signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+
+      exhibit.update(dt);
+      exhibit.render();
+      const image = await exhibit.renderTile(tile);
+
+      if (gif) {
+        gif.addFrame(image.data);
+      } else {
+        const png = await encodePNG(width, height, [image.data], metadata);
+        const name = `${exhibit.id}-${String(frame + 1).padStart(digits, '0')}.png`;
+        zip.addFile(name, new Uint8Array(await png.arrayBuffer()));
+      }
+
+      if (onProgress) onProgress((frame + 1) / frames);
+
+      // Let the page breathe (and the progress text paint) between frames
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return gif ? gif.finish() : zip.finish();
+  } finally {
+    if (!wasPaused) exhibit.resume();
+  }
+}
@@ -11,6 +11,7 @@ class Router {
     this.exhibitView = document.getElementById('exhibit-view');
     this.loading = document.getElementById('loading');
     this.backBtn = document.getElementById('back-btn');
+    this.shareBtn = document.getElementById('share-btn');
 
     this.init();
   }
@@ -26,6 +27,11 @@ class Router {
       this.navigateTo('/');
     });
 
+    // Copy a link to the current exhibit state
+    this.shareBtn?.addEventListener('click', () => {
+      this.copyLink();
+    });
+
     // Handle keyboard shortcuts
     this.setupKeyboardShortcuts();
 
@@ -35,6 +41,9 @@ class Router {
 
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
+      // Leave keys alone while typing (e.g. in the seed or export fields)
+      if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
+
       // ESC - Back to gallery
       if (e.key === 'Escape') {
         if (this.currentExhibit) {
@@ -42,23 +51,41 @@ class Router {
         }
       }
 
-      // Space - Pause/Play (if exhibit supports it)
+      // Space - Pause/Play
       if (e.key === ' ' && this.currentExhibit) {
         e.preventDefault();
-        if (this.currentExhibit.togglePause) {
-          this.currentExhibit.togglePause();
-        }
+        this.currentExhibit.togglePause();
       }
 
-      // R - Reset (if exhibit supports it)
-      if (e.key === 'r' || e.key === 'R') {
-        if (this.currentExhibit && this.currentExhibit.reset) {
-          this.currentExhibit.reset();
-        }
+      // R - Reset
+      if ((e.key === 'r' || e.key === 'R') && this.currentExhibit) {
+        this.currentExhibit.reset();
       }
     });
   }
 
+  async copyLink() {
+    // Make sure the URL reflects the latest state before copying it
+    this.exhibitLoader.stateSync.flush();
+    const url = window.location.href;
+
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (error) {
+      // Clipboard API unavailable (e.g. insecure context) - let the user copy manually
+      window.prompt('Copy this link:', url);
+      return;
+    }
+
+    this.shareBtn.classList.add('copied');
+    this.shareBtn.title = 'Link copied';
+    clearTimeout(this.copiedTimer);
+    this.copiedTimer = setTimeout(() => {
+      this.shareBtn.classList.remove('copied');
+      this.shareBtn.title = 'Copy link';
+    }, 1500);
+  }
+
   async handleRoute(path, replaceState = false) {
     // Remove trailing slash except for root
     if (path !== '/' && path.endsWith('/')) {
@@ -137,14 +164,10 @@ class Router {
       // This ensures the container has proper dimensions
       requestAnimationFrame(() => {
         // Recalculate dimensions now that view is visible
-        if (this.currentExhibit.resize) {
-          this.currentExhibit.resize();
-        }
+        this.currentExhibit.resize();
 
         // Start the exhibit
-        if (this.currentExhibit.start) {
-          this.currentExhibit.start();
-        }
+        this.currentExhibit.start();
 
         // Hide loading after exhibit starts rendering
         setTimeout(() => this.hideLoading(), 50);
@@ -181,11 +204,14 @@ class Router {
     this.loading.style.display = 'none';
   }
 
+  // path may carry exhibit state as a query, e.g. /julia-set?cr=-0.75&ci=0.1
   navigateTo(path) {
+    const { pathname } = new URL(path, window.location.origin);
+
     // Update browser history
-    if (path !== this.currentRoute) {
+    if (pathname !== this.currentRoute) {
       window.history.pushState({}, '', path);
-      this.handleRoute(path);
+      this.handleRoute(pathname);
     }
   }
 }
@@ -0,0 +1,57 @@
+// Seed Control - The seed field and new/lock seed buttons in the exhibit header
+//
+// Shown only for seeded exhibits. Typing a seed (digits or any text) and
+// pressing Enter rebuilds the composition from it; the lock button keeps the
+// seed across resets.
+
+export class SeedControl {
+  constructor() {
+    this.element = document.getElementById('seed-control');
+    this.input = document.getElementById('seed-input');
+    this.newButton = document.getElementById('seed-new-btn');
+    this.lockButton = document.getElementById('seed-lock-btn');
+    this.exhibit = null;
+
+    if (!this.element) return;
+
+    this.input.addEventListener('change', () => {
+      if (this.exhibit && this.input.value.trim()) {
+        this.exhibit.setSeed(this.input.value);
+      }
+    });
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.input.blur();
+    });
+    this.newButton.addEventListener('click', () => {
+      this.exhibit?.newSeed();
+    });
+    this.lockButton.addEventListener('click', () => {
+      this.exhibit?.setSeedLocked(!this.exhibit.seedLocked);
+    });
+  }
+
+  attach(exhibit) {
+    this.detach();
+    if (!this.element || !exhibit.seeded) return;
+
+    this.exhibit = exhibit;
+    exhibit.onSeedChange = (seed, locked) => this.update(seed, locked);
+    this.update(exhibit.random.seed, exhibit.seedLocked);
+    this.element.hidden = false;
+  }
+
+  detach() {
+    if (this.exhibit) {
+      this.exhibit.onSeedChange = null;
+      this.exhibit = null;
+    }
+    if (this.element) this.element.hidden = true;
+  }
+
+  update(seed, locked) {
+    this.input.value = seed;
+    this.lockButton.classList.toggle('active', locked);
+    this.lockButton.title = locked ? 'Unlock seed' : 'Lock seed';
+    this.lockButton.setAttribute('aria-pressed', String(locked));
+  }
+}
@@ -0,0 +1,94 @@
+// URL State - Mirrors exhibit state into the query string so a view can be shared
+//
+// Exhibits describe themselves through getState()/setState() as flat objects
+// of strings. ExhibitLoader restores the state from the URL on load and
+// attaches a UrlStateSync that rewrites the query string (via replaceState,
+// so history is not flooded) whenever the exhibit reports a change.
+
+// Batch rapid changes (slider drags, orbiting) into one history update
+const SYNC_DELAY = 250;
+
+export function readUrlState(search = window.location.search) {
+  return Object.fromEntries(new URLSearchParams(search));
+}
+
+export function buildStateUrl(state, path = window.location.pathname) {
+  const query = new URLSearchParams(state).toString();
+  return query ? `${path}?${query}` : path;
+}
+
+// "x,y,z" with limited precision, for camera positions and targets
+export function formatVector(vector, digits = 2) {
+  return [vector.x, vector.y, vector.z].map(v => Number(v.toFixed(digits))).join(',');
+}
+
+// Parse "x,y,z" into numbers, or null when malformed
+export function parseVector(text) {
+  if (typeof text !== 'string') return null;
+  const parts = text.split(',').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+// Camera position (and orbit target, when there is one) as URL state
+export function cameraState(camera, target) {
+  const state = { cam: formatVector(camera.position) };
+  if (target) state.target = formatVector(target);
+  return state;
+}
+
+// Restore a camera saved by cameraState(); returns false when nothing applied
+export function applyCameraState(state, camera, target) {
+  const position = parseVector(state.cam);
+  if (!position) return false;
+
+  camera.position.set(position.x, position.y, position.z);
+
+  const look = (target && parseVector(state.target)) || { x: 0, y: 0, z: 0 };
+  if (target) target.set(look.x, look.y, look.z);
+  camera.lookAt(look.x, look.y, look.z);
+  return true;
+}
+
+export class UrlStateSync {
+  constructor() {
+    this.exhibit = null;
+    this.timer = null;
+  }
+
+  attach(exhibit) {
+    this.detach();
+    this.exhibit = exhibit;
+    exhibit.onStateChange = () => this.schedule();
+  }
+
+  detach() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.exhibit) {
+      this.exhibit.onStateChange = null;
+      this.exhibit = null;
+    }
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.write(), SYNC_DELAY);
+  }
+
+  // Write any pending change immediately (e.g. before copying the link)
+  flush() {
+    if (this.timer) this.write();
+  }
+
+  write() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.exhibit) return;
+
+    const url = buildStateUrl(this.exhibit.getState());
+    if (url !== window.location.pathname + window.location.search) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+}
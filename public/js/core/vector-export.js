@@ -0,0 +1,408 @@
+// Vector Export - Line art as SVG, HPGL or G-code for pen plotters
+//
+// Exhibits that are line art override exhibit.drawVector(drawing) and add
+// the strokes on screen to a VectorDrawing, in CSS pixels. The strokes are
+// grouped into one layer per pen colour (optionally merged down to a few
+// pens), ordered within each layer to cut pen-up travel, and laid out on a
+// paper size: fitted inside its margins, or at screen size (96 px to the
+// inch). SVG keeps each pen as an Inkscape layer; HPGL and G-code draw the
+// layers one after another, G-code pausing for a pen change between them.
+
+import { Exhibit } from './exhibit.js';
+
+// Portrait sizes in mm; a drawing wider than tall turns the paper
+export const PAPER_SIZES = {
+  a5: { label: 'A5', width: 148, height: 210 },
+  a4: { label: 'A4', width: 210, height: 297 },
+  a3: { label: 'A3', width: 297, height: 420 },
+  letter: { label: 'Letter', width: 215.9, height: 279.4 },
+  tabloid: { label: 'Tabloid', width: 279.4, height: 431.8 }
+};
+
+const MARGIN = 10;
+const MM_PER_PX = 25.4 / 96;
+const HPGL_UNITS_PER_MM = 40;
+
+export const VECTOR_EXTENSIONS = { svg: '.svg', hpgl: '.hpgl', gcode: '.gcode' };
+const VECTOR_TYPES = { svg: 'image/svg+xml', hpgl: 'application/vnd.hp-hpgl', gcode: 'text/x-gcode' };
+
+export function vectorSupported(exhibit) {
+  return Boolean(exhibit) && exhibit.drawVector !== Exhibit.prototype.drawVector;
+}
+
+// Strokes in CSS pixels of a width x height canvas. frame is the part of it
+// worth exporting (all of it unless an exhibit narrows it).
+export class VectorDrawing {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.frame = { x: 0, y: 0, width, height };
+    this.paths = [];
+  }
+
+  // points: [[x, y], ...]; color: [r, g, b]. Filled paths are filled in SVG
+  // and outlined by plotters. Paths with a point at NaN or infinity are
+  // dropped.
+  polyline(points, color, { closed = false, fill = false, width = 1 } = {}) {
+    if (points.length < 2) return;
+    if (!points.every(([x, y]) => Number.isFinite(x) && Number.isFinite(y))) return;
+    this.paths.push({ points, color, closed, fill, width });
+  }
+
+  line(x1, y1, x2, y2, color, options) {
+    this.polyline([[x1, y1], [x2, y2]], color, options);
+  }
+
+  ellipse(x, y, rx, ry, color, options = {}) {
+    const segments = Math.min(64, Math.max(8, Math.ceil(Math.PI * (rx + ry) / 2)));
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      const angle = i / segments * Math.PI * 2;
+      points.push([x + rx * Math.cos(angle), y + ry * Math.sin(angle)]);
+    }
+    this.polyline(points, color, { ...options, closed: true });
+  }
+
+  circle(x, y, r, color, options) {
+    this.ellipse(x, y, r, r, color, options);
+  }
+}
+
+// --- Colours ---
+
+// h in degrees, s and l (or b) in percent, as CSS hsl() and p5's HSB take them
+export function hslToRgb(h, s, l) {
+  s /= 100;
+  l /= 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => Math.round(255 * (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+  return [channel(0), channel(8), channel(4)];
+}
+
+export function hsbToRgb(h, s, b) {
+  s /= 100;
+  b /= 100;
+  const k = (n) => (n + h / 60) % 6;
+  const channel = (n) => Math.round(255 * b * (1 - s * Math.max(0, Math.min(k(n), 4 - k(n), 1))));
+  return [channel(5), channel(3), channel(1)];
+}
+
+const hex = ([r, g, b]) => '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+const luminance = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// One layer per colour, lightest first as pens are usually run. With pens
+// set, colours are merged by k-means (weighted by how many paths use them)
+// until that many are left.
+export function colorLayers(paths, pens = 0) {
+  const byColor = new Map();
+  for (const path of paths) {
+    const key = hex(path.color);
+    if (!byColor.has(key)) byColor.set(key, { color: path.color, paths: [] });
+    byColor.get(key).paths.push(path);
+  }
+  let layers = [...byColor.values()];
+
+  if (pens > 0 && layers.length > pens) {
+    const centres = pickCentres(layers, pens);
+    let assignment = [];
+    for (let round = 0; round < 12; round++) {
+      assignment = layers.map(layer => nearestColor(layer.color, centres));
+      const sums = centres.map(() => [0, 0, 0, 0]);
+      layers.forEach((layer, i) => {
+        const sum = sums[assignment[i]];
+        const weight = layer.paths.length;
+        for (let c = 0; c < 3; c++) sum[c] += layer.color[c] * weight;
+        sum[3] += weight;
+      });
+      sums.forEach((sum, k) => {
+        if (sum[3]) centres[k] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]].map(Math.round);
+      });
+    }
+    const merged = centres.map(color => ({ color, paths: [] }));
+    layers.forEach((layer, i) => merged[assignment[i]].paths.push(...layer.paths));
+    layers = merged.filter(layer => layer.paths.length);
+  }
+
+  return layers.sort((a, b) => luminance(b.color) - luminance(a.color));
+}
+
+// Farthest-point seeding from the most used colour
+function pickCentres(layers, count) {
+  const first = layers.reduce((best, layer) => (layer.paths.length > best.paths.length ? layer : best));
+  const centres = [first.color];
+  const nearest = layers.map(layer => colorDistance(layer.color, first.color));
+  while (centres.length < count) {
+    let farthest = 0;
+    nearest.forEach((d, i) => { if (d > nearest[farthest]) farthest = i; });
+    const color = layers[farthest].color;
+    centres.push(color);
+    layers.forEach((layer, i) => { nearest[i] = Math.min(nearest[i], colorDistance(layer.color, color)); });
+  }
+  return centres;
+}
+
+function colorDistance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+function nearestColor(color, centres) {
+  let best = 0;
+  centres.forEach((centre, k) => {
+    if (colorDistance(color, centre) < colorDistance(color, centres[best])) best = k;
+  });
+  return best;
+}
+
+// --- Pen travel ---
+
+// Pen-up distance to draw the layers in order, starting from a point
+export function penTravel(layers, [x, y] = [0, 0]) {
+  let travel = 0;
+  for (const { paths } of layers) {
+    for (const { points, closed } of paths) {
+      travel += Math.hypot(points[0][0] - x, points[0][1] - y);
+      [x, y] = closed ? points[0] : points[points.length - 1];
+    }
+  }
+  return travel;
+}
+
+// Greedy nearest-neighbour order: from where the pen lifts, the path with
+// the nearest end comes next, reversed if that end is its last point.
+// Closed paths can start anywhere, so they are entered at their nearest
+// point. Path starts (and ends of open paths) sit in a grid of buckets
+// searched ring by ring outward. Returns new paths; the drawing is left as
+// it was.
+export function orderPaths(paths, from = [0, 0]) {
+  const n = paths.length;
+  if (n < 2) return paths.slice();
+
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+  for (const { points } of paths) {
+    for (const [x, y] of [points[0], points[points.length - 1]]) {
+      x0 = Math.min(x0, x);
+      y0 = Math.min(y0, y);
+      x1 = Math.max(x1, x);
+      y1 = Math.max(y1, y);
+    }
+  }
+  const size = Math.max(1e-6, Math.sqrt((x1 - x0) * (y1 - y0) / n), (x1 - x0) / 1024, (y1 - y0) / 1024);
+  const columns = Math.floor((x1 - x0) / size) + 1;
+  const rows = Math.floor((y1 - y0) / size) + 1;
+  const column = (x) => Math.min(columns - 1, Math.max(0, Math.floor((x - x0) / size)));
+  const row = (y) => Math.min(rows - 1, Math.max(0, Math.floor((y - y0) / size)));
+
+  // Bucket entries are path * 2 + end (0 first point, 1 last)
+  const buckets = new Map();
+  const add = (entry, [x, y]) => {
+    const key = row(y) * columns + column(x);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  };
+  paths.forEach(({ points, closed }, i) => {
+    add(i * 2, points[0]);
+    if (!closed) add(i * 2 + 1, points[points.length - 1]);
+  });
+
+  const used = new Uint8Array(n);
+  const ordered = [];
+  let [px, py] = from;
+  for (let k = 0; k < n; k++) {
+    const c = column(px);
+    const r = row(py);
+    let best = -1;
+    let bestDistance = Infinity;
+    const visit = (key) => {
+      const bucket = buckets.get(key);
+      if (!bucket) return;
+      for (let s = bucket.length - 1; s >= 0; s--) {
+        const entry = bucket[s];
+        if (used[entry >> 1]) {
+          // Drop entries of drawn paths as they turn up
+          bucket[s] = bucket[bucket.length - 1];
+          bucket.pop();
+          continue;
+        }
+        const { points } = paths[entry >> 1];
+        const [x, y] = entry & 1 ? points[points.length - 1] : points[0];
+        const d = (x - px) ** 2 + (y - py) ** 2;
+        if (d < bestDistance) {
+          best = entry;
+          bestDistance = d;
+        }
+      }
+    };
+    for (let ring = 0; ; ring++) {
+      const reach = Math.max(0, ring - 1) * size;
+      if (best !== -1 && reach * reach >= bestDistance) break;
+      if (c - ring < 0 && c + ring >= columns && r - ring < 0 && r + ring >= rows) break;
+      const bucket = (cc, rr) => {
+        if (cc >= 0 && cc < columns && rr >= 0 && rr < rows) visit(rr * columns + cc);
+      };
+      if (ring === 0) {
+        bucket(c, r);
+        continue;
+      }
+      for (let cc = c - ring; cc <= c + ring; cc++) {
+        bucket(cc, r - ring);
+        bucket(cc, r + ring);
+      }
+      for (let rr = r - ring + 1; rr < r + ring; rr++) {
+        bucket(c - ring, rr);
+        bucket(c + ring, rr);
+      }
+    }
+
+    const path = paths[best >> 1];
+    used[best >> 1] = 1;
+    let points = best & 1 ? path.points.slice().reverse() : path.points;
+    if (path.closed) {
+      let start = 0;
+      points.forEach(([x, y], i) => {
+        if ((x - px) ** 2 + (y - py) ** 2 < (points[start][0] - px) ** 2 + (points[start][1] - py) ** 2) start = i;
+      });
+      if (start) points = [...points.slice(start), ...points.slice(0, start)];
+    }
+    ordered.push({ ...path, points });
+    [px, py] = path.closed ? points[0] : points[points.length - 1];
+  }
+  return ordered;
+}
+
+// --- Layout ---
+
+// Maps the drawing's frame onto paper: { width, height } in mm, scale from
+// px to mm and the offset of the frame's corner
+export function paperLayout(frame, paper) {
+  if (paper === 'screen') {
+    return {
+      width: frame.width * MM_PER_PX,
+      height: frame.height * MM_PER_PX,
+      scale: MM_PER_PX,
+      x: -frame.x * MM_PER_PX,
+      y: -frame.y * MM_PER_PX
+    };
+  }
+  const size = PAPER_SIZES[paper];
+  const landscape = frame.width > frame.height;
+  const width = landscape ? size.height : size.width;
+  const height = landscape ? size.width : size.height;
+  const scale = Math.min((width - 2 * MARGIN) / frame.width, (height - 2 * MARGIN) / frame.height);
+  return {
+    width,
+    height,
+    scale,
+    x: (width - frame.width * scale) / 2 - frame.x * scale,
+    y: (height - frame.height * scale) / 2 - frame.y * scale
+  };
+}
+
+// --- Writers ---
+
+const mm = (value) => String(Math.round(value * 100) / 100);
+
+export function toSvg(layers, layout) {
+  const { width, height, scale, x, y } = layout;
+  const point = ([px, py]) => `${mm(px * scale + x)},${mm(py * scale + y)}`;
+  const groups = layers.map(({ color, paths }, i) => {
+    const stroke = hex(color);
+    const elements = paths.map(path => {
+      const tag = path.closed ? 'polygon' : 'polyline';
+      const fill = path.fill ? ` fill="${stroke}"` : '';
+      return `<${tag} points="${path.points.map(point).join(' ')}" stroke-width="${mm(path.width * scale)}"${fill}/>`;
+    });
+    return `<g inkscape:groupmode="layer" inkscape:label="Pen ${i + 1} ${stroke}" stroke="${stroke}">\n${elements.join('\n')}\n</g>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${mm(width)}mm" height="${mm(height)}mm" viewBox="0 0 ${mm(width)} ${mm(height)}" fill="none" stroke-linecap="round" stroke-linejoin="round">
+${groups.join('\n')}
+</svg>
+`;
+}
+
+// HPGL: plotter units of 0.025 mm, origin at the bottom left, one pen
+// select (SP) per layer
+export function toHpgl(layers, layout) {
+  const { height, scale, x, y } = layout;
+  const point = ([px, py]) => `${Math.round((px * scale + x) * HPGL_UNITS_PER_MM)},` +
+    `${Math.round((height - (py * scale + y)) * HPGL_UNITS_PER_MM)}`;
+  const lines = ['IN;'];
+  layers.forEach(({ paths }, i) => {
+    lines.push(`SP${i + 1};`);
+    for (const path of paths) {
+      const points = path.closed ? [...path.points, path.points[0]] : path.points;
+      lines.push(`PU${point(points[0])};PD${points.slice(1).map(point).join(',')};`);
+    }
+  });
+  lines.push('PU0,0;SP0;');
+  return lines.join('\n') + '\n';
+}
+
+// G-code in mm, origin at the bottom left, the pen raised and lowered on Z.
+// Between layers the job pauses (M0) for the pen to be changed.
+export function toGcode(layers, layout, { penUp = 5, penDown = 0, feed = 3000 } = {}) {
+  const { width, height, scale, x, y } = layout;
+  const point = ([px, py]) => `X${mm(px * scale + x)} Y${mm(height - (py * scale + y))}`;
+  const lines = [
+    `; ${mm(width)} x ${mm(height)} mm, ${layers.length} pen${layers.length === 1 ? '' : 's'}`,
+    'G21',
+    'G90',
+    `G0 Z${penUp}`
+  ];
+  layers.forEach(({ color, paths }, i) => {
+    lines.push(`; Pen ${i + 1} ${hex(color)}`);
+    if (i > 0) {
+      lines.push(`G0 Z${penUp}`, 'G0 X0 Y0', `M0 ; change to pen ${i + 1} (${hex(color)})`);
+    }
+    let last = null;
+    for (const path of paths) {
+      const points = path.closed ? [...path.points, path.points[0]] : path.points;
+      const start = point(points[0]);
+      // A path starting where the last ended is drawn without lifting
+      if (start !== last) {
+        if (last !== null) lines.push(`G0 Z${penUp}`);
+        lines.push(`G0 ${start}`, `G1 Z${penDown} F${feed}`);
+      }
+      for (let k = 1; k < points.length; k++) lines.push(`G1 ${point(points[k])} F${feed}`);
+      last = point(points[points.length - 1]);
+    }
+  });
+  lines.push(`G0 Z${penUp}`, 'G0 X0 Y0', 'M2');
+  return lines.join('\n') + '\n';
+}
+
+// --- Export ---
+
+// options: { format: 'svg' | 'hpgl' | 'gcode', paper: 'screen' or a
+// PAPER_SIZES key, pens: 0 for every colour, optimize }
+// Returns the file as a Blob with what went into it
+export function exportVector(exhibit, { format = 'svg', paper = 'screen', pens = 0, optimize = true } = {}) {
+  const { clientWidth, clientHeight } = exhibit.container;
+  const drawing = new VectorDrawing(clientWidth, clientHeight);
+  exhibit.drawVector(drawing);
+  if (!drawing.paths.length) throw new Error('Nothing drawn to export yet');
+
+  // Plotters start from the paper's bottom left corner, in drawing pixels
+  const layout = paperLayout(drawing.frame, paper);
+  const origin = [-layout.x / layout.scale, (layout.height - layout.y) / layout.scale];
+  let layers = colorLayers(drawing.paths, pens);
+  const before = penTravel(layers, origin) * layout.scale;
+  if (optimize) {
+    layers = layers.map(layer => ({ ...layer, paths: orderPaths(layer.paths, origin) }));
+  }
+  const after = penTravel(layers, origin) * layout.scale;
+
+  const text = format === 'hpgl' ? toHpgl(layers, layout)
+    : format === 'gcode' ? toGcode(layers, layout)
+    : toSvg(layers, layout);
+  return {
+    blob: new Blob([text], { type: VECTOR_TYPES[format] }),
+    paths: drawing.paths.length,
+    pens: layers.length,
+    travel: { before, after }
+  };
+}
@@ -0,0 +1,60 @@
+// Visibility Watcher - Suspends the current exhibit when nobody can see it
+//
+// Watches the page (visibilitychange, and the Page Lifecycle freeze/resume
+// events) and the exhibit container (IntersectionObserver), and suspends the
+// exhibit's loop while the tab is hidden, the page is frozen or the exhibit
+// is scrolled out of view.
+
+export class VisibilityWatcher {
+  constructor() {
+    this.exhibit = null;
+    this.frozen = false;
+    this.onScreen = true;
+    this.observer = null;
+
+    this.update = this.update.bind(this);
+    this.onFreeze = () => {
+      this.frozen = true;
+      this.update();
+    };
+    this.onResume = () => {
+      this.frozen = false;
+      this.update();
+    };
+  }
+
+  attach(exhibit) {
+    this.detach();
+    this.exhibit = exhibit;
+    this.onScreen = true;
+
+    document.addEventListener('visibilitychange', this.update);
+    document.addEventListener('freeze', this.onFreeze);
+    document.addEventListener('resume', this.onResume);
+
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.observer = new IntersectionObserver((entries) => {
+        this.onScreen = entries[entries.length - 1].isIntersecting;
+        this.update();
+      });
+      this.observer.observe(exhibit.container);
+    }
+
+    this.update();
+  }
+
+  detach() {
+    document.removeEventListener('visibilitychange', this.update);
+    document.removeEventListener('freeze', this.onFreeze);
+    document.removeEventListener('resume', this.onResume);
+    this.observer?.disconnect();
+    this.observer = null;
+    this.exhibit = null;
+  }
+
+  update() {
+    if (!this.exhibit) return;
+    const hidden = document.visibilityState === 'hidden' || this.frozen || !this.onScreen;
+    this.exhibit.setSuspended(hidden);
+  }
+}
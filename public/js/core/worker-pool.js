@@ -0,0 +1,81 @@
+// Worker Pool - Spreads jobs over a pool of module workers
+//
+// Sized to navigator.hardwareConcurrency by default. run() queues a message
+// and resolves with the worker's reply; whichever worker is free takes the
+// next job. cancel() rejects everything still queued or in flight with an
+// AbortError (a worker that is mid-job finishes it, but the result is
+// dropped), so callers can start over when their input changes.
+
+export class WorkerPool {
+  constructor(url, size = navigator.hardwareConcurrency || 4) {
+    this.queue = [];
+    this.workers = [];
+    this.idle = [];
+
+    for (let i = 0; i < Math.max(1, size); i++) {
+      const worker = new Worker(url, { type: 'module' });
+      worker.job = null;
+      worker.addEventListener('message', (e) => this.settle(worker, (job) => job.resolve(e.data)));
+      worker.addEventListener('error', (e) => {
+        e.preventDefault();
+        this.settle(worker, (job) => job.reject(new Error(e.message || 'Worker failed')));
+      });
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  run(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, transfer, resolve, reject, cancelled: false });
+      this.next();
+    });
+  }
+
+  // Post to every worker without waiting for a reply, e.g. data that later
+  // jobs refer to. A busy worker sees it after its current job.
+  broadcast(message) {
+    for (const worker of this.workers) worker.postMessage(message);
+  }
+
+  cancel() {
+    const aborted = () => new DOMException('Job cancelled', 'AbortError');
+    for (const job of this.queue) job.reject(aborted());
+    this.queue = [];
+    for (const worker of this.workers) {
+      if (worker.job && !worker.job.cancelled) {
+        worker.job.cancelled = true;
+        worker.job.reject(aborted());
+      }
+    }
+  }
+
+  terminate() {
+    this.cancel();
+    for (const worker of this.workers) worker.terminate();
+    this.workers = [];
+    this.idle = [];
+  }
+
+  next() {
+    while (this.idle.length && this.queue.length) {
+      const worker = this.idle.pop();
+      const job = this.queue.shift();
+      worker.job = job;
+      worker.postMessage(job.message, job.transfer);
+    }
+  }
+
+  settle(worker, finish) {
+    const job = worker.job;
+    worker.job = null;
+    if (!this.workers.includes(worker)) return;
+    this.idle.push(worker);
+    if (job && !job.cancelled) finish(job);
+    this.next();
+  }
+}
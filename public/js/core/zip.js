@@ -0,0 +1,68 @@
+// ZIP - Minimal store-only ZIP writer for PNG sequence exports
+//
+// PNG data is already deflated, so entries are stored uncompressed.
+
+import { crc32 } from './png.js';
+
+function header(size) {
+  const bytes = new Uint8Array(size);
+  return { bytes, view: new DataView(bytes.buffer) };
+}
+
+export class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  // data: Uint8Array
+  addFile(name, data) {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(data);
+
+    const local = header(30);
+    local.view.setUint32(0, 0x04034B50, true);
+    local.view.setUint16(4, 20, true);          // version needed
+    local.view.setUint16(8, 0, true);           // method: store
+    local.view.setUint16(12, 0x21, true);       // date: 1980-01-01
+    local.view.setUint32(14, crc, true);
+    local.view.setUint32(18, data.length, true);
+    local.view.setUint32(22, data.length, true);
+    local.view.setUint16(26, nameBytes.length, true);
+
+    this.parts.push(local.bytes, nameBytes, data);
+    this.entries.push({ nameBytes, crc, size: data.length, offset: this.offset });
+    this.offset += 30 + nameBytes.length + data.length;
+  }
+
+  finish() {
+    const start = this.offset;
+    let size = 0;
+
+    for (const entry of this.entries) {
+      const central = header(46);
+      central.view.setUint32(0, 0x02014B50, true);
+      central.view.setUint16(4, 20, true);      // version made by
+      central.view.setUint16(6, 20, true);      // version needed
+      central.view.setUint16(14, 0x21, true);
+      central.view.setUint32(16, entry.crc, true);
+      central.view.setUint32(20, entry.size, true);
+      central.view.setUint32(24, entry.size, true);
+      central.view.setUint16(28, entry.nameBytes.length, true);
+      central.view.setUint32(42, entry.offset, true);
+      this.parts.push(central.bytes, entry.nameBytes);
+      size += 46 + entry.nameBytes.length;
+    }
+
+    const end = header(22);
+    end.view.setUint32(0, 0x06054B50, true);
+    end.view.setUint16(8, this.entries.length, true);
+    end.view.setUint16(10, this.entries.length, true);
+    end.view.setUint32(12, size, true);
+    end.view.setUint32(16, start, true);
+    this.parts.push(end.bytes);
+
+    return new Blob(this.parts, { type: 'application/zip' });
+  }
+}
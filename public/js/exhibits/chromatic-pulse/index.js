@@ -1,14 +1,15 @@
-export default class ChromaticPulse {
+import { Exhibit } from '../../core/exhibit.js';
+import { seedP5 } from '../../core/random.js';
+
+export default class ChromaticPulse extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.p5 = null;
-    this.isPaused = false;
     this.walkers = [];
     this.palette = [];
   }
 
-  async init() {
+  async setup() {
     if (!window.p5) {
       console.error('p5.js not loaded');
       return;
@@ -24,8 +25,12 @@ export default class ChromaticPulse {
         s.createCanvas(clientWidth, clientHeight);
         s.colorMode(s.HSB, 360, 100, 100, 100);
         s.background(0, 0, 10);
+        seedP5(s, this.random.seed);
         this.generatePalette(s);
         this.createWalkers(s, numWalkers);
+
+        // Frames are driven by the exhibit loop via redraw()
+        s.noLoop();
       };
 
       s.draw = () => {
@@ -36,10 +41,6 @@ export default class ChromaticPulse {
         });
       };
 
-      s.windowResized = () => {
-        this.resize();
-      };
-
       s.mousePressed = () => {
         this.generatePalette(s);
         this.walkers.forEach(walker => walker.setNewTargetColor(s, this.palette));
@@ -66,17 +67,9 @@ export default class ChromaticPulse {
       }
   }
 
-  start() {
+  render() {
     if (this.p5) {
-      this.isPaused = false;
-      this.p5.loop();
-    }
-  }
-
-  stop() {
-    if (this.p5) {
-      this.isPaused = true;
-      this.p5.noLoop();
+      this.p5.redraw();
     }
   }
 
@@ -88,19 +81,16 @@ export default class ChromaticPulse {
     }
   }
 
-  reset() {
+  regenerate() {
     if (this.p5) {
-        this.p5.background(0, 0, 10);
-        this.generatePalette(this.p5);
-        this.createWalkers(this.p5, 500);
+      this.p5.background(0, 0, 10);
+      seedP5(this.p5, this.random.seed);
+      this.generatePalette(this.p5);
+      this.createWalkers(this.p5, 500);
     }
   }
 
-  togglePause() {
-    this.isPaused ? this.start() : this.stop();
-  }
-
-  destroy() {
+  teardown() {
     if (this.p5) {
       this.p5.remove();
       this.p5 = null;
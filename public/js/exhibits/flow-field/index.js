@@ -1,34 +1,38 @@
 // Flow Field with Perlin Noise
 // Interactive particle system with invisible force field
 
-export default class FlowFieldExhibit {
+import { Exhibit } from '../../core/exhibit.js';
+import { seedP5 } from '../../core/random.js';
+import { hsbToRgb } from '../../core/vector-export.js';
+
+// Frames of particle positions kept for vector export: the longest trail
+// the slowest fade leaves visible
+const HISTORY_FRAMES = 150;
+
+// Exported trails change pen where their hue crosses into the next band
+const HUE_BAND = 30;
+
+export default class FlowFieldExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.p5Instance = null;
-    this.isRunning = false;
-    this.fpsElement = null;
-
-    // Performance and animation
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
 
     // Flow field parameters
     this.particles = [];
     this.particleCount = 12000;
     this.noiseScale = 0.008;
-    this.speed = 2;
-    this.trailAlpha = 15;
     this.particleSize = 1.5;
 
     // Mouse interaction
     this.mouseInfluenceRadius = 120;
-    this.mouseInfluenceStrength = 0.8;
     this.mousePos = { x: 0, y: 0 };
+
+    // Ring of the last HISTORY_FRAMES frames of particle positions and hues,
+    // kept from the first time the export panel opens
+    this.history = null;
   }
 
-  async init() {
+  async setup() {
     // Use globally loaded p5.js
     if (!window.p5) {
       throw new Error('p5.js library not loaded. Please ensure p5.js is included in index.html');
@@ -45,59 +49,41 @@ export default class FlowFieldExhibit {
         p.colorMode(p.HSB, 360, 100, 100, 255);
         p.background(10, 10, 10);
 
+        // Frames are driven by the exhibit loop via redraw()
+        p.noLoop();
+
+        seedP5(p, this.random.seed);
         this.initializeParticles(p);
 
         // Mouse tracking
-        canvas.addEventListener('mousemove', (e) => {
+        this.listen(canvas.elt, 'mousemove', (e) => {
           this.mousePos.x = e.offsetX;
           this.mousePos.y = e.offsetY;
         });
 
-        canvas.addEventListener('mouseleave', () => {
+        this.listen(canvas.elt, 'mouseleave', () => {
           this.mousePos.x = -1000;
           this.mousePos.y = -1000;
         });
       };
 
-      // Main animation loop
+      // Frame body, invoked once per render()
       p.draw = () => {
-        if (!this.isRunning) return;
-
         // Fade background with low alpha for trail effect
         p.background(10, 10, 10, this.trailAlpha);
 
-        // Update and draw particles
-        for (let particle of this.particles) {
-          this.updateParticle(particle, p);
-          this.drawParticle(particle, p);
-        }
-
-        // Update FPS
-        this.updateFPS();
-      };
-
-      // Handle window resize
-      p.windowResized = () => {
-        if (!this.container.offsetParent) return; // Hidden
-
-        const rect = this.container.getBoundingClientRect();
-        if (rect.width > 0 && rect.height > 0) {
-          p.resizeCanvas(rect.width, rect.height);
+        // Update and draw the particles the current quality allows
+        const count = Math.min(this.particles.length, Math.round(this.particleCount * this.quality));
+        for (let i = 0; i < count; i++) {
+          this.updateParticle(this.particles[i], p);
+          this.drawParticle(this.particles[i], p);
         }
+        if (this.history) this.recordHistory(count);
       };
     };
 
     // Create p5.js instance in instance mode
     this.p5Instance = new p5(sketch);
-
-    // Create FPS counter
-    this.createFPSCounter();
-
-    // Create controls
-    this.createControls();
-
-    // Set up keyboard shortcuts
-    document.addEventListener('keydown', this.handleKeydown.bind(this));
   }
 
   initializeParticles(p) {
@@ -119,6 +105,82 @@ export default class FlowFieldExhibit {
 
       this.particles.push(particle);
     }
+
+    if (this.history) this.allocateHistory();
+  }
+
+  // About 18 MB at full particle count, so only once an export may follow
+  prepareExport() {
+    if (!this.history) this.allocateHistory();
+  }
+
+  allocateHistory() {
+    const size = HISTORY_FRAMES * this.particles.length;
+    this.history = {
+      positions: new Float32Array(size * 2).fill(NaN),
+      hues: new Uint16Array(size),
+      head: 0,
+      frames: 0
+    };
+  }
+
+  // This frame's positions; particles left out at reduced quality are NaN
+  recordHistory(count) {
+    const { positions, hues } = this.history;
+    const n = this.particles.length;
+    const base = this.history.head * n;
+    for (let i = 0; i < n; i++) {
+      const particle = this.particles[i];
+      positions[(base + i) * 2] = i < count ? particle.x : NaN;
+      positions[(base + i) * 2 + 1] = particle.y;
+      hues[base + i] = particle.hue;
+    }
+    this.history.head = (this.history.head + 1) % HISTORY_FRAMES;
+    this.history.frames = Math.min(HISTORY_FRAMES, this.history.frames + 1);
+  }
+
+  // The trails on screen: each particle's path over the frames the fade
+  // has not yet taken below 5%, broken where it wraps round an edge
+  drawVector(drawing) {
+    if (!this.history) return;
+    const { positions, hues, head } = this.history;
+    const n = this.particles.length;
+    const fade = Math.ceil(Math.log(0.05) / Math.log(1 - this.trailAlpha / 255));
+    const frames = Math.min(this.history.frames, fade);
+    const { width, height } = drawing;
+
+    for (let i = 0; i < n; i++) {
+      let points = [];
+      let band = -1;
+      const flush = () => {
+        drawing.polyline(points, hsbToRgb(band * HUE_BAND + HUE_BAND / 2, 80, 70), { width: this.particleSize * 0.6 });
+        points = [];
+      };
+
+      // Oldest frame first
+      for (let k = frames; k > 0; k--) {
+        const index = ((head - k + HISTORY_FRAMES) % HISTORY_FRAMES) * n + i;
+        const x = positions[index * 2];
+        const y = positions[index * 2 + 1];
+        if (Number.isNaN(x)) {
+          flush();
+          continue;
+        }
+        const last = points[points.length - 1];
+        if (last && (Math.abs(x - last[0]) > width / 2 || Math.abs(y - last[1]) > height / 2)) {
+          flush();
+        }
+        const hueBand = Math.floor(hues[index] / HUE_BAND) % (360 / HUE_BAND);
+        if (hueBand !== band && points.length) {
+          // Carry on from the same point in the next pen
+          points.push([x, y]);
+          flush();
+        }
+        band = hueBand;
+        points.push([x, y]);
+      }
+      flush();
+    }
   }
 
   updateParticle(particle, p) {
@@ -216,114 +278,30 @@ export default class FlowFieldExhibit {
     p.ellipse(particle.x, particle.y, this.particleSize);
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
-  }
-
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
-
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
-  }
-
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    // Speed control
-    const speedSlider = document.createElement('div');
-    speedSlider.className = 'control-slider';
-    speedSlider.innerHTML = `
-      <label>Speed</label>
-      <input type="range" id="speed-slider" min="0.5" max="4" value="2" step="0.1">
-    `;
-    controlsContainer.appendChild(speedSlider);
-
-    document.getElementById('speed-slider')?.addEventListener('input', (e) => {
-      this.speed = parseFloat(e.target.value);
-    });
-
-    // Trail length control
-    const trailSlider = document.createElement('div');
-    trailSlider.className = 'control-slider';
-    trailSlider.innerHTML = `
-      <label>Trail</label>
-      <input type="range" id="trail-slider" min="5" max="50" value="15" step="1">
-    `;
-    controlsContainer.appendChild(trailSlider);
-
-    document.getElementById('trail-slider')?.addEventListener('input', (e) => {
-      this.trailAlpha = parseInt(e.target.value);
-    });
-
-    // Mouse influence control
-    const mouseSlider = document.createElement('div');
-    mouseSlider.className = 'control-slider';
-    mouseSlider.innerHTML = `
-      <label>Mouse Effect</label>
-      <input type="range" id="mouse-slider" min="0" max="2" value="0.8" step="0.1">
-    `;
-    controlsContainer.appendChild(mouseSlider);
-
-    document.getElementById('mouse-slider')?.addEventListener('input', (e) => {
-      this.mouseInfluenceStrength = parseFloat(e.target.value);
-    });
-
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset particle positions (R)';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
-  }
-
-  handleKeydown(e) {
-    if (e.key.toUpperCase() === 'R') {
-      this.reset();
-    }
+  reset() {
+    this.reseed();
+    this.regenerate();
   }
 
-  reset() {
+  regenerate() {
     if (this.p5Instance) {
+      seedP5(this.p5Instance, this.random.seed);
       this.initializeParticles(this.p5Instance);
       this.p5Instance.background(10, 10, 10);
     }
   }
 
   start() {
-    this.isRunning = true;
     if (this.p5Instance) {
       this.p5Instance.background(10, 10, 10);
     }
+    super.start();
   }
 
-  stop() {
-    this.isRunning = false;
+  render() {
+    if (this.p5Instance) {
+      this.p5Instance.redraw();
+    }
   }
 
   resize() {
@@ -336,30 +314,13 @@ export default class FlowFieldExhibit {
     }
   }
 
-  destroy() {
-    this.stop();
-
-    // Remove keyboard listener
-    document.removeEventListener('keydown', this.handleKeydown.bind(this));
-
+  teardown() {
     // Remove p5.js instance
     if (this.p5Instance) {
       this.p5Instance.remove();
       this.p5Instance = null;
     }
 
-    // Remove FPS counter
-    if (this.fpsElement) {
-      this.fpsElement.remove();
-      this.fpsElement = null;
-    }
-
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
-    }
-
     this.particles = [];
   }
 }
@@ -6,9 +6,13 @@
 // Chunks are pooled and recycled as the camera flies. Somewhere out in the
 // hills stands a monolith with scrolling credits, as tradition demands.
 
+import { Exhibit } from '../../core/exhibit.js';
+import { renderThreeTile } from '../../core/image-export.js';
+
 const CHUNK = 240;            // world units per terrain tile
 const SEGS = 36;              // grid segments per tile
 const VIEW_RADIUS = 4;        // tiles kept around the look-ahead point
+const FOG_DENSITY = 0.0017;   // hides the edge of a full-radius window
 const BUILDS_PER_FRAME = 5;   // amortize generation so flight never hitches
 const BASE_SPEED = 110;       // world units per second
 const MONOLITH_PERIOD = 22;   // seconds between monolith sightings
@@ -43,51 +47,39 @@ function terrainHeight(x, z) {
   return h - 80;
 }
 
-export default class InfiniteHorizonExhibit {
+export default class InfiniteHorizonExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.scene = null;
     this.camera = null;
     this.renderer = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
 
     // Flight state
     this.pos = { x: 0, y: 60, z: 0 };
     this.yaw = 0;
     this.pitch = 0;
     this.roll = 0;
-    this.speedFactor = 1.0;
     this.boost = 0;
     this.pointer = { x: 0, y: 0 }; // -1..1, steering input
     this.flightTime = 0;
-    this.lastFrameTime = null;
-
-    this.wireframe = false;
 
     // Terrain chunk pool
     this.chunks = new Map();   // "cx,cz" -> mesh
     this.freeChunks = [];
 
+    this.stars = null;
     this.monolith = null;
     this.nextMonolithAt = MONOLITH_PERIOD * 0.6;
 
     this.rect = { left: 0, top: 0, width: 1, height: 1 };
 
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
-
     this.handlePointerMove = this.handlePointerMove.bind(this);
     this.handlePointerDown = this.handlePointerDown.bind(this);
     this.handlePointerUp = this.handlePointerUp.bind(this);
     this.handlePointerLeave = this.handlePointerLeave.bind(this);
   }
 
-  async init() {
+  async setup() {
     if (typeof THREE === 'undefined') {
       const msg = document.createElement('div');
       msg.style.cssText =
@@ -103,13 +95,10 @@ export default class InfiniteHorizonExhibit {
     this.updateChunks(true);
 
     const el = this.renderer.domElement;
-    el.addEventListener('pointermove', this.handlePointerMove);
-    el.addEventListener('pointerdown', this.handlePointerDown);
-    el.addEventListener('pointerup', this.handlePointerUp);
-    el.addEventListener('pointerleave', this.handlePointerLeave);
-
-    this.createFPSCounter();
-    this.createControls();
+    this.listen(el, 'pointermove', this.handlePointerMove);
+    this.listen(el, 'pointerdown', this.handlePointerDown);
+    this.listen(el, 'pointerup', this.handlePointerUp);
+    this.listen(el, 'pointerleave', this.handlePointerLeave);
   }
 
   setupScene() {
@@ -118,7 +107,7 @@ export default class InfiniteHorizonExhibit {
     this.rect = this.container.getBoundingClientRect();
 
     this.scene = new THREE.Scene();
-    this.scene.fog = new THREE.FogExp2(0x2b1a47, 0.0017);
+    this.scene.fog = new THREE.FogExp2(0x2b1a47, FOG_DENSITY);
 
     this.camera = new THREE.PerspectiveCamera(70, width / height, 0.5, 3000);
 
@@ -184,23 +173,29 @@ export default class InfiniteHorizonExhibit {
 
     // Early stars in the upper sky
     const starGeo = new THREE.BufferGeometry();
-    const starPos = [];
-    for (let i = 0; i < 320; i++) {
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.random() * Math.PI * 0.42; // upper cap only
-      const r = 2300;
-      starPos.push(
+    starGeo.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(320 * 3), 3));
+    this.stars = new THREE.Points(starGeo, new THREE.PointsMaterial({
+      color: 0xfff6e0, size: 2.4, sizeAttenuation: false,
+      fog: false, transparent: true, opacity: 0.7, depthWrite: false
+    }));
+    this.placeStars();
+    this.sky.add(this.stars);
+  }
+
+  placeStars() {
+    const posAttr = this.stars.geometry.attributes.position;
+    const r = 2300;
+    for (let i = 0; i < posAttr.count; i++) {
+      const theta = this.random.range(0, Math.PI * 2);
+      const phi = this.random.range(0, Math.PI * 0.42); // upper cap only
+      posAttr.setXYZ(
+        i,
         r * Math.sin(phi) * Math.cos(theta),
         r * Math.cos(phi),
         r * Math.sin(phi) * Math.sin(theta)
       );
     }
-    starGeo.setAttribute('position', new THREE.Float32BufferAttribute(starPos, 3));
-    const stars = new THREE.Points(starGeo, new THREE.PointsMaterial({
-      color: 0xfff6e0, size: 2.4, sizeAttenuation: false,
-      fog: false, transparent: true, opacity: 0.7, depthWrite: false
-    }));
-    this.sky.add(stars);
+    posAttr.needsUpdate = true;
   }
 
   // --- Terrain chunk management ---
@@ -253,6 +248,17 @@ export default class InfiniteHorizonExhibit {
     return mesh;
   }
 
+  // Tiles kept around the look-ahead point at the current quality
+  viewRadius() {
+    return Math.max(2, Math.round(VIEW_RADIUS * this.quality));
+  }
+
+  onQualityChange() {
+    // Pull the fog in with the terrain so the nearer edge stays hidden
+    this.scene.fog.density = FOG_DENSITY * VIEW_RADIUS / this.viewRadius();
+    this.lastCenterX = undefined;
+  }
+
   updateChunks(force) {
     // Window of tiles around a point ahead of the camera's heading
     const aheadX = -Math.sin(this.yaw);
@@ -262,9 +268,10 @@ export default class InfiniteHorizonExhibit {
 
     if (!force && centerX === this.lastCenterX && centerZ === this.lastCenterZ) return;
 
+    const radius = this.viewRadius();
     const needed = new Set();
-    for (let dz = -VIEW_RADIUS; dz <= VIEW_RADIUS; dz++) {
-      for (let dx = -VIEW_RADIUS; dx <= VIEW_RADIUS; dx++) {
+    for (let dz = -radius; dz <= radius; dz++) {
+      for (let dx = -radius; dx <= radius; dx++) {
         needed.add(`${centerX + dx},${centerZ + dz}`);
       }
     }
@@ -335,8 +342,8 @@ export default class InfiniteHorizonExhibit {
     this.monolithTexture = tex;
 
     const ahead = 1100;
-    const mx = this.pos.x - Math.sin(this.yaw) * ahead + (Math.random() - 0.5) * 500;
-    const mz = this.pos.z - Math.cos(this.yaw) * ahead + (Math.random() - 0.5) * 500;
+    const mx = this.pos.x - Math.sin(this.yaw) * ahead + this.random.range(-250, 250);
+    const mz = this.pos.z - Math.cos(this.yaw) * ahead + this.random.range(-250, 250);
     const ground = terrainHeight(mx, mz);
 
     this.monolith = new THREE.Mesh(
@@ -372,10 +379,8 @@ export default class InfiniteHorizonExhibit {
 
   // --- Frame update ---
 
-  update() {
-    const now = performance.now();
-    const dt = Math.min(0.05, this.lastFrameTime ? (now - this.lastFrameTime) / 1000 : 0.016);
-    this.lastFrameTime = now;
+  update(frameDt) {
+    const dt = Math.min(0.05, frameDt);
     this.flightTime += dt;
 
     // Steering: pointer offset banks and pitches the craft
@@ -418,86 +423,17 @@ export default class InfiniteHorizonExhibit {
     // Monolith lifecycle
     if (this.flightTime > this.nextMonolithAt) {
       this.spawnMonolith();
-      this.nextMonolithAt = this.flightTime + MONOLITH_PERIOD * (0.8 + Math.random() * 0.6);
+      this.nextMonolithAt = this.flightTime + MONOLITH_PERIOD * this.random.range(0.8, 1.4);
     }
     if (this.monolithTexture) this.monolithTexture.offset.y -= dt * 0.04;
   }
 
   // --- Standard exhibit plumbing ---
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
-  }
-
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    const speedSlider = document.createElement('div');
-    speedSlider.className = 'control-slider';
-    speedSlider.innerHTML = `
-      <label>Speed</label>
-      <input type="range" id="horizon-speed-slider" min="0.3" max="3" value="${this.speedFactor}" step="0.1">
-      <span id="horizon-speed-value">${this.speedFactor.toFixed(1)}</span>
-    `;
-    controlsContainer.appendChild(speedSlider);
-
-    document.getElementById('horizon-speed-slider')?.addEventListener('input', (e) => {
-      this.speedFactor = parseFloat(e.target.value);
-      document.getElementById('horizon-speed-value').textContent = this.speedFactor.toFixed(1);
-    });
-
-    const wireBtn = document.createElement('button');
-    wireBtn.className = 'control-button';
-    wireBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 9l9-6 9 6M3 15l9 6 9-6M3 9l9 6 9-6M3 9v6M21 9v6M12 3v6M12 15v6"/>
-      </svg>
-    `;
-    wireBtn.title = 'Toggle wireframe (retro mode)';
-    wireBtn.addEventListener('click', () => {
-      this.wireframe = !this.wireframe;
-      for (const mesh of this.chunks.values()) mesh.children[0].visible = this.wireframe;
-      for (const mesh of this.freeChunks) mesh.children[0].visible = this.wireframe;
-    });
-    controlsContainer.appendChild(wireBtn);
-
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Return to start';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
-  }
-
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
-
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
+  onParamChange(key, value) {
+    if (key !== 'wireframe') return;
+    for (const mesh of this.chunks.values()) mesh.children[0].visible = value;
+    for (const mesh of this.freeChunks) mesh.children[0].visible = value;
   }
 
   resize() {
@@ -511,66 +447,38 @@ export default class InfiniteHorizonExhibit {
   }
 
   start() {
+    // Nothing to animate when Three.js failed to load
     if (!this.renderer) return;
-    this.isRunning = true;
-    this.lastFrameTime = null;
-    this.animate();
+    super.start();
   }
 
-  animate() {
-    if (!this.isRunning || this.isPaused) return;
-
-    this.update();
+  render() {
     this.renderer.render(this.scene, this.camera);
-    this.updateFPS();
-
-    this.animationId = requestAnimationFrame(() => this.animate());
-  }
-
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
   }
 
-  togglePause() {
-    this.isPaused = !this.isPaused;
-    if (!this.isPaused) {
-      this.lastFrameTime = null;
-      this.animate();
-    }
+  renderTile(tile) {
+    if (!this.renderer) return super.renderTile(tile);
+    return renderThreeTile(this.renderer, this.scene, this.camera, tile);
   }
 
-  reset() {
+  // The terrain itself is fixed; the seed places the stars and monoliths
+  regenerate() {
+    if (!this.renderer) return;
     this.pos = { x: 0, y: 60, z: 0 };
     this.yaw = 0;
     this.pitch = 0;
     this.roll = 0;
-    this.speedFactor = 1.0;
     this.boost = 0;
     this.flightTime = 0;
     this.nextMonolithAt = MONOLITH_PERIOD * 0.6;
     this.lastCenterX = undefined;
     this.updateChunks(true);
-
-    const slider = document.getElementById('horizon-speed-slider');
-    const value = document.getElementById('horizon-speed-value');
-    if (slider) slider.value = '1';
-    if (value) value.textContent = '1.0';
+    this.placeStars();
   }
 
-  destroy() {
-    this.stop();
-
+  teardown() {
     if (this.renderer) {
       const el = this.renderer.domElement;
-      el.removeEventListener('pointermove', this.handlePointerMove);
-      el.removeEventListener('pointerdown', this.handlePointerDown);
-      el.removeEventListener('pointerup', this.handlePointerUp);
-      el.removeEventListener('pointerleave', this.handlePointerLeave);
 
       for (const mesh of [...this.chunks.values(), ...this.freeChunks]) {
         mesh.geometry.dispose();
@@ -593,9 +501,5 @@ export default class InfiniteHorizonExhibit {
       el.remove();
       this.renderer = null;
     }
-    if (this.fpsElement) this.fpsElement.remove();
-
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) controlsContainer.innerHTML = '';
   }
 }
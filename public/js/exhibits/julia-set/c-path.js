@@ -0,0 +1,172 @@
+// Julia c paths: the keyframed trajectory the Julia explorer morphs along
+//
+// A path is
+//   { interpolation: 'linear' | 'ease' | 'spline', mode: 'loop' | 'pingpong',
+//     keyframes: [{ real, imag, duration }] }
+// where a keyframe's duration (seconds) is the time taken to reach the next
+// one. A loop comes back from the last keyframe to the first; ping-pong
+// runs to the last keyframe and retraces its steps, so the last keyframe's
+// duration goes unused.
+
+export const INTERPOLATIONS = {
+  linear: 'Linear',
+  ease: 'Eased',
+  spline: 'Spline (Catmull-Rom)'
+};
+
+export const MODES = {
+  loop: 'Loop',
+  pingpong: 'Ping-pong'
+};
+
+export const MIN_DURATION = 0.1;
+export const MAX_DURATION = 120;
+
+// c values that create beautiful Julia sets, three seconds apart
+export const DEFAULT_PATH = {
+  interpolation: 'ease',
+  mode: 'loop',
+  keyframes: [
+    { real: -0.7, imag: 0.27, duration: 3 },      // Classic spiral
+    { real: -0.4, imag: 0.6, duration: 3 },       // Dendrite-like
+    { real: 0.285, imag: 0.01, duration: 3 },     // Seahorse-like
+    { real: -0.8, imag: 0.156, duration: 3 },     // Twisty spiral
+    { real: -0.162, imag: 1.04, duration: 3 },    // Dragon-like
+    { real: 0.3, imag: 0.5, duration: 3 }         // Galaxy-like
+  ]
+};
+
+const clampDuration = (value) => Math.min(MAX_DURATION, Math.max(MIN_DURATION, value));
+
+export function clonePath(path) {
+  return { ...path, keyframes: path.keyframes.map(keyframe => ({ ...keyframe })) };
+}
+
+// Check a path from a file or the URL; null if it has no usable keyframe.
+// Unknown interpolations and modes fall back to the defaults.
+export function normalizePath(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.keyframes)) return null;
+
+  const keyframes = [];
+  for (const entry of data.keyframes) {
+    const real = Number(entry?.real);
+    const imag = Number(entry?.imag);
+    if (!Number.isFinite(real) || !Number.isFinite(imag)) continue;
+    const duration = Number(entry.duration);
+    keyframes.push({ real, imag, duration: clampDuration(Number.isFinite(duration) ? duration : 3) });
+  }
+  if (!keyframes.length) return null;
+
+  return {
+    interpolation: Object.hasOwn(INTERPOLATIONS, data.interpolation) ? data.interpolation : DEFAULT_PATH.interpolation,
+    mode: Object.hasOwn(MODES, data.mode) ? data.mode : DEFAULT_PATH.mode,
+    keyframes
+  };
+}
+
+// Accepts a bare path or an exported file
+export function parsePath(text) {
+  const data = JSON.parse(text);
+  const path = normalizePath(data?.path ?? data);
+  if (!path) throw new Error('No c path found in the file');
+  return path;
+}
+
+// Compact form for the URL: "ease,loop,-0.7_0.27_3,-0.4_0.6_3"
+export function pathToString(path) {
+  const round = (value) => Number(value.toFixed(6));
+  const keyframes = path.keyframes.map(k => `${round(k.real)}_${round(k.imag)}_${round(k.duration)}`);
+  return [path.interpolation, path.mode, ...keyframes].join(',');
+}
+
+// Inverse of pathToString; null when malformed
+export function parsePathString(text) {
+  const [interpolation, mode, ...parts] = String(text).split(',');
+  const keyframes = [];
+  for (const part of parts) {
+    const numbers = part.split('_').map(Number);
+    if (numbers.length !== 3 || !numbers.every(Number.isFinite)) return null;
+    keyframes.push({ real: numbers[0], imag: numbers[1], duration: numbers[2] });
+  }
+  return normalizePath({ interpolation, mode, keyframes });
+}
+
+export function samePath(a, b) {
+  return pathToString(a) === pathToString(b);
+}
+
+// Segments travelled in one pass: a loop closes the path, ping-pong does not
+export function segmentCount(path) {
+  const count = path.keyframes.length;
+  if (count < 2) return 0;
+  return path.mode === 'loop' ? count : count - 1;
+}
+
+// Seconds before the path repeats
+export function pathPeriod(path) {
+  let total = 0;
+  for (let i = 0; i < segmentCount(path); i++) total += path.keyframes[i].duration;
+  return path.mode === 'pingpong' ? total * 2 : total;
+}
+
+// c at a time (seconds) along the path, with the index of the keyframe the
+// current segment starts from
+export function samplePath(path, time) {
+  const count = segmentCount(path);
+  const period = pathPeriod(path);
+  if (!count || !(period > 0)) {
+    const { real, imag } = path.keyframes[0];
+    return { real, imag, index: 0 };
+  }
+
+  // Ping-pong plays the second half as the first one mirrored in time
+  let t = ((time % period) + period) % period;
+  if (path.mode === 'pingpong' && t > period / 2) t = period - t;
+
+  let index = 0;
+  while (index < count - 1 && t >= path.keyframes[index].duration) {
+    t -= path.keyframes[index].duration;
+    index++;
+  }
+  const fraction = Math.min(1, t / path.keyframes[index].duration);
+  return { ...segmentPoint(path, index, fraction), index };
+}
+
+// Time (seconds) at which the path first reaches keyframe index
+export function keyframeTime(path, index) {
+  let time = 0;
+  for (let i = 0; i < index; i++) time += path.keyframes[i].duration;
+  return time;
+}
+
+// Point on segment index (keyframe index to the next) at fraction 0..1
+export function segmentPoint(path, index, fraction) {
+  const { keyframes } = path;
+  const n = keyframes.length;
+  const at = (i) => keyframes[path.mode === 'loop' ? ((i % n) + n) % n : Math.min(n - 1, Math.max(0, i))];
+  const p1 = at(index);
+  const p2 = at(index + 1);
+
+  if (path.interpolation === 'spline') {
+    // Catmull-Rom: passes through every keyframe without a kink; the ends
+    // of an open path repeat their keyframe as the missing neighbour
+    const p0 = at(index - 1);
+    const p3 = at(index + 2);
+    const t = fraction;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const spline = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t +
+      (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+    return {
+      real: spline(p0.real, p1.real, p2.real, p3.real),
+      imag: spline(p0.imag, p1.imag, p2.imag, p3.imag)
+    };
+  }
+
+  // Eased segments slow into and out of every keyframe
+  const u = path.interpolation === 'ease' ? (1 - Math.cos(fraction * Math.PI)) / 2 : fraction;
+  return {
+    real: p1.real + (p2.real - p1.real) * u,
+    imag: p1.imag + (p2.imag - p1.imag) * u
+  };
+}
@@ -1,47 +1,59 @@
 // Julia Set Explorer
-// Watch Julia sets morph through parameter space with animated transitions
-
-export default class JuliaSetExhibit {
+// Watch Julia sets morph through parameter space with animated transitions.
+// Colouring algorithms and the gradient are shared with the Mandelbrot
+// explorer (see fractal/coloring.js). The dual view puts a Mandelbrot map
+// beside the Julia set for picking c by pointing at it. The morph follows a
+// keyframed c path that can be edited, saved and loaded (see c-path.js).
+// Frames are computed by the GPU when WebGL2 is available, and on the main
+// thread otherwise; both give the same colouring values.
+
+import { Exhibit } from '../../core/exhibit.js';
+import {
+  OrbitStats, createPalette, colorize, equalize,
+  DEFAULT_GRADIENT, gradientToString, parseGradient, sameGradient
+} from '../../fractal/coloring.js';
+import { GradientEditor } from '../../fractal/gradient-editor.js';
+import { MandelbrotMap } from './mandelbrot-map.js';
+import { DEFAULT_PATH, clonePath, samplePath, keyframeTime, pathToString, parsePathString, samePath } from './c-path.js';
+import { PathEditor } from './path-editor.js';
+import { GpuRenderer } from '../../fractal/gpu-renderer.js';
+
+// Fixed viewport: -1.75..1.75 on both axes, whatever the canvas shape
+const RANGE = 3.5;
+
+export default class JuliaSetExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.canvas = null;
     this.ctx = null;
+    this.buffer = null;
+    this.gpu = null;
     this.imageData = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isAnimating = true;
-    this.isPaused = false;
-
-    // Julia set parameters
-    // Interesting c values that create beautiful Julia sets
-    this.cValues = [
-      { real: -0.7, imag: 0.27 },      // Classic spiral
-      { real: -0.4, imag: 0.6 },       // Dendrite-like
-      { real: 0.285, imag: 0.01 },     // Seahorse-like
-      { real: -0.8, imag: 0.156 },     // Twisty spiral
-      { real: -0.162, imag: 1.04 },    // Dragon-like
-      { real: 0.3, imag: 0.5 }         // Galaxy-like
-    ];
-
-    this.currentCIndex = 0;
-    this.cReal = this.cValues[0].real;
-    this.cImag = this.cValues[0].imag;
-    this.animationTime = 0;
-    this.animationDuration = 3000; // 3 seconds per Julia set
+
+    // Colouring values of the last frame, the histogram equalized from them
+    // and the gradient they are painted with
+    this.values = null;
+    this.histogram = null;
+    this.gradient = DEFAULT_GRADIENT;
+    this.gradientEditor = null;
+
+    // Julia set parameters: c follows the path, pathTime seconds along it
+    this.path = clonePath(DEFAULT_PATH);
+    this.pathTime = 0;
+    this.pathEditor = null;
+    this.cReal = this.path.keyframes[0].real;
+    this.cImag = this.path.keyframes[0].imag;
 
     // Rendering parameters
-    this.maxIterations = 256;
-    this.colorOffset = 0;
     this.zoomLevel = 1;
 
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
+    // Map of the dual view, and the c (and animation) to go back to when
+    // the pointer leaves it after only hovering
+    this.map = null;
+    this.hoverStart = null;
   }
 
-  async init() {
+  async setup() {
     // Create canvas
     this.canvas = document.createElement('canvas');
     this.container.appendChild(this.canvas);
@@ -49,370 +61,363 @@ export default class JuliaSetExhibit {
     // Get context
     this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
 
+    // Reduced-quality frames are rendered here first
+    this.buffer = document.createElement('canvas');
+
+    this.gpu = GpuRenderer.create({ onLost: () => this.invalidate() });
+
+    this.map = new MandelbrotMap(this, this.container, {
+      onHover: (c) => this.previewC(c),
+      onPick: (c) => this.pickC(c),
+      onLeave: () => this.restoreC(),
+      onOpen: () => this.setParam('dualView', false)
+    });
+
     // Set up canvas size
     this.resize();
 
-    // Add event listeners
-    this.canvas.addEventListener('click', this.handleClick.bind(this));
-    window.addEventListener('keydown', this.handleKeyDown.bind(this));
-    window.addEventListener('resize', this.handleResize.bind(this));
+    this.gradientEditor = new GradientEditor(this.container, {
+      stops: this.gradient,
+      onChange: (stops) => {
+        this.gradient = stops;
+        this.paintMap();
+        this.invalidate();
+        this.notifyStateChange();
+      }
+    });
 
-    // Create FPS counter
-    this.createFPSCounter();
+    this.pathEditor = new PathEditor(this.container, {
+      path: this.path,
+      onChange: (path) => {
+        this.path = path;
+        this.invalidate();
+        this.notifyStateChange();
+      },
+      onSelect: (index) => this.goToKeyframe(index),
+      current: () => ({ real: this.cReal, imag: this.cImag })
+    });
 
-    // Create controls
-    this.createControls();
+    // Add event listeners
+    this.listen(this.canvas, 'click', (e) => this.handleClick(e));
+    this.listen(window, 'keydown', (e) => {
+      if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
+      if (e.key === 'g' || e.key === 'G') this.toggleGradient();
+      if (e.key === 'p' || e.key === 'P') this.togglePath();
+      if (e.key === 'm' || e.key === 'M') this.setParam('dualView', !this.dualView);
+    });
 
     // Initial render will happen in start()
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
+  handleClick(e) {
+    // Toggle animation on click
+    this.toggleAnimation();
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
+  toggleAnimation() {
+    this.setParam('isAnimating', !this.isAnimating);
+  }
 
-    controlsContainer.innerHTML = '';
+  toggleGradient() {
+    this.gradientEditor.toggle();
+  }
 
-    // Color shift control
-    const colorSlider = document.createElement('div');
-    colorSlider.className = 'control-slider';
-    colorSlider.innerHTML = `
-      <label>Color</label>
-      <input type="range" id="color-slider" min="0" max="360" value="0" step="1">
-    `;
-    controlsContainer.appendChild(colorSlider);
+  togglePath() {
+    this.pathEditor.toggle();
+  }
 
-    document.getElementById('color-slider')?.addEventListener('input', (e) => {
-      this.colorOffset = parseInt(e.target.value);
-      this.render();
-    });
+  setPath(path) {
+    this.path = path;
+    if (this.pathEditor) this.pathEditor.setPath(path);
+    this.invalidate();
+    this.notifyStateChange();
+  }
 
-    // Animation toggle
-    const animToggle = document.createElement('button');
-    animToggle.className = 'control-button';
-    animToggle.id = 'anim-toggle';
-    animToggle.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <polygon points="5 3 19 12 5 21 5 3"></polygon>
-      </svg>
-    `;
-    animToggle.title = 'Toggle animation (Space)';
-    animToggle.addEventListener('click', () => this.toggleAnimation());
-    controlsContainer.appendChild(animToggle);
-
-    // Detail control
-    const detailSlider = document.createElement('div');
-    detailSlider.className = 'control-slider';
-    detailSlider.innerHTML = `
-      <label>Detail</label>
-      <input type="range" id="detail-slider" min="64" max="512" value="256" step="64">
-    `;
-    controlsContainer.appendChild(detailSlider);
-
-    document.getElementById('detail-slider')?.addEventListener('input', (e) => {
-      this.maxIterations = parseInt(e.target.value);
-      this.render();
-    });
+  // Jump the morph to a keyframe; it carries on from there when playing
+  goToKeyframe(index) {
+    const keyframe = this.path.keyframes[index];
+    this.pathTime = keyframeTime(this.path, index);
+    this.cReal = keyframe.real;
+    this.cImag = keyframe.imag;
+    this.invalidate();
+    this.notifyStateChange();
+  }
 
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset (R)';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
+  setGradient(stops) {
+    this.gradient = stops;
+    if (this.gradientEditor) this.gradientEditor.setStops(stops);
+    this.paintMap();
+    this.invalidate();
+    this.notifyStateChange();
   }
 
-  handleClick(e) {
-    // Toggle animation on click
-    this.toggleAnimation();
+  onParamChange(key) {
+    if (key === 'dualView') this.resize();
+    if (key === 'colorOffset') this.paintMap();
+  }
+
+  // --- Dual view ---
+
+  paintMap() {
+    if (this.map) this.map.paint(this.gradient, this.colorOffset / 360);
   }
 
-  handleKeyDown(e) {
-    if (e.key === 'r' || e.key === 'R') {
-      this.reset();
-    } else if (e.key === ' ') {
-      e.preventDefault();
-      this.toggleAnimation();
+  // Hovering the map shows the Julia set for the c underneath, pausing the
+  // morph; leaving without a click goes back to where it was
+  previewC({ real, imag }) {
+    if (!this.hoverStart) {
+      this.hoverStart = { real: this.cReal, imag: this.cImag, animating: this.isAnimating };
     }
+    if (this.isAnimating) this.setParam('isAnimating', false);
+    this.cReal = real;
+    this.cImag = imag;
   }
 
-  handleResize() {
-    this.resize();
+  pickC(c) {
+    this.previewC(c);
+    this.hoverStart = null;
+    this.notifyStateChange();
   }
 
-  toggleAnimation() {
-    this.isAnimating = !this.isAnimating;
-    const btn = document.getElementById('anim-toggle');
-    if (btn) {
-      if (this.isAnimating) {
-        btn.classList.remove('paused');
-      } else {
-        btn.classList.add('paused');
-      }
-    }
-    if (this.isRunning) {
-      this.startAnimation();
-    }
+  restoreC() {
+    const start = this.hoverStart;
+    if (!start) return;
+    this.hoverStart = null;
+    this.cReal = start.real;
+    this.cImag = start.imag;
+    this.setParam('isAnimating', start.animating);
   }
 
+  // The authored path survives a reset (the editor has a Default button);
+  // the morph starts over from its first keyframe
   reset() {
-    this.currentCIndex = 0;
-    this.cReal = this.cValues[0].real;
-    this.cImag = this.cValues[0].imag;
-    this.animationTime = 0;
-    this.maxIterations = 256;
-    this.colorOffset = 0;
+    this.pathTime = 0;
+    this.cReal = this.path.keyframes[0].real;
+    this.cImag = this.path.keyframes[0].imag;
     this.zoomLevel = 1;
+    this.resetParams();
+    this.setGradient(DEFAULT_GRADIENT);
+  }
 
-    // Reset sliders
-    const colorSlider = document.getElementById('color-slider');
-    const detailSlider = document.getElementById('detail-slider');
-    if (colorSlider) colorSlider.value = '0';
-    if (detailSlider) detailSlider.value = '256';
+  // The c value is only worth sharing once the morph is paused on it
+  getState() {
+    const state = super.getState();
+    if (!this.isAnimating) {
+      state.cr = String(Number(this.cReal.toFixed(6)));
+      state.ci = String(Number(this.cImag.toFixed(6)));
+    }
+    if (!sameGradient(this.gradient, DEFAULT_GRADIENT)) {
+      state.gradient = gradientToString(this.gradient);
+    }
+    if (!samePath(this.path, DEFAULT_PATH)) {
+      state.path = pathToString(this.path);
+    }
+    return state;
+  }
+
+  setState(state) {
+    super.setState(state);
+
+    const gradient = state.gradient !== undefined ? parseGradient(state.gradient) : null;
+    if (gradient) this.setGradient(gradient);
 
-    // Reset animation button
-    const btn = document.getElementById('anim-toggle');
-    if (btn) btn.classList.remove('paused');
+    const path = state.path !== undefined ? parsePathString(state.path) : null;
+    if (path) {
+      this.setPath(path);
+      this.goToKeyframe(0);
+    }
 
-    this.isAnimating = true;
-    if (this.isRunning) {
-      this.render();
-      this.startAnimation();
+    const cr = parseFloat(state.cr);
+    const ci = parseFloat(state.ci);
+    if (Number.isFinite(cr) && Number.isFinite(ci)) {
+      this.cReal = cr;
+      this.cImag = ci;
     }
   }
 
-  // Calculate Julia set for a given point
-  juliaSet(x, y) {
+  // Iterate z = (x, y) and reduce its orbit to a colouring value
+  juliaSet(x, y, stats) {
+    const { bailout, derivative, tracking } = stats;
     let zReal = x;
     let zImag = y;
+    let dReal = 1;
+    let dImag = 0;
     let iteration = 0;
 
-    while (zReal * zReal + zImag * zImag <= 4 && iteration < this.maxIterations) {
+    stats.begin();
+    if (tracking) stats.add(zReal, zImag);
+    while (zReal * zReal + zImag * zImag <= bailout && iteration < this.maxIterations) {
+      // dz' = 2 z dz, for the distance estimate
+      if (derivative) {
+        const dRealTemp = 2 * (zReal * dReal - zImag * dImag);
+        dImag = 2 * (zReal * dImag + zImag * dReal);
+        dReal = dRealTemp;
+      }
+
       const zRealTemp = zReal * zReal - zImag * zImag + this.cReal;
       zImag = 2 * zReal * zImag + this.cImag;
       zReal = zRealTemp;
       iteration++;
+      if (tracking) stats.add(zReal, zImag);
     }
 
-    // Smooth coloring using continuous iteration count
-    if (iteration < this.maxIterations) {
-      const logZn = Math.log(zReal * zReal + zImag * zImag) / 2;
-      const nu = Math.log(logZn / Math.log(2)) / Math.log(2);
-      iteration = iteration + 1 - nu;
-    }
-
-    return iteration;
+    return iteration < this.maxIterations
+      ? stats.escaped(iteration, zReal, zImag, dReal, dImag)
+      : stats.inside(zReal, zImag);
   }
 
-  // Generate color from iteration count
-  getColor(iteration) {
-    if (iteration >= this.maxIterations) {
-      return [0, 0, 0, 255]; // Black for points in the set
-    }
-
-    // Smooth color gradients
-    const t = iteration / this.maxIterations;
-    const hue = (t * 360 + this.colorOffset) % 360;
-    const saturation = 100;
-    const lightness = t < 0.5 ? 50 + t * 50 : 100 - t * 50;
-
-    return this.hslToRgb(hue, saturation, lightness);
+  palette() {
+    return createPalette({
+      gradient: this.gradient,
+      algorithm: this.coloring,
+      interior: this.interior,
+      offset: this.colorOffset / 360,
+      maxIterations: this.maxIterations,
+      histogram: this.histogram
+    });
   }
 
-  hslToRgb(h, s, l) {
-    h = h / 360;
-    s = s / 100;
-    l = l / 100;
+  render() {
+    if (this.dualView) this.map.mark(this.cReal, this.cImag);
+    if (this.pathEditor) this.pathEditor.mark(this.cReal, this.cImag);
 
-    let r, g, b;
+    // Below full quality, render fewer pixels and scale them up
+    const width = Math.max(1, Math.round(this.canvas.width * this.quality));
+    const height = Math.max(1, Math.round(this.canvas.height * this.quality));
 
-    if (s === 0) {
-      r = g = b = l;
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-      };
-
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-      const p = 2 * l - q;
-
-      r = hue2rgb(p, q, h + 1/3);
-      g = hue2rgb(p, q, h);
-      b = hue2rgb(p, q, h - 1/3);
+    if (this.values?.length !== width * height) {
+      this.values = new Float32Array(width * height);
     }
+    this.renderPixels({ width, height, values: this.values }, 0, 0, width, height);
+    if (this.coloring === 'histogram') this.histogram = equalize([this.values]);
 
-    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255), 255];
-  }
+    this.imageData = this.ctx.createImageData(width, height);
+    colorize(this.values, this.imageData.data, this.palette());
 
-  // Smoothly interpolate between two complex numbers
-  interpolateC(progress) {
-    const nextIndex = (this.currentCIndex + 1) % this.cValues.length;
-    const current = this.cValues[this.currentCIndex];
-    const next = this.cValues[nextIndex];
+    // Draw to canvas
+    if (width === this.canvas.width && height === this.canvas.height) {
+      this.ctx.putImageData(this.imageData, 0, 0);
+      return;
+    }
+    this.buffer.width = width;
+    this.buffer.height = height;
+    this.buffer.getContext('2d').putImageData(this.imageData, 0, 0);
+    this.ctx.drawImage(this.buffer, 0, 0, this.canvas.width, this.canvas.height);
+  }
 
-    // Use sine easing for smooth transitions
-    const eased = Math.sin(progress * Math.PI / 2);
+  // Exports re-run the fractal at the requested resolution, coloured with
+  // the histogram of the last frame on screen
+  renderTile(tile) {
+    const values = new Float32Array(tile.width * tile.height);
+    this.renderPixels({ width: tile.width, height: tile.height, values }, tile.x, tile.y, tile.fullWidth, tile.fullHeight);
+    const image = new ImageData(tile.width, tile.height);
+    colorize(values, image.data, this.palette());
+    return image;
+  }
 
-    this.cReal = current.real + (next.real - current.real) * eased;
-    this.cImag = current.imag + (next.imag - current.imag) * eased;
+  // The frame as the GPU renderer takes it (see fractal/gpu-renderer.js)
+  view() {
+    return {
+      centerX: 0,
+      centerY: 0,
+      zoom: 4 / RANGE,
+      rangeY: RANGE,
+      maxIterations: this.maxIterations,
+      coloring: { algorithm: this.coloring, interior: this.interior, trap: this.trap },
+      formula: { name: 'julia', cReal: this.cReal, cImag: this.cImag }
+    };
   }
 
-  render() {
-    const width = this.canvas.width;
-    const height = this.canvas.height;
+  // Fill image ({ width, height, values }) with the colouring values of the
+  // window at (offsetX, offsetY) of a fullWidth x fullHeight rendering of
+  // the current c value
+  renderPixels(image, offsetX, offsetY, fullWidth, fullHeight) {
+    const { width, height, values } = image;
+    const view = this.view();
+    if (this.gpu?.supports(view)) {
+      const tile = { x: offsetX, y: offsetY, width, height, fullWidth, fullHeight };
+      values.set(this.gpu.values(tile, view));
+      return;
+    }
 
-    // Fixed viewport for Julia set
-    const rangeX = 3.5;
-    const rangeY = 3.5;
+    const rangeX = RANGE;
+    const rangeY = RANGE;
     const minX = -rangeX / 2;
-    const maxX = rangeX / 2;
     const minY = -rangeY / 2;
-    const maxY = rangeY / 2;
-
-    // Create image data
-    this.imageData = this.ctx.createImageData(width, height);
-    const data = this.imageData.data;
+    const stats = new OrbitStats(
+      { algorithm: this.coloring, interior: this.interior, trap: this.trap },
+      rangeX / fullWidth
+    );
 
     // Render each pixel
     for (let py = 0; py < height; py++) {
       for (let px = 0; px < width; px++) {
         // Map pixel to complex plane
-        const x = minX + (px / width) * (maxX - minX);
-        const y = minY + (py / height) * (maxY - minY);
-
-        // Calculate Julia set iteration
-        const iteration = this.juliaSet(x, y);
-
-        // Get color
-        const color = this.getColor(iteration);
-
-        // Set pixel color
-        const index = (py * width + px) * 4;
-        data[index] = color[0];
-        data[index + 1] = color[1];
-        data[index + 2] = color[2];
-        data[index + 3] = color[3];
-      }
-    }
-
-    // Draw to canvas
-    this.ctx.putImageData(this.imageData, 0, 0);
-
-    // Update FPS
-    this.updateFPS();
-  }
-
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
+        const x = minX + ((px + offsetX) / fullWidth) * rangeX;
+        const y = minY + ((py + offsetY) / fullHeight) * rangeY;
 
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
+        values[py * width + px] = this.juliaSet(x, y, stats);
       }
     }
   }
 
-  startAnimation() {
-    const animate = () => {
-      if (!this.isRunning) return;
-
-      if (this.isAnimating) {
-        this.animationTime += 16.67; // ~60fps
-
-        if (this.animationTime >= this.animationDuration) {
-          this.currentCIndex = (this.currentCIndex + 1) % this.cValues.length;
-          this.animationTime = 0;
-        }
-
-        // Interpolate c parameter
-        const progress = this.animationTime / this.animationDuration;
-        this.interpolateC(progress);
-      }
-
-      this.render();
-      this.animationId = requestAnimationFrame(animate);
-    };
+  update(dt) {
+    if (!this.isAnimating) return;
 
-    this.animationId = requestAnimationFrame(animate);
+    this.pathTime += dt;
+    const { real, imag } = samplePath(this.path, this.pathTime);
+    this.cReal = real;
+    this.cImag = imag;
   }
 
   resize() {
     const dpr = window.devicePixelRatio || 1;
     const rect = this.container.getBoundingClientRect();
 
-    this.canvas.width = rect.width * dpr;
-    this.canvas.height = rect.height * dpr;
-    this.canvas.style.width = rect.width + 'px';
-    this.canvas.style.height = rect.height + 'px';
-
-    if (this.isRunning) {
-      this.render();
+    // The dual view gives the map the left half, or the top half of a tall
+    // screen
+    let area = { x: 0, y: 0, width: rect.width, height: rect.height };
+    if (this.dualView) {
+      const wide = rect.width >= rect.height;
+      const map = wide
+        ? { x: 0, y: 0, width: Math.round(rect.width / 2), height: rect.height }
+        : { x: 0, y: 0, width: rect.width, height: Math.round(rect.height / 2) };
+      area = wide
+        ? { x: map.width, y: 0, width: rect.width - map.width, height: rect.height }
+        : { x: 0, y: map.height, width: rect.width, height: rect.height - map.height };
+      this.map.place(map);
+      this.paintMap();
+    } else {
+      this.map.place(null);
     }
-  }
 
-  start() {
-    this.isRunning = true;
-    // Render asynchronously to avoid blocking
-    requestAnimationFrame(() => {
-      this.render();
-      this.startAnimation();
-    });
+    this.canvas.width = area.width * dpr;
+    this.canvas.height = area.height * dpr;
+    this.canvas.style.width = area.width + 'px';
+    this.canvas.style.height = area.height + 'px';
+    this.canvas.style.marginLeft = area.x + 'px';
+    this.canvas.style.marginTop = area.y + 'px';
   }
 
-  stop() {
-    this.isRunning = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+  teardown() {
+    if (this.gpu) {
+      this.gpu.destroy();
+      this.gpu = null;
     }
-  }
-
-  destroy() {
-    this.stop();
-
-    if (this.canvas) {
-      this.canvas.remove();
+    if (this.pathEditor) {
+      this.pathEditor.destroy();
+      this.pathEditor = null;
     }
-
-    if (this.fpsElement) {
-      this.fpsElement.remove();
+    if (this.map) {
+      this.map.destroy();
+      this.map = null;
     }
-
-    // Remove event listeners
-    window.removeEventListener('keydown', this.handleKeyDown.bind(this));
-    window.removeEventListener('resize', this.handleResize.bind(this));
-
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
+    if (this.gradientEditor) {
+      this.gradientEditor.destroy();
+      this.gradientEditor = null;
+    }
+    if (this.canvas) {
+      this.canvas.remove();
     }
   }
 }
@@ -0,0 +1,174 @@
+// Mandelbrot map for the Julia explorer's dual view
+//
+// Every point of the Mandelbrot set's plane is a c value, and the Julia set
+// for c is connected exactly when c lies inside the set. The map is drawn
+// by the Mandelbrot exhibit's render workers, in strips, and reports the c
+// under the pointer:
+//   onHover(c)  mouse moving over the map, a preview
+//   onPick(c)   pressed or dragged (mouse, pen or touch)
+//   onLeave()   pointer gone without picking
+//   onOpen()    "Full size" pressed
+
+import { WorkerPool } from '../../core/worker-pool.js';
+import { createPalette, colorize } from '../../fractal/coloring.js';
+
+// Region of the plane the map always shows, fitted to its shape
+const REGION = { x: -0.65, y: 0, width: 3.1, height: 2.5 };
+
+const ITERATIONS = 256;
+const STRIP_HEIGHT = 64;
+
+export class MandelbrotMap {
+  constructor(exhibit, container, handlers) {
+    this.handlers = handlers;
+    this.pool = null;
+    this.values = null;
+    this.palette = null;
+    this.view = null;
+    this.job = 0;
+
+    this.element = document.createElement('div');
+    this.element.className = 'julia-map';
+    this.element.hidden = true;
+
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+
+    this.marker = document.createElement('div');
+    this.marker.className = 'julia-map-marker';
+
+    this.caption = document.createElement('span');
+    this.caption.className = 'julia-map-caption';
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'julia-map-open';
+    open.textContent = 'Full size';
+    open.title = 'Close the map and show this Julia set full size';
+    open.addEventListener('click', () => handlers.onOpen());
+
+    this.element.append(this.canvas, this.marker, this.caption, open);
+    container.appendChild(this.element);
+
+    exhibit.listen(this.canvas, 'pointermove', (e) => {
+      if (this.canvas.hasPointerCapture(e.pointerId)) {
+        handlers.onPick(this.pointAt(e));
+      } else if (e.pointerType === 'mouse') {
+        handlers.onHover(this.pointAt(e));
+      }
+    });
+    exhibit.listen(this.canvas, 'pointerdown', (e) => {
+      this.canvas.setPointerCapture(e.pointerId);
+      handlers.onPick(this.pointAt(e));
+    });
+    exhibit.listen(this.canvas, 'pointerleave', () => handlers.onLeave());
+  }
+
+  get visible() {
+    return !this.element.hidden;
+  }
+
+  // Show the map over rect (CSS pixels within the container), or hide it.
+  // The workers only exist while the map is on screen.
+  place(rect) {
+    this.element.hidden = !rect;
+    if (!rect) {
+      this.job++;
+      this.values = null;
+      if (this.pool) {
+        this.pool.terminate();
+        this.pool = null;
+      }
+      return;
+    }
+
+    Object.assign(this.element.style, {
+      left: `${rect.x}px`,
+      top: `${rect.y}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(rect.width * dpr));
+    const height = Math.max(1, Math.round(rect.height * dpr));
+    if (this.values && width === this.canvas.width && height === this.canvas.height) return;
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.render();
+  }
+
+  render() {
+    const { width, height } = this.canvas;
+    const job = ++this.job;
+    this.pool ??= new WorkerPool(new URL('../mandelbrot/worker.js', import.meta.url));
+    this.pool.cancel();
+    this.values = new Float32Array(width * height);
+
+    // Units of the plane per device pixel, so the whole region fits
+    const scale = Math.max(REGION.width / width, REGION.height / height);
+    this.view = {
+      centerX: REGION.x,
+      centerY: REGION.y,
+      zoom: 4 / (scale * width),
+      maxIterations: ITERATIONS,
+      coloring: { algorithm: 'smooth' },
+      formula: { name: 'mandelbrot' }
+    };
+
+    for (let y = 0; y < height; y += STRIP_HEIGHT) {
+      const tile = { x: 0, y, width, height: Math.min(STRIP_HEIGHT, height - y), fullWidth: width, fullHeight: height };
+      this.pool.run({ type: 'tile', tile, view: this.view, step: 1 }).then(({ values }) => {
+        if (job !== this.job) return;
+        this.values.set(values, y * width);
+        this.paintRows(y, tile.height);
+      }, (error) => {
+        if (error.name !== 'AbortError') console.error('Mandelbrot map failed:', error);
+      });
+    }
+  }
+
+  // Colour the map with the Julia set's gradient and offset (0..1)
+  paint(gradient, offset) {
+    this.palette = createPalette({ gradient, offset, maxIterations: ITERATIONS });
+    if (this.values && this.visible) this.paintRows(0, this.canvas.height);
+  }
+
+  paintRows(y, rows) {
+    if (!this.palette) return;
+    const { width } = this.canvas;
+    const image = new ImageData(width, rows);
+    colorize(this.values.subarray(y * width, (y + rows) * width), image.data, this.palette);
+    this.ctx.putImageData(image, 0, y);
+  }
+
+  // c at a pointer event
+  pointAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const rangeX = 4 / this.view.zoom;
+    const rangeY = rangeX * rect.height / rect.width;
+    return {
+      real: this.view.centerX + ((e.clientX - rect.left) / rect.width - 0.5) * rangeX,
+      imag: this.view.centerY + ((e.clientY - rect.top) / rect.height - 0.5) * rangeY
+    };
+  }
+
+  // Move the marker and caption to c
+  mark(real, imag) {
+    if (!this.view || !this.visible) return;
+    const { clientWidth, clientHeight } = this.canvas;
+    const rangeX = 4 / this.view.zoom;
+    const rangeY = rangeX * clientHeight / clientWidth;
+    this.marker.style.left = `${((real - this.view.centerX) / rangeX + 0.5) * clientWidth}px`;
+    this.marker.style.top = `${((imag - this.view.centerY) / rangeY + 0.5) * clientHeight}px`;
+
+    const sign = imag < 0 ? '−' : '+';
+    this.caption.textContent = `c = ${real.toFixed(4)} ${sign} ${Math.abs(imag).toFixed(4)}i`;
+  }
+
+  destroy() {
+    this.place(null);
+    this.element.remove();
+  }
+}
@@ -0,0 +1,390 @@
+// Path Editor - Panel for authoring the c path the Julia explorer morphs along
+//
+// Keyframes sit on a small map of the complex plane (the Mandelbrot set in
+// grey for orientation): click empty space to add one after the selected
+// keyframe, drag one to move it. The list below reorders and removes them
+// and sets how long each segment takes. Paths are saved and loaded as JSON
+// files (see c-path.js for the format).
+
+import { downloadBlob } from '../../core/image-export.js';
+import {
+  INTERPOLATIONS, MODES, MIN_DURATION, MAX_DURATION, DEFAULT_PATH,
+  clonePath, parsePath, segmentCount, segmentPoint
+} from './c-path.js';
+
+// Part of the plane the widget shows; imag grows downwards, as in the
+// fractal views
+const PLANE = { x: -0.5, y: 0, width: 3.2, height: 2.4 };
+const WIDGET_WIDTH = 228;
+const WIDGET_HEIGHT = WIDGET_WIDTH * PLANE.height / PLANE.width;
+
+// Pointer distance (CSS px) that counts as grabbing a keyframe
+const GRAB_RADIUS = 9;
+
+const SAMPLES_PER_SEGMENT = 24;
+
+function button(text, className, title, onClick) {
+  const element = document.createElement('button');
+  element.type = 'button';
+  element.className = className;
+  element.textContent = text;
+  element.title = title;
+  element.addEventListener('click', onClick);
+  return element;
+}
+
+const formatC = ({ real, imag }) => `${real.toFixed(3)} ${imag < 0 ? '−' : '+'} ${Math.abs(imag).toFixed(3)}i`;
+
+export class PathEditor {
+  // handlers: { onChange(path) on every edit, including each step of a
+  //             drag, onSelect(index) when a keyframe is picked or moved,
+  //             current() -> the c on screen }
+  constructor(container, { path, onChange, onSelect, current }) {
+    this.path = clonePath(path);
+    this.selected = 0;
+    this.handlers = { onChange, onSelect, current };
+    this.marker = null;
+
+    this.element = document.createElement('div');
+    this.element.className = 'overlay-panel path-editor';
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <h4>C path</h4>
+      <canvas class="path-plane" tabindex="0" aria-label="Keyframes on the complex plane"></canvas>
+      <ol class="bookmark-list path-keyframes"></ol>
+      <div class="panel-fields">
+        <label>Interpolation <select class="path-interpolation"></select></label>
+        <label>Playback <select class="path-mode"></select></label>
+      </div>
+      <p class="panel-status"></p>
+      <div class="panel-actions">
+        <button type="button" class="panel-primary path-add">Add current c</button>
+        <button type="button" class="panel-secondary path-default">Default</button>
+      </div>
+      <div class="panel-actions path-files">
+        <button type="button" class="panel-secondary path-import">Import</button>
+        <button type="button" class="panel-secondary path-export">Export</button>
+      </div>
+      <input type="file" accept="application/json,.json" hidden>`;
+
+    this.canvas = this.element.querySelector('.path-plane');
+    this.ctx = this.canvas.getContext('2d');
+    this.list = this.element.querySelector('.path-keyframes');
+    this.interpolationSelect = this.element.querySelector('.path-interpolation');
+    this.modeSelect = this.element.querySelector('.path-mode');
+    this.status = this.element.querySelector('.panel-status');
+    this.fileInput = this.element.querySelector('input[type="file"]');
+
+    const options = (select, labels) => {
+      select.replaceChildren(...Object.entries(labels).map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+      }));
+    };
+    options(this.interpolationSelect, INTERPOLATIONS);
+    options(this.modeSelect, MODES);
+
+    this.interpolationSelect.addEventListener('change', () => {
+      this.path.interpolation = this.interpolationSelect.value;
+      this.changed();
+    });
+    this.modeSelect.addEventListener('change', () => {
+      this.path.mode = this.modeSelect.value;
+      this.changed();
+    });
+    this.element.querySelector('.path-add').addEventListener('click', () => {
+      this.insert(this.handlers.current());
+    });
+    this.element.querySelector('.path-default').addEventListener('click', () => {
+      this.path = clonePath(DEFAULT_PATH);
+      this.selected = 0;
+      this.status.textContent = 'Back to the default path';
+      this.changed();
+    });
+    this.element.querySelector('.path-import').addEventListener('click', () => this.fileInput.click());
+    this.element.querySelector('.path-export').addEventListener('click', () => this.exportFile());
+    this.fileInput.addEventListener('change', () => this.importFile());
+
+    this.canvas.addEventListener('pointerdown', (e) => this.planePointerDown(e));
+    this.canvas.addEventListener('keydown', (e) => {
+      if (e.key === 'Delete' || e.key === 'Backspace') this.remove(this.selected);
+    });
+
+    this.setupCanvas();
+    container.appendChild(this.element);
+    this.renderList();
+  }
+
+  get visible() {
+    return !this.element.hidden;
+  }
+
+  toggle() {
+    this.element.hidden = !this.element.hidden;
+    if (this.visible) this.draw();
+  }
+
+  // Replace the path from outside (share link) without firing onChange
+  setPath(path) {
+    this.path = clonePath(path);
+    this.selected = Math.min(this.selected, this.path.keyframes.length - 1);
+    this.renderList();
+  }
+
+  // Show where the morph is on the path
+  mark(real, imag) {
+    this.marker = { real, imag };
+    if (this.visible) this.draw();
+  }
+
+  changed() {
+    this.renderList();
+    this.handlers.onChange(clonePath(this.path));
+  }
+
+  select(index) {
+    this.selected = index;
+    this.renderList();
+    this.handlers.onSelect(index);
+  }
+
+  insert(c) {
+    const keyframes = this.path.keyframes;
+    const duration = keyframes[this.selected]?.duration ?? DEFAULT_PATH.keyframes[0].duration;
+    keyframes.splice(this.selected + 1, 0, { real: c.real, imag: c.imag, duration });
+    this.selected++;
+    this.changed();
+    this.handlers.onSelect(this.selected);
+  }
+
+  // A path keeps at least one keyframe
+  remove(index) {
+    if (this.path.keyframes.length <= 1) return;
+    this.path.keyframes.splice(index, 1);
+    this.selected = Math.min(index, this.path.keyframes.length - 1);
+    this.changed();
+  }
+
+  move(index, offset) {
+    const keyframes = this.path.keyframes;
+    const target = index + offset;
+    if (target < 0 || target >= keyframes.length) return;
+    [keyframes[index], keyframes[target]] = [keyframes[target], keyframes[index]];
+    this.selected = target;
+    this.changed();
+  }
+
+  // --- Keyframe list ---
+
+  renderList() {
+    this.interpolationSelect.value = this.path.interpolation;
+    this.modeSelect.value = this.path.mode;
+
+    const { keyframes } = this.path;
+    const used = segmentCount(this.path);
+    this.list.replaceChildren(...keyframes.map((keyframe, index) => {
+      const item = document.createElement('li');
+      item.classList.toggle('selected', index === this.selected);
+
+      const go = button(`${index + 1}. ${formatC(keyframe)}`, 'bookmark-go', 'Select this keyframe', () => this.select(index));
+
+      // Seconds to the next keyframe; the last one leads nowhere unless
+      // the path loops
+      const duration = document.createElement('input');
+      duration.type = 'number';
+      duration.className = 'path-duration';
+      duration.min = String(MIN_DURATION);
+      duration.max = String(MAX_DURATION);
+      duration.step = '0.1';
+      duration.value = String(keyframe.duration);
+      duration.title = 'Seconds to the next keyframe';
+      duration.disabled = index >= used;
+      duration.addEventListener('change', () => {
+        const value = Number(duration.value);
+        if (Number.isFinite(value)) {
+          keyframe.duration = Math.min(MAX_DURATION, Math.max(MIN_DURATION, value));
+        }
+        this.changed();
+      });
+
+      const up = button('↑', 'bookmark-remove', 'Move earlier', () => this.move(index, -1));
+      const down = button('↓', 'bookmark-remove', 'Move later', () => this.move(index, 1));
+      const remove = button('×', 'bookmark-remove', 'Remove this keyframe', () => this.remove(index));
+      up.disabled = index === 0;
+      down.disabled = index === keyframes.length - 1;
+      remove.disabled = keyframes.length <= 1;
+
+      item.append(go, duration, up, down, remove);
+      return item;
+    }));
+    this.draw();
+  }
+
+  // --- Complex-plane widget ---
+
+  setupCanvas() {
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(WIDGET_WIDTH * dpr);
+    this.canvas.height = Math.round(WIDGET_HEIGHT * dpr);
+    this.canvas.style.width = `${WIDGET_WIDTH}px`;
+    this.canvas.style.height = `${WIDGET_HEIGHT}px`;
+
+    // The Mandelbrot set is drawn once, at the widget's resolution; a few
+    // dozen iterations are plenty for a silhouette this small
+    this.background = document.createElement('canvas');
+    this.background.width = this.canvas.width;
+    this.background.height = this.canvas.height;
+    const { width, height } = this.background;
+    const image = new ImageData(width, height);
+    for (let py = 0; py < height; py++) {
+      const ci = PLANE.y + (py / height - 0.5) * PLANE.height;
+      for (let px = 0; px < width; px++) {
+        const cr = PLANE.x + (px / width - 0.5) * PLANE.width;
+        let x = 0;
+        let y = 0;
+        let i = 0;
+        for (; i < 48 && x * x + y * y <= 4; i++) {
+          const xt = x * x - y * y + cr;
+          y = 2 * x * y + ci;
+          x = xt;
+        }
+        const shade = i === 48 ? 90 : 16 + i;
+        const offset = (py * width + px) * 4;
+        image.data[offset] = shade;
+        image.data[offset + 1] = shade;
+        image.data[offset + 2] = shade + 8;
+        image.data[offset + 3] = 255;
+      }
+    }
+    this.background.getContext('2d').putImageData(image, 0, 0);
+  }
+
+  // Plane point to CSS pixels in the widget and back
+  toWidget({ real, imag }) {
+    return {
+      x: ((real - PLANE.x) / PLANE.width + 0.5) * WIDGET_WIDTH,
+      y: ((imag - PLANE.y) / PLANE.height + 0.5) * WIDGET_HEIGHT
+    };
+  }
+
+  toPlane(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      real: PLANE.x + ((e.clientX - rect.left) / rect.width - 0.5) * PLANE.width,
+      imag: PLANE.y + ((e.clientY - rect.top) / rect.height - 0.5) * PLANE.height
+    };
+  }
+
+  draw() {
+    if (!this.visible) return;
+    const ctx = this.ctx;
+    const dpr = this.canvas.width / WIDGET_WIDTH;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(this.background, 0, 0);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    // The path as it is played, one pass over its segments
+    const { keyframes } = this.path;
+    const count = segmentCount(this.path);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    const start = this.toWidget(keyframes[0]);
+    ctx.moveTo(start.x, start.y);
+    for (let segment = 0; segment < count; segment++) {
+      for (let step = 1; step <= SAMPLES_PER_SEGMENT; step++) {
+        const { x, y } = this.toWidget(segmentPoint(this.path, segment, step / SAMPLES_PER_SEGMENT));
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'bottom';
+    keyframes.forEach((keyframe, index) => {
+      const { x, y } = this.toWidget(keyframe);
+      ctx.fillStyle = index === this.selected ? '#ffffff' : '#8a8aff';
+      ctx.beginPath();
+      ctx.arc(x, y, index === this.selected ? 5 : 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(String(index + 1), x + 5, y - 3);
+    });
+
+    if (this.marker) {
+      const { x, y } = this.toWidget(this.marker);
+      ctx.strokeStyle = '#ffcc00';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, 6, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  // Grab the keyframe under the pointer, or add one there, and drag it
+  planePointerDown(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const px = e.clientX - rect.left;
+    const py = e.clientY - rect.top;
+    let index = -1;
+    let best = GRAB_RADIUS;
+    this.path.keyframes.forEach((keyframe, i) => {
+      const { x, y } = this.toWidget(keyframe);
+      const distance = Math.hypot(x - px, y - py);
+      if (distance <= best) {
+        best = distance;
+        index = i;
+      }
+    });
+
+    if (index === -1) {
+      this.insert(this.toPlane(e));
+    } else {
+      this.select(index);
+    }
+
+    const keyframe = this.path.keyframes[this.selected];
+    this.canvas.setPointerCapture(e.pointerId);
+    const move = (event) => {
+      Object.assign(keyframe, this.toPlane(event));
+      this.changed();
+      this.handlers.onSelect(this.selected);
+    };
+    const up = () => {
+      this.canvas.removeEventListener('pointermove', move);
+      this.canvas.removeEventListener('pointerup', up);
+      this.canvas.removeEventListener('pointercancel', up);
+    };
+    this.canvas.addEventListener('pointermove', move);
+    this.canvas.addEventListener('pointerup', up);
+    this.canvas.addEventListener('pointercancel', up);
+    e.preventDefault();
+  }
+
+  // --- Files ---
+
+  exportFile() {
+    const json = JSON.stringify({ exhibit: 'julia-set', path: this.path }, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'julia-path.json');
+  }
+
+  async importFile() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = '';
+    if (!file) return;
+
+    try {
+      this.path = parsePath(await file.text());
+      this.selected = 0;
+      this.status.textContent = `Loaded ${this.path.keyframes.length} keyframe${this.path.keyframes.length === 1 ? '' : 's'}`;
+      this.changed();
+    } catch (error) {
+      this.status.textContent = error instanceof SyntaxError ? 'That file is not JSON' : error.message;
+    }
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
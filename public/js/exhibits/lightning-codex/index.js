@@ -6,6 +6,8 @@
 // of the main channel is typeset from those same equations, glyph by glyph,
 // laid along the channel's arc length.
 
+import { Exhibit } from '../../core/exhibit.js';
+
 const FORMULAS = [
   '∇·E = ρ/ε₀',
   '∇×B = μ₀J + μ₀ε₀ ∂E/∂t',
@@ -27,20 +29,12 @@ const FORMULAS = [
   '∇²V = −ρ/ε₀'
 ];
 
-export default class LightningCodexExhibit {
+export default class LightningCodexExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.canvas = null;
     this.ctx = null;
     this.skyCanvas = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
-
-    // Tunable parameters
-    this.intensity = 1.0;   // storm cycle speed
-    this.branching = 1.0;   // branch density
 
     // Storm state
     this.charge = 0;        // 0..1, builds until breakdown
@@ -57,17 +51,12 @@ export default class LightningCodexExhibit {
 
     this.rect = { left: 0, top: 0, width: 1, height: 1 };
 
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
-
     this.handlePointerMove = this.handlePointerMove.bind(this);
     this.handlePointerDown = this.handlePointerDown.bind(this);
     this.handlePointerLeave = this.handlePointerLeave.bind(this);
   }
 
-  async init() {
+  async setup() {
     this.canvas = document.createElement('canvas');
     this.canvas.style.position = 'absolute';
     this.canvas.style.top = '0';
@@ -81,12 +70,9 @@ export default class LightningCodexExhibit {
     this.initCloudFormulas();
     this.initRain();
 
-    this.canvas.addEventListener('pointermove', this.handlePointerMove);
-    this.canvas.addEventListener('pointerdown', this.handlePointerDown);
-    this.canvas.addEventListener('pointerleave', this.handlePointerLeave);
-
-    this.createFPSCounter();
-    this.createControls();
+    this.listen(this.canvas, 'pointermove', this.handlePointerMove);
+    this.listen(this.canvas, 'pointerdown', this.handlePointerDown);
+    this.listen(this.canvas, 'pointerleave', this.handlePointerLeave);
   }
 
   cloudBase() {
@@ -103,11 +89,11 @@ export default class LightningCodexExhibit {
     for (let i = 0; i < 14; i++) {
       this.cloudFormulas.push({
         text: FORMULAS[i % FORMULAS.length],
-        x: Math.random() * w,
-        y: this.rect.height * (0.04 + Math.random() * 0.16),
-        drift: 0.1 + Math.random() * 0.25,
-        phase: Math.random() * Math.PI * 2,
-        size: 11 + Math.random() * 6
+        x: this.random.next() * w,
+        y: this.rect.height * (0.04 + this.random.next() * 0.16),
+        drift: 0.1 + this.random.next() * 0.25,
+        phase: this.random.next() * Math.PI * 2,
+        size: 11 + this.random.next() * 6
       });
     }
   }
@@ -126,10 +112,10 @@ export default class LightningCodexExhibit {
 
   resetDrop(i, anywhere) {
     const r = this.rain;
-    r.x[i] = Math.random() * (this.rect.width + 100) - 50;
-    r.y[i] = anywhere ? Math.random() * this.rect.height : this.cloudBase() * Math.random();
-    r.speed[i] = 9 + Math.random() * 7;
-    r.len[i] = 10 + Math.random() * 14;
+    r.x[i] = this.random.next() * (this.rect.width + 100) - 50;
+    r.y[i] = anywhere ? this.random.next() * this.rect.height : this.cloudBase() * this.random.next();
+    r.speed[i] = 9 + this.random.next() * 7;
+    r.len[i] = 10 + this.random.next() * 14;
   }
 
   handlePointerMove(e) {
@@ -164,7 +150,7 @@ export default class LightningCodexExhibit {
         const dx = b.x - a.x;
         const dy = b.y - a.y;
         const len = Math.hypot(dx, dy) || 1;
-        const d = (Math.random() - 0.5) * 2 * offset;
+        const d = (this.random.next() - 0.5) * 2 * offset;
         next.push({ x: mx + (-dy / len) * d, y: my + (dx / len) * d });
         next.push(b);
       }
@@ -176,19 +162,19 @@ export default class LightningCodexExhibit {
 
   strike(targetX, power) {
     const w = this.rect.width;
-    const cloudY = this.cloudBase() * (0.5 + Math.random() * 0.5);
-    const startX = targetX + (Math.random() - 0.5) * w * 0.25;
+    const cloudY = this.cloudBase() * (0.5 + this.random.next() * 0.5);
+    const startX = targetX + (this.random.next() - 0.5) * w * 0.25;
     const main = this.generateChannel(startX, cloudY, targetX, this.groundY(), 0.18);
 
     // Branches: forks that peel off the main channel partway down
     const branches = [];
-    const branchCount = Math.round((2 + Math.random() * 3) * this.branching);
+    const branchCount = Math.round((2 + this.random.next() * 3) * this.branching);
     for (let b = 0; b < branchCount; b++) {
-      const idx = Math.floor(main.length * (0.15 + Math.random() * 0.55));
+      const idx = Math.floor(main.length * (0.15 + this.random.next() * 0.55));
       const origin = main[idx];
       const remaining = this.groundY() - origin.y;
-      const angle = (Math.random() - 0.5) * 1.6;
-      const blen = remaining * (0.25 + Math.random() * 0.4);
+      const angle = (this.random.next() - 0.5) * 1.6;
+      const blen = remaining * (0.25 + this.random.next() * 0.4);
       branches.push({
         points: this.generateChannel(
           origin.x, origin.y,
@@ -196,7 +182,7 @@ export default class LightningCodexExhibit {
           origin.y + Math.cos(angle) * blen * 0.8,
           0.28
         ),
-        dim: 0.35 + Math.random() * 0.25
+        dim: 0.35 + this.random.next() * 0.25
       });
     }
 
@@ -209,10 +195,10 @@ export default class LightningCodexExhibit {
     const totalLen = arc[arc.length - 1];
 
     let cursor = 24;
-    let fi = Math.floor(Math.random() * FORMULAS.length);
+    let fi = Math.floor(this.random.next() * FORMULAS.length);
     while (cursor < totalLen - 30) {
       const text = FORMULAS[fi % FORMULAS.length];
-      fi += 1 + Math.floor(Math.random() * 3);
+      fi += 1 + Math.floor(this.random.next() * 3);
       for (const ch of text) {
         if (cursor >= totalLen - 20) break;
         // Locate the channel point at this arc distance
@@ -237,12 +223,12 @@ export default class LightningCodexExhibit {
     this.time += dt;
 
     // Charge builds; breakdown triggers an automatic strike
-    this.charge += dt * 0.16 * this.intensity * (0.7 + 0.6 * Math.random());
+    this.charge += dt * 0.16 * this.intensity * (0.7 + 0.6 * this.random.next());
     if (this.charge >= 1) {
-      const target = this.rodX !== null && Math.random() < 0.65
-        ? this.rodX + (Math.random() - 0.5) * 60
-        : Math.random() * this.rect.width;
-      this.strike(target, 0.8 + Math.random() * 0.4);
+      const target = this.rodX !== null && this.random.next() < 0.65
+        ? this.rodX + (this.random.next() - 0.5) * 60
+        : this.random.next() * this.rect.width;
+      this.strike(target, 0.8 + this.random.next() * 0.4);
       this.charge = 0;
     }
 
@@ -342,8 +328,8 @@ export default class LightningCodexExhibit {
     ctx.fillRect(0, 0, w, h * 0.6);
 
     // Pre-strike flicker inside the cloud as breakdown approaches
-    if (this.charge > 0.75 && Math.random() < (this.charge - 0.75) * 0.9) {
-      ctx.fillStyle = `rgba(180, 180, 255, ${0.04 + Math.random() * 0.05})`;
+    if (this.charge > 0.75 && this.random.next() < (this.charge - 0.75) * 0.9) {
+      ctx.fillStyle = `rgba(180, 180, 255, ${0.04 + this.random.next() * 0.05})`;
       ctx.fillRect(0, 0, w, this.cloudBase());
     }
 
@@ -433,80 +419,6 @@ export default class LightningCodexExhibit {
     ctx.fillRect(0, this.cloudBase(), w * this.charge, 2);
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
-  }
-
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    const intensitySlider = document.createElement('div');
-    intensitySlider.className = 'control-slider';
-    intensitySlider.innerHTML = `
-      <label>Intensity</label>
-      <input type="range" id="codex-intensity-slider" min="0.3" max="3" value="${this.intensity}" step="0.1">
-      <span id="codex-intensity-value">${this.intensity.toFixed(1)}</span>
-    `;
-    controlsContainer.appendChild(intensitySlider);
-
-    document.getElementById('codex-intensity-slider')?.addEventListener('input', (e) => {
-      this.intensity = parseFloat(e.target.value);
-      document.getElementById('codex-intensity-value').textContent = this.intensity.toFixed(1);
-    });
-
-    const branchSlider = document.createElement('div');
-    branchSlider.className = 'control-slider';
-    branchSlider.innerHTML = `
-      <label>Branching</label>
-      <input type="range" id="codex-branch-slider" min="0" max="2.5" value="${this.branching}" step="0.1">
-      <span id="codex-branch-value">${this.branching.toFixed(1)}</span>
-    `;
-    controlsContainer.appendChild(branchSlider);
-
-    document.getElementById('codex-branch-slider')?.addEventListener('input', (e) => {
-      this.branching = parseFloat(e.target.value);
-      document.getElementById('codex-branch-value').textContent = this.branching.toFixed(1);
-    });
-
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset storm';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
-  }
-
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
-
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
-  }
-
   resize() {
     const dpr = window.devicePixelRatio || 1;
     const rect = this.container.getBoundingClientRect();
@@ -524,70 +436,16 @@ export default class LightningCodexExhibit {
     if (this.cloudFormulas.length) this.initCloudFormulas();
   }
 
-  start() {
-    this.isRunning = true;
-    this.animate();
-  }
-
-  animate() {
-    if (!this.isRunning || this.isPaused) return;
-
-    this.update();
-    this.render();
-    this.updateFPS();
-
-    this.animationId = requestAnimationFrame(() => this.animate());
-  }
-
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
-  }
-
-  togglePause() {
-    this.isPaused = !this.isPaused;
-    if (!this.isPaused) {
-      this.animate();
-    }
-  }
-
-  reset() {
-    this.intensity = 1.0;
-    this.branching = 1.0;
+  regenerate() {
     this.charge = 0;
     this.bolts = [];
     this.flash = 0;
     this.time = 0;
     this.initCloudFormulas();
-
-    const pairs = [
-      ['codex-intensity-slider', 'codex-intensity-value', '1', '1.0'],
-      ['codex-branch-slider', 'codex-branch-value', '1', '1.0']
-    ];
-    for (const [sliderId, valueId, sliderVal, displayVal] of pairs) {
-      const slider = document.getElementById(sliderId);
-      const value = document.getElementById(valueId);
-      if (slider) slider.value = sliderVal;
-      if (value) value.textContent = displayVal;
-    }
+    this.initRain();
   }
 
-  destroy() {
-    this.stop();
-
-    if (this.canvas) {
-      this.canvas.removeEventListener('pointermove', this.handlePointerMove);
-      this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
-      this.canvas.removeEventListener('pointerleave', this.handlePointerLeave);
-      this.canvas.remove();
-    }
-    if (this.fpsElement) this.fpsElement.remove();
-
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) controlsContainer.innerHTML = '';
+  teardown() {
+    if (this.canvas) this.canvas.remove();
   }
 }
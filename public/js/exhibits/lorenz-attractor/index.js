@@ -1,23 +1,22 @@
 // Lorenz Attractor - Chaos Theory Visualization
 // Interactive 3D visualization of the iconic butterfly strange attractor
 
-export default class LorenzAttractorExhibit {
+import { Exhibit } from '../../core/exhibit.js';
+import { cameraState, applyCameraState } from '../../core/url-state.js';
+import { renderThreeTile } from '../../core/image-export.js';
+
+export default class LorenzAttractorExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.controls = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
 
     // Lorenz parameters
     this.sigma = 10;
     this.rho = 28;
     this.beta = 8 / 3;
-    this.dt = 0.01;
 
     // Particle system
     this.particles = [];
@@ -25,33 +24,15 @@ export default class LorenzAttractorExhibit {
     this.particleCount = 3;
 
     // Animation
-    this.sceneRotation = true;
     this.rotationSpeed = 0.0002;
-
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
   }
 
-  async init() {
+  async setup() {
     // Set up Three.js scene
     this.setupScene();
 
     // Create particles
     this.createParticles();
-
-    // Add event listeners
-    this.setupEventListeners();
-
-    // Create controls UI
-    this.createControls();
-
-    // Create FPS counter
-    this.createFPSCounter();
-
-    // Start animation loop
-    this.animate();
   }
 
   setupScene() {
@@ -135,6 +116,7 @@ export default class LorenzAttractorExhibit {
       this.controls.enableZoom = true;
       this.controls.autoRotate = false;
       this.controls.autoRotateSpeed = 0;
+      this.listen(this.controls, 'end', () => this.notifyStateChange());
     } else {
       // Fallback manual controls
       this.setupManualControls();
@@ -146,12 +128,12 @@ export default class LorenzAttractorExhibit {
     let isDragging = false;
     let previousMousePosition = { x: 0, y: 0 };
 
-    this.renderer.domElement.addEventListener('mousedown', (e) => {
+    this.listen(this.renderer.domElement, 'mousedown', (e) => {
       isDragging = true;
       previousMousePosition = { x: e.clientX, y: e.clientY };
     });
 
-    this.renderer.domElement.addEventListener('mousemove', (e) => {
+    this.listen(this.renderer.domElement, 'mousemove', (e) => {
       if (!isDragging) return;
 
       const deltaX = e.clientX - previousMousePosition.x;
@@ -172,18 +154,20 @@ export default class LorenzAttractorExhibit {
       previousMousePosition = { x: e.clientX, y: e.clientY };
     });
 
-    this.renderer.domElement.addEventListener('mouseup', () => {
+    this.listen(this.renderer.domElement, 'mouseup', () => {
+      if (isDragging) this.notifyStateChange();
       isDragging = false;
     });
 
     // Zoom with scroll
-    this.renderer.domElement.addEventListener('wheel', (e) => {
+    this.listen(this.renderer.domElement, 'wheel', (e) => {
       e.preventDefault();
       const currentDist = this.camera.getWorldPosition(new THREE.Vector3()).length();
       const direction = this.camera.getWorldPosition(new THREE.Vector3()).normalize();
       const newDist = Math.max(20, Math.min(150, currentDist + e.deltaY * 0.05));
       this.camera.position.copy(direction.multiplyScalar(newDist));
       this.camera.lookAt(0, 0, 0);
+      this.notifyStateChange();
     });
   }
 
@@ -261,7 +245,8 @@ export default class LorenzAttractorExhibit {
   // Runge-Kutta 4th order integration
   stepRK4(particle) {
     const { x, y, z } = particle;
-    const { sigma, rho, beta, dt } = particle;
+    const { sigma, rho, beta } = particle;
+    const dt = this.dt;
 
     // k1
     const k1 = this.lorenzDerivatives(x, y, z, sigma, rho, beta);
@@ -351,77 +336,7 @@ export default class LorenzAttractorExhibit {
     });
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    // Scene rotation toggle
-    const rotationToggle = document.createElement('div');
-    rotationToggle.className = 'control-toggle';
-    rotationToggle.innerHTML = `
-      <label>
-        <input type="checkbox" id="rotation-toggle" ${this.sceneRotation ? 'checked' : ''}>
-        Auto Rotate
-      </label>
-    `;
-    controlsContainer.appendChild(rotationToggle);
-
-    document.getElementById('rotation-toggle')?.addEventListener('change', (e) => {
-      this.sceneRotation = e.target.checked;
-    });
-
-    // Speed control
-    const speedSlider = document.createElement('div');
-    speedSlider.className = 'control-slider';
-    speedSlider.innerHTML = `
-      <label>Speed</label>
-      <input type="range" id="speed-slider" min="0.001" max="0.1" value="0.01" step="0.001">
-    `;
-    controlsContainer.appendChild(speedSlider);
-
-    document.getElementById('speed-slider')?.addEventListener('input', (e) => {
-      this.dt = parseFloat(e.target.value);
-    });
-
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset view (R)';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
-  }
-
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
-  }
-
-  setupEventListeners() {
-    window.addEventListener('resize', () => this.resize());
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'r' || e.key === 'R') {
-        this.reset();
-      }
-    });
-  }
-
-  animate() {
-    this.animationId = requestAnimationFrame(() => this.animate());
-
-    if (!this.isRunning || this.isPaused) return;
-
+  update() {
     // Auto-rotate scene
     if (this.sceneRotation) {
       this.scene.rotation.y += this.rotationSpeed;
@@ -435,30 +350,14 @@ export default class LorenzAttractorExhibit {
     // Update particles
     this.updateParticles();
     this.updateTrailGeometries();
+  }
 
-    // Render
+  render() {
     this.renderer.render(this.scene, this.camera);
-
-    // Update FPS
-    this.updateFPS();
   }
 
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
-
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
+  renderTile(tile) {
+    return renderThreeTile(this.renderer, this.scene, this.camera, tile);
   }
 
   reset() {
@@ -474,10 +373,18 @@ export default class LorenzAttractorExhibit {
       particle.trail = [];
       particle.time = 0;
     });
+    this.notifyStateChange();
+  }
 
-    // Reset controls
-    const rotationToggle = document.getElementById('rotation-toggle');
-    if (rotationToggle) rotationToggle.checked = this.sceneRotation;
+  getState() {
+    return { ...super.getState(), ...cameraState(this.camera, this.controls?.target) };
+  }
+
+  setState(state) {
+    super.setState(state);
+    if (applyCameraState(state, this.camera, this.controls?.target)) {
+      this.controls?.update();
+    }
   }
 
   resize() {
@@ -493,26 +400,10 @@ export default class LorenzAttractorExhibit {
     }
   }
 
-  start() {
-    this.isRunning = true;
-    this.animate();
-  }
-
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
+  teardown() {
+    if (this.controls && this.controls.dispose) {
+      this.controls.dispose();
     }
-  }
-
-  togglePause() {
-    this.isPaused = !this.isPaused;
-  }
-
-  destroy() {
-    this.stop();
 
     // Remove renderer
     if (this.renderer) {
@@ -532,16 +423,5 @@ export default class LorenzAttractorExhibit {
     if (this.scene) {
       this.scene.clear();
     }
-
-    // Remove FPS element
-    if (this.fpsElement) {
-      this.fpsElement.remove();
-    }
-
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
-    }
   }
 }
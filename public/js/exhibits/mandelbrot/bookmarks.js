@@ -0,0 +1,232 @@
+// Mandelbrot bookmarks: named views kept in localStorage, importable and
+// exportable as JSON, and the panel that lists them beside the tour.
+//
+// A bookmark (and a tour stop) is
+//   { name, centerX, centerY, zoom, maxIterations, colorOffset,
+//     formula, exponent (multibrot), polynomial (newton) }
+// with the centre as a decimal string so deep views keep every digit. Tour
+// stops and older bookmarks leave the formula out: they are Mandelbrot views.
+
+import { fromDecimal } from './fixed-point.js';
+import { downloadBlob } from '../../core/image-export.js';
+import { FORMULAS } from '../../fractal/formulas.js';
+
+const STORAGE_KEY = 'airt.mandelbrot.bookmarks';
+
+// Bookmarks centred further out than this are off anything the explorer
+// draws
+const PLANE_EXTENT = 4;
+
+// Check one bookmark from storage or an imported file; null if unusable
+function normalizeBookmark(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const centerX = String(entry.centerX ?? '');
+  const centerY = String(entry.centerY ?? '');
+  const zoom = Number(entry.zoom);
+  const limit = BigInt(PLANE_EXTENT) << 64n;
+  for (const center of [centerX, centerY]) {
+    const value = fromDecimal(center, 64);
+    if (value === null || value < -limit || value > limit) return null;
+  }
+  if (!(zoom > 0) || !Number.isFinite(zoom)) return null;
+
+  const maxIterations = Math.round(Number(entry.maxIterations));
+  const colorOffset = Number(entry.colorOffset);
+  const exponent = Number(entry.exponent);
+  return {
+    name: String(entry.name || 'Untitled').slice(0, 80),
+    centerX,
+    centerY,
+    zoom,
+    maxIterations: maxIterations > 0 ? maxIterations : 256,
+    colorOffset: Number.isFinite(colorOffset) ? colorOffset : 0,
+    formula: Object.hasOwn(FORMULAS, entry.formula) ? entry.formula : 'mandelbrot',
+    ...(Number.isFinite(exponent) && { exponent }),
+    ...(typeof entry.polynomial === 'string' && { polynomial: entry.polynomial })
+  };
+}
+
+// Accepts a bare list or an exported file; entries that do not describe a
+// view are dropped
+export function parseBookmarks(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.bookmarks;
+  if (!Array.isArray(list)) throw new Error('No bookmarks found in the file');
+  return list.map(normalizeBookmark).filter(Boolean);
+}
+
+export function loadBookmarks() {
+  try {
+    return parseBookmarks(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.warn('Could not read Mandelbrot bookmarks:', error);
+    return [];
+  }
+}
+
+export function saveBookmarks(bookmarks) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bookmarks));
+  } catch (error) {
+    console.warn('Could not save Mandelbrot bookmarks:', error);
+  }
+}
+
+function button(text, className, onClick) {
+  const element = document.createElement('button');
+  element.type = 'button';
+  element.className = className;
+  element.textContent = text;
+  element.addEventListener('click', onClick);
+  return element;
+}
+
+// Panel over the exhibit with the tour and the saved bookmarks.
+// handlers: { current() -> bookmark of the view on screen, go(stops),
+//             stop(), touring() -> boolean }
+export class BookmarkPanel {
+  constructor(container, tour, handlers) {
+    this.tour = tour;
+    this.handlers = handlers;
+    this.bookmarks = loadBookmarks();
+
+    this.element = document.createElement('div');
+    this.element.className = 'overlay-panel bookmark-panel';
+    this.element.hidden = true;
+
+    const tourTitle = document.createElement('h4');
+    tourTitle.textContent = 'Tour';
+    this.tourList = document.createElement('ul');
+    this.tourList.className = 'bookmark-list';
+    for (const stop of tour) {
+      const item = document.createElement('li');
+      item.append(button(stop.name, 'bookmark-go', () => handlers.go([stop])));
+      this.tourList.append(item);
+    }
+
+    this.playButton = button('Play tour', 'panel-primary', () => {
+      if (handlers.touring()) {
+        handlers.stop();
+      } else {
+        handlers.go(tour);
+      }
+      this.update();
+    });
+
+    const savedTitle = document.createElement('h4');
+    savedTitle.className = 'panel-section';
+    savedTitle.textContent = 'Bookmarks';
+    this.list = document.createElement('ul');
+    this.list.className = 'bookmark-list';
+
+    const form = document.createElement('form');
+    form.className = 'bookmark-form';
+    this.nameInput = document.createElement('input');
+    this.nameInput.type = 'text';
+    this.nameInput.placeholder = 'Name this view';
+    this.nameInput.maxLength = 80;
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'panel-primary';
+    save.textContent = 'Save';
+    form.append(this.nameInput, save);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.add();
+    });
+
+    this.status = document.createElement('p');
+    this.status.className = 'panel-status';
+
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = 'application/json,.json';
+    this.fileInput.hidden = true;
+    this.fileInput.addEventListener('change', () => this.importFile());
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-actions';
+    actions.append(
+      button('Import', 'panel-secondary', () => this.fileInput.click()),
+      button('Export', 'panel-secondary', () => this.exportFile())
+    );
+
+    const tourActions = document.createElement('div');
+    tourActions.className = 'panel-actions';
+    tourActions.append(this.playButton);
+
+    this.element.append(
+      tourTitle, this.tourList, tourActions,
+      savedTitle, this.list, form, this.status, actions, this.fileInput
+    );
+    container.appendChild(this.element);
+    this.renderList();
+  }
+
+  toggle() {
+    this.element.hidden = !this.element.hidden;
+    this.update();
+  }
+
+  // Reflect whether a tour is running on the play button
+  update() {
+    this.playButton.textContent = this.handlers.touring() ? 'Stop tour' : 'Play tour';
+  }
+
+  renderList() {
+    this.list.replaceChildren(...this.bookmarks.map((bookmark, index) => {
+      const item = document.createElement('li');
+      const remove = button('×', 'bookmark-remove', () => {
+        this.bookmarks.splice(index, 1);
+        saveBookmarks(this.bookmarks);
+        this.renderList();
+      });
+      remove.title = `Delete "${bookmark.name}"`;
+      item.append(button(bookmark.name, 'bookmark-go', () => this.handlers.go([bookmark])), remove);
+      return item;
+    }));
+    if (!this.bookmarks.length) {
+      const empty = document.createElement('li');
+      empty.className = 'bookmark-empty';
+      empty.textContent = 'No bookmarks yet';
+      this.list.append(empty);
+    }
+  }
+
+  add() {
+    const bookmark = this.handlers.current();
+    bookmark.name = this.nameInput.value.trim() || `View ${this.bookmarks.length + 1}`;
+    this.bookmarks.push(bookmark);
+    saveBookmarks(this.bookmarks);
+    this.nameInput.value = '';
+    this.status.textContent = `Saved "${bookmark.name}"`;
+    this.renderList();
+  }
+
+  exportFile() {
+    const json = JSON.stringify({ exhibit: 'mandelbrot', bookmarks: this.bookmarks }, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'mandelbrot-bookmarks.json');
+  }
+
+  // Imported bookmarks are added after the existing ones
+  async importFile() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseBookmarks(await file.text());
+      this.bookmarks.push(...imported);
+      saveBookmarks(this.bookmarks);
+      this.renderList();
+      this.status.textContent = `Imported ${imported.length} bookmark${imported.length === 1 ? '' : 's'}`;
+    } catch (error) {
+      this.status.textContent = error instanceof SyntaxError ? 'That file is not JSON' : error.message;
+    }
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
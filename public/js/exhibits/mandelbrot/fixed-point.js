@@ -0,0 +1,70 @@
+// Fixed-point arithmetic on BigInt for deep-zoom coordinates
+//
+// A value v with `bits` fractional bits is stored as the BigInt
+// round(v * 2^bits). Only what the explorer needs is here: conversion from
+// and to numbers and decimal strings, rescaling and multiplication.
+
+export function fromNumber(value, bits) {
+  if (!Number.isFinite(value) || value === 0) return 0n;
+
+  // Split into a 53-bit integer mantissa and a power of two so values far
+  // outside the double exponent range after scaling stay exact
+  const exponent = Math.floor(Math.log2(Math.abs(value))) - 52;
+  const mantissa = BigInt(Math.round(value / 2 ** exponent));
+  const shift = bits + exponent;
+  return shift >= 0 ? mantissa << BigInt(shift) : mantissa >> BigInt(-shift);
+}
+
+export function toNumber(value, bits) {
+  // Keep the BigInt inside the double range before converting
+  const shift = Math.max(0, bits - 64);
+  return Number(value >> BigInt(shift)) / 2 ** (bits - shift);
+}
+
+// Parse a decimal string such as "-0.7436438870371587047521915" or "1.5e-3";
+// returns null if it is not a number, or its exponent or size is beyond
+// what `bits` can hold
+export function fromDecimal(text, bits) {
+  const match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i.exec(String(text));
+  if (!match || !(match[2] || match[3])) return null;
+
+  // Decimal places `bits` resolves, with a margin; digits further down
+  // cannot change the result and only make the BigInts slow to build
+  const places = Math.ceil(bits * Math.log10(2)) + 20;
+  const [, sign, whole = '', fraction = '', exponentText = '0'] = match;
+  const shift = Number(exponentText);
+  if (Math.abs(shift) > places || whole.replace(/^0+/, '').length + shift > places) return null;
+  const kept = fraction.slice(0, Math.max(0, places + shift));
+  const exponent = shift - kept.length;
+  let numerator = BigInt((whole + kept) || '0') << BigInt(bits);
+  let denominator = 1n;
+  if (exponent >= 0) {
+    numerator *= 10n ** BigInt(exponent);
+  } else {
+    denominator = 10n ** BigInt(-exponent);
+  }
+
+  const value = (numerator + denominator / 2n) / denominator;
+  return sign === '-' ? -value : value;
+}
+
+// Decimal string rounded to `digits` places, without trailing zeros
+export function toDecimal(value, bits, digits) {
+  const negative = value < 0n;
+  const magnitude = negative ? -value : value;
+  const scaled = (magnitude * 10n ** BigInt(digits) + (1n << BigInt(bits - 1))) >> BigInt(bits);
+
+  const text = scaled.toString().padStart(digits + 1, '0');
+  const whole = text.slice(0, text.length - digits);
+  const fraction = text.slice(text.length - digits).replace(/0+$/, '');
+  const result = fraction ? `${whole}.${fraction}` : whole;
+  return negative && scaled !== 0n ? `-${result}` : result;
+}
+
+export function rescale(value, from, to) {
+  return to >= from ? value << BigInt(to - from) : value >> BigInt(from - to);
+}
+
+export function multiply(a, b, bits) {
+  return (a * b) >> BigInt(bits);
+}
@@ -0,0 +1,269 @@
+// Mandelbrot math, shared by the exhibit and its render workers. A view is
+// { centerX, centerY, zoom, maxIterations, coloring, formula }; everything
+// here is a pure function of it. Formulas other than z^2 + c come from
+// fractal/formulas.js and stop at double precision. Pixels come out as
+// colouring values, one float per pixel, which the exhibit turns into
+// colours (see fractal/coloring.js).
+//
+// Deep zooms, where doubles can no longer tell neighbouring pixels apart,
+// use perturbation: one reference orbit at the view centre is iterated in
+// BigInt fixed point, and every pixel only tracks its small difference from
+// that orbit in doubles. A series approximation skips the first iterations,
+// which are the same for the whole tile up to a cubic in the pixel offset.
+// Pixels whose difference grows too large are rebased onto the start of
+// the reference orbit, which also covers a reference that escapes early.
+
+import { toNumber } from './fixed-point.js';
+import { OrbitStats } from '../../fractal/coloring.js';
+import { iterator, escapeOptions } from '../../fractal/formulas.js';
+
+// Series approximation stops once it is off by this much (relative) at any
+// probe point
+const SERIES_TOLERANCE = 1e-10;
+
+// Iterate c = (cx, cy) and reduce its orbit to a colouring value (see
+// fractal/coloring.js)
+export function mandelbrot(cx, cy, maxIterations, stats) {
+  const { bailout, derivative, tracking } = stats;
+  let x = 0;
+  let y = 0;
+  let dx = 0;
+  let dy = 0;
+  let iteration = 0;
+
+  stats.begin();
+  while (x * x + y * y <= bailout && iteration < maxIterations) {
+    // dz' = 2 z dz + 1, for the distance estimate
+    if (derivative) {
+      const dxtemp = 2 * (x * dx - y * dy) + 1;
+      dy = 2 * (x * dy + y * dx);
+      dx = dxtemp;
+    }
+
+    const xtemp = x * x - y * y + cx;
+    y = 2 * x * y + cy;
+    x = xtemp;
+    iteration++;
+    if (tracking) stats.add(x, y);
+  }
+
+  return iteration < maxIterations
+    ? stats.escaped(iteration, x, y, dx, dy)
+    : stats.inside(x, y);
+}
+
+// Set the step x step block at (px, py), clipped to the image
+function fillBlock(image, px, py, step, value) {
+  const { width, height, values } = image;
+  const blockWidth = Math.min(step, width - px);
+  const blockHeight = Math.min(step, height - py);
+  for (let by = 0; by < blockHeight; by++) {
+    values.fill(value, (py + by) * width + px, (py + by) * width + px + blockWidth);
+  }
+}
+
+// Fill image ({ width, height, values }) with the window at (offsetX, offsetY)
+// of a fullWidth x fullHeight rendering of view. With step > 1 only one
+// pixel per step x step block is computed and the block is filled with it,
+// for a quick coarse preview.
+export function renderPixels(image, offsetX, offsetY, fullWidth, fullHeight, view, step = 1) {
+  const { centerX, centerY, zoom, maxIterations } = view;
+  const aspectRatio = fullWidth / fullHeight;
+  const rangeX = 4 / zoom;
+  const rangeY = rangeX / aspectRatio;
+  const stats = new OrbitStats(view.coloring, rangeX / fullWidth, escapeOptions(view.formula));
+  const iterate = view.formula && view.formula.name !== 'mandelbrot' ? iterator(view.formula) : mandelbrot;
+
+  const minX = centerX - rangeX / 2;
+  const minY = centerY - rangeY / 2;
+
+  for (let py = 0; py < image.height; py += step) {
+    for (let px = 0; px < image.width; px += step) {
+      // Map pixel to complex plane
+      const cx = minX + ((px + offsetX) / fullWidth) * rangeX;
+      const cy = minY + ((py + offsetY) / fullHeight) * rangeY;
+
+      fillBlock(image, px, py, step, iterate(cx, cy, maxIterations, stats));
+    }
+  }
+}
+
+// --- Deep zoom ---
+
+// Reference orbit of the fixed-point point (cx, cy) as interleaved doubles
+// re, im, starting at Z0 = 0. It ends at maxIterations or just after the
+// orbit escapes; length is the number of points.
+export function referenceOrbit(cx, cy, bits, maxIterations) {
+  const orbit = new Float64Array((maxIterations + 1) * 2);
+  const shift = BigInt(bits);
+  const four = 4n << shift;
+  let x = 0n;
+  let y = 0n;
+  let length = 1;
+
+  while (length <= maxIterations) {
+    const xx = (x * x) >> shift;
+    const yy = (y * y) >> shift;
+    const xy = (x * y) >> shift;
+    x = xx - yy + cx;
+    y = 2n * xy + cy;
+
+    orbit[length * 2] = toNumber(x, bits);
+    orbit[length * 2 + 1] = toNumber(y, bits);
+    length++;
+
+    if (((x * x + y * y) >> shift) > four) break;
+  }
+
+  return { orbit: orbit.slice(0, length * 2), length };
+}
+
+// Coefficients of dz_skip ~ a*u + b*u^2 + c*u^3 for pixel offsets dc = u * radius
+// (|u| <= 1), as [re, im] pairs. Scaling by radius keeps the coefficients
+// inside the double range at any zoom. probes ([dcr, dci] offsets around the
+// tile's edge) are iterated exactly alongside; the series stops being used
+// once it drifts from any of them or one escapes.
+export function seriesApproximation(orbit, length, radius, probes) {
+  let ar = 0, ai = 0, br = 0, bi = 0, cr = 0, ci = 0;
+  let skip = 0;
+  const dz = probes.map(() => [0, 0]);
+
+  for (let n = 0; n < length - 2; n++) {
+    const zr = orbit[n * 2];
+    const zi = orbit[n * 2 + 1];
+
+    // a' = 2Za + radius, b' = 2Zb + a^2, c' = 2Zc + 2ab
+    const nar = 2 * (zr * ar - zi * ai) + radius;
+    const nai = 2 * (zr * ai + zi * ar);
+    const nbr = 2 * (zr * br - zi * bi) + ar * ar - ai * ai;
+    const nbi = 2 * (zr * bi + zi * br) + 2 * ar * ai;
+    const ncr = 2 * (zr * cr - zi * ci) + 2 * (ar * br - ai * bi);
+    const nci = 2 * (zr * ci + zi * cr) + 2 * (ar * bi + ai * br);
+    if (!Number.isFinite(nar + nai + nbr + nbi + ncr + nci)) break;
+
+    let valid = true;
+    for (let i = 0; i < probes.length && valid; i++) {
+      const [dcr, dci] = probes[i];
+      const [pr, pi] = dz[i];
+      const qr = 2 * (zr * pr - zi * pi) + pr * pr - pi * pi + dcr;
+      const qi = 2 * (zr * pi + zi * pr) + 2 * pr * pi + dci;
+      dz[i][0] = qr;
+      dz[i][1] = qi;
+
+      const [sr, si] = evaluateSeries([nar, nai], [nbr, nbi], [ncr, nci], dcr / radius, dci / radius);
+      const escaped = (orbit[n * 2 + 2] + qr) ** 2 + (orbit[n * 2 + 3] + qi) ** 2 > 4;
+      valid = !escaped && Math.hypot(sr - qr, si - qi) <= SERIES_TOLERANCE * Math.hypot(qr, qi);
+    }
+    if (!valid) break;
+
+    ar = nar; ai = nai;
+    br = nbr; bi = nbi;
+    cr = ncr; ci = nci;
+    skip = n + 1;
+  }
+
+  return { skip, a: [ar, ai], b: [br, bi], c: [cr, ci] };
+}
+
+// a*u + b*u^2 + c*u^3 for complex a, b, c and u = (ur, ui)
+function evaluateSeries(a, b, c, ur, ui) {
+  const u2r = ur * ur - ui * ui;
+  const u2i = 2 * ur * ui;
+  const u3r = u2r * ur - u2i * ui;
+  const u3i = u2r * ui + u2i * ur;
+  return [
+    a[0] * ur - a[1] * ui + b[0] * u2r - b[1] * u2i + c[0] * u3r - c[1] * u3i,
+    a[0] * ui + a[1] * ur + b[0] * u2i + b[1] * u2r + c[0] * u3i + c[1] * u3r
+  ];
+}
+
+// Colouring value of the pixel at offset (dcr, dci) from the reference
+function perturbedIteration(dcr, dci, orbit, length, series, radius, maxIterations, stats) {
+  const { bailout, derivative, tracking } = stats;
+
+  // Start at the end of the series approximation
+  const { skip, a, b, c } = series;
+  let [dzr, dzi] = evaluateSeries(a, b, c, dcr / radius, dci / radius);
+  let m = skip;
+  let derr = 0;
+  let deri = 0;
+
+  stats.begin();
+  for (let n = skip; n < maxIterations; n++) {
+    const zr = orbit[m * 2] + dzr;
+    const zi = orbit[m * 2 + 1] + dzi;
+    const magnitude = zr * zr + zi * zi;
+    if (n > 0 && tracking) stats.add(zr, zi);
+
+    if (magnitude > bailout) {
+      return stats.escaped(n, zr, zi, derr, deri);
+    }
+
+    // Derivative of the full orbit, dz/dc' = 2 z dz/dc + 1
+    if (derivative) {
+      const nderr = 2 * (zr * derr - zi * deri) + 1;
+      deri = 2 * (zr * deri + zi * derr);
+      derr = nderr;
+    }
+
+    // Rebase when the pixel has wandered closer to zero than to the
+    // reference, or the reference has run out
+    if (magnitude < dzr * dzr + dzi * dzi || m === length - 1) {
+      dzr = zr;
+      dzi = zi;
+      m = 0;
+    }
+
+    // dz' = 2 Z dz + dz^2 + dc
+    const Zr = orbit[m * 2];
+    const Zi = orbit[m * 2 + 1];
+    const ndzr = 2 * (Zr * dzr - Zi * dzi) + dzr * dzr - dzi * dzi + dcr;
+    dzi = 2 * (Zr * dzi + Zi * dzr) + 2 * dzr * dzi + dci;
+    dzr = ndzr;
+    m++;
+  }
+
+  const zr = orbit[m * 2] + dzr;
+  const zi = orbit[m * 2 + 1] + dzi;
+  if (tracking) stats.add(zr, zi);
+  return stats.inside(zr, zi);
+}
+
+// renderPixels() for deep zooms: the view centre is the reference orbit's
+// point, so only offsets from it (small doubles) are needed per pixel
+export function renderPerturbed(image, offsetX, offsetY, fullWidth, fullHeight, view, step, reference) {
+  const { zoom, maxIterations } = view;
+  const { orbit, length } = reference;
+  const rangeX = 4 / zoom;
+  const rangeY = rangeX * fullHeight / fullWidth;
+  const offset = (p, full, range) => (p / full - 0.5) * range;
+  const stats = new OrbitStats(view.coloring, rangeX / fullWidth);
+
+  // The series is scaled to the farthest corner of this tile and checked
+  // against its corners and edge midpoints
+  const probes = [];
+  for (const x of [0, 0.5, 1]) {
+    for (const y of [0, 0.5, 1]) {
+      if (x === 0.5 && y === 0.5) continue;
+      probes.push([
+        offset(offsetX + x * image.width, fullWidth, rangeX),
+        offset(offsetY + y * image.height, fullHeight, rangeY)
+      ]);
+    }
+  }
+  const radius = Math.max(...probes.map(([x, y]) => Math.hypot(x, y)));
+  // The distance estimate needs the derivative from the first iteration,
+  // which the series does not provide
+  const series = stats.derivative
+    ? { skip: 0, a: [0, 0], b: [0, 0], c: [0, 0] }
+    : seriesApproximation(orbit, length, radius, probes);
+
+  for (let py = 0; py < image.height; py += step) {
+    for (let px = 0; px < image.width; px += step) {
+      const dcr = offset(px + offsetX, fullWidth, rangeX);
+      const dci = offset(py + offsetY, fullHeight, rangeY);
+      const value = perturbedIteration(dcr, dci, orbit, length, series, radius, maxIterations, stats);
+      fillBlock(image, px, py, step, value);
+    }
+  }
+}
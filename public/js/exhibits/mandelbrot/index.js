@@ -1,287 +1,771 @@
 // Mandelbrot Set Explorer
-// Interactive fractal with infinite zoom capability
+// Interactive fractal with infinite zoom capability. Tiles are rendered by a
+// pool of workers (worker.js), coarse first and then at full resolution.
+// The view centre is kept in BigInt fixed point with enough bits for the
+// zoom; past DEEP_ZOOM the workers switch to perturbation (see fractal.js).
+// Bookmarks and the tour fly between views along a smooth zoom-and-pan path.
+// Workers return colouring values rather than colours, so a new gradient or
+// colour offset repaints the frame without iterating again. Where WebGL2 is
+// available, views short of the deep zoom are computed on the GPU instead,
+// with the same values (see fractal/gpu-renderer.js). Other formulas
+// (Burning Ship, Multibrot, Newton, ...) share the renderer and navigation
+// but not the deep zoom.
+
+import { Exhibit } from '../../core/exhibit.js';
+import { buildStateUrl } from '../../core/url-state.js';
+import { WorkerPool } from '../../core/worker-pool.js';
+import { PanZoomGestures } from '../../core/pan-zoom.js';
+import { fromNumber, toNumber, fromDecimal, toDecimal, rescale } from './fixed-point.js';
+import { TOUR, flightPath } from './tour.js';
+import { BookmarkPanel } from './bookmarks.js';
+import {
+  createPalette, colorize, equalize,
+  DEFAULT_GRADIENT, gradientToString, parseGradient, sameGradient
+} from '../../fractal/coloring.js';
+import { GradientEditor } from '../../fractal/gradient-editor.js';
+import { GpuRenderer } from '../../fractal/gpu-renderer.js';
+import { FORMULAS, formulaSpec } from '../../fractal/formulas.js';
+
+const TILE_SIZE = 128;
+
+// Doubles resolve pixels comfortably up to here; deeper views use a
+// reference orbit and perturbation
+const DEEP_ZOOM = 1e10;
+
+// Pixel offsets from the centre are still doubles, which bottom out near
+// 1e-308. Formulas without perturbation stop at DEEP_ZOOM.
+const MAX_ZOOM = 1e290;
+const MIN_ZOOM = 0.25;
+
+// Centres further out than this from the origin are off anything the
+// explorer draws; links that ask for one keep the current centre
+const PLANE_EXTENT = 4;
+
+// Views kept for back/forward
+const MAX_HISTORY = 100;
+
+// Fractional bits for the centre at a zoom: 64 bits beyond the pixel scale,
+// in 32-bit steps so the precision does not change on every click
+function precisionFor(zoom) {
+  return 64 + 32 * Math.ceil(Math.max(0, Math.log2(zoom)) / 32);
+}
+
+// Pixel step of the quick preview pass. The final pass follows at full
+// resolution, or in blocks while the quality governor holds it down.
+const PREVIEW_STEP = 8;
+
+// Flights draw quick frames at this pixel step, and cover this much of the
+// path (see tour.js) per second
+const FLIGHT_STEP = 4;
+const FLIGHT_SPEED = 1.5;
+
+// Seconds a tour lingers on each stop once it has rendered
+const TOUR_HOLD = 4;
 
-export default class MandelbrotExhibit {
+export default class MandelbrotExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.canvas = null;
     this.ctx = null;
-    this.imageData = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
-
-    // Mandelbrot parameters
-    this.centerX = -0.5;
-    this.centerY = 0;
+    this.pool = null;
+    this.gpu = null;
+    this.progress = null;
+    this.gestures = null;
+    this.renderJob = 0;
+
+    // Copy of the last image, moved around while a gesture is under way
+    this.snapshot = null;
+
+    // Flight through a list of bookmarks or tour stops, and the last quick
+    // frame drawn along the way
+    this.bookmarkPanel = null;
+    this.tour = null;
+    this.flight = null;
+
+    // Colouring values of the frame on screen, per tile, and the gradient
+    // and histogram (for the histogram algorithm) they are painted with
+    this.frame = null;
+    this.gradient = DEFAULT_GRADIENT;
+    this.histogram = null;
+    this.gradientEditor = null;
+
+    // Reference orbit currently held by the workers
+    this.reference = null;
+    this.referenceId = 0;
+
+    // Static image: only redraw when the view changes. Tiles land after
+    // render() returns, so renders are timed when the last one is in.
+    this.animated = false;
+    this.deferredRender = true;
+
+    // Formula as sent to the workers, rebuilt when its params change
+    this.currentFormula = formulaSpec(this.formula, this);
+    this.keepView = false;
+
+    // View: centre in fixed point with this.precision fractional bits
     this.zoom = 1;
-    this.maxIterations = 256;
-    this.colorOffset = 0;
-
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
+    this.precision = precisionFor(this.zoom);
+    this.center = { x: 0n, y: 0n };
+    this.home();
+
+    // Previously visited views; historyIndex is the one on screen
+    this.history = [];
+    this.historyIndex = -1;
+    this.pushHistory();
   }
 
-  async init() {
+  async setup() {
     // Create canvas
     this.canvas = document.createElement('canvas');
     this.container.appendChild(this.canvas);
 
     // Get context
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.ctx = this.canvas.getContext('2d');
+
+    // Tiles are computed off the main thread so zooming never freezes the UI
+    this.pool = new WorkerPool(new URL('./worker.js', import.meta.url));
+    this.gpu = GpuRenderer.create({
+      onLost: () => {
+        this.frame = null;
+        this.invalidate();
+      }
+    });
+
+    this.progress = document.createElement('div');
+    this.progress.className = 'render-progress done';
+    this.progress.setAttribute('role', 'progressbar');
+    this.progress.setAttribute('aria-label', 'Rendering');
+    this.container.appendChild(this.progress);
 
     // Set up canvas size
     this.resize();
 
-    // Add event listeners
-    this.canvas.addEventListener('click', this.handleClick.bind(this));
+    this.bookmarkPanel = new BookmarkPanel(this.container, TOUR, {
+      current: () => this.bookmark(),
+      go: (stops) => this.startTour(stops),
+      stop: () => {
+        this.stopTour();
+        this.pushHistory();
+        this.invalidate();
+        this.notifyStateChange();
+      },
+      touring: () => Boolean(this.tour)
+    });
 
-    // Create FPS counter
-    this.createFPSCounter();
+    this.gradientEditor = new GradientEditor(this.container, {
+      stops: this.gradient,
+      onChange: (stops) => {
+        this.gradient = stops;
+        this.invalidate();
+        this.notifyStateChange();
+      }
+    });
 
-    // Create controls
-    this.createControls();
+    // Add event listeners
+    this.gestures = new PanZoomGestures(this, this.canvas, {
+      onPreview: (transform) => this.previewTransform(transform),
+      onCommit: (transform) => this.commitTransform(transform)
+    });
+    // Where the pointer is, for J (the Julia set at that point)
+    this.pointer = null;
+    this.listen(this.canvas, 'pointermove', (e) => {
+      this.pointer = { x: e.offsetX, y: e.offsetY };
+    });
+    this.listen(this.canvas, 'pointerleave', () => {
+      this.pointer = null;
+    });
+    this.listen(window, 'keydown', (e) => {
+      if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
+      if (e.key === '[') this.back();
+      if (e.key === ']') this.forward();
+      if (e.key === 'b' || e.key === 'B') this.toggleBookmarks();
+      if (e.key === 'g' || e.key === 'G') this.toggleGradient();
+      if ((e.key === 'j' || e.key === 'J') && this.formula === 'mandelbrot') this.openJulia();
+    });
 
     // Initial render will happen in start()
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
+  // Show the last image moved and scaled to follow a gesture. Tiles still
+  // in flight are dropped so they do not land on top of it.
+  previewTransform({ scale, x, y }) {
+    if (this.tour) this.stopTour();
+    if (!this.snapshot) {
+      this.renderJob++;
+      this.cancelTiles();
+      this.frame = null;
+      this.showProgress(1);
+      this.snapshot = document.createElement('canvas');
+      this.snapshot.width = this.canvas.width;
+      this.snapshot.height = this.canvas.height;
+      this.snapshot.getContext('2d').drawImage(this.canvas, 0, 0);
+    }
+
+    this.drawTransformed(this.snapshot, { scale, x, y });
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
+  // Draw a canvas-sized image with a transform given in CSS pixels
+  drawTransformed(image, { scale, x, y }) {
+    const dpr = this.canvas.width / this.canvas.clientWidth;
+    this.ctx.fillStyle = '#000';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.setTransform(scale, 0, 0, scale, x * dpr, y * dpr);
+    this.ctx.drawImage(image, 0, 0);
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
 
-    controlsContainer.innerHTML = '';
+  // Move to the view a gesture ended on: what was under the middle of the
+  // screen becomes the centre, and the zoom grows by the gesture's scale
+  commitTransform(transform) {
+    this.previewTransform(transform);
+    this.snapshot = null;
 
-    // Color shift control
-    const colorSlider = document.createElement('div');
-    colorSlider.className = 'control-slider';
-    colorSlider.innerHTML = `
-      <label>Color</label>
-      <input type="range" id="color-slider" min="0" max="360" value="0" step="1">
-    `;
-    controlsContainer.appendChild(colorSlider);
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const rangeX = 4 / this.zoom;
+    const rangeY = rangeX * height / width;
+    const x = (width / 2 - transform.x) / transform.scale;
+    const y = (height / 2 - transform.y) / transform.scale;
 
-    document.getElementById('color-slider')?.addEventListener('input', (e) => {
-      this.colorOffset = parseInt(e.target.value);
-      this.render();
-    });
+    this.moveCenter((x / width - 0.5) * rangeX, (y / height - 0.5) * rangeY);
+    this.setZoom(this.zoom * transform.scale);
 
-    // Iteration control
-    const iterSlider = document.createElement('div');
-    iterSlider.className = 'control-slider';
-    iterSlider.innerHTML = `
-      <label>Detail</label>
-      <input type="range" id="iter-slider" min="64" max="512" value="256" step="64">
-    `;
-    controlsContainer.appendChild(iterSlider);
-
-    document.getElementById('iter-slider')?.addEventListener('input', (e) => {
-      this.maxIterations = parseInt(e.target.value);
-      this.render();
+    // Increase iterations for deeper zooms
+    if (this.zoom > 100) {
+      this.setParam('maxIterations', Math.max(this.maxIterations, Math.floor(256 + Math.log2(this.zoom) * 32)));
+    }
+
+    this.pushHistory();
+    this.invalidate();
+    this.notifyStateChange();
+  }
+
+  // --- History ---
+
+  // Record the current view, dropping anything ahead of it
+  pushHistory() {
+    const current = this.history[this.historyIndex];
+    if (current && current.x === this.center.x && current.y === this.center.y &&
+        current.precision === this.precision && current.zoom === this.zoom &&
+        current.formula === this.formula) return;
+
+    this.history.splice(this.historyIndex + 1);
+    this.history.push({
+      x: this.center.x,
+      y: this.center.y,
+      precision: this.precision,
+      zoom: this.zoom,
+      formula: this.formula
     });
+    if (this.history.length > MAX_HISTORY) this.history.shift();
+    this.historyIndex = this.history.length - 1;
+  }
 
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset view (R)';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
-  }
-
-  handleClick(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-
-    // Convert click coordinates to complex plane
-    const width = this.canvas.width / window.devicePixelRatio;
-    const height = this.canvas.height / window.devicePixelRatio;
-
-    const aspectRatio = width / height;
-    const rangeX = 4 / this.zoom;
-    const rangeY = rangeX / aspectRatio;
+  goToHistory(index) {
+    const entry = this.history[index];
+    if (!entry) return;
+    if (this.tour) this.stopTour();
+
+    this.historyIndex = index;
+    if (entry.formula !== this.formula) this.switchFormula(entry.formula);
+    this.zoom = entry.zoom;
+    this.precision = entry.precision;
+    this.center = { x: entry.x, y: entry.y };
+    this.invalidate();
+    this.notifyStateChange();
+  }
 
-    const clickX = this.centerX + (x / width - 0.5) * rangeX;
-    const clickY = this.centerY + (y / height - 0.5) * rangeY;
+  back() {
+    this.goToHistory(this.historyIndex - 1);
+  }
 
-    // Zoom in on clicked point
-    this.centerX = clickX;
-    this.centerY = clickY;
-    this.zoom *= 2;
+  forward() {
+    this.goToHistory(this.historyIndex + 1);
+  }
 
-    // Increase iterations for deeper zooms
-    if (this.zoom > 100) {
-      this.maxIterations = Math.min(512, Math.floor(256 + Math.log2(this.zoom) * 32));
+  // --- Formulas ---
+
+  // Go to the formula's default view
+  home() {
+    const { x, y, zoom } = FORMULAS[this.formula].view;
+    this.setZoom(zoom);
+    this.center = { x: fromNumber(x, this.precision), y: fromNumber(y, this.precision) };
+  }
+
+  // Change formula but stay on the current view, for history and tours,
+  // which set the view themselves
+  switchFormula(formula) {
+    this.keepView = true;
+    this.setParam('formula', formula);
+    this.keepView = false;
+  }
+
+  onParamChange(key, value, previous) {
+    if (key !== 'formula' && key !== 'exponent' && key !== 'polynomial') return;
+
+    // A polynomial that does not parse is put back to the last one that did
+    const formula = formulaSpec(this.formula, this);
+    if (!formula) {
+      this.setParam(key, previous);
+      return;
     }
+    this.currentFormula = formula;
 
-    this.render();
+    if (key === 'formula' && !this.keepView) {
+      if (this.tour) this.stopTour();
+      this.home();
+      this.pushHistory();
+    }
   }
 
-  reset() {
-    this.centerX = -0.5;
-    this.centerY = 0;
-    this.zoom = 1;
-    this.maxIterations = 256;
-    this.colorOffset = 0;
+  // --- Bookmarks and tour ---
+
+  // The view on screen as a bookmark (see bookmarks.js)
+  bookmark() {
+    const { x, y, zoom } = this.getState();
+    return {
+      name: '',
+      centerX: x,
+      centerY: y,
+      zoom: Number(zoom),
+      maxIterations: this.maxIterations,
+      colorOffset: this.colorOffset,
+      formula: this.formula,
+      ...(this.formula === 'multibrot' && { exponent: this.exponent }),
+      ...(this.formula === 'newton' && { polynomial: this.polynomial })
+    };
+  }
+
+  // Fly to each stop in turn, pausing on it; a single bookmark is a tour
+  // with one stop
+  startTour(stops) {
+    if (this.tour) this.stopTour();
+    this.tour = { stops, index: 0 };
+    this.animated = true;
+    this.startLeg();
+    this.bookmarkPanel.update();
+  }
+
+  // Stopping mid-flight leaves the view wherever it had got to
+  stopTour() {
+    clearTimeout(this.tour?.timer);
+    this.tour = null;
+    this.flight = null;
+    this.animated = false;
+    this.bookmarkPanel.update();
+  }
+
+  startLeg() {
+    this.animated = true;
+    const stop = this.tour.stops[this.tour.index];
+    this.setParam('maxIterations', stop.maxIterations);
+    this.setParam('colorOffset', stop.colorOffset);
+    if (stop.exponent !== undefined) this.setParam('exponent', stop.exponent);
+    if (stop.polynomial !== undefined) this.setParam('polynomial', stop.polynomial);
+    const formula = stop.formula || 'mandelbrot';
+    if (formula !== this.formula) this.switchFormula(formula);
+
+    // Both ends at the precision of the finer one
+    const precision = Math.max(this.precision, precisionFor(stop.zoom));
+    const fromX = rescale(this.center.x, this.precision, precision);
+    const fromY = rescale(this.center.y, this.precision, precision);
+    const dx = toNumber(fromDecimal(stop.centerX, precision) - fromX, precision);
+    const dy = toNumber(fromDecimal(stop.centerY, precision) - fromY, precision);
+
+    this.tour.leg = {
+      fromX, fromY, dx, dy, precision,
+      path: flightPath(Math.hypot(dx, dy), 4 / this.zoom, 4 / stop.zoom),
+      s: 0
+    };
+  }
 
-    // Reset sliders
-    const colorSlider = document.getElementById('color-slider');
-    const iterSlider = document.getElementById('iter-slider');
-    if (colorSlider) colorSlider.value = '0';
-    if (iterSlider) iterSlider.value = '256';
+  // Land exactly on the stop and render it in full; the loop goes back to
+  // drawing on demand until the tour moves on (see showProgress)
+  arrive() {
+    const stop = this.tour.stops[this.tour.index];
+    this.setZoom(stop.zoom);
+    this.center = {
+      x: fromDecimal(stop.centerX, this.precision),
+      y: fromDecimal(stop.centerY, this.precision)
+    };
+    this.tour.leg = null;
+    this.flight = null;
+    // A stop already on screen still needs a full render to start its hold
+    this.frame = null;
+    this.animated = false;
+    this.pushHistory();
+    this.invalidate();
+    this.notifyStateChange();
+  }
 
-    this.render();
+  // Called once a stop has finished rendering
+  holdTour() {
+    const tour = this.tour;
+    clearTimeout(tour.timer);
+    tour.timer = setTimeout(() => {
+      if (tour.index + 1 < tour.stops.length) {
+        tour.index++;
+        this.startLeg();
+      } else {
+        this.stopTour();
+      }
+    }, TOUR_HOLD * 1000);
   }
 
-  // Calculate Mandelbrot set membership and iteration count
-  mandelbrot(cx, cy) {
-    let x = 0;
-    let y = 0;
-    let iteration = 0;
+  update(dt) {
+    const leg = this.tour?.leg;
+    if (!leg) return;
 
-    while (x * x + y * y <= 4 && iteration < this.maxIterations) {
-      const xtemp = x * x - y * y + cx;
-      y = 2 * x * y + cy;
-      x = xtemp;
-      iteration++;
+    leg.s = Math.min(leg.path.length, leg.s + dt * FLIGHT_SPEED);
+    if (leg.s >= leg.path.length) {
+      this.arrive();
+      return;
     }
 
-    // Smooth coloring using continuous iteration count
-    if (iteration < this.maxIterations) {
-      const log_zn = Math.log(x * x + y * y) / 2;
-      const nu = Math.log(log_zn / Math.log(2)) / Math.log(2);
-      iteration = iteration + 1 - nu;
+    const { fraction, width } = leg.path.at(leg.s);
+    this.precision = leg.precision;
+    this.center = {
+      x: leg.fromX + fromNumber(leg.dx * fraction, leg.precision),
+      y: leg.fromY + fromNumber(leg.dy * fraction, leg.precision)
+    };
+    this.setZoom(4 / width);
+  }
+
+  // Transform that takes the picture of an earlier view to where that part
+  // of the plane sits in the current one
+  transformFrom(view) {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const precision = Math.max(view.precision, this.precision);
+    const dx = toNumber(rescale(view.x, view.precision, precision) - rescale(this.center.x, this.precision, precision), precision);
+    const dy = toNumber(rescale(view.y, view.precision, precision) - rescale(this.center.y, this.precision, precision), precision);
+    const pixels = this.zoom * width / 4;
+    const scale = this.zoom / view.zoom;
+    return {
+      scale,
+      x: width / 2 * (1 - scale) + dx * pixels,
+      y: height / 2 * (1 - scale) + dy * pixels
+    };
+  }
+
+  // One frame of a flight: the last quick frame, moved to the current view.
+  // A new quick frame starts whenever the previous one is finished.
+  renderFlight() {
+    if (this.flight?.image) {
+      this.drawTransformed(this.flight.image, this.transformFrom(this.flight.view));
     }
+    if (this.flight?.pending) return;
 
-    return iteration;
+    const job = ++this.renderJob;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const view = { x: this.center.x, y: this.center.y, precision: this.precision, zoom: this.zoom };
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+    const ctx = image.getContext('2d');
+    const palette = this.palette();
+
+    this.frame = null;
+    this.flight = { ...this.flight, pending: true };
+    this.prepare(this.view()).then((prepared) => {
+      const tiles = this.tileGrid({ x: 0, y: 0, width, height, fullWidth: width, fullHeight: height });
+      return Promise.all(tiles.map(async (tile) => {
+        const { values } = await this.tileSource(prepared).run({ type: 'tile', tile, view: prepared, step: FLIGHT_STEP });
+        this.drawTile(ctx, tile, values, palette);
+      }));
+    }).then(() => {
+      if (job === this.renderJob && this.flight) this.flight = { image, view, pending: false };
+    }, (error) => {
+      if (error.name !== 'AbortError') console.error('Mandelbrot flight frame failed:', error);
+      if (this.flight) this.flight.pending = false;
+    });
   }
 
-  // Generate color from iteration count
-  getColor(iteration) {
-    if (iteration >= this.maxIterations) {
-      return [0, 0, 0, 255]; // Black for points in the set
+  // Shift the centre by a (small) offset in the complex plane
+  moveCenter(dx, dy) {
+    this.center.x += fromNumber(dx, this.precision);
+    this.center.y += fromNumber(dy, this.precision);
+  }
+
+  // Change the zoom, adjusting the centre's precision to match
+  setZoom(zoom) {
+    const maxZoom = FORMULAS[this.formula].deep ? MAX_ZOOM : DEEP_ZOOM;
+    this.zoom = Math.min(maxZoom, Math.max(MIN_ZOOM, zoom));
+    const precision = precisionFor(this.zoom);
+    this.center.x = rescale(this.center.x, this.precision, precision);
+    this.center.y = rescale(this.center.y, this.precision, precision);
+    this.precision = precision;
+  }
+
+  // Back to the initial view; it goes on the history like any other move,
+  // so the exploration so far is one step back
+  reset() {
+    if (this.tour) this.stopTour();
+    this.resetParams();
+    this.home();
+    this.setGradient(DEFAULT_GRADIENT);
+    this.pushHistory();
+    this.invalidate();
+    this.notifyStateChange();
+  }
+
+  getState() {
+    // Enough decimals to place the centre well within a pixel
+    const digits = Math.max(17, Math.ceil(Math.log10(this.zoom)) + 8);
+    const state = {
+      ...super.getState(),
+      x: toDecimal(this.center.x, this.precision, digits),
+      y: toDecimal(this.center.y, this.precision, digits),
+      zoom: String(this.zoom)
+    };
+    if (!sameGradient(this.gradient, DEFAULT_GRADIENT)) {
+      state.gradient = gradientToString(this.gradient);
     }
+    return state;
+  }
+
+  setState(state) {
+    super.setState(state);
+
+    const gradient = state.gradient !== undefined ? parseGradient(state.gradient) : null;
+    if (gradient) this.setGradient(gradient);
+
+    const zoom = parseFloat(state.zoom);
+    if (zoom > 0) this.setZoom(zoom);
+
+    const limit = BigInt(PLANE_EXTENT) << BigInt(this.precision);
+    const onPlane = (value) => value !== null && value >= -limit && value <= limit;
+    const x = state.x !== undefined ? fromDecimal(state.x, this.precision) : null;
+    const y = state.y !== undefined ? fromDecimal(state.y, this.precision) : null;
+    if (onPlane(x)) this.center.x = x;
+    if (onPlane(y)) this.center.y = y;
+    this.pushHistory();
+    this.invalidate();
+  }
+
+  // Everything the workers need to draw the current view
+  view() {
+    return {
+      centerX: toNumber(this.center.x, this.precision),
+      centerY: toNumber(this.center.y, this.precision),
+      zoom: this.zoom,
+      maxIterations: this.maxIterations,
+      coloring: { algorithm: this.coloring, interior: this.interior, trap: this.trap },
+      formula: this.currentFormula
+    };
+  }
+
+  // Identifies the values a render produces: while it stays the same, only
+  // the colours need repainting
+  viewKey() {
+    return [
+      this.center.x, this.center.y, this.precision, this.zoom, this.maxIterations,
+      this.formula, this.exponent, this.polynomial,
+      this.coloring, this.interior, this.trap, this.canvas.width, this.canvas.height,
+      this.passes()[1]
+    ].join(':');
+  }
 
-    // Smooth color gradients
-    const t = iteration / this.maxIterations;
-    const hue = (t * 360 + this.colorOffset) % 360;
-    const saturation = 100;
-    const lightness = t < 0.5 ? 50 + t * 50 : 100 - t * 50;
+  // Pixel steps of the refinement passes at the current quality
+  passes() {
+    return [PREVIEW_STEP, Math.max(1, Math.round(1 / this.quality))];
+  }
 
-    return this.hslToRgb(hue, saturation, lightness);
+  onQualityChange() {
+    this.invalidate();
   }
 
-  hslToRgb(h, s, l) {
-    h = h / 360;
-    s = s / 100;
-    l = l / 100;
+  // --- Colouring ---
+
+  palette(histogram = this.histogram) {
+    return createPalette({
+      gradient: this.gradient,
+      algorithm: this.coloring,
+      interior: this.interior,
+      offset: this.colorOffset / 360,
+      maxIterations: this.maxIterations,
+      histogram,
+      basins: this.currentFormula.roots?.length || 0
+    });
+  }
 
-    let r, g, b;
+  setGradient(stops) {
+    this.gradient = stops;
+    if (this.gradientEditor) this.gradientEditor.setStops(stops);
+    this.invalidate();
+    this.notifyStateChange();
+  }
 
-    if (s === 0) {
-      r = g = b = l;
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-      };
+  drawTile(ctx, tile, values, palette) {
+    const image = new ImageData(tile.width, tile.height);
+    colorize(values, image.data, palette);
+    ctx.putImageData(image, tile.x, tile.y);
+  }
 
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-      const p = 2 * l - q;
+  // Repaint the tiles of the current frame that have arrived; the rest
+  // pick up the new palette when they land
+  recolor() {
+    const frame = this.frame;
+    frame.palette = this.palette();
+    frame.tiles.forEach((tile, index) => {
+      if (frame.values[index]) this.drawTile(this.ctx, tile, frame.values[index], frame.palette);
+    });
+  }
 
-      r = hue2rgb(p, q, h + 1/3);
-      g = hue2rgb(p, q, h);
-      b = hue2rgb(p, q, h - 1/3);
+  // Deep views need the reference orbit on every worker before their tiles
+  // run; it is computed on one worker and kept until the centre or the
+  // iteration limit change
+  async prepare(view) {
+    if (this.zoom < DEEP_ZOOM || !FORMULAS[this.formula].deep) return view;
+
+    const key = `${this.center.x}:${this.center.y}:${this.precision}:${this.maxIterations}`;
+    if (this.reference?.key !== key) {
+      const { orbit, length } = await this.pool.run({
+        type: 'reference',
+        cx: this.center.x,
+        cy: this.center.y,
+        bits: this.precision,
+        maxIterations: this.maxIterations
+      });
+      this.reference = { key, id: ++this.referenceId };
+      this.pool.broadcast({ type: 'orbit', id: this.reference.id, orbit, length });
     }
+    return { ...view, reference: this.reference.id };
+  }
 
-    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255), 255];
+  // Tiles go to the GPU when it can draw the view in time, otherwise the
+  // workers
+  tileSource(view) {
+    return this.gpu?.supports(view, TILE_SIZE * TILE_SIZE) ? this.gpu : this.pool;
   }
 
-  render() {
-    const width = this.canvas.width;
-    const height = this.canvas.height;
+  cancelTiles() {
+    this.pool.cancel();
+    if (this.gpu) this.gpu.cancel();
+  }
 
-    const aspectRatio = width / height;
-    const rangeX = 4 / this.zoom;
-    const rangeY = rangeX / aspectRatio;
-
-    const minX = this.centerX - rangeX / 2;
-    const maxX = this.centerX + rangeX / 2;
-    const minY = this.centerY - rangeY / 2;
-    const maxY = this.centerY + rangeY / 2;
-
-    // Create image data
-    this.imageData = this.ctx.createImageData(width, height);
-    const data = this.imageData.data;
-
-    // Render each pixel
-    for (let py = 0; py < height; py++) {
-      for (let px = 0; px < width; px++) {
-        // Map pixel to complex plane
-        const cx = minX + (px / width) * (maxX - minX);
-        const cy = minY + (py / height) * (maxY - minY);
-
-        // Calculate Mandelbrot iteration
-        const iteration = this.mandelbrot(cx, cy);
-
-        // Get color
-        const color = this.getColor(iteration);
-
-        // Set pixel color
-        const index = (py * width + px) * 4;
-        data[index] = color[0];
-        data[index + 1] = color[1];
-        data[index + 2] = color[2];
-        data[index + 3] = color[3];
+  // Split a region of a fullWidth x fullHeight frame into worker tiles,
+  // centre first so the middle of the view resolves before the edges
+  tileGrid(region) {
+    const tiles = [];
+    for (let y = 0; y < region.height; y += TILE_SIZE) {
+      for (let x = 0; x < region.width; x += TILE_SIZE) {
+        tiles.push({
+          x: region.x + x,
+          y: region.y + y,
+          width: Math.min(TILE_SIZE, region.width - x),
+          height: Math.min(TILE_SIZE, region.height - y),
+          fullWidth: region.fullWidth,
+          fullHeight: region.fullHeight
+        });
       }
     }
 
-    // Draw to canvas
-    this.ctx.putImageData(this.imageData, 0, 0);
-
-    // Update FPS
-    this.updateFPS();
+    const cx = region.x + region.width / 2;
+    const cy = region.y + region.height / 2;
+    const distance = (t) => (t.x + t.width / 2 - cx) ** 2 + (t.y + t.height / 2 - cy) ** 2;
+    return tiles.sort((a, b) => distance(a) - distance(b));
   }
 
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
+  // Queue a coarse pass and then the final pass (see passes()) over the
+  // whole canvas; tiles are drawn as they come back. Starting a new render
+  // drops whatever the previous one still had queued.
+  render() {
+    if (this.tour?.leg) {
+      this.renderFlight();
+      return;
+    }
 
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
+    const key = this.viewKey();
+    if (this.frame?.key === key) {
+      this.recolor();
+      return;
+    }
 
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
+    const job = ++this.renderJob;
+    this.cancelTiles();
+
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const tiles = this.tileGrid({ x: 0, y: 0, width, height, fullWidth: width, fullHeight: height });
+    this.frame = { key, tiles, values: [], palette: this.palette() };
+
+    const started = performance.now();
+    this.showProgress(0);
+    this.prepare(this.view()).then((view) => {
+      if (job === this.renderJob) this.queueTiles(job, view, tiles, started);
+    }, (error) => {
+      if (error.name !== 'AbortError') console.error('Mandelbrot reference orbit failed:', error);
+    });
+  }
+
+  queueTiles(job, view, tiles, started) {
+    const frame = this.frame;
+    const finest = new Array(tiles.length).fill(Infinity);
+    const passes = this.passes();
+    const total = tiles.length * passes.length;
+    const source = this.tileSource(view);
+    let done = 0;
+
+    for (const step of passes) {
+      tiles.forEach((tile, index) => {
+        source.run({ type: 'tile', tile, view, step }).then(({ values }) => {
+          if (job !== this.renderJob) return;
+
+          // A coarse tile can come back after the fine one on a busy pool
+          if (step < finest[index]) {
+            finest[index] = step;
+            frame.values[index] = values;
+            this.drawTile(this.ctx, tile, values, frame.palette);
+          }
+
+          // Histogram colouring needs the whole frame, so it is equalized
+          // once the last tile is in; until then the previous frame's
+          // histogram stands in
+          if (++done === total && this.coloring === 'histogram') {
+            this.histogram = equalize(frame.values);
+            this.recolor();
+          }
+          if (done === total) this.reportRenderTime(performance.now() - started);
+          this.showProgress(done / total);
+        }, (error) => {
+          if (error.name !== 'AbortError') console.error('Mandelbrot tile failed:', error);
+        });
+      });
     }
   }
 
+  // Exports re-run the fractal at the requested resolution, tile by tile,
+  // coloured with the histogram of the frame on screen
+  async renderTile(tile) {
+    const image = new ImageData(tile.width, tile.height);
+    const view = await this.prepare(this.view());
+    const palette = this.palette();
+    const source = this.tileSource(view);
+
+    await Promise.all(this.tileGrid(tile).map(async (part) => {
+      const { values } = await source.run({ type: 'tile', tile: part, view, step: 1 });
+      const pixels = new Uint8ClampedArray(values.length * 4);
+      colorize(values, pixels, palette);
+      for (let line = 0; line < part.height; line++) {
+        const from = line * part.width * 4;
+        const to = ((part.y - tile.y + line) * tile.width + part.x - tile.x) * 4;
+        image.data.set(pixels.subarray(from, from + part.width * 4), to);
+      }
+    }));
+
+    return image;
+  }
+
+  showProgress(fraction) {
+    // A tour stop that has finished rendering starts its hold
+    if (fraction >= 1 && this.tour && !this.tour.leg) this.holdTour();
+    this.progress.style.width = `${fraction * 100}%`;
+    this.progress.setAttribute('aria-valuenow', String(Math.round(fraction * 100)));
+    this.progress.classList.toggle('done', fraction >= 1);
+  }
+
   resize() {
     const dpr = window.devicePixelRatio || 1;
     const rect = this.container.getBoundingClientRect();
@@ -291,48 +775,66 @@ export default class MandelbrotExhibit {
     this.canvas.style.width = rect.width + 'px';
     this.canvas.style.height = rect.height + 'px';
 
-    if (this.isRunning) {
-      this.render();
-    }
+    this.invalidate();
   }
 
-  start() {
-    this.isRunning = true;
-    // Render asynchronously to avoid blocking
-    requestAnimationFrame(() => this.render());
+  toggleBookmarks() {
+    this.bookmarkPanel.toggle();
   }
 
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
+  toggleGradient() {
+    this.gradientEditor.toggle();
   }
 
-  togglePause() {
-    this.isPaused = !this.isPaused;
-    if (!this.isPaused) {
-      this.render();
+  // Open the Julia explorer, frozen on c = the point under the pointer, or
+  // the centre of the view when the pointer is elsewhere. The gradient
+  // comes along so the two read as a pair.
+  openJulia() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const { x, y } = this.pointer ?? { x: width / 2, y: height / 2 };
+    const rangeX = 4 / this.zoom;
+    const rangeY = rangeX * height / width;
+    const real = toNumber(this.center.x, this.precision) + (x / width - 0.5) * rangeX;
+    const imag = toNumber(this.center.y, this.precision) + (y / height - 0.5) * rangeY;
+
+    const state = {
+      isAnimating: 'false',
+      cr: String(Number(real.toFixed(6))),
+      ci: String(Number(imag.toFixed(6)))
+    };
+    if (!sameGradient(this.gradient, DEFAULT_GRADIENT)) {
+      state.gradient = gradientToString(this.gradient);
     }
+    window.router?.navigateTo(buildStateUrl(state, '/julia-set'));
   }
 
-  destroy() {
-    this.stop();
-
-    if (this.canvas) {
-      this.canvas.remove();
+  teardown() {
+    if (this.gradientEditor) {
+      this.gradientEditor.destroy();
+      this.gradientEditor = null;
     }
-
-    if (this.fpsElement) {
-      this.fpsElement.remove();
+    if (this.bookmarkPanel) {
+      this.bookmarkPanel.destroy();
+      this.bookmarkPanel = null;
     }
-
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
+    if (this.gestures) {
+      this.gestures.destroy();
+      this.gestures = null;
+    }
+    if (this.gpu) {
+      this.gpu.destroy();
+      this.gpu = null;
+    }
+    if (this.pool) {
+      this.pool.terminate();
+      this.pool = null;
+    }
+    if (this.progress) {
+      this.progress.remove();
+    }
+    if (this.canvas) {
+      this.canvas.remove();
     }
   }
 }
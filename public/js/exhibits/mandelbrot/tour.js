@@ -0,0 +1,55 @@
+// Mandelbrot tour: well-known places in the set, and the zoom-and-pan
+// path used to fly between views.
+
+// Stops share the bookmark format (see bookmarks.js)
+export const TOUR = [
+  { name: 'Seahorse Valley', centerX: '-0.7453', centerY: '0.1127', zoom: 400, maxIterations: 800, colorOffset: 0 },
+  { name: 'Seahorse mini-brot', centerX: '-0.743643887037151', centerY: '0.13182590420533', zoom: 2e5, maxIterations: 3000, colorOffset: 30 },
+  { name: 'Triple-spiral Valley', centerX: '-0.0881', centerY: '0.6549', zoom: 2000, maxIterations: 1500, colorOffset: 200 },
+  { name: 'North mini-brot', centerX: '-0.1565', centerY: '1.0322', zoom: 120, maxIterations: 800, colorOffset: 280 },
+  { name: 'Elephant Valley', centerX: '0.2925', centerY: '0.0149', zoom: 200, maxIterations: 800, colorOffset: 120 },
+  { name: 'Period-3 mini-brot', centerX: '-1.7687', centerY: '0', zoom: 60, maxIterations: 500, colorOffset: 160 },
+  { name: 'Antenna mini-brot', centerX: '-1.9408', centerY: '0', zoom: 800, maxIterations: 1000, colorOffset: 320 }
+];
+
+// Trade-off between zooming out and panning; van Wijk and Nuij suggest
+// values around sqrt(2)
+const RHO = 1.4;
+
+// Smooth zoom-and-pan path (van Wijk and Nuij, "Smooth and efficient zooming
+// and panning") between two views distance apart, with view widths w0 and
+// w1. The path has length `length`; at(s) for s in 0..length gives how far
+// along the line between the centres the view is (0..1) and its width.
+export function flightPath(distance, w0, w1) {
+  const rho2 = RHO * RHO;
+
+  // Centres (nearly) coincide: a pure zoom
+  if (distance <= 1e-9 * Math.min(w0, w1)) {
+    const length = Math.abs(Math.log(w1 / w0)) / RHO;
+    return {
+      length,
+      at: (s) => ({
+        fraction: length ? s / length : 1,
+        width: w0 * Math.exp(Math.sign(Math.log(w1 / w0)) * RHO * s)
+      })
+    };
+  }
+
+  const b0 = (w1 * w1 - w0 * w0 + rho2 * rho2 * distance * distance) / (2 * w0 * rho2 * distance);
+  const b1 = (w1 * w1 - w0 * w0 - rho2 * rho2 * distance * distance) / (2 * w1 * rho2 * distance);
+  // ln(sqrt(b^2 + 1) - b) without the cancellation for large b
+  const r0 = -Math.asinh(b0);
+  const r1 = -Math.asinh(b1);
+  const length = (r1 - r0) / RHO;
+
+  return {
+    length,
+    at: (s) => {
+      const u = w0 / rho2 * (Math.cosh(r0) * Math.tanh(RHO * s + r0) - Math.sinh(r0));
+      return {
+        fraction: u / distance,
+        width: w0 * Math.cosh(r0) / Math.cosh(RHO * s + r0)
+      };
+    }
+  };
+}
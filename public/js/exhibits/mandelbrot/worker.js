@@ -0,0 +1,43 @@
+// Mandelbrot render worker: computes one tile per message and sends its
+// colouring values back as a transferred buffer. Deep-zoom tiles use the
+// reference orbit last broadcast to every worker.
+
+import { renderPixels, renderPerturbed, referenceOrbit } from './fractal.js';
+
+let reference = null;
+
+self.addEventListener('message', (e) => {
+  const message = e.data;
+
+  switch (message.type) {
+    case 'reference': {
+      const { orbit, length } = referenceOrbit(message.cx, message.cy, message.bits, message.maxIterations);
+      self.postMessage({ orbit, length }, [orbit.buffer]);
+      break;
+    }
+
+    // Broadcast, no reply
+    case 'orbit':
+      reference = message;
+      break;
+
+    case 'tile': {
+      const { tile, view, step } = message;
+      const image = {
+        width: tile.width,
+        height: tile.height,
+        values: new Float32Array(tile.width * tile.height)
+      };
+
+      if (view.reference === undefined) {
+        renderPixels(image, tile.x, tile.y, tile.fullWidth, tile.fullHeight, view, step);
+      } else if (reference?.id === view.reference) {
+        renderPerturbed(image, tile.x, tile.y, tile.fullWidth, tile.fullHeight, view, step, reference);
+      } else {
+        throw new Error(`Reference orbit ${view.reference} is missing`);
+      }
+      self.postMessage({ tile, values: image.values }, [image.values.buffer]);
+      break;
+    }
+  }
+});
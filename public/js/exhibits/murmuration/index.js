@@ -3,6 +3,9 @@
 // (separation, alignment, cohesion) accelerated by a spatial hash grid.
 // The cursor acts as a falcon; clicks send shockwaves through the flock.
 
+import { Exhibit } from '../../core/exhibit.js';
+import { Random } from '../../core/random.js';
+
 const MAX_BIRDS = 1500;
 const PERCEPTION = 52;        // neighbor sense radius (CSS px)
 const SEP_RADIUS = 20;        // personal space radius
@@ -10,21 +13,12 @@ const MAX_NEIGHBORS = 24;     // cap neighbor checks per bird
 const FALCON_RADIUS = 130;    // flee radius around the cursor
 const EDGE_MARGIN = 90;       // soft boundary that steers birds back
 
-export default class MurmurationExhibit {
+export default class MurmurationExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.canvas = null;
     this.ctx = null;
     this.skyCanvas = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
-
-    // Tunable parameters (exposed as controls)
-    this.flockSize = 700;
-    this.cohesionStrength = 1.0;
-    this.maxSpeed = 3.2;
 
     // Bird state (struct-of-arrays for cache-friendly iteration)
     this.x = new Float32Array(MAX_BIRDS);
@@ -48,17 +42,12 @@ export default class MurmurationExhibit {
 
     this.rect = { left: 0, top: 0, width: 0, height: 0 };
 
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
-
     this.handlePointerMove = this.handlePointerMove.bind(this);
     this.handlePointerDown = this.handlePointerDown.bind(this);
     this.handlePointerLeave = this.handlePointerLeave.bind(this);
   }
 
-  async init() {
+  async setup() {
     this.canvas = document.createElement('canvas');
     this.canvas.style.position = 'absolute';
     this.canvas.style.top = '0';
@@ -69,14 +58,11 @@ export default class MurmurationExhibit {
     this.skyCanvas = document.createElement('canvas');
 
     this.resize();
-    this.spawnBirds(this.flockSize);
-
-    this.canvas.addEventListener('pointermove', this.handlePointerMove);
-    this.canvas.addEventListener('pointerdown', this.handlePointerDown);
-    this.canvas.addEventListener('pointerleave', this.handlePointerLeave);
+    this.spawnBirds(this.activeBirds());
 
-    this.createFPSCounter();
-    this.createControls();
+    this.listen(this.canvas, 'pointermove', this.handlePointerMove);
+    this.listen(this.canvas, 'pointerdown', this.handlePointerDown);
+    this.listen(this.canvas, 'pointerleave', this.handlePointerLeave);
   }
 
   spawnBirds(target) {
@@ -89,12 +75,12 @@ export default class MurmurationExhibit {
 
     while (this.count < target) {
       const i = this.count++;
-      this.x[i] = cx + (Math.random() - 0.5) * w * 0.5;
-      this.y[i] = cy + (Math.random() - 0.5) * h * 0.5;
-      const a = Math.random() * Math.PI * 2;
+      this.x[i] = cx + this.random.range(-0.5, 0.5) * w * 0.5;
+      this.y[i] = cy + this.random.range(-0.5, 0.5) * h * 0.5;
+      const a = this.random.range(0, Math.PI * 2);
       this.vx[i] = Math.cos(a) * 2;
       this.vy[i] = Math.sin(a) * 2;
-      const z = 0.4 + Math.random() * 0.6;
+      const z = this.random.range(0.4, 1);
       this.depth[i] = z;
       this.band[i] = z < 0.6 ? 0 : z < 0.8 ? 1 : 2;
     }
@@ -333,14 +319,16 @@ export default class MurmurationExhibit {
     sky.fillStyle = sun;
     sky.fillRect(0, 0, w, h);
 
-    // First stars in the darkening upper sky
+    // First stars in the darkening upper sky, from their own stream so a
+    // resize redraws the same sky
+    const stars = new Random(this.random.seed);
     for (let i = 0; i < 90; i++) {
-      const sx = Math.random() * w;
-      const sy = Math.random() * h * 0.5;
+      const sx = stars.next() * w;
+      const sy = stars.next() * h * 0.5;
       const fade = 1 - sy / (h * 0.55); // stars dissolve toward the light
-      sky.fillStyle = `rgba(255, 250, 235, ${(0.15 + Math.random() * 0.55) * fade})`;
+      sky.fillStyle = `rgba(255, 250, 235, ${stars.range(0.15, 0.7) * fade})`;
       sky.beginPath();
-      sky.arc(sx, sy, 0.4 + Math.random() * 0.9, 0, Math.PI * 2);
+      sky.arc(sx, sy, stars.range(0.4, 1.3), 0, Math.PI * 2);
       sky.fill();
     }
   }
@@ -377,101 +365,26 @@ export default class MurmurationExhibit {
     }
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
+  // Birds in flight: the flock size scaled by the current quality
+  activeBirds() {
+    return Math.max(1, Math.round(this.flockSize * this.quality));
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    // Flock size control
-    const flockSlider = document.createElement('div');
-    flockSlider.className = 'control-slider';
-    flockSlider.innerHTML = `
-      <label>Birds</label>
-      <input type="range" id="murm-flock-slider" min="100" max="${MAX_BIRDS}" value="${this.flockSize}" step="50">
-      <span id="murm-flock-value">${this.flockSize}</span>
-    `;
-    controlsContainer.appendChild(flockSlider);
-
-    document.getElementById('murm-flock-slider')?.addEventListener('input', (e) => {
-      this.flockSize = parseInt(e.target.value);
-      document.getElementById('murm-flock-value').textContent = this.flockSize;
-      if (this.flockSize > this.count) {
-        this.spawnBirds(this.flockSize);
-      } else {
-        this.count = this.flockSize;
-      }
-    });
-
-    // Cohesion control
-    const cohesionSlider = document.createElement('div');
-    cohesionSlider.className = 'control-slider';
-    cohesionSlider.innerHTML = `
-      <label>Cohesion</label>
-      <input type="range" id="murm-cohesion-slider" min="0.2" max="2" value="${this.cohesionStrength}" step="0.1">
-      <span id="murm-cohesion-value">${this.cohesionStrength.toFixed(1)}</span>
-    `;
-    controlsContainer.appendChild(cohesionSlider);
-
-    document.getElementById('murm-cohesion-slider')?.addEventListener('input', (e) => {
-      this.cohesionStrength = parseFloat(e.target.value);
-      document.getElementById('murm-cohesion-value').textContent = this.cohesionStrength.toFixed(1);
-    });
-
-    // Speed control
-    const speedSlider = document.createElement('div');
-    speedSlider.className = 'control-slider';
-    speedSlider.innerHTML = `
-      <label>Speed</label>
-      <input type="range" id="murm-speed-slider" min="1.5" max="5" value="${this.maxSpeed}" step="0.1">
-      <span id="murm-speed-value">${this.maxSpeed.toFixed(1)}</span>
-    `;
-    controlsContainer.appendChild(speedSlider);
-
-    document.getElementById('murm-speed-slider')?.addEventListener('input', (e) => {
-      this.maxSpeed = parseFloat(e.target.value);
-      document.getElementById('murm-speed-value').textContent = this.maxSpeed.toFixed(1);
-    });
-
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset flock';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
+  resizeFlock() {
+    const target = this.activeBirds();
+    if (target > this.count) {
+      this.spawnBirds(target);
+    } else {
+      this.count = target;
+    }
   }
 
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
+  onParamChange(key) {
+    if (key === 'flockSize') this.resizeFlock();
+  }
 
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
+  onQualityChange() {
+    this.resizeFlock();
   }
 
   resize() {
@@ -497,74 +410,18 @@ export default class MurmurationExhibit {
     this.renderSky();
   }
 
-  start() {
-    this.isRunning = true;
-    this.animate();
-  }
-
-  animate() {
-    if (!this.isRunning || this.isPaused) return;
-
+  update() {
     this.updateFlock();
-    this.render();
-    this.updateFPS();
-
-    this.animationId = requestAnimationFrame(() => this.animate());
   }
 
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
-  }
-
-  togglePause() {
-    this.isPaused = !this.isPaused;
-    if (!this.isPaused) {
-      this.animate();
-    }
-  }
-
-  reset() {
-    this.flockSize = 700;
-    this.cohesionStrength = 1.0;
-    this.maxSpeed = 3.2;
+  regenerate() {
     this.count = 0;
     this.time = 0;
-    this.spawnBirds(this.flockSize);
-
-    const flockSlider = document.getElementById('murm-flock-slider');
-    const cohesionSlider = document.getElementById('murm-cohesion-slider');
-    const speedSlider = document.getElementById('murm-speed-slider');
-
-    if (flockSlider) flockSlider.value = '700';
-    if (cohesionSlider) cohesionSlider.value = '1';
-    if (speedSlider) speedSlider.value = '3.2';
-
-    const flockVal = document.getElementById('murm-flock-value');
-    const cohesionVal = document.getElementById('murm-cohesion-value');
-    const speedVal = document.getElementById('murm-speed-value');
-
-    if (flockVal) flockVal.textContent = '700';
-    if (cohesionVal) cohesionVal.textContent = '1.0';
-    if (speedVal) speedVal.textContent = '3.2';
+    this.spawnBirds(this.activeBirds());
+    this.renderSky();
   }
 
-  destroy() {
-    this.stop();
-
-    if (this.canvas) {
-      this.canvas.removeEventListener('pointermove', this.handlePointerMove);
-      this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
-      this.canvas.removeEventListener('pointerleave', this.handlePointerLeave);
-      this.canvas.remove();
-    }
-    if (this.fpsElement) this.fpsElement.remove();
-
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) controlsContainer.innerHTML = '';
+  teardown() {
+    if (this.canvas) this.canvas.remove();
   }
 }
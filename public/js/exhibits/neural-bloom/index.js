@@ -1,7 +1,10 @@
-export default class NeuralBloom {
+import { Exhibit } from '../../core/exhibit.js';
+import { cameraState, applyCameraState } from '../../core/url-state.js';
+import { renderThreeTile } from '../../core/image-export.js';
+
+export default class NeuralBloom extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
 
     if (!window.THREE) {
       throw new Error('THREE.js not loaded');
@@ -13,11 +16,10 @@ export default class NeuralBloom {
     this.renderer = null;
     this.mesh = null;
     this.controls = null;
-    this.clock = new this.THREE.Clock();
-    this.isPaused = false;
+    this.time = 0;
   }
 
-  async init() {
+  async setup() {
     const { clientWidth, clientHeight } = this.container;
 
     // Scene
@@ -46,6 +48,7 @@ export default class NeuralBloom {
       this.controls.screenSpacePanning = false;
       this.controls.minDistance = 1.5;
       this.controls.maxDistance = 10;
+      this.listen(this.controls, 'end', () => this.notifyStateChange());
     } catch (e) {
       console.error("Failed to load OrbitControls:", e);
     }
@@ -161,30 +164,23 @@ export default class NeuralBloom {
     this.scene.add(this.mesh);
   }
 
-  start() {
-    this.isPaused = false;
-    this.animate();
-  }
-
-  stop() {
-    this.isPaused = true;
-  }
-
-  animate() {
-    if (this.isPaused) return;
-
-    requestAnimationFrame(() => this.animate());
-
-    const elapsedTime = this.clock.getElapsedTime();
-    this.mesh.material.uniforms.u_time.value = elapsedTime;
+  update(dt) {
+    this.time += dt;
+    this.mesh.material.uniforms.u_time.value = this.time;
 
     if (this.controls) {
       this.controls.update();
     }
+  }
 
+  render() {
     this.renderer.render(this.scene, this.camera);
   }
 
+  renderTile(tile) {
+    return renderThreeTile(this.renderer, this.scene, this.camera, tile);
+  }
+
   resize() {
     const { clientWidth, clientHeight } = this.container;
     this.camera.aspect = clientWidth / clientHeight;
@@ -195,20 +191,27 @@ export default class NeuralBloom {
   reset() {
     if (this.mesh) {
       this.mesh.rotation.set(0, 0, 0);
-      this.clock.start(); // Restart the clock
+      this.time = 0;
     }
     if (this.controls) {
       this.controls.reset();
     }
     this.camera.position.z = 3;
+    this.notifyStateChange();
   }
 
-  togglePause() {
-    this.isPaused ? this.start() : this.stop();
+  getState() {
+    return { ...super.getState(), ...cameraState(this.camera, this.controls?.target) };
+  }
+
+  setState(state) {
+    super.setState(state);
+    if (applyCameraState(state, this.camera, this.controls?.target)) {
+      this.controls?.update();
+    }
   }
 
-  destroy() {
-    this.stop();
+  teardown() {
     if (this.renderer) {
       this.renderer.dispose();
       this.container.removeChild(this.renderer.domElement);
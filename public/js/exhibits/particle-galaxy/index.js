@@ -3,34 +3,29 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { Exhibit } from '../../core/exhibit.js';
+import { cameraState, applyCameraState } from '../../core/url-state.js';
+import { renderThreeTile } from '../../core/image-export.js';
 
-export default class ParticleGalaxyExhibit {
+export default class ParticleGalaxyExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.controls = null;
     this.particles = null;
     this.particlesData = null;
-    this.animationId = null;
-    this.isRunning = false;
-
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
+    this.particleInfo = null;
 
     // Galaxy parameters
     this.particleCount = 100000;
     this.galaxyRadius = 100;
-    this.gravityStrength = 0.5;
     this.rotationSpeed = 0.0001;
     this.time = 0;
   }
 
-  async init() {
+  async setup() {
     // Scene setup
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x000000);
@@ -64,18 +59,10 @@ export default class ParticleGalaxyExhibit {
     this.controls.autoRotate = false;
     this.controls.enableZoom = true;
     this.controls.enablePan = true;
+    this.listen(this.controls, 'end', () => this.notifyStateChange());
 
     // Create particles
     this.createParticles();
-
-    // Add event listeners
-    window.addEventListener('resize', this.handleResize.bind(this));
-
-    // Create FPS counter
-    this.createFPSCounter();
-
-    // Create controls UI
-    this.createControls();
   }
 
   createParticles() {
@@ -92,20 +79,20 @@ export default class ParticleGalaxyExhibit {
     // Create spiral galaxy distribution
     for (let i = 0; i < this.particleCount; i++) {
       // Use logarithmic spiral for realistic galaxy
-      const angle = Math.random() * Math.PI * 2;
-      const spiralIndex = Math.random();
+      const angle = this.random.next() * Math.PI * 2;
+      const spiralIndex = this.random.next();
 
       // Logarithmic spiral arms
       const spiralRadius = this.galaxyRadius * 0.3 + spiralIndex * this.galaxyRadius * 0.7;
       const spiralAngle = angle + spiralIndex * Math.PI * 4; // Multiple spiral arms
 
       // Add some randomness to the spiral
-      const noiseX = (Math.random() - 0.5) * 5;
-      const noiseY = (Math.random() - 0.5) * 5;
-      const noiseZ = (Math.random() - 0.5) * 3;
+      const noiseX = (this.random.next() - 0.5) * 5;
+      const noiseY = (this.random.next() - 0.5) * 5;
+      const noiseZ = (this.random.next() - 0.5) * 3;
 
       const x = Math.cos(spiralAngle) * spiralRadius + noiseX;
-      const y = (Math.random() - 0.5) * 15;
+      const y = (this.random.next() - 0.5) * 15;
       const z = Math.sin(spiralAngle) * spiralRadius + noiseZ;
 
       this.particlesData.positions[i * 3] = x;
@@ -121,7 +108,7 @@ export default class ParticleGalaxyExhibit {
       const velocityAngle = spiralAngle + Math.PI / 2; // Perpendicular to radius
 
       this.particlesData.velocities[i * 3] = Math.cos(velocityAngle) * orbitalSpeed;
-      this.particlesData.velocities[i * 3 + 1] = (Math.random() - 0.5) * 0.1;
+      this.particlesData.velocities[i * 3 + 1] = (this.random.next() - 0.5) * 0.1;
       this.particlesData.velocities[i * 3 + 2] = Math.sin(velocityAngle) * orbitalSpeed;
 
       // Color based on distance from center: blue -> white -> yellow
@@ -151,16 +138,22 @@ export default class ParticleGalaxyExhibit {
 
     // Create points mesh
     this.particles = new THREE.Points(geometry, material);
+    this.particles.geometry.setDrawRange(0, this.activeParticles());
     this.scene.add(this.particles);
   }
 
+  activeParticles() {
+    return Math.round(this.particleCount * this.quality);
+  }
+
   updateParticles() {
     const positions = this.particlesData.positions;
     const velocities = this.particlesData.velocities;
     const colors = this.particlesData.colors;
 
-    // Update each particle
-    for (let i = 0; i < this.particleCount; i++) {
+    // Update the particles the current quality allows; the rest stay put
+    const count = this.activeParticles();
+    for (let i = 0; i < count; i++) {
       const px = positions[i * 3];
       const py = positions[i * 3 + 1];
       const pz = positions[i * 3 + 2];
@@ -217,54 +210,29 @@ export default class ParticleGalaxyExhibit {
     this.particles.geometry.attributes.color.needsUpdate = true;
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
-  }
-
   createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
+    super.createControls();
 
-    controlsContainer.innerHTML = '';
+    const controlsContainer = this.controlPanel.container;
+    if (!controlsContainer) return;
 
-    // Gravity strength control
-    const gravitySlider = document.createElement('div');
-    gravitySlider.className = 'control-slider';
-    gravitySlider.innerHTML = `
-      <label>Gravity Strength</label>
-      <input type="range" id="gravity-slider" min="0.1" max="2" value="0.5" step="0.1">
-    `;
-    controlsContainer.appendChild(gravitySlider);
+    // Particle count (display only)
+    this.particleInfo = document.createElement('div');
+    this.particleInfo.className = 'control-info';
+    this.particleInfo.innerHTML = '<label></label>';
+    controlsContainer.appendChild(this.particleInfo);
+    this.updateParticleInfo();
+  }
 
-    document.getElementById('gravity-slider')?.addEventListener('input', (e) => {
-      this.gravityStrength = parseFloat(e.target.value);
-    });
+  updateParticleInfo() {
+    if (!this.particleInfo) return;
+    this.particleInfo.querySelector('label').textContent =
+      `Particles: ${(this.activeParticles() / 1000).toFixed(0)}K`;
+  }
 
-    // Particle count control (display only)
-    const particleInfo = document.createElement('div');
-    particleInfo.className = 'control-info';
-    particleInfo.innerHTML = `
-      <label>Particles: ${(this.particleCount / 1000).toFixed(0)}K</label>
-    `;
-    controlsContainer.appendChild(particleInfo);
-
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset simulation (R)';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
+  onQualityChange() {
+    if (this.particles) this.particles.geometry.setDrawRange(0, this.activeParticles());
+    this.updateParticleInfo();
   }
 
   reset() {
@@ -273,23 +241,30 @@ export default class ParticleGalaxyExhibit {
     this.camera.lookAt(0, 0, 0);
     this.controls.reset();
 
-    // Reset gravity to default
-    this.gravityStrength = 0.5;
-    const gravitySlider = document.getElementById('gravity-slider');
-    if (gravitySlider) gravitySlider.value = '0.5';
+    // Reset gravity and rebuild the spiral from a fresh (or locked) seed
+    super.reset();
+    this.notifyStateChange();
+  }
 
-    // Recreate particles with fresh spiral
+  regenerate() {
     this.particles.geometry.dispose();
     this.particles.material.dispose();
     this.scene.remove(this.particles);
     this.createParticles();
   }
 
-  animate() {
-    if (!this.isRunning) return;
+  getState() {
+    return { ...super.getState(), ...cameraState(this.camera, this.controls.target) };
+  }
 
-    this.animationId = requestAnimationFrame(() => this.animate());
+  setState(state) {
+    super.setState(state);
+    if (applyCameraState(state, this.camera, this.controls.target)) {
+      this.controls.update();
+    }
+  }
 
+  update() {
     // Update particles
     this.updateParticles();
 
@@ -299,33 +274,17 @@ export default class ParticleGalaxyExhibit {
 
     // Update controls
     this.controls.update();
+  }
 
-    // Render
+  render() {
     this.renderer.render(this.scene, this.camera);
-
-    // Update FPS
-    this.updateFPS();
   }
 
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
-
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
+  renderTile(tile) {
+    return renderThreeTile(this.renderer, this.scene, this.camera, tile);
   }
 
-  handleResize() {
+  resize() {
     const width = this.container.clientWidth;
     const height = this.container.clientHeight;
 
@@ -336,34 +295,7 @@ export default class ParticleGalaxyExhibit {
     this.renderer.setPixelRatio(window.devicePixelRatio);
   }
 
-  resize() {
-    this.handleResize();
-  }
-
-  start() {
-    this.isRunning = true;
-    this.animate();
-  }
-
-  stop() {
-    this.isRunning = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
-  }
-
-  togglePause() {
-    if (this.isRunning) {
-      this.stop();
-    } else {
-      this.start();
-    }
-  }
-
-  destroy() {
-    this.stop();
-
+  teardown() {
     // Clean up Three.js resources
     if (this.particles) {
       this.particles.geometry.dispose();
@@ -379,18 +311,5 @@ export default class ParticleGalaxyExhibit {
     if (this.controls) {
       this.controls.dispose();
     }
-
-    if (this.fpsElement) {
-      this.fpsElement.remove();
-    }
-
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
-    }
-
-    // Remove resize listener
-    window.removeEventListener('resize', this.handleResize.bind(this));
   }
 }
@@ -0,0 +1,194 @@
+// Brush Panel - What dragging on the reaction-diffusion grid paints
+//
+//   Seed   the model's brush species (B for Gray-Scott)
+//   Erase  back to the resting state, clearing walls and painted rates
+//   Wall   obstacles nothing diffuses through
+//   Rates  Gray-Scott feed and kill for the cells painted, so regimes can
+//          sit side by side on one grid
+//
+// Below the tools the grid can be started over from typed text or an
+// uploaded image; the exhibit turns them into masks (seed-mask.js).
+
+import { PRESETS } from './presets.js';
+
+const TOOLS = {
+  seed: 'Seed',
+  erase: 'Erase',
+  wall: 'Wall',
+  rates: 'Rates'
+};
+
+// Brush radius in cells
+const MIN_RADIUS = 1;
+const MAX_RADIUS = 80;
+
+export class BrushPanel {
+  // handlers: { onText(text), onImage(image), onClear() }
+  constructor(container, { radius, feedRate, killRate, onText, onImage, onClear }) {
+    this.tool = 'seed';
+    this.radius = radius;
+    this.rates = [feedRate, killRate];
+    this.handlers = { onText, onImage, onClear };
+
+    this.element = document.createElement('div');
+    this.element.className = 'overlay-panel brush-panel';
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <h4>Brushes</h4>
+      <div class="brush-tools" role="radiogroup" aria-label="Brush"></div>
+      <div class="panel-fields">
+        <label class="brush-wide">
+          <span>Radius <output class="brush-radius-value"></output></span>
+          <input type="range" class="brush-radius" min="${MIN_RADIUS}" max="${MAX_RADIUS}" step="1">
+        </label>
+      </div>
+      <div class="panel-fields brush-rates">
+        <label>Feed <input type="number" class="brush-feed" min="0" max="0.1" step="0.001"></label>
+        <label>Kill <input type="number" class="brush-kill" min="0" max="0.1" step="0.001"></label>
+        <label class="brush-wide">From preset <select class="brush-preset"></select></label>
+      </div>
+      <h4 class="panel-section">Seed from</h4>
+      <div class="panel-fields">
+        <label class="brush-wide">Text <input type="text" class="brush-text-input" value="HELLO" maxlength="40"></label>
+      </div>
+      <p class="panel-status"></p>
+      <div class="panel-actions">
+        <button type="button" class="panel-primary brush-grow">Grow text</button>
+        <button type="button" class="panel-secondary brush-image">Image…</button>
+      </div>
+      <div class="panel-actions brush-clear">
+        <button type="button" class="panel-secondary">Clear walls and rates</button>
+      </div>
+      <input type="file" accept="image/*" hidden>`;
+
+    this.toolButtons = Object.entries(TOOLS).map(([tool, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'brush-tool';
+      button.dataset.tool = tool;
+      button.textContent = label;
+      button.setAttribute('role', 'radio');
+      button.addEventListener('click', () => this.setTool(tool));
+      return button;
+    });
+    this.element.querySelector('.brush-tools').append(...this.toolButtons);
+
+    this.radiusInput = this.element.querySelector('.brush-radius');
+    this.radiusValue = this.element.querySelector('.brush-radius-value');
+    this.radiusInput.value = radius;
+    this.radiusInput.addEventListener('input', () => {
+      this.radius = Number(this.radiusInput.value);
+      this.showRadius();
+    });
+    this.showRadius();
+
+    this.ratesSection = this.element.querySelector('.brush-rates');
+    this.feedInput = this.element.querySelector('.brush-feed');
+    this.killInput = this.element.querySelector('.brush-kill');
+    this.presetSelect = this.element.querySelector('.brush-preset');
+    const choose = document.createElement('option');
+    choose.value = '';
+    choose.textContent = '—';
+    this.presetSelect.append(choose, ...Object.entries(PRESETS).map(([name, preset]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = preset.label;
+      return option;
+    }));
+    const readRates = () => {
+      const feed = Number(this.feedInput.value);
+      const kill = Number(this.killInput.value);
+      if (Number.isFinite(feed) && Number.isFinite(kill)) this.rates = [feed, kill];
+      this.presetSelect.value = '';
+    };
+    this.feedInput.addEventListener('change', readRates);
+    this.killInput.addEventListener('change', readRates);
+    this.presetSelect.addEventListener('change', () => {
+      const preset = PRESETS[this.presetSelect.value];
+      if (!preset) return;
+      this.rates = [preset.feedRate, preset.killRate];
+      this.showRates();
+      this.setTool('rates');
+    });
+    this.showRates();
+
+    this.status = this.element.querySelector('.panel-status');
+    this.textInput = this.element.querySelector('.brush-text-input');
+    this.fileInput = this.element.querySelector('input[type="file"]');
+    this.element.querySelector('.brush-grow').addEventListener('click', () => this.growText());
+    this.textInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.growText();
+    });
+    this.element.querySelector('.brush-image').addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', () => this.loadImage());
+    this.element.querySelector('.brush-clear button').addEventListener('click', () => {
+      this.handlers.onClear();
+      this.status.textContent = 'Walls and painted rates cleared';
+    });
+
+    this.setTool('seed');
+    container.appendChild(this.element);
+  }
+
+  get visible() {
+    return !this.element.hidden;
+  }
+
+  toggle() {
+    this.element.hidden = !this.element.hidden;
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    for (const button of this.toolButtons) {
+      const active = button.dataset.tool === tool;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-checked', String(active));
+    }
+  }
+
+  // Painted rates only mean something to Gray-Scott
+  setModel(model) {
+    const rates = Boolean(model.paintedRates);
+    this.toolButtons.find(button => button.dataset.tool === 'rates').hidden = !rates;
+    this.ratesSection.hidden = !rates;
+    if (!rates && this.tool === 'rates') this.setTool('seed');
+  }
+
+  showRadius() {
+    this.radiusValue.textContent = `${this.radius} cells`;
+  }
+
+  showRates() {
+    this.feedInput.value = this.rates[0];
+    this.killInput.value = this.rates[1];
+  }
+
+  growText() {
+    const text = this.textInput.value.trim();
+    if (!text) {
+      this.status.textContent = 'Type some text first';
+      return;
+    }
+    this.handlers.onText(text);
+    this.status.textContent = `Growing "${text}"`;
+  }
+
+  async loadImage() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = '';
+    if (!file) return;
+    try {
+      const image = await createImageBitmap(file);
+      this.handlers.onImage(image);
+      image.close();
+      this.status.textContent = `Growing ${file.name}`;
+    } catch {
+      this.status.textContent = `Could not read ${file.name} as an image`;
+    }
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
@@ -0,0 +1,381 @@
+// GPU reaction-diffusion: the CPU simulation's interface (see simulation.js)
+// on two RGBA32F textures in WebGL2, one species per channel. Each step
+// renders the next state from the current one with the model's GLSL
+// reaction, then the textures swap. The state is drawn straight to
+// this.canvas, so a 2048-cell grid never leaves the GPU except when read
+// back for a resize or an export. The medium is mirrored in a third
+// texture (wall, painted, feed, kill), updated where it was painted.
+//
+// create() returns null when WebGL2 or float render targets are missing.
+
+import { RAMP, SPECIES, WALL_COLOR, resampleFields } from './simulation.js';
+
+const VERTEX_SHADER = `#version 300 es
+void main() {
+  // One triangle that covers the viewport
+  vec2 position = vec2(gl_VertexID == 1 ? 3.0 : -1.0, gl_VertexID == 2 ? 3.0 : -1.0);
+  gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+// Shared head of the fragment shaders: the state and medium textures,
+// read with wrap-around
+const STATE = `#version 300 es
+precision highp float;
+precision highp int;
+uniform sampler2D u_state;
+uniform sampler2D u_medium;
+out vec4 outColor;
+
+ivec2 wrap(ivec2 p) {
+  ivec2 size = textureSize(u_state, 0);
+  return (p + size) % size;
+}
+
+vec4 cell(ivec2 p) {
+  return texelFetch(u_state, wrap(p), 0);
+}
+
+bool wall(ivec2 p) {
+  return texelFetch(u_medium, wrap(p), 0).r > 0.5;
+}
+`;
+
+// Same nine-point Laplacian as the CPU, closed at walls
+const stepShader = (model) => `${STATE}
+uniform vec4 u_rates;
+uniform vec4 u_params;
+uniform vec4 u_spreadX;
+uniform vec4 u_spreadY;
+uniform float u_dt;
+uniform bool u_paintedRates;
+${model.glsl}
+
+// A wall neighbour reads as the centre cell, so nothing flows through it
+vec4 neighbour(ivec2 p, vec4 centre) {
+  return wall(p) ? centre : cell(p);
+}
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  vec4 s = cell(p);
+  vec4 medium = texelFetch(u_medium, p, 0);
+  if (medium.r > 0.5) {
+    outColor = s;
+    return;
+  }
+
+  vec4 edges = neighbour(p + ivec2(-1, 0), s) + neighbour(p + ivec2(1, 0), s) +
+    neighbour(p + ivec2(0, -1), s) + neighbour(p + ivec2(0, 1), s);
+  vec4 corners = neighbour(p + ivec2(-1, -1), s) + neighbour(p + ivec2(1, -1), s) +
+    neighbour(p + ivec2(-1, 1), s) + neighbour(p + ivec2(1, 1), s);
+  vec4 laplacian = 0.2 * edges + 0.05 * corners - s;
+
+  vec2 fraction = vec2(p) / max(vec2(textureSize(u_state, 0) - 1), 1.0);
+  vec4 params = u_params + fraction.x * u_spreadX + fraction.y * u_spreadY;
+  if (u_paintedRates && medium.g > 0.5) params.xy = medium.ba;
+  outColor = react(s, s + u_rates * laplacian, params, u_dt);
+}`;
+
+// Grid rows run top-down like the canvas, so the display flips y; values
+// are interpolated between cells before the colour lookup
+const displayShader = (model) => `${STATE}
+uniform sampler2D u_ramp;
+uniform vec2 u_canvas;
+${model.displayGlsl}
+
+float valueAt(ivec2 p) {
+  return clamp(display(cell(p)), 0.0, 1.0);
+}
+
+void main() {
+  vec2 size = vec2(textureSize(u_state, 0));
+  vec2 at = vec2(gl_FragCoord.x, u_canvas.y - gl_FragCoord.y) / u_canvas * size - 0.5;
+  ivec2 base = ivec2(floor(at));
+  vec2 f = fract(at);
+  if (wall(ivec2(round(at)))) {
+    outColor = vec4(${WALL_COLOR.map(c => (c / 255).toFixed(4)).join(', ')}, 1.0);
+    return;
+  }
+  float value = mix(
+    mix(valueAt(base), valueAt(base + ivec2(1, 0)), f.x),
+    mix(valueAt(base + ivec2(0, 1)), valueAt(base + ivec2(1, 1)), f.x),
+    f.y);
+  outColor = texelFetch(u_ramp, ivec2(round(value * 255.0), 0), 0);
+}`;
+
+// Blend toward the brush targets (where mask is 1) inside a soft disc
+const BRUSH_SHADER = `${STATE}
+uniform vec2 u_center;
+uniform float u_radius;
+uniform vec4 u_target;
+uniform vec4 u_mask;
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  vec2 size = vec2(textureSize(u_state, 0));
+  vec2 delta = abs(vec2(p) - u_center);
+  delta = min(delta, size - delta);
+  float strength = max(0.0, 1.0 - length(delta) / u_radius);
+  vec4 s = cell(p);
+  outColor = s + (u_target - s) * strength * u_mask;
+}`;
+
+function compile(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(gl.getShaderInfoLog(shader) || 'Shader failed to compile');
+  }
+  return shader;
+}
+
+// Linked program with its uniform locations by name
+function createProgram(gl, vertex, fragmentSource) {
+  const program = gl.createProgram();
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, fragmentSource));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program) || 'Shader failed to link');
+  }
+  const uniforms = {};
+  for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+    const { name } = gl.getActiveUniform(program, i);
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, uniforms };
+}
+
+// Model values padded to the four channels of a vec4
+const vec4 = (values) => [0, 1, 2, 3].map(i => values[i] ?? 0);
+
+export class GpuSimulation {
+  // onLost fires if the browser takes the context away; the state is gone
+  // with it
+  static create(width, height, medium, { onLost } = {}) {
+    try {
+      return new GpuSimulation(width, height, medium, onLost);
+    } catch (error) {
+      console.info('Reaction-diffusion on the GPU unavailable, using the CPU:', error.message);
+      return null;
+    }
+  }
+
+  constructor(width, height, medium, onLost) {
+    this.medium = medium;
+    this.lost = false;
+    this.onLost = onLost;
+    this.canvas = document.createElement('canvas');
+    const gl = this.canvas.getContext('webgl2', { alpha: false, antialias: false, depth: false, stencil: false });
+    if (!gl) throw new Error('WebGL2 is not supported');
+    if (!gl.getExtension('EXT_color_buffer_float')) throw new Error('Float render targets are not supported');
+    this.gl = gl;
+
+    this.vertex = compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+    this.brushProgram = createProgram(gl, this.vertex, BRUSH_SHADER);
+    // Step and display programs, compiled the first time a model runs
+    this.programs = new Map();
+
+    // The vertex shader needs no attributes, but WebGL wants a VAO bound
+    this.vao = gl.createVertexArray();
+    gl.bindVertexArray(this.vao);
+
+    this.ramp = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.ramp);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(RAMP.buffer));
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+    this.targets = [0, 1].map(() => ({ texture: gl.createTexture(), framebuffer: gl.createFramebuffer() }));
+    this.mediumTexture = gl.createTexture();
+    this.current = 0;
+    this.setSize(width, height);
+
+    this.canvas.addEventListener('webglcontextlost', (e) => {
+      e.preventDefault();
+      this.lost = true;
+      this.onLost?.();
+    });
+  }
+
+  // Reallocate both textures at width x height, cleared
+  setSize(width, height) {
+    const gl = this.gl;
+    this.width = width;
+    this.height = height;
+    for (const { texture, framebuffer } of this.targets) {
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error('Float render target is incomplete');
+      }
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, this.mediumTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    this.medium.markDirty(0, 0, width, height);
+  }
+
+  // Upload the part of the medium painted since the last pass
+  syncMedium() {
+    const dirty = this.medium.takeDirty();
+    if (!dirty || !dirty.width || !dirty.height) return;
+    const { walls, rates, width } = this.medium;
+    const data = new Float32Array(dirty.width * dirty.height * 4);
+    for (let y = 0; y < dirty.height; y++) {
+      for (let x = 0; x < dirty.width; x++) {
+        const i = (dirty.y + y) * width + dirty.x + x;
+        const o = (y * dirty.width + x) * 4;
+        const painted = !Number.isNaN(rates[i * 2]);
+        data[o] = walls[i];
+        data[o + 1] = painted ? 1 : 0;
+        data[o + 2] = painted ? rates[i * 2] : 0;
+        data[o + 3] = painted ? rates[i * 2 + 1] : 0;
+      }
+    }
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.mediumTexture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, dirty.x, dirty.y, dirty.width, dirty.height, gl.RGBA, gl.FLOAT, data);
+  }
+
+  // Bind the state (unit 0) and medium (unit 1) for a program
+  bindState(uniforms) {
+    const gl = this.gl;
+    this.syncMedium();
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.targets[this.current].texture);
+    gl.uniform1i(uniforms.u_state, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.mediumTexture);
+    gl.uniform1i(uniforms.u_medium, 1);
+  }
+
+  interleave(fields) {
+    const data = new Float32Array(this.width * this.height * 4);
+    for (let i = 0; i < this.width * this.height; i++) {
+      for (let s = 0; s < SPECIES; s++) data[i * 4 + s] = fields[s][i];
+      data[i * 4 + 3] = 1;
+    }
+    return data;
+  }
+
+  upload(fields) {
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.targets[this.current].texture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, this.interleave(fields));
+  }
+
+  programsFor(model) {
+    if (!this.programs.has(model)) {
+      this.programs.set(model, {
+        step: createProgram(this.gl, this.vertex, stepShader(model)),
+        display: createProgram(this.gl, this.vertex, displayShader(model))
+      });
+    }
+    return this.programs.get(model);
+  }
+
+  // Render a pass that reads the current state into the other texture,
+  // then make that one current
+  pass({ program, uniforms }, setUniforms) {
+    const gl = this.gl;
+    const target = this.targets[1 - this.current];
+    gl.useProgram(program);
+    this.bindState(uniforms);
+    setUniforms(uniforms);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    this.current = 1 - this.current;
+  }
+
+  reset(model, params, random, seeding) {
+    const fields = Array.from({ length: SPECIES }, () => new Float32Array(this.width * this.height));
+    model.init(fields, this.width, this.height, random, params, seeding);
+    this.upload(fields);
+  }
+
+  step(model, params, count, spread = null) {
+    if (this.lost) return;
+    const gl = this.gl;
+    const rates = vec4(model.diffusion.map(d => d * model.dt));
+    const values = vec4(params);
+    const spreadX = vec4(spread?.x ?? []);
+    const spreadY = vec4(spread?.y ?? []);
+    const program = this.programsFor(model).step;
+    for (let n = 0; n < count; n++) {
+      this.pass(program, (uniforms) => {
+        gl.uniform4fv(uniforms.u_rates, rates);
+        gl.uniform4fv(uniforms.u_params, values);
+        gl.uniform4fv(uniforms.u_spreadX, spreadX);
+        gl.uniform4fv(uniforms.u_spreadY, spreadY);
+        gl.uniform1f(uniforms.u_dt, model.dt);
+        gl.uniform1i(uniforms.u_paintedRates, model.paintedRates ? 1 : 0);
+      });
+    }
+  }
+
+  paint(x, y, radius, target) {
+    if (this.lost) return;
+    const gl = this.gl;
+    this.pass(this.brushProgram, (uniforms) => {
+      gl.uniform2f(uniforms.u_center, Math.round(x), Math.round(y));
+      gl.uniform1f(uniforms.u_radius, radius);
+      gl.uniform4fv(uniforms.u_target, vec4(target.map(value => value ?? 0)));
+      gl.uniform4fv(uniforms.u_mask, vec4(target.map(value => (value === null ? 0 : 1))));
+    });
+  }
+
+  resize(width, height) {
+    if (this.lost || (width === this.width && height === this.height)) return;
+    const fields = resampleFields(this.readFields(), this.width, this.height, width, height);
+    this.setSize(width, height);
+    this.current = 0;
+    this.upload(fields);
+  }
+
+  load(fields) {
+    if (!this.lost) this.upload(fields);
+  }
+
+  readFields() {
+    const gl = this.gl;
+    const size = this.width * this.height;
+    const data = new Float32Array(size * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[this.current].framebuffer);
+    gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, data);
+    const fields = Array.from({ length: SPECIES }, () => new Float32Array(size));
+    for (let i = 0; i < size; i++) {
+      for (let s = 0; s < SPECIES; s++) fields[s][i] = data[i * 4 + s];
+    }
+    return fields;
+  }
+
+  draw(model) {
+    if (this.lost) return;
+    const gl = this.gl;
+    const { program, uniforms } = this.programsFor(model).display;
+    gl.useProgram(program);
+    this.bindState(uniforms);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.ramp);
+    gl.uniform1i(uniforms.u_ramp, 2);
+    gl.uniform2f(uniforms.u_canvas, this.canvas.width, this.canvas.height);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  destroy() {
+    this.onLost = null;
+    this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+    this.canvas.remove();
+  }
+}
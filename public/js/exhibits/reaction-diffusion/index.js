@@ -1,449 +1,315 @@
 // Reaction-Diffusion Exhibit
-// Gray-Scott Model - Chemical pattern formation
+// Chemical pattern formation: Gray-Scott, FitzHugh–Nagumo, Brusselator and
+// cyclic Belousov-Zhabotinsky / rock-paper-scissors models (models.js)
 // Demonstrates how simple rules create complex natural patterns
-
-export default class ReactionDiffusionExhibit {
+//
+// The grid runs on the GPU (gpu-simulation.js) where WebGL2 has float
+// render targets, and on Float32Array buffers (simulation.js) otherwise.
+// Its longer side has gridSize cells; the other follows the canvas.
+//
+// Gray-Scott can also be run as Pearson's parameter map: feed rising left
+// to right and kill top to bottom (presets.js), so every regime grows side
+// by side; clicking the map adopts the rates there.
+//
+// Dragging paints with the brush panel's tool (brush-panel.js): the model's
+// species, the resting state, walls or per-cell Gray-Scott rates, the last
+// two into the Medium (medium.js) both simulations step in.
+
+import { Exhibit } from '../../core/exhibit.js';
+import { captureCanvases } from '../../core/image-export.js';
+import { MODELS } from './models.js';
+import { CpuSimulation, SPECIES, colorFields, modelParams } from './simulation.js';
+import { GpuSimulation } from './gpu-simulation.js';
+import { Medium } from './medium.js';
+import { PARAMETER_MAP, PRESETS, matchPreset, ratesAt } from './presets.js';
+import { ParameterMapOverlay } from './parameter-map.js';
+import { BrushPanel } from './brush-panel.js';
+import { imageMask, textMask } from './seed-mask.js';
+
+// Starting brush radius in cells
+const BRUSH_RADIUS = 10;
+
+export default class ReactionDiffusionExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
-    this.canvas = null;
-    this.ctx = null;
-    this.imageData = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
-
-    // Grid dimensions (lower resolution for performance)
-    this.gridWidth = 256;
-    this.gridHeight = 256;
-
-    // Chemical grids
-    this.A = null; // Chemical A grid
-    this.B = null; // Chemical B grid
-    this.nextA = null;
-    this.nextB = null;
-
-    // Gray-Scott parameters
-    this.feedRate = 0.055;
-    this.killRate = 0.062;
-    this.dA = 1.0; // Diffusion rate for A
-    this.dB = 0.5; // Diffusion rate for B
-    this.simulationSpeed = 1; // Steps per frame
-
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
+    super(container, config);
+    this.sim = null;
+    this.gridWidth = 0;
+    this.gridHeight = 0;
+    this.medium = null;
+    this.mapOverlay = null;
+    this.brushPanel = null;
+    // Last grid position of the stroke being painted
+    this.stroke = null;
+    // Set while the preset and the rates are written to agree with each
+    // other, so neither change reads as the viewer's
+    this.linkingPreset = false;
   }
 
-  async init() {
-    // Create canvas
-    this.canvas = document.createElement('canvas');
-    this.container.appendChild(this.canvas);
+  async setup() {
+    this.gridWidth = this.gridHeight = Number(this.gridSize);
+    this.medium = new Medium(this.gridWidth, this.gridHeight);
+    this.sim = GpuSimulation.create(this.gridWidth, this.gridHeight, this.medium, {
+      onLost: () => this.useCpu()
+    }) ?? new CpuSimulation(this.gridWidth, this.gridHeight, this.medium);
+    this.attach();
+    this.mapOverlay = new ParameterMapOverlay(this.container);
+    this.mapOverlay.show(this.mapActive);
+    this.brushPanel = new BrushPanel(this.container, {
+      radius: BRUSH_RADIUS,
+      feedRate: Number(this.feedRate),
+      killRate: Number(this.killRate),
+      onText: (text) => this.seedMask(textMask(text, this.gridWidth, this.gridHeight)),
+      onImage: (image) => this.seedMask(imageMask(image, this.gridWidth, this.gridHeight)),
+      onClear: () => {
+        this.medium.clear();
+        this.invalidate();
+      }
+    });
+    this.brushPanel.setModel(this.modelSpec);
 
-    // Get context
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: false });
+    this.listen(window, 'keydown', (e) => {
+      if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
+      if (e.key === 'b' || e.key === 'B') this.toggleBrushes();
+    });
 
-    // Set up canvas size
     this.resize();
-
-    // Initialize chemical grids
-    this.initializeGrids();
-
-    // Add event listeners
-    this.canvas.addEventListener('click', this.handleClick.bind(this));
-
-    // Create FPS counter
-    this.createFPSCounter();
-
-    // Create controls
-    this.createControls();
+    this.regenerate();
   }
 
-  initializeGrids() {
-    // Initialize A with 1.0 everywhere
-    this.A = Array(this.gridWidth)
-      .fill(null)
-      .map(() => Array(this.gridHeight).fill(1.0));
-
-    // Initialize B with small random patches
-    this.B = Array(this.gridWidth)
-      .fill(null)
-      .map(() => Array(this.gridHeight).fill(0.0));
-
-    // Seed random B in the middle area
-    const centerX = Math.floor(this.gridWidth / 2);
-    const centerY = Math.floor(this.gridHeight / 2);
-    const seedSize = 20;
-
-    for (let x = centerX - seedSize; x < centerX + seedSize; x++) {
-      for (let y = centerY - seedSize; y < centerY + seedSize; y++) {
-        if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-          this.B[x][y] = Math.random() > 0.7 ? 1.0 : 0.0;
-        }
-      }
-    }
-
-    // Initialize next grids for computation
-    this.nextA = this.A.map(row => [...row]);
-    this.nextB = this.B.map(row => [...row]);
+  // Put the simulation's canvas on the page
+  attach() {
+    this.container.appendChild(this.sim.canvas);
+    const canvas = this.sim.canvas;
+    canvas.style.touchAction = 'none';
+    this.listen(canvas, 'click', (e) => this.handleClick(e));
+    this.listen(canvas, 'pointerdown', (e) => {
+      if (this.mapActive || e.button !== 0) return;
+      canvas.setPointerCapture(e.pointerId);
+      this.stroke = null;
+      this.paintTo(e);
+    });
+    this.listen(canvas, 'pointermove', (e) => {
+      if (this.mapActive) this.mapOverlay.hover(this.pointerFraction(e));
+      else if (canvas.hasPointerCapture(e.pointerId)) this.paintTo(e);
+    });
+    const endStroke = () => {
+      this.stroke = null;
+    };
+    this.listen(canvas, 'pointerup', endStroke);
+    this.listen(canvas, 'pointercancel', endStroke);
+    this.listen(canvas, 'pointerleave', () => this.mapOverlay.hover(null));
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
+  // The GPU context is gone, and the state with it: start again on the CPU
+  useCpu() {
+    this.sim.destroy();
+    this.sim = new CpuSimulation(this.gridWidth, this.gridHeight, this.medium);
+    this.attach();
+    this.container.append(this.mapOverlay.element, this.brushPanel.element);
+    this.resize();
+    this.regenerate();
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    // Feed rate control
-    const feedSlider = document.createElement('div');
-    feedSlider.className = 'control-slider';
-    feedSlider.innerHTML = `
-      <label>Feed Rate</label>
-      <input type="range" id="feed-slider" min="0.01" max="0.1" value="0.055" step="0.005">
-      <span id="feed-value">0.055</span>
-    `;
-    controlsContainer.appendChild(feedSlider);
-
-    document.getElementById('feed-slider')?.addEventListener('input', (e) => {
-      this.feedRate = parseFloat(e.target.value);
-      document.getElementById('feed-value').textContent = this.feedRate.toFixed(3);
-    });
-
-    // Kill rate control
-    const killSlider = document.createElement('div');
-    killSlider.className = 'control-slider';
-    killSlider.innerHTML = `
-      <label>Kill Rate</label>
-      <input type="range" id="kill-slider" min="0.01" max="0.1" value="0.062" step="0.005">
-      <span id="kill-value">0.062</span>
-    `;
-    controlsContainer.appendChild(killSlider);
-
-    document.getElementById('kill-slider')?.addEventListener('input', (e) => {
-      this.killRate = parseFloat(e.target.value);
-      document.getElementById('kill-value').textContent = this.killRate.toFixed(3);
-    });
+  // The selected model's definition and its params as numbers
+  get modelSpec() {
+    return MODELS[this.model];
+  }
 
-    // Speed control
-    const speedSlider = document.createElement('div');
-    speedSlider.className = 'control-slider';
-    speedSlider.innerHTML = `
-      <label>Speed</label>
-      <input type="range" id="speed-slider" min="1" max="10" value="1" step="1">
-      <span id="speed-value">1x</span>
-    `;
-    controlsContainer.appendChild(speedSlider);
+  get modelValues() {
+    return modelParams(this.modelSpec, this);
+  }
 
-    document.getElementById('speed-slider')?.addEventListener('input', (e) => {
-      this.simulationSpeed = parseInt(e.target.value);
-      document.getElementById('speed-value').textContent = this.simulationSpeed + 'x';
-    });
+  get mapActive() {
+    return this.parameterMap && this.model === 'grayScott';
+  }
 
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset simulation';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
+  // Pointer position as fractions { x, y } of the canvas
+  pointerFraction(e) {
+    const rect = this.sim.canvas.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
   }
 
+  // Clicks only pick rates off the map; elsewhere the pointer paints
   handleClick(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-
-    // Convert canvas coordinates to grid coordinates
-    const gridX = Math.floor((x / rect.width) * this.gridWidth);
-    const gridY = Math.floor((y / rect.height) * this.gridHeight);
-
-    // Add B chemical at clicked location (brush size)
-    const brushRadius = 10;
-    for (let dx = -brushRadius; dx <= brushRadius; dx++) {
-      for (let dy = -brushRadius; dy <= brushRadius; dy++) {
-        const gx = gridX + dx;
-        const gy = gridY + dy;
-
-        if (gx >= 0 && gx < this.gridWidth && gy >= 0 && gy < this.gridHeight) {
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist <= brushRadius) {
-            // Add B chemical with falloff
-            const strength = 1.0 - dist / brushRadius;
-            this.B[gx][gy] = Math.min(1.0, this.B[gx][gy] + strength);
-          }
-        }
-      }
-    }
+    if (!this.mapActive) return;
+    const { x, y } = this.pointerFraction(e);
+    this.adoptRates(x, y);
   }
 
-  // Calculate Laplacian (sum of neighbors - center)
-  laplacian(grid, x, y) {
-    const center = grid[x][y];
-    const left = grid[(x - 1 + this.gridWidth) % this.gridWidth][y];
-    const right = grid[(x + 1) % this.gridWidth][y];
-    const up = grid[x][(y - 1 + this.gridHeight) % this.gridHeight];
-    const down = grid[x][(y + 1) % this.gridHeight];
-
-    // Weighted Laplacian kernel
-    return (0.05 * (left + right + up + down - 4 * center));
+  toggleBrushes() {
+    this.brushPanel.toggle();
   }
 
-  // Perform one simulation step
-  simulationStep() {
-    for (let x = 0; x < this.gridWidth; x++) {
-      for (let y = 0; y < this.gridHeight; y++) {
-        const a = this.A[x][y];
-        const b = this.B[x][y];
-
-        // Calculate Laplacians
-        const lapA = this.laplacian(this.A, x, y);
-        const lapB = this.laplacian(this.B, x, y);
-
-        // Gray-Scott reactions
-        const reaction = a * b * b;
-
-        // Update equations
-        this.nextA[x][y] = a + (this.dA * lapA) - reaction + (this.feedRate * (1.0 - a));
-        this.nextB[x][y] = b + (this.dB * lapB) + reaction - ((this.killRate + this.feedRate) * b);
-
-        // Clamp values to [0, 1]
-        this.nextA[x][y] = Math.max(0, Math.min(1, this.nextA[x][y]));
-        this.nextB[x][y] = Math.max(0, Math.min(1, this.nextB[x][y]));
-      }
+  // Paint from the last point of the stroke to the pointer, a dab every
+  // half radius so fast drags leave no gaps
+  paintTo(e) {
+    const { x: fx, y: fy } = this.pointerFraction(e);
+    const x = fx * this.gridWidth;
+    const y = fy * this.gridHeight;
+    const radius = this.brushPanel.radius;
+    const from = this.stroke ?? { x, y };
+    const dabs = Math.max(1, Math.ceil(Math.hypot(x - from.x, y - from.y) / Math.max(1, radius / 2)));
+    for (let i = this.stroke ? 1 : 0; i <= dabs; i++) {
+      const t = i / dabs;
+      this.dab(from.x + (x - from.x) * t, from.y + (y - from.y) * t, radius);
     }
-
-    // Swap grids
-    let temp = this.A;
-    this.A = this.nextA;
-    this.nextA = temp;
-
-    temp = this.B;
-    this.B = this.nextB;
-    this.nextB = temp;
+    this.stroke = { x, y };
+    this.invalidate();
   }
 
-  // Render the current state to canvas
-  render() {
-    const canvasWidth = this.canvas.width;
-    const canvasHeight = this.canvas.height;
-
-    // Create image data
-    this.imageData = this.ctx.createImageData(canvasWidth, canvasHeight);
-    const data = this.imageData.data;
-
-    // Scale factors for upsampling
-    const scaleX = canvasWidth / this.gridWidth;
-    const scaleY = canvasHeight / this.gridHeight;
-
-    // Render each grid cell upsampled to canvas
-    for (let gridX = 0; gridX < this.gridWidth; gridX++) {
-      for (let gridY = 0; gridY < this.gridHeight; gridY++) {
-        const b = this.B[gridX][gridY];
-        const a = this.A[gridX][gridY];
-
-        // Color based on B concentration with some A influence
-        const color = this.getColor(b, a);
-
-        // Fill the upsampled region
-        const startCanvasX = Math.floor(gridX * scaleX);
-        const startCanvasY = Math.floor(gridY * scaleY);
-        const endCanvasX = Math.floor((gridX + 1) * scaleX);
-        const endCanvasY = Math.floor((gridY + 1) * scaleY);
-
-        for (let px = startCanvasX; px < endCanvasX; px++) {
-          for (let py = startCanvasY; py < endCanvasY; py++) {
-            if (px >= 0 && px < canvasWidth && py >= 0 && py < canvasHeight) {
-              const index = (py * canvasWidth + px) * 4;
-              data[index] = color[0];
-              data[index + 1] = color[1];
-              data[index + 2] = color[2];
-              data[index + 3] = color[3];
-            }
-          }
-        }
-      }
+  dab(x, y, radius) {
+    const model = this.modelSpec;
+    switch (this.brushPanel.tool) {
+      case 'seed':
+        this.sim.paint(x, y, radius, model.brush);
+        break;
+      case 'erase':
+        this.sim.paint(x, y, radius, model.rest(this.modelValues));
+        this.medium.paint(x, y, radius, { wall: false, rates: null });
+        break;
+      case 'wall':
+        this.medium.paint(x, y, radius, { wall: true });
+        break;
+      case 'rates':
+        this.medium.paint(x, y, radius, { rates: this.brushPanel.rates });
+        break;
     }
+  }
 
-    // Draw to canvas
-    this.ctx.putImageData(this.imageData, 0, 0);
+  // Start over from a mask: the brush's species where it is set, the
+  // resting state everywhere else
+  seedMask(mask) {
+    const model = this.modelSpec;
+    const rest = model.rest(this.modelValues);
+    const seed = model.brush.map((value, s) => value ?? rest[s]);
+    const fields = Array.from({ length: SPECIES }, () => new Float32Array(mask.length));
+    for (let i = 0; i < mask.length; i++) {
+      const values = mask[i] ? seed : rest;
+      for (let s = 0; s < values.length; s++) fields[s][i] = values[s];
+    }
+    this.sim.load(fields);
+    this.invalidate();
+  }
 
-    // Update FPS
-    this.updateFPS();
+  // Leave the map with the rates found at fractions (x, y) of it
+  adoptRates(x, y) {
+    const { feedRate, killRate } = ratesAt(x, y);
+    this.setParam('feedRate', Number(feedRate.toFixed(4)));
+    this.setParam('killRate', Number(killRate.toFixed(4)));
+    this.setParam('parameterMap', false);
   }
 
-  // Get color based on chemical concentrations
-  getColor(b, a) {
-    // Map B concentration to colors
-    // Low B: blue/purple
-    // Mid B: cyan
-    // High B: yellow/white
+  applyPreset(name) {
+    const preset = PRESETS[name];
+    this.linkingPreset = true;
+    this.setParam('parameterMap', false);
+    this.setParam('feedRate', preset.feedRate);
+    this.setParam('killRate', preset.killRate);
+    this.setParam('seeding', preset.seeding);
+    this.linkingPreset = false;
+    this.regenerate();
+  }
 
-    if (b < 0.1) {
-      // Deep blue for low B
-      return [20, 40, 100, 255];
-    } else if (b < 0.3) {
-      // Blue to cyan
-      const t = (b - 0.1) / 0.2;
-      return [
-        Math.round(20 + t * 100),
-        Math.round(40 + t * 150),
-        Math.round(100 - t * 50),
-        255
-      ];
-    } else if (b < 0.5) {
-      // Cyan to green
-      const t = (b - 0.3) / 0.2;
-      return [
-        Math.round(120 - t * 120),
-        Math.round(190 - t * 50),
-        Math.round(50 + t * 100),
-        255
-      ];
-    } else if (b < 0.7) {
-      // Green to yellow
-      const t = (b - 0.5) / 0.2;
-      return [
-        Math.round(t * 200),
-        Math.round(140 + t * 115),
-        Math.round(150 - t * 150),
-        255
-      ];
-    } else {
-      // Yellow to white
-      const t = (b - 0.7) / 0.3;
-      return [
-        Math.round(200 + t * 55),
-        Math.round(255),
-        Math.round(t * 255),
-        255
-      ];
+  onParamChange(key, value) {
+    switch (key) {
+      case 'model':
+      case 'parameterMap':
+        this.mapOverlay?.show(this.mapActive);
+        this.brushPanel?.setModel(this.modelSpec);
+        if (!this.linkingPreset) this.regenerate();
+        break;
+      case 'preset':
+        if (PRESETS[value] && !this.linkingPreset) this.applyPreset(value);
+        break;
+      case 'feedRate':
+      case 'killRate':
+      case 'seeding':
+        if (this.linkingPreset) break;
+        // Hand-tuned rates no longer name a preset
+        this.linkingPreset = true;
+        this.setParam('preset', matchPreset(this.feedRate, this.killRate, this.seeding) ?? 'custom');
+        this.linkingPreset = false;
+        if (key === 'seeding') this.regenerate();
+        break;
+      case 'gridSize':
+        this.resize();
+        break;
     }
   }
 
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
+  // Render the current state to canvas
+  render() {
+    this.sim.draw(this.modelSpec);
+  }
 
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
+  // Exports colour the grid itself and scale it up to the tile
+  renderTile(tile) {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.gridWidth;
+    canvas.height = this.gridHeight;
+    const image = new ImageData(this.gridWidth, this.gridHeight);
+    colorFields(this.sim.readFields(), this.modelSpec, image, this.medium);
+    canvas.getContext('2d').putImageData(image, 0, 0);
+    return captureCanvases([canvas], tile);
   }
 
   resize() {
     const dpr = window.devicePixelRatio || 1;
     const rect = this.container.getBoundingClientRect();
+    const { canvas } = this.sim;
 
-    this.canvas.width = rect.width * dpr;
-    this.canvas.height = rect.height * dpr;
-    this.canvas.style.width = rect.width + 'px';
-    this.canvas.style.height = rect.height + 'px';
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    // Square cells: the longer side gets gridSize of them
+    const size = Number(this.gridSize);
+    const longest = Math.max(rect.width, rect.height, 1);
+    this.gridWidth = Math.max(16, Math.round(size * rect.width / longest));
+    this.gridHeight = Math.max(16, Math.round(size * rect.height / longest));
+    this.medium.resize(this.gridWidth, this.gridHeight);
+    this.sim.resize(this.gridWidth, this.gridHeight);
 
     if (this.isRunning) {
       this.render();
     }
   }
 
-  start() {
-    this.isRunning = true;
-    this.animate();
-  }
-
-  animate() {
-    if (!this.isRunning || this.isPaused) {
-      return;
-    }
-
+  update() {
     // Run multiple simulation steps per frame for speed control
-    for (let i = 0; i < this.simulationSpeed; i++) {
-      this.simulationStep();
-    }
-
-    // Render the current state
-    this.render();
-
-    // Schedule next frame
-    this.animationId = requestAnimationFrame(() => this.animate());
-  }
-
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
-  }
-
-  togglePause() {
-    this.isPaused = !this.isPaused;
-    if (!this.isPaused) {
-      this.animate();
+    if (this.mapActive) {
+      const { feed, kill } = PARAMETER_MAP;
+      this.sim.step(this.modelSpec, [feed[0], kill[0]], this.simulationSpeed, {
+        x: [feed[1] - feed[0], 0],
+        y: [0, kill[1] - kill[0]]
+      });
+      return;
     }
+    this.sim.step(this.modelSpec, this.modelValues, this.simulationSpeed);
   }
 
+  // A reset also clears what the brushes painted into the medium; other
+  // regenerations keep it
   reset() {
-    this.initializeGrids();
-    this.feedRate = 0.055;
-    this.killRate = 0.062;
-    this.simulationSpeed = 1;
-
-    // Reset sliders
-    const feedSlider = document.getElementById('feed-slider');
-    const killSlider = document.getElementById('kill-slider');
-    const speedSlider = document.getElementById('speed-slider');
-    const feedValue = document.getElementById('feed-value');
-    const killValue = document.getElementById('kill-value');
-    const speedValue = document.getElementById('speed-value');
-
-    if (feedSlider) feedSlider.value = '0.055';
-    if (killSlider) killSlider.value = '0.062';
-    if (speedSlider) speedSlider.value = '1';
-    if (feedValue) feedValue.textContent = '0.055';
-    if (killValue) killValue.textContent = '0.062';
-    if (speedValue) speedValue.textContent = '1x';
-
+    this.medium.clear();
+    super.reset();
     this.render();
   }
 
-  destroy() {
-    this.stop();
-
-    if (this.canvas) {
-      this.canvas.remove();
-    }
-
-    if (this.fpsElement) {
-      this.fpsElement.remove();
-    }
+  // The map is seeded with spots everywhere so every regime gets a start
+  regenerate() {
+    this.sim.reset(this.modelSpec, this.modelValues, this.random, this.mapActive ? 'spots' : this.seeding);
+  }
 
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
+  teardown() {
+    if (this.sim) {
+      this.sim.destroy();
     }
+    this.mapOverlay?.destroy();
+    this.brushPanel?.destroy();
   }
 }
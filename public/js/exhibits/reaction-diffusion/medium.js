@@ -0,0 +1,127 @@
+// The medium the chemicals live in, painted with the brushes: walls, cells
+// where nothing diffuses or reacts and whose neighbours see a closed edge,
+// and cells with their own Gray-Scott feed and kill rates. Both simulations
+// read it every step; the GPU one uploads whatever was painted since it
+// last looked (takeDirty).
+
+export class Medium {
+  constructor(width, height) {
+    this.setSize(width, height);
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.walls = new Uint8Array(width * height);
+    // feed, kill per cell; NaN where the global rates apply
+    this.rates = new Float32Array(width * height * 2).fill(NaN);
+    this.wallCount = 0;
+    this.rateCount = 0;
+    this.dirty = null;
+    this.markDirty(0, 0, width, height);
+  }
+
+  get hasWalls() {
+    return this.wallCount > 0;
+  }
+
+  get hasRates() {
+    return this.rateCount > 0;
+  }
+
+  clear() {
+    this.setSize(this.width, this.height);
+  }
+
+  // Nearest-cell resample onto a new grid
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    const { walls, rates, wallCount, rateCount } = this;
+    const oldWidth = this.width;
+    const oldHeight = this.height;
+    this.setSize(width, height);
+    if (!wallCount && !rateCount) return;
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.min(oldHeight - 1, Math.floor((y + 0.5) * oldHeight / height)) * oldWidth;
+      for (let x = 0; x < width; x++) {
+        const from = row + Math.min(oldWidth - 1, Math.floor((x + 0.5) * oldWidth / width));
+        const i = y * width + x;
+        this.walls[i] = walls[from];
+        this.rates[i * 2] = rates[from * 2];
+        this.rates[i * 2 + 1] = rates[from * 2 + 1];
+      }
+    }
+    this.recount();
+  }
+
+  recount() {
+    this.wallCount = 0;
+    this.rateCount = 0;
+    for (let i = 0; i < this.walls.length; i++) {
+      this.wallCount += this.walls[i];
+      if (Number.isFinite(this.rates[i * 2])) this.rateCount++;
+    }
+  }
+
+  // Paint a hard disc (grid cells, wrapping round the edges) with
+  //   { wall: true | false } and/or { rates: [feed, kill] | null }
+  paint(cx, cy, radius, { wall, rates }) {
+    const { width, height } = this;
+    const reach = Math.ceil(radius);
+    const x0 = Math.round(cx);
+    const y0 = Math.round(cy);
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        if (dx * dx + dy * dy > radius * radius) continue;
+        const x = ((x0 + dx) % width + width) % width;
+        const y = ((y0 + dy) % height + height) % height;
+        const i = y * width + x;
+        if (wall !== undefined) {
+          this.wallCount += Number(wall) - this.walls[i];
+          this.walls[i] = wall ? 1 : 0;
+        }
+        if (rates !== undefined) {
+          const had = Number.isFinite(this.rates[i * 2]);
+          this.rates[i * 2] = rates ? rates[0] : NaN;
+          this.rates[i * 2 + 1] = rates ? rates[1] : NaN;
+          this.rateCount += Number(Boolean(rates)) - Number(had);
+        }
+      }
+    }
+
+    // A disc that wraps round an edge dirties the whole width or height
+    const left = x0 - reach;
+    const top = y0 - reach;
+    const wrapsX = left < 0 || x0 + reach >= width;
+    const wrapsY = top < 0 || y0 + reach >= height;
+    this.markDirty(
+      wrapsX ? 0 : left, wrapsY ? 0 : top,
+      wrapsX ? width : 2 * reach + 1, wrapsY ? height : 2 * reach + 1
+    );
+  }
+
+  markDirty(x, y, width, height) {
+    const d = this.dirty;
+    const right = x + width;
+    const bottom = y + height;
+    this.dirty = d
+      ? { x: Math.min(d.x, x), y: Math.min(d.y, y), right: Math.max(d.right, right), bottom: Math.max(d.bottom, bottom) }
+      : { x, y, right, bottom };
+  }
+
+  // The rectangle painted since the last call, { x, y, width, height }, or
+  // null if nothing was
+  takeDirty() {
+    const d = this.dirty;
+    this.dirty = null;
+    if (!d) return null;
+    const x = Math.max(0, d.x);
+    const y = Math.max(0, d.y);
+    return {
+      x, y,
+      width: Math.min(this.width, d.right) - x,
+      height: Math.min(this.height, d.bottom) - y
+    };
+  }
+}
@@ -0,0 +1,236 @@
+// Reaction-diffusion models. Each one is stepped by the CPU simulation
+// (simulation.js) and by the GPU one (gpu-simulation.js), so it carries its
+// reaction twice, as JavaScript and as GLSL, and the two must agree.
+//
+// Every step, each species s first diffuses, d = s + D * dt * lap(s) with
+// the nine-point Laplacian, and then reacts:
+//   react(s, d, p, dt) -> next state
+// where s is the state before the step, d after diffusion and p the
+// model's params (params, in order) as numbers at that cell. Up to three
+// species fit, stored as the r, g and b of the GPU textures.
+//
+// A model also says how to start (init, given the seeding pattern picked
+// for Gray-Scott, which the others ignore), which species the brush adds
+// (brush: target value per species, null to leave one alone), the resting
+// state the eraser restores (rest(p)) and how a cell is shown (display:
+// 0..1 through the colour ramp). Models with paintedRates take their first
+// two params from cells painted with their own feed and kill.
+
+export const MODELS = {
+  // Pearson's classification of the Gray-Scott model: feed F and kill k
+  // pick between spots, stripes, mazes and chaos
+  grayScott: {
+    label: 'Gray-Scott',
+    species: 2,
+    params: ['feedRate', 'killRate'],
+    diffusion: [1.0, 0.5],
+    dt: 1,
+    react(s, d, p, dt, out) {
+      const a = s[0];
+      const b = s[1];
+      const reaction = a * b * b;
+      out[0] = Math.min(1, Math.max(0, d[0] + dt * (p[0] * (1 - a) - reaction)));
+      out[1] = Math.min(1, Math.max(0, d[1] + dt * (reaction - (p[1] + p[0]) * b)));
+    },
+    glsl: `
+      vec4 react(vec4 s, vec4 d, vec4 p, float dt) {
+        float reaction = s.r * s.g * s.g;
+        vec2 next = d.rg + dt * vec2(p.x * (1.0 - s.r) - reaction, reaction - (p.y + p.x) * s.g);
+        return vec4(clamp(next, 0.0, 1.0), 0.0, 1.0);
+      }`,
+    // A at rest, with B seeded in the middle, in spots all over or as noise
+    init(fields, width, height, random, p, seeding) {
+      fields[0].fill(1);
+      fields[1].fill(0);
+      const patch = (cx, cy, size, density) => {
+        for (let y = cy - size; y < cy + size; y++) {
+          for (let x = cx - size; x < cx + size; x++) {
+            const i = ((y + height) % height) * width + ((x + width) % width);
+            fields[1][i] = random.chance(density) ? 1 : 0;
+          }
+        }
+      };
+
+      if (seeding === 'spots') {
+        const count = Math.max(4, Math.round(width * height / 2500));
+        for (let n = 0; n < count; n++) {
+          patch(random.int(0, width), random.int(0, height), 3, 0.5);
+        }
+      } else if (seeding === 'noise') {
+        for (let i = 0; i < width * height; i++) {
+          if (random.chance(0.05)) fields[1][i] = 1;
+        }
+      } else {
+        patch(width >> 1, height >> 1, Math.max(4, Math.round(Math.min(width, height) * 0.08)), 0.3);
+      }
+    },
+    brush: [null, 1],
+    rest: () => [1, 0],
+    paintedRates: true,
+    display: (s) => s[1],
+    displayGlsl: 'float display(vec4 s) { return s.g; }'
+  },
+
+  // Excitable medium: u fires once pushed past the threshold a and the
+  // slow recovery variable v brings it back, so broken wave fronts curl
+  // into spirals
+  fitzhughNagumo: {
+    label: 'FitzHugh–Nagumo',
+    species: 2,
+    params: ['threshold', 'recovery'],
+    diffusion: [1.0, 0.0],
+    dt: 0.5,
+    react(s, d, p, dt, out) {
+      const u = s[0];
+      const v = s[1];
+      out[0] = d[0] + dt * (u * (1 - u) * (u - p[0]) - v);
+      out[1] = d[1] + dt * p[1] * (0.5 * u - v);
+    },
+    glsl: `
+      vec4 react(vec4 s, vec4 d, vec4 p, float dt) {
+        float u = s.r;
+        float v = s.g;
+        return vec4(
+          d.r + dt * (u * (1.0 - u) * (u - p.x) - v),
+          d.g + dt * p.y * (0.5 * u - v),
+          0.0, 1.0);
+      }`,
+    // Excited bars with a refractory band beside each: the bars' open
+    // ends roll up into spiral pairs
+    init(fields, width, height, random) {
+      fields[0].fill(0);
+      fields[1].fill(0);
+      const bars = 2 + random.int(0, 3);
+      for (let n = 0; n < bars; n++) {
+        const y0 = random.int(0, height);
+        const x0 = random.int(0, width);
+        const length = Math.round(width * random.range(0.2, 0.5));
+        const thickness = Math.max(2, Math.round(height * 0.015));
+        for (let x = x0; x < x0 + length; x++) {
+          for (let t = 0; t < thickness * 3; t++) {
+            const i = ((y0 + t) % height) * width + (x % width);
+            if (t < thickness) {
+              fields[0][i] = 1;
+            } else {
+              fields[1][i] = 0.2;
+            }
+          }
+        }
+      }
+    },
+    brush: [1, null],
+    rest: () => [0, 0],
+    // Wave fronts bright, their refractory wakes fading from cyan to blue
+    display: (s) => Math.min(1, Math.max(0, s[0] * 0.7 + s[1] * 2.5)),
+    displayGlsl: 'float display(vec4 s) { return clamp(s.r * 0.7 + s.g * 2.5, 0.0, 1.0); }'
+  },
+
+  // Brusselator: a chemical oscillator whose inhibitor v diffuses eight
+  // times faster than u, which freezes the oscillation into Turing spots
+  // and stripes for B between (1 + A / sqrt(8))^2 and 1 + A^2
+  brusselator: {
+    label: 'Brusselator',
+    species: 2,
+    params: ['brusselatorA', 'brusselatorB'],
+    diffusion: [8, 64],
+    dt: 0.01,
+    react(s, d, p, dt, out) {
+      const u = s[0];
+      const v = s[1];
+      const uuv = u * u * v;
+      out[0] = Math.max(0, d[0] + dt * (p[0] - (p[1] + 1) * u + uuv));
+      out[1] = Math.max(0, d[1] + dt * (p[1] * u - uuv));
+    },
+    glsl: `
+      vec4 react(vec4 s, vec4 d, vec4 p, float dt) {
+        float uuv = s.r * s.r * s.g;
+        vec2 next = d.rg + dt * vec2(p.x - (p.y + 1.0) * s.r + uuv, p.y * s.r - uuv);
+        return vec4(max(next, 0.0), 0.0, 1.0);
+      }`,
+    // The uniform steady state (u = A, v = B / A) with a little noise
+    init(fields, width, height, random, p) {
+      for (let i = 0; i < width * height; i++) {
+        fields[0][i] = p[0] * (1 + 0.05 * (random.next() - 0.5));
+        fields[1][i] = p[1] / p[0] * (1 + 0.05 * (random.next() - 0.5));
+      }
+    },
+    brush: [null, 6],
+    rest: (p) => [p[0], p[1] / p[0]],
+    display: (s) => Math.min(1, Math.max(0, s[0] / 8)),
+    displayGlsl: 'float display(vec4 s) { return clamp(s.r / 8.0, 0.0, 1.0); }'
+  },
+
+  // Alasdair Turner's Belousov-Zhabotinsky model: three species that each
+  // feed on the next, after averaging over the neighbourhood, cycle round
+  // in spiral waves
+  belousovZhabotinsky: {
+    label: 'Belousov-Zhabotinsky',
+    species: 3,
+    params: ['alpha', 'beta', 'gamma'],
+    // With D * dt = 1 the diffusion step is the neighbourhood average
+    diffusion: [1, 1, 1],
+    dt: 1,
+    react(s, d, p, dt, out) {
+      const [a, b, c] = d;
+      out[0] = Math.min(1, Math.max(0, a + a * (p[0] * b - p[2] * c)));
+      out[1] = Math.min(1, Math.max(0, b + b * (p[1] * c - p[0] * a)));
+      out[2] = Math.min(1, Math.max(0, c + c * (p[2] * a - p[1] * b)));
+    },
+    glsl: `
+      vec4 react(vec4 s, vec4 d, vec4 p, float dt) {
+        vec3 next = d.rgb + d.rgb * vec3(p.x * d.g - p.z * d.b, p.y * d.b - p.x * d.r, p.z * d.r - p.y * d.g);
+        return vec4(clamp(next, 0.0, 1.0), 1.0);
+      }`,
+    init(fields, width, height, random) {
+      for (let i = 0; i < width * height; i++) {
+        fields[0][i] = random.next();
+        fields[1][i] = random.next();
+        fields[2][i] = random.next();
+      }
+    },
+    brush: [1, 0, 0],
+    rest: () => [0, 0, 0],
+    display: (s) => s[0],
+    displayGlsl: 'float display(vec4 s) { return s.r; }'
+  },
+
+  // Rock-paper-scissors (May-Leonard): three populations share the space,
+  // each beating the next; mobile populations chase each other in spirals
+  cyclic: {
+    label: 'Rock-paper-scissors',
+    species: 3,
+    params: ['dominance'],
+    diffusion: [1, 1, 1],
+    dt: 0.2,
+    react(s, d, p, dt, out) {
+      const [a, b, c] = s;
+      const weak = 0.5 * p[0];
+      out[0] = Math.max(0, d[0] + dt * a * (1 - a - p[0] * b - weak * c));
+      out[1] = Math.max(0, d[1] + dt * b * (1 - b - p[0] * c - weak * a));
+      out[2] = Math.max(0, d[2] + dt * c * (1 - c - p[0] * a - weak * b));
+    },
+    glsl: `
+      vec4 react(vec4 s, vec4 d, vec4 p, float dt) {
+        float weak = 0.5 * p.x;
+        vec3 growth = s.rgb * (1.0 - s.rgb - p.x * s.gbr - weak * s.brg);
+        return vec4(max(d.rgb + dt * growth, 0.0), 1.0);
+      }`,
+    init(fields, width, height, random) {
+      for (let i = 0; i < width * height; i++) {
+        fields[0][i] = random.range(0, 0.5);
+        fields[1][i] = random.range(0, 0.5);
+        fields[2][i] = random.range(0, 0.5);
+      }
+    },
+    brush: [1, 0, 0],
+    rest: () => [0, 0, 0],
+    display: (s) => {
+      const total = s[0] + s[1] + s[2];
+      return total > 0 ? (s[1] * 0.5 + s[2]) / total : 0;
+    },
+    displayGlsl: `float display(vec4 s) {
+      float total = s.r + s.g + s.b;
+      return total > 0.0 ? (s.g * 0.5 + s.b) / total : 0.0;
+    }`
+  }
+};
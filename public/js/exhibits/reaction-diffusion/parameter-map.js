@@ -0,0 +1,61 @@
+// Labels for the Gray-Scott parameter map: the feed and kill axes, a marker
+// for each preset where its rates sit on the map, and a caption with the
+// rates under the pointer. The overlay ignores the pointer; the exhibit
+// reports positions to it as fractions of the canvas.
+
+import { PARAMETER_MAP, PRESETS, mapPosition, ratesAt } from './presets.js';
+
+export class ParameterMapOverlay {
+  constructor(container) {
+    this.element = document.createElement('div');
+    this.element.className = 'rd-map';
+    this.element.hidden = true;
+
+    const { feed, kill } = PARAMETER_MAP;
+    const feedAxis = document.createElement('span');
+    feedAxis.className = 'rd-map-axis rd-map-feed';
+    feedAxis.textContent = `feed ${feed[0]} → ${feed[1]}`;
+    const killAxis = document.createElement('span');
+    killAxis.className = 'rd-map-axis rd-map-kill';
+    killAxis.textContent = `kill ${kill[0]} → ${kill[1]}`;
+    this.element.append(feedAxis, killAxis);
+
+    for (const preset of Object.values(PRESETS)) {
+      const { x, y } = mapPosition(preset.feedRate, preset.killRate);
+      const marker = document.createElement('span');
+      marker.className = 'rd-map-preset';
+      marker.textContent = preset.label;
+      marker.style.left = `${x * 100}%`;
+      marker.style.top = `${y * 100}%`;
+      this.element.appendChild(marker);
+    }
+
+    this.caption = document.createElement('span');
+    this.caption.className = 'rd-map-caption';
+    this.caption.hidden = true;
+    this.element.appendChild(this.caption);
+
+    container.appendChild(this.element);
+  }
+
+  show(visible) {
+    this.element.hidden = !visible;
+    if (!visible) this.hover(null);
+  }
+
+  // Caption the rates at fractions { x, y } of the map, or hide it
+  hover(position) {
+    this.caption.hidden = !position;
+    if (!position) return;
+    const { feedRate, killRate } = ratesAt(position.x, position.y);
+    this.caption.textContent = `feed ${feedRate.toFixed(4)} · kill ${killRate.toFixed(4)} (click to use)`;
+    this.caption.style.left = `${position.x * 100}%`;
+    this.caption.style.top = `${position.y * 100}%`;
+    // Keep it on screen near the right edge
+    this.caption.style.transform = position.x > 0.7 ? 'translate(calc(-100% - 12px), 12px)' : '';
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
@@ -0,0 +1,48 @@
+// Gray-Scott regimes from Pearson's classification ("Complex patterns in a
+// simple system", 1993), with the seeding each one grows best from:
+//   center  a square of noise in the middle
+//   spots   small patches scattered over the grid
+//   noise   sparse B everywhere
+
+export const PRESETS = {
+  mitosis: { label: 'Mitosis', feedRate: 0.0367, killRate: 0.0649, seeding: 'spots' },
+  coral: { label: 'Coral', feedRate: 0.0545, killRate: 0.062, seeding: 'center' },
+  solitons: { label: 'Solitons', feedRate: 0.045, killRate: 0.067, seeding: 'spots' },
+  worms: { label: 'Worms', feedRate: 0.078, killRate: 0.061, seeding: 'spots' },
+  maze: { label: 'Maze', feedRate: 0.029, killRate: 0.057, seeding: 'center' },
+  holes: { label: 'Holes', feedRate: 0.039, killRate: 0.058, seeding: 'noise' }
+};
+
+// The parameter map: feed grows left to right and kill top to bottom over
+// these ranges, which hold every preset and the boundary where patterns
+// live
+export const PARAMETER_MAP = {
+  feed: [0.01, 0.09],
+  kill: [0.05, 0.07]
+};
+
+// Rates at fractions (0..1) of the map's width and height
+export function ratesAt(fx, fy) {
+  const { feed, kill } = PARAMETER_MAP;
+  return {
+    feedRate: feed[0] + (feed[1] - feed[0]) * fx,
+    killRate: kill[0] + (kill[1] - kill[0]) * fy
+  };
+}
+
+// Inverse of ratesAt
+export function mapPosition(feedRate, killRate) {
+  const { feed, kill } = PARAMETER_MAP;
+  return {
+    x: (feedRate - feed[0]) / (feed[1] - feed[0]),
+    y: (killRate - kill[0]) / (kill[1] - kill[0])
+  };
+}
+
+// The preset with exactly these settings, if any
+export function matchPreset(feedRate, killRate, seeding) {
+  return Object.keys(PRESETS).find(name => {
+    const preset = PRESETS[name];
+    return preset.feedRate === feedRate && preset.killRate === killRate && preset.seeding === seeding;
+  }) ?? null;
+}
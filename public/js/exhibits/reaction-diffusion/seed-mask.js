@@ -0,0 +1,56 @@
+// Masks for seeding the grid from letterforms or a picture: one byte per
+// cell, 1 where the pattern should start. Both are drawn on a grid-sized
+// canvas and thresholded.
+
+// Bright text on black, as large as fits the width and height
+export function textMask(text, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+
+  const lines = text.split('\n').filter(line => line.trim());
+  let size = height * 0.8 / Math.max(1, lines.length);
+  ctx.font = `bold ${size}px sans-serif`;
+  const widest = Math.max(1, ...lines.map(line => ctx.measureText(line).width));
+  size = Math.min(size, size * width * 0.9 / widest);
+  ctx.font = `bold ${size}px sans-serif`;
+
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, i) => {
+    ctx.fillText(line, width / 2, height / 2 + (i - (lines.length - 1) / 2) * size * 1.1);
+  });
+  return threshold(ctx.getImageData(0, 0, width, height), false);
+}
+
+// An image scaled to cover the grid. Mostly bright pictures (dark ink on
+// paper) are inverted, so the ink is what seeds
+export function imageMask(image, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const scale = Math.max(width / image.width, height / image.height);
+  const w = image.width * scale;
+  const h = image.height * scale;
+  ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
+
+  const pixels = ctx.getImageData(0, 0, width, height);
+  let total = 0;
+  for (let i = 0; i < width * height; i++) total += luminance(pixels.data, i);
+  return threshold(pixels, total / (width * height) > 0.5);
+}
+
+const luminance = (data, i) => (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+
+function threshold(pixels, invert) {
+  const mask = new Uint8Array(pixels.width * pixels.height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = (luminance(pixels.data, i) > 0.5) !== invert ? 1 : 0;
+  }
+  return mask;
+}
@@ -0,0 +1,259 @@
+// CPU reaction-diffusion: up to three species on Float32Array ping-pong
+// buffers over a toroidal width x height grid, stepped by a model from
+// models.js in a Medium (medium.js) of the same size. The GPU simulation
+// shares this interface:
+//   reset(model, params, random, seeding)  fresh state from model.init
+//   step(model, params, count, spread)     advance count steps
+//   paint(x, y, radius, target)            soft brush in grid cells, blending
+//                                          each species toward target (null
+//                                          leaves one alone)
+//   resize(width, height)                  resample the state onto a new grid
+//   readFields()                           one Float32Array per species
+//   load(fields)                           replace the state
+//   draw(model)                            show the state on this.canvas
+// spread, when given, makes the params vary across the grid: a cell at
+// fractions (fx, fy) of the width and height runs with
+// params + fx * spread.x + fy * spread.y (the Gray-Scott parameter map).
+
+// Nine-point Laplacian weights: edge neighbours, diagonal neighbours; the
+// centre takes -1 so a flat field stays put
+const EDGE = 0.2;
+const CORNER = 0.05;
+
+export const SPECIES = 3;
+
+// Walls are drawn in this colour whatever the model
+export const WALL_COLOR = [58, 58, 66];
+
+// Display value (0..1) to colour: deep blue through cyan and green to
+// yellow-white
+function colorAt(value) {
+  if (value < 0.1) return [20, 40, 100];
+  if (value < 0.3) {
+    const t = (value - 0.1) / 0.2;
+    return [20 + t * 100, 40 + t * 150, 100 - t * 50];
+  }
+  if (value < 0.5) {
+    const t = (value - 0.3) / 0.2;
+    return [120 - t * 120, 190 - t * 50, 50 + t * 100];
+  }
+  if (value < 0.7) {
+    const t = (value - 0.5) / 0.2;
+    return [t * 200, 140 + t * 115, 150 - t * 150];
+  }
+  const t = Math.min(1, (value - 0.7) / 0.3);
+  return [200 + t * 55, 255, t * 255];
+}
+
+// 256 RGBA entries of colorAt, shared with the GPU's lookup texture
+export const RAMP = new Uint8ClampedArray(256 * 4);
+for (let i = 0; i < 256; i++) {
+  const [r, g, b] = colorAt(i / 255);
+  RAMP.set([r, g, b, 255], i * 4);
+}
+
+const createFields = (size) => Array.from({ length: SPECIES }, () => new Float32Array(size));
+
+// Model params as numbers, in the model's order
+export function modelParams(model, source) {
+  return model.params.map(key => Number(source[key]));
+}
+
+// Colour every cell of fields into image (grid-sized ImageData), and the
+// medium's walls
+export function colorFields(fields, model, image, medium) {
+  const data = image.data;
+  const walls = medium.hasWalls ? medium.walls : null;
+  const s = new Float64Array(SPECIES);
+  for (let i = 0; i < image.width * image.height; i++) {
+    if (walls && walls[i]) {
+      data.set(WALL_COLOR, i * 4);
+      data[i * 4 + 3] = 255;
+      continue;
+    }
+    s[0] = fields[0][i];
+    s[1] = fields[1][i];
+    s[2] = fields[2][i];
+    const entry = Math.round(Math.min(1, Math.max(0, model.display(s))) * 255) * 4;
+    data[i * 4] = RAMP[entry];
+    data[i * 4 + 1] = RAMP[entry + 1];
+    data[i * 4 + 2] = RAMP[entry + 2];
+    data[i * 4 + 3] = 255;
+  }
+}
+
+// Nearest-cell resample of fields from one grid size to another
+export function resampleFields(fields, width, height, newWidth, newHeight) {
+  const resampled = createFields(newWidth * newHeight);
+  for (let y = 0; y < newHeight; y++) {
+    const row = Math.min(height - 1, Math.floor((y + 0.5) * height / newHeight)) * width;
+    for (let x = 0; x < newWidth; x++) {
+      const from = row + Math.min(width - 1, Math.floor((x + 0.5) * width / newWidth));
+      for (let s = 0; s < SPECIES; s++) resampled[s][y * newWidth + x] = fields[s][from];
+    }
+  }
+  return resampled;
+}
+
+// Blend fields toward target (one value or null per species) inside a
+// soft disc
+function paintFields(fields, width, height, x, y, radius, target) {
+  const reach = Math.ceil(radius);
+  for (let dy = -reach; dy <= reach; dy++) {
+    for (let dx = -reach; dx <= reach; dx++) {
+      const distance = Math.hypot(dx, dy);
+      if (distance > radius) continue;
+      const strength = 1 - distance / radius;
+      const gx = ((Math.round(x) + dx) % width + width) % width;
+      const gy = ((Math.round(y) + dy) % height + height) % height;
+      const i = gy * width + gx;
+      target.forEach((value, s) => {
+        if (value !== null) fields[s][i] += (value - fields[s][i]) * strength;
+      });
+    }
+  }
+}
+
+export class CpuSimulation {
+  constructor(width, height, medium) {
+    this.medium = medium;
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    // The grid is drawn at one pixel per cell here, then scaled up smoothly
+    this.grid = document.createElement('canvas');
+    this.gridCtx = this.grid.getContext('2d');
+    this.setSize(width, height, createFields(width * height));
+  }
+
+  setSize(width, height, fields) {
+    this.width = width;
+    this.height = height;
+    this.fields = fields;
+    this.next = createFields(width * height);
+    this.grid.width = width;
+    this.grid.height = height;
+    this.image = new ImageData(width, height);
+
+    // Wrapped neighbour columns and rows, so the inner loop never takes a
+    // modulo
+    this.left = new Int32Array(width);
+    this.right = new Int32Array(width);
+    for (let x = 0; x < width; x++) {
+      this.left[x] = (x - 1 + width) % width;
+      this.right[x] = (x + 1) % width;
+    }
+    this.up = new Int32Array(height);
+    this.down = new Int32Array(height);
+    for (let y = 0; y < height; y++) {
+      this.up[y] = ((y - 1 + height) % height) * width;
+      this.down[y] = ((y + 1) % height) * width;
+    }
+  }
+
+  reset(model, params, random, seeding) {
+    for (const field of this.fields) field.fill(0);
+    model.init(this.fields, this.width, this.height, random, params, seeding);
+  }
+
+  step(model, params, count, spread = null) {
+    const { width, height, left, right, up, down, medium } = this;
+    const species = model.species;
+    const diffusion = model.diffusion.map(d => d * model.dt);
+    const walls = medium.hasWalls ? medium.walls : null;
+    const painted = model.paintedRates && medium.hasRates ? medium.rates : null;
+    const s = new Float64Array(SPECIES);
+    const d = new Float64Array(SPECIES);
+    const out = new Float64Array(SPECIES);
+    const p = Float64Array.from(params);
+    const rowParams = Float64Array.from(params);
+    const local = Float64Array.from(params);
+
+    for (let n = 0; n < count; n++) {
+      const { fields, next } = this;
+      for (let y = 0; y < height; y++) {
+        const row = y * width;
+        const above = up[y];
+        const below = down[y];
+        if (spread) {
+          for (let k = 0; k < p.length; k++) rowParams[k] = params[k] + spread.y[k] * y / (height - 1);
+        }
+        for (let x = 0; x < width; x++) {
+          const i = row + x;
+
+          // Walls hold still
+          if (walls && walls[i]) {
+            for (let k = 0; k < species; k++) next[k][i] = fields[k][i];
+            continue;
+          }
+
+          if (spread) {
+            for (let k = 0; k < p.length; k++) p[k] = rowParams[k] + spread.x[k] * x / (width - 1);
+          }
+          let cellParams = p;
+          if (painted && !Number.isNaN(painted[i * 2])) {
+            local.set(p);
+            local[0] = painted[i * 2];
+            local[1] = painted[i * 2 + 1];
+            cellParams = local;
+          }
+
+          const l = left[x];
+          const r = right[x];
+          for (let k = 0; k < species; k++) {
+            const f = fields[k];
+            const centre = f[i];
+            let laplacian;
+            if (walls) {
+              // A wall neighbour reads as this cell, so nothing flows
+              // through it
+              const at = (j) => (walls[j] ? centre : f[j]);
+              laplacian =
+                EDGE * (at(row + l) + at(row + r) + at(above + x) + at(below + x)) +
+                CORNER * (at(above + l) + at(above + r) + at(below + l) + at(below + r)) -
+                centre;
+            } else {
+              laplacian =
+                EDGE * (f[row + l] + f[row + r] + f[above + x] + f[below + x]) +
+                CORNER * (f[above + l] + f[above + r] + f[below + l] + f[below + r]) -
+                centre;
+            }
+            s[k] = centre;
+            d[k] = centre + diffusion[k] * laplacian;
+          }
+          model.react(s, d, cellParams, model.dt, out);
+          for (let k = 0; k < species; k++) next[k][i] = out[k];
+        }
+      }
+      this.fields = next;
+      this.next = fields;
+    }
+  }
+
+  paint(x, y, radius, target) {
+    paintFields(this.fields, this.width, this.height, x, y, radius, target);
+  }
+
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    this.setSize(width, height, resampleFields(this.fields, this.width, this.height, width, height));
+  }
+
+  readFields() {
+    return this.fields;
+  }
+
+  load(fields) {
+    fields.forEach((field, s) => this.fields[s].set(field));
+  }
+
+  draw(model) {
+    colorFields(this.fields, model, this.image, this.medium);
+    this.gridCtx.putImageData(this.image, 0, 0);
+    this.ctx.imageSmoothingEnabled = true;
+    this.ctx.drawImage(this.grid, 0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  destroy() {
+    this.canvas.remove();
+  }
+}
@@ -1,30 +1,67 @@
 // Recursive Tree Garden
-// L-system inspired fractal tree with wind animation
-
-export default class RecursiveTreeExhibit {
+// L-system plants (lsystem.js) swaying in the wind. Grammars without
+// branches, such as the Koch curve, are drawn once, whole, instead of as a
+// garden.
+
+import { Exhibit } from '../../core/exhibit.js';
+import { Random } from '../../core/random.js';
+import { hslToRgb } from '../../core/vector-export.js';
+import { MAX_MODULES, derive, interpret, parseAxiom, parseRules } from './lsystem.js';
+import { PRESETS, matchPreset } from './presets.js';
+import { RuleEditor } from './rule-editor.js';
+
+// Plants across the garden: where each stands, as a fraction of the width,
+// and how many degrees wider than the angle it spreads its branches
+const GARDEN = [
+  { x: 0.25, spread: 0 },
+  { x: 0.5, spread: 1.5 },
+  { x: 0.75, spread: -1.5 }
+];
+
+// Tallest a plant grows, as a fraction of the canvas height
+const PLANT_HEIGHT = 0.85;
+
+// Degrees the strongest wind bends a plant over its full height
+const WIND_BEND = 20;
+
+// Curves are coloured along their length in this many steps of hue
+const HUE_STEPS = 24;
+
+export default class RecursiveTreeExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.p5Instance = null;
-    this.isRunning = false;
-    this.isPaused = false;
     this.time = 0;
-
-    // Tree parameters
-    this.lengthRatio = 0.67;
-    this.branchAngle = 25;
-    this.maxDepth = 10;
-    this.windStrength = 0.3;
     this.showLeaves = true;
 
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
-    this.fpsElement = null;
+    // The grammar being grown, a preset's unless the rule editor changed it
+    this.source = { axiom: PRESETS[this.preset].axiom, rules: PRESETS[this.preset].rules };
+    // Whether the grammar branches, which makes it a garden of plants
+    this.branching = true;
+    // Derived plants: { modules, shape } with shape the windless turtle
+    // drawing from interpret()
+    this.plants = [];
+    this.editor = null;
+    // Set while a preset writes its angle, iterations and length ratio, so
+    // none of the changes reads as the viewer's
+    this.linkingPreset = false;
+
+    // Last frame's shapes and where they stood, for vector export
+    this.scene = [];
   }
 
-  async init() {
+  async setup() {
+    this.editor = new RuleEditor(this.container, {
+      axiom: this.source.axiom,
+      rules: this.source.rules,
+      onApply: (axiom, rules) => this.applyRules(axiom, rules)
+    });
+    this.listen(window, 'keydown', (e) => {
+      if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
+      if (e.key === 'e' || e.key === 'E') this.toggleEditor();
+    });
+    this.regenerate();
+
     // Import p5.js
     const p5 = await this.loadP5();
 
@@ -35,57 +72,19 @@ export default class RecursiveTreeExhibit {
         const canvas = p.createCanvas(rect.width, rect.height);
         canvas.parent(this.container);
         p.background(20, 25, 35);
+
+        // Frames are driven by the exhibit loop via redraw()
+        p.noLoop();
       };
 
       p.draw = () => {
-        if (!this.isRunning || this.isPaused) return;
-
         p.background(20, 25, 35, 15); // Slight fade for smooth trails
-        p.translate(p.width / 2, p.height);
-
-        // Wind effect using sine wave
-        this.time += 0.01;
-        const windOffset = Math.sin(this.time * 0.5) * this.windStrength;
-
-        // Draw multiple trees with slight variations
-        p.push();
-        p.translate(-120, 0);
-        this.drawTree(p, 0, -p.height * 0.35, 90, 0, windOffset);
-        p.pop();
-
-        p.push();
-        p.translate(0, 0);
-        this.drawTree(p, 0, -p.height * 0.4, 90, 0.15, windOffset);
-        p.pop();
-
-        p.push();
-        p.translate(120, 0);
-        this.drawTree(p, 0, -p.height * 0.35, 90, -0.15, windOffset);
-        p.pop();
-
-        // Update FPS
-        this.updateFPS();
-      };
-
-      p.windowResized = () => {
-        if (this.isRunning) {
-          const rect = this.container.getBoundingClientRect();
-          p.resizeCanvas(rect.width, rect.height);
-        }
+        this.drawGarden(p.drawingContext, p.width, p.height);
       };
     };
 
     // Create p5 instance
     this.p5Instance = new p5(sketch);
-
-    // Create FPS counter
-    this.createFPSCounter();
-
-    // Create controls
-    this.createControls();
-
-    // Start animation
-    this.start();
   }
 
   loadP5() {
@@ -101,214 +100,300 @@ export default class RecursiveTreeExhibit {
     });
   }
 
-  drawTree(p, x, y, angle, variation, windOffset) {
-    this.branch(p, x, y, angle + windOffset, 0, variation);
+  toggleEditor() {
+    this.editor.toggle();
   }
 
-  branch(p, x, y, angle, depth, variation) {
-    if (depth > this.maxDepth) return;
-
-    // Calculate branch endpoint
-    let length = p.height * 0.15 * Math.pow(this.lengthRatio, depth);
-    let endX = x + length * Math.cos((angle - 90) * Math.PI / 180);
-    let endY = y + length * Math.sin((angle - 90) * Math.PI / 180);
-
-    // Calculate thickness
-    const thickness = Math.max(1, 8 - depth * 0.7);
-
-    // Color gradient: brown to green
-    const colorLerp = depth / this.maxDepth;
-    let r, g, b;
-
-    if (colorLerp < 0.7) {
-      // Brown to dark green
-      r = Math.round(139 * (1 - colorLerp * 1.2));
-      g = Math.round(100 + 50 * colorLerp);
-      b = Math.round(69 * (1 - colorLerp * 0.5));
-    } else {
-      // Dark green to light green
-      r = Math.round(34 * (1 - colorLerp));
-      g = Math.round(150 + 105 * colorLerp);
-      b = Math.round(69 * (1 - colorLerp * 0.3));
+  // Derive the plants from the grammar. Stochastic rules draw from a
+  // generator restarted at the seed, so a change of iterations regrows the
+  // same garden.
+  grow() {
+    const axiom = parseAxiom(this.source.axiom, this.constants());
+    const rules = parseRules(this.source.rules, this.constants());
+    this.branching = (this.source.axiom + this.source.rules).includes('[');
+
+    const random = new Random(this.random.seed);
+    const count = this.branching ? GARDEN.length : 1;
+    let done = this.iterations;
+    this.plants = [];
+    for (let i = 0; i < count; i++) {
+      const grown = derive(axiom, rules, this.iterations, random);
+      done = Math.min(done, grown.iterations);
+      this.plants.push({ modules: grown.modules, shape: null });
     }
+    this.reshape();
 
-    p.stroke(r, g, b);
-    p.strokeWeight(thickness);
-    p.line(x, y, endX, endY);
+    const modules = this.plants.reduce((sum, plant) => sum + plant.modules.length, 0);
+    const lines = this.plants.reduce((sum, plant) => sum + plant.shape.levels.length, 0);
+    this.editor?.showStatus(done < this.iterations
+      ? `Stopped after ${done} of ${this.iterations} iterations, past ${MAX_MODULES.toLocaleString()} modules`
+      : `${modules.toLocaleString()} modules, ${lines.toLocaleString()} lines`);
+  }
 
-    // Draw leaves at terminal branches
-    if (depth > this.maxDepth - 2 && this.showLeaves) {
-      this.drawLeaf(p, endX, endY, r, g, b);
+  // Walk the turtle over each plant again, for a new angle
+  reshape() {
+    for (const [i, plant] of this.plants.entries()) {
+      plant.shape = interpret(plant.modules, this.turtle(i));
     }
-
-    // Recursive branching
-    const leftAngle = angle + this.branchAngle + variation * 10;
-    const rightAngle = angle - this.branchAngle - variation * 10;
-
-    // Add slight randomness for organic feel
-    const randomFactor = Math.random() * 0.02;
-
-    this.branch(p, endX, endY, leftAngle + randomFactor, depth + 1, variation);
-    this.branch(p, endX, endY, rightAngle - randomFactor, depth + 1, variation);
   }
 
-  drawLeaf(p, x, y, r, g, b) {
-    p.push();
-    p.noStroke();
-    p.fill(r, g + 30, b + 60, 200);
-    p.ellipse(x, y, 4, 6);
-    p.pop();
+  // Names the grammar can use besides its parameters
+  constants() {
+    return { ratio: this.lengthRatio };
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
+  // Turtle options for plant i; bend in degrees per unit of length
+  turtle(i, bend = 0) {
+    return this.branching
+      ? { angle: this.angle + GARDEN[i].spread, ratio: this.lengthRatio, bend }
+      : { angle: this.angle, heading: 0 };
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    // Branch angle control
-    const angleControl = document.createElement('div');
-    angleControl.className = 'control-slider';
-    angleControl.innerHTML = `
-      <label>Branch Angle</label>
-      <input type="range" id="branch-angle" min="10" max="45" value="25" step="1">
-      <span id="angle-value">25°</span>
-    `;
-    controlsContainer.appendChild(angleControl);
-
-    document.getElementById('branch-angle')?.addEventListener('input', (e) => {
-      this.branchAngle = parseFloat(e.target.value);
-      document.getElementById('angle-value').textContent = `${this.branchAngle}°`;
-    });
+  // Where each plant stands and its scale, fitted to the canvas from its
+  // windless shape. Plants share one scale and stand on the bottom edge;
+  // a curve is centred.
+  layout(width, height) {
+    if (!this.branching) {
+      const { x0, y0, x1, y1 } = this.plants[0].shape.bounds;
+      const scale = 0.9 * Math.min(width / (x1 - x0 || 1), height / (y1 - y0 || 1));
+      return [{ scale, x: width / 2 - (x0 + x1) / 2 * scale, y: height / 2 + (y0 + y1) / 2 * scale }];
+    }
+    const slot = width / GARDEN.length;
+    const scale = Math.min(...this.plants.map(({ shape: { bounds: b } }) => Math.min(
+      PLANT_HEIGHT * height / (b.y1 - Math.min(0, b.y0) || 1),
+      0.95 * slot / (b.x1 - b.x0 || 1)
+    )));
+    return this.plants.map(({ shape: { bounds: b } }, i) => ({
+      scale,
+      x: GARDEN[i].x * width - (b.x0 + b.x1) / 2 * scale,
+      y: height
+    }));
+  }
 
-    // Wind strength control
-    const windControl = document.createElement('div');
-    windControl.className = 'control-slider';
-    windControl.innerHTML = `
-      <label>Wind Strength</label>
-      <input type="range" id="wind-strength" min="0" max="1" value="0.3" step="0.05">
-      <span id="wind-value">0.3</span>
-    `;
-    controlsContainer.appendChild(windControl);
-
-    document.getElementById('wind-strength')?.addEventListener('input', (e) => {
-      this.windStrength = parseFloat(e.target.value);
-      document.getElementById('wind-value').textContent = this.windStrength.toFixed(2);
+  drawGarden(ctx, width, height) {
+    const wind = Math.sin(this.time * 0.5) * this.windStrength * WIND_BEND;
+    const layout = this.layout(width, height);
+    this.scene = this.plants.map((plant, i) => {
+      let shape = plant.shape;
+      if (this.branching && wind) {
+        const { y0, y1 } = plant.shape.bounds;
+        shape = interpret(plant.modules, this.turtle(i, wind / (y1 - y0 || 1)));
+      }
+      return { shape, ...layout[i] };
     });
 
-    // Depth control
-    const depthControl = document.createElement('div');
-    depthControl.className = 'control-slider';
-    depthControl.innerHTML = `
-      <label>Depth</label>
-      <input type="range" id="max-depth" min="5" max="12" value="10" step="1">
-      <span id="depth-value">10</span>
-    `;
-    controlsContainer.appendChild(depthControl);
-
-    document.getElementById('max-depth')?.addEventListener('input', (e) => {
-      this.maxDepth = parseInt(e.target.value);
-      document.getElementById('depth-value').textContent = this.maxDepth;
-    });
+    ctx.save();
+    ctx.lineCap = 'round';
+    for (const { shape, scale, x, y } of this.scene) {
+      const { coords } = shape;
+      for (const { color: [r, g, b], width: lineWidth, segments, leaves } of this.strokeGroups(shape)) {
+        ctx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        for (const s of segments) {
+          ctx.moveTo(x + coords[s * 4] * scale, y - coords[s * 4 + 1] * scale);
+          ctx.lineTo(x + coords[s * 4 + 2] * scale, y - coords[s * 4 + 3] * scale);
+        }
+        ctx.stroke();
+
+        if (!leaves) continue;
+        ctx.fillStyle = `rgba(${leaves[0]}, ${leaves[1]}, ${leaves[2]}, 0.78)`;
+        ctx.beginPath();
+        for (const s of segments) {
+          const lx = x + coords[s * 4 + 2] * scale;
+          const ly = y - coords[s * 4 + 3] * scale;
+          ctx.moveTo(lx + 2, ly);
+          ctx.ellipse(lx, ly, 2, 3, 0, 0, Math.PI * 2);
+        }
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
 
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset to defaults';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
+  // Segments batched by how they are drawn: { color, width, segments, leaves }
+  // with leaves the colour of the leaf at the end of each segment, if any.
+  // Plants fade from bark to leaf green with depth and carry leaves on their
+  // two deepest levels; curves run through the hues along their length.
+  strokeGroups(shape) {
+    const { levels, widths, maxLevel } = shape;
+    const count = levels.length;
+    const groups = new Map();
+    for (let i = 0; i < count; i++) {
+      const level = levels[i];
+      const width = Math.max(1, Number.isNaN(widths[i])
+        ? (this.branching ? 8 - level * 0.7 : 1.5)
+        : widths[i]);
+      const band = this.branching ? level : Math.floor(i / count * HUE_STEPS);
+      const key = band * 4096 + Math.round(width * 8);
+      let group = groups.get(key);
+      if (!group) {
+        group = { width, segments: [] };
+        if (this.branching) {
+          const [r, g, b] = group.color = branchColor(level / Math.max(1, maxLevel));
+          if (this.showLeaves && level >= maxLevel - 1) {
+            group.leaves = [r, Math.min(255, g + 30), Math.min(255, b + 60)];
+          }
+        } else {
+          group.color = hslToRgb((180 + band / HUE_STEPS * 180) % 360, 80, 62);
+        }
+        groups.set(key, group);
+      }
+      group.segments.push(i);
+    }
+    return groups.values();
   }
 
-  reset() {
-    this.branchAngle = 25;
-    this.windStrength = 0.3;
-    this.maxDepth = 10;
-    this.time = 0;
+  // The last frame, segments that meet joined into polylines
+  drawVector(drawing) {
+    for (const { shape, scale, x, y } of this.scene) {
+      const { coords } = shape;
+      const point = (k) => [x + coords[k] * scale, y - coords[k + 1] * scale];
+      for (const { color, width, segments, leaves } of this.strokeGroups(shape)) {
+        let line = null;
+        let last = -1;
+        for (const s of segments) {
+          const k = s * 4;
+          const joins = last !== -1 && coords[k] === coords[last * 4 + 2] && coords[k + 1] === coords[last * 4 + 3];
+          if (!joins) {
+            if (line) drawing.polyline(line, color, { width });
+            line = [point(k)];
+          }
+          line.push(point(k + 2));
+          last = s;
+        }
+        if (line) drawing.polyline(line, color, { width });
+
+        if (!leaves) continue;
+        for (const s of segments) {
+          const [lx, ly] = point(s * 4 + 2);
+          drawing.ellipse(lx, ly, 2, 3, leaves, { fill: true });
+        }
+      }
+    }
+  }
 
-    // Reset sliders
-    const angleSlider = document.getElementById('branch-angle');
-    const windSlider = document.getElementById('wind-strength');
-    const depthSlider = document.getElementById('max-depth');
+  applyPreset(name) {
+    const preset = PRESETS[name];
+    this.linkingPreset = true;
+    this.setParam('angle', preset.angle);
+    this.setParam('iterations', preset.iterations);
+    this.setParam('lengthRatio', preset.ratio);
+    this.linkingPreset = false;
+    this.source = { axiom: preset.axiom, rules: preset.rules };
+    this.editor?.setSource(preset.axiom, preset.rules);
+    this.regenerate();
+  }
 
-    if (angleSlider) angleSlider.value = '25';
-    if (windSlider) windSlider.value = '0.3';
-    if (depthSlider) depthSlider.value = '10';
+  // From the rule editor: grow the grammar, or say why it cannot be
+  applyRules(axiom, rules) {
+    try {
+      parseAxiom(axiom, this.constants());
+    } catch (error) {
+      return `Axiom: ${error.message}`;
+    }
+    try {
+      parseRules(rules, this.constants());
+    } catch (error) {
+      return error.message;
+    }
 
-    if (document.getElementById('angle-value')) document.getElementById('angle-value').textContent = '25°';
-    if (document.getElementById('wind-value')) document.getElementById('wind-value').textContent = '0.3';
-    if (document.getElementById('depth-value')) document.getElementById('depth-value').textContent = '10';
+    this.source = { axiom: axiom.trim(), rules: rules.trim() };
+    this.editor.setSource(this.source.axiom, this.source.rules);
+    this.linkingPreset = true;
+    this.setParam('preset', matchPreset(axiom, rules) ?? 'custom');
+    this.linkingPreset = false;
+    this.regenerate();
+    this.notifyStateChange();
+    return null;
   }
 
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
+  onParamChange(key, value) {
+    switch (key) {
+      case 'preset':
+        if (PRESETS[value] && !this.linkingPreset) this.applyPreset(value);
+        break;
+      case 'iterations':
+      case 'lengthRatio':
+        if (!this.linkingPreset) this.regenerate();
+        break;
+      case 'angle':
+        if (!this.linkingPreset) this.reshape();
+        break;
+    }
+  }
 
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
+  // A custom grammar travels in the link along with the params
+  getState() {
+    const state = super.getState();
+    if (this.preset === 'custom') {
+      state.axiom = this.source.axiom;
+      state.rules = this.source.rules;
+    }
+    return state;
+  }
 
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
+  setState(state) {
+    let custom = false;
+    if (state.preset === 'custom' && 'axiom' in state && 'rules' in state) {
+      try {
+        parseAxiom(state.axiom, this.constants());
+        parseRules(state.rules, this.constants());
+        this.source = { axiom: state.axiom, rules: state.rules };
+        this.editor?.setSource(state.axiom, state.rules);
+        custom = true;
+      } catch {
+        // A mangled link grows whatever was already showing
       }
     }
+    super.setState(state);
+    if (custom && !('seed' in state)) this.regenerate();
   }
 
-  start() {
-    this.isRunning = true;
-    this.isPaused = false;
+  regenerate() {
+    this.time = 0;
+    this.grow();
+    if (this.p5Instance) this.p5Instance.background(20, 25, 35);
   }
 
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
+  update(dt) {
+    this.time += dt * 0.6;
   }
 
-  togglePause() {
-    this.isPaused = !this.isPaused;
+  render() {
+    if (this.p5Instance) {
+      this.p5Instance.redraw();
+    }
   }
 
   resize() {
-    if (this.p5Instance && this.isRunning) {
+    if (this.p5Instance) {
       const rect = this.container.getBoundingClientRect();
       this.p5Instance.resizeCanvas(rect.width, rect.height);
     }
   }
 
-  destroy() {
-    this.stop();
-
+  teardown() {
     if (this.p5Instance) {
       this.p5Instance.remove();
       this.p5Instance = null;
     }
+    this.editor?.destroy();
+  }
+}
 
-    if (this.fpsElement) {
-      this.fpsElement.remove();
-    }
-
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
-    }
+// Brown through dark green to light green as t goes 0..1
+function branchColor(t) {
+  if (t < 0.7) {
+    return [
+      Math.round(139 * (1 - t * 1.2)),
+      Math.round(100 + 50 * t),
+      Math.round(69 * (1 - t * 0.5))
+    ];
   }
+  return [
+    Math.round(34 * (1 - t)),
+    Math.round(150 + 105 * t),
+    Math.round(69 * (1 - t * 0.3))
+  ];
 }
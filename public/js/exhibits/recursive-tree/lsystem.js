@@ -0,0 +1,347 @@
+// L-systems: an axiom rewritten by production rules, every module at once,
+// for a number of iterations, then read by a turtle.
+//
+// Rules are written one per line (# starts a comment):
+//
+//   F -> F[+F]F                      replace every F
+//   A(l, w) : l > 0.1 -> F(l, w)[+A(l * 0.6, w)]
+//                                    parametric, applied where the
+//                                    condition holds
+//   F -(0.33)-> F[+F]F               stochastic: rules for the same module
+//                                    are picked between by weight
+//
+// A module is one character, with parameters in brackets where it has any.
+// A rule only applies to modules with as many parameters as it names.
+// Parameters and conditions are arithmetic: + - * / % ^, comparisons,
+// && || !, pi and sin cos tan sqrt abs min max floor ceil round exp log,
+// and any constants the caller names.
+//
+// The turtle starts at the origin, heading up unless told otherwise (y grows
+// upward), and reads:
+//   F G      draw forward (length, width)    f g   move forward (length)
+//   + -      turn left / right (angle)       |     turn round
+//   [ ]      push / pop the turtle           !     thinner, or (width)
+// Anything else is left for the rules.
+
+// Derivations stop short of growing past this many modules
+export const MAX_MODULES = 250000;
+
+// Width of the first branch and the factor ! narrows by
+const BASE_WIDTH = 8;
+const WIDTH_DECAY = 0.7;
+
+const FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, sqrt: Math.sqrt, abs: Math.abs,
+  min: Math.min, max: Math.max, floor: Math.floor, ceil: Math.ceil,
+  round: Math.round, exp: Math.exp, log: Math.log
+};
+const CONSTANTS = { pi: Math.PI };
+
+const TOKEN = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[A-Za-z_]\w*|&&|\|\||[<>=!]=|[-+*/%^(),<>!])/y;
+
+// Compile an expression over the named parameters to a function of their
+// values; constants are further names with fixed values
+export function compileExpression(source, names = [], constants = {}) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      if (!source.slice(start).trim()) break;
+      throw new Error(`Cannot read "${source.slice(start).trim()}"`);
+    }
+    tokens.push(match[1]);
+  }
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (token) => {
+    if (tokens[position] !== token) throw new Error(`Expected ${token} in "${source.trim()}"`);
+    position++;
+  };
+
+  // Each level returns a closure over values
+  const binary = (next, operators) => () => {
+    let left = next();
+    while (operators[peek()]) {
+      const operate = operators[tokens[position++]];
+      const a = left;
+      const b = next();
+      left = (values) => operate(a(values), b(values));
+    }
+    return left;
+  };
+  const primary = () => {
+    const token = tokens[position++];
+    if (token === undefined) throw new Error(`Incomplete expression "${source.trim()}"`);
+    if (token === '(') {
+      const inner = or();
+      take(')');
+      return inner;
+    }
+    if (/^[\d.]/.test(token)) {
+      const value = Number(token);
+      return () => value;
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      if (peek() === '(') {
+        const fn = FUNCTIONS[token];
+        if (!fn) throw new Error(`Unknown function ${token}`);
+        position++;
+        const args = [];
+        if (peek() !== ')') {
+          args.push(or());
+          while (peek() === ',') {
+            position++;
+            args.push(or());
+          }
+        }
+        take(')');
+        return (values) => fn(...args.map(arg => arg(values)));
+      }
+      const index = names.indexOf(token);
+      if (index !== -1) return (values) => values[index];
+      const table = Object.hasOwn(constants, token) ? constants : CONSTANTS;
+      if (token in table) {
+        const value = table[token];
+        return () => value;
+      }
+      throw new Error(`Unknown name ${token}`);
+    }
+    throw new Error(`Unexpected ${token} in "${source.trim()}"`);
+  };
+  // Powers bind tighter than a leading minus and group to the right
+  const power = () => {
+    const base = primary();
+    if (peek() !== '^') return base;
+    position++;
+    const exponent = unary();
+    return (values) => base(values) ** exponent(values);
+  };
+  const unary = () => {
+    const token = peek();
+    if (token === '-' || token === '+' || token === '!') {
+      position++;
+      const operand = unary();
+      if (token === '-') return (values) => -operand(values);
+      if (token === '!') return (values) => (operand(values) ? 0 : 1);
+      return operand;
+    }
+    return power();
+  };
+  const product = binary(unary, { '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b });
+  const sum = binary(product, { '+': (a, b) => a + b, '-': (a, b) => a - b });
+  const comparison = binary(sum, {
+    '<': (a, b) => Number(a < b), '>': (a, b) => Number(a > b),
+    '<=': (a, b) => Number(a <= b), '>=': (a, b) => Number(a >= b),
+    '==': (a, b) => Number(a === b), '!=': (a, b) => Number(a !== b)
+  });
+  const and = binary(comparison, { '&&': (a, b) => Number(Boolean(a && b)) });
+  const or = binary(and, { '||': (a, b) => Number(Boolean(a || b)) });
+
+  if (!tokens.length) throw new Error('Empty expression');
+  const expression = or();
+  if (position < tokens.length) throw new Error(`Unexpected ${tokens[position]} in "${source.trim()}"`);
+  return expression;
+}
+
+// Split a module string into [{ symbol, args }], each arg compiled over
+// names
+function parseModuleString(text, names, constants) {
+  const modules = [];
+  for (let i = 0; i < text.length; i++) {
+    const symbol = text[i];
+    if (/\s/.test(symbol)) continue;
+    if (symbol === '(' || symbol === ')') throw new Error(`Unexpected ${symbol} in "${text.trim()}"`);
+    const args = [];
+    if (text[i + 1] === '(') {
+      // Arguments run to the matching bracket, split at top-level commas
+      let depth = 0;
+      let start = i + 2;
+      let j = i + 1;
+      for (; j < text.length; j++) {
+        const c = text[j];
+        if (c === '(') depth++;
+        if (c === ')' && --depth === 0) break;
+        if (c === ',' && depth === 1) {
+          args.push(compileExpression(text.slice(start, j), names, constants));
+          start = j + 1;
+        }
+      }
+      if (j === text.length) throw new Error(`Missing ) after ${symbol}`);
+      args.push(compileExpression(text.slice(start, j), names, constants));
+      i = j;
+    }
+    modules.push({ symbol, args });
+  }
+  return modules;
+}
+
+// The axiom, its parameters worked out: [{ symbol, params }]
+export function parseAxiom(text, constants = {}) {
+  const modules = parseModuleString(text, [], constants).map(({ symbol, args }) => ({
+    symbol,
+    params: args.map(arg => arg([]))
+  }));
+  if (!modules.length) throw new Error('The axiom is empty');
+  return modules;
+}
+
+// Rules by the symbol they replace: Map(symbol → [{ arity, condition,
+// weight, successor }])
+export function parseRules(text, constants = {}) {
+  const rules = new Map();
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.replace(/#.*/, '').trim();
+    if (!line) return;
+    try {
+      const arrow = line.indexOf('->');
+      if (arrow === -1) throw new Error('Expected ->');
+      let left = line.slice(0, arrow);
+      const right = line.slice(arrow + 2);
+
+      let weight = 1;
+      const stochastic = left.match(/-\s*\(([^()]*)\)\s*$/);
+      if (stochastic) {
+        weight = Number(stochastic[1]);
+        if (!(weight > 0)) throw new Error(`Weight ${stochastic[1].trim()} is not a positive number`);
+        left = left.slice(0, stochastic.index);
+      }
+
+      const colon = left.indexOf(':');
+      const head = (colon === -1 ? left : left.slice(0, colon)).trim();
+      const match = head.match(/^(\S)\s*(?:\(([^()]*)\))?$/);
+      if (!match) throw new Error(`Cannot read the module "${head}"`);
+      const [, symbol, formals = ''] = match;
+      const names = formals ? formals.split(',').map(name => name.trim()) : [];
+      for (const name of names) {
+        if (!/^[A-Za-z_]\w*$/.test(name)) throw new Error(`"${name}" is not a parameter name`);
+      }
+      const condition = colon === -1 ? null : compileExpression(left.slice(colon + 1), names, constants);
+
+      if (!rules.has(symbol)) rules.set(symbol, []);
+      rules.get(symbol).push({
+        arity: names.length,
+        condition,
+        weight,
+        successor: parseModuleString(right, names, constants)
+      });
+    } catch (error) {
+      throw new Error(`Line ${i + 1}: ${error.message}`);
+    }
+  });
+  return rules;
+}
+
+// Rewrite the axiom iterations times; random (next() in [0, 1)) picks
+// between stochastic rules. Stops early, keeping the last string that fit,
+// rather than grow past limit modules.
+// Returns { modules, iterations: how many were done }
+export function derive(axiom, rules, iterations, random, limit = MAX_MODULES) {
+  let modules = axiom;
+  for (let n = 0; n < iterations; n++) {
+    const next = [];
+    for (const module of modules) {
+      const rule = pickRule(rules.get(module.symbol), module.params, random);
+      if (!rule) {
+        next.push(module);
+      } else {
+        for (const { symbol, args } of rule.successor) {
+          next.push({ symbol, params: args.map(arg => arg(module.params)) });
+        }
+      }
+      if (next.length > limit) return { modules, iterations: n };
+    }
+    modules = next;
+  }
+  return { modules, iterations };
+}
+
+function pickRule(candidates, params, random) {
+  if (!candidates) return null;
+  const matching = candidates.filter(rule =>
+    rule.arity === params.length && (!rule.condition || rule.condition(params))
+  );
+  if (matching.length < 2) return matching[0] ?? null;
+  const total = matching.reduce((sum, rule) => sum + rule.weight, 0);
+  let pick = random.next() * total;
+  for (const rule of matching) {
+    pick -= rule.weight;
+    if (pick < 0) return rule;
+  }
+  return matching[matching.length - 1];
+}
+
+// Walk the turtle over the modules. angle in degrees; a step without a
+// parameter is 1 long, ratio times shorter for each bracket it is inside;
+// heading to start at, in degrees anticlockwise from the x axis; bend turns
+// the heading by that many degrees per unit of length stepped (wind).
+// Returns the drawn segments as flat [x1, y1, x2, y2, ...] with the bracket
+// level and width (NaN where none was set) of each, the deepest level drawn
+// at and the bounds of the segments
+export function interpret(modules, { angle, ratio = 1, heading = 90, bend = 0 }) {
+  const coords = [];
+  const levels = [];
+  const widths = [];
+  const stack = [];
+  let x = 0;
+  let y = 0;
+  let width = NaN;
+  let level = 0;
+  let maxLevel = 0;
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+
+  for (const { symbol, params } of modules) {
+    switch (symbol) {
+      case 'F':
+      case 'G':
+      case 'f':
+      case 'g': {
+        const step = params.length ? params[0] : ratio ** level;
+        heading += bend * Math.abs(step);
+        const radians = heading * Math.PI / 180;
+        const nx = x + step * Math.cos(radians);
+        const ny = y + step * Math.sin(radians);
+        if (symbol === 'F' || symbol === 'G') {
+          coords.push(x, y, nx, ny);
+          levels.push(level);
+          widths.push(params.length > 1 ? params[1] : width);
+          maxLevel = Math.max(maxLevel, level);
+          x0 = Math.min(x0, x, nx);
+          y0 = Math.min(y0, y, ny);
+          x1 = Math.max(x1, x, nx);
+          y1 = Math.max(y1, y, ny);
+        }
+        x = nx;
+        y = ny;
+        break;
+      }
+      case '+':
+        heading += params.length ? params[0] : angle;
+        break;
+      case '-':
+        heading -= params.length ? params[0] : angle;
+        break;
+      case '|':
+        heading += 180;
+        break;
+      case '!':
+        width = params.length ? params[0] : (Number.isNaN(width) ? BASE_WIDTH : width) * WIDTH_DECAY;
+        break;
+      case '[':
+        stack.push([x, y, heading, width, level]);
+        level++;
+        break;
+      case ']':
+        if (!stack.length) break;
+        [x, y, heading, width, level] = stack.pop();
+        break;
+    }
+  }
+
+  const bounds = levels.length ? { x0, y0, x1, y1 } : { x0: 0, y0: 0, x1: 0, y1: 0 };
+  return { coords, levels, widths, maxLevel, bounds };
+}
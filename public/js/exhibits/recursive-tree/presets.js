@@ -0,0 +1,74 @@
+// Built-in L-systems (syntax in lsystem.js), mostly from Prusinkiewicz and
+// Lindenmayer, "The Algorithmic Beauty of Plants" (1990). Each sets the
+// angle, iterations and length ratio it looks best at; changing those
+// afterwards keeps the preset, since the grammar is still the preset's.
+// Rules read the length ratio as ratio; otherwise the turtle shortens
+// plain steps by it inside each branch.
+
+export const PRESETS = {
+  tree: {
+    label: 'Tree',
+    // The garden's original binary tree: each branch two thirds the length
+    // and a little thinner than its parent
+    axiom: 'A(1, 8)',
+    rules: 'A(l, w) -> F(l, w)[+A(l * ratio, w - 0.7)][-A(l * ratio, w - 0.7)]',
+    angle: 25,
+    iterations: 10,
+    ratio: 0.67
+  },
+  plant: {
+    label: 'Fractal plant',
+    axiom: 'X',
+    rules: 'X -> F+[[X]-X]-F[-FX]+X\nF -> FF',
+    angle: 25,
+    iterations: 5,
+    ratio: 1
+  },
+  bush: {
+    label: 'Bush',
+    axiom: 'F',
+    rules: 'F -> FF-[-F+F+F]+[+F-F-F]',
+    angle: 22.5,
+    iterations: 4,
+    ratio: 1
+  },
+  weed: {
+    label: 'Stochastic weed',
+    axiom: 'F',
+    rules: 'F -(1)-> F[+F]F[-F]F\nF -(1)-> F[+F]F\nF -(1)-> F[-F]F',
+    angle: 25.7,
+    iterations: 5,
+    ratio: 1
+  },
+  koch: {
+    label: 'Koch curve',
+    axiom: 'F',
+    rules: 'F -> F+F--F+F',
+    angle: 60,
+    iterations: 5,
+    ratio: 1
+  },
+  hilbert: {
+    label: 'Hilbert curve',
+    axiom: 'A',
+    rules: 'A -> +BF-AFA-FB+\nB -> -AF+BFB+FA-',
+    angle: 90,
+    iterations: 6,
+    ratio: 1
+  },
+  sierpinski: {
+    label: 'Sierpinski arrowhead',
+    axiom: 'XF',
+    rules: 'X -> YF+XF+Y\nY -> XF-YF-X',
+    angle: 60,
+    iterations: 7,
+    ratio: 1
+  }
+};
+
+// The preset whose grammar this is, if any
+export function matchPreset(axiom, rules) {
+  return Object.keys(PRESETS).find(name =>
+    PRESETS[name].axiom === axiom.trim() && PRESETS[name].rules === rules.trim()
+  ) ?? null;
+}
@@ -0,0 +1,125 @@
+// Rule Editor - Axiom and production rules of the garden's L-system
+//
+// Edits take effect on Apply (or Ctrl+Enter in the rules). A grammar that
+// does not parse is reported here and the garden keeps growing the last one
+// that did.
+
+import { PRESETS } from './presets.js';
+
+const SYNTAX = [
+  ['F G', 'draw forward'],
+  ['f g', 'move forward'],
+  ['+ -', 'turn by the angle'],
+  ['|', 'turn round'],
+  ['[ ]', 'branch'],
+  ['!', 'thinner'],
+  ['A(l) : l > 1 ->', 'parametric'],
+  ['ratio', 'the length ratio'],
+  ['F -(0.5)->', 'stochastic']
+];
+
+export class RuleEditor {
+  // handlers: { onApply(axiom, rules) → error message or null }
+  constructor(container, { axiom, rules, onApply }) {
+    this.handlers = { onApply };
+
+    this.element = document.createElement('div');
+    this.element.className = 'overlay-panel rule-editor';
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <h4>L-system</h4>
+      <div class="panel-fields">
+        <label class="rule-wide">Start from <select class="rule-preset"></select></label>
+        <label class="rule-wide">Axiom <input type="text" class="rule-axiom" spellcheck="false"></label>
+        <label class="rule-wide">Rules, one per line
+          <textarea class="rule-text" rows="6" spellcheck="false"></textarea>
+        </label>
+      </div>
+      <p class="panel-status"></p>
+      <div class="panel-actions">
+        <button type="button" class="panel-primary rule-apply">Apply</button>
+        <button type="button" class="panel-secondary rule-revert">Revert</button>
+      </div>
+      <h4 class="panel-section">Syntax</h4>
+      <dl class="rule-syntax"></dl>`;
+
+    this.presetSelect = this.element.querySelector('.rule-preset');
+    const choose = document.createElement('option');
+    choose.value = '';
+    choose.textContent = '—';
+    this.presetSelect.append(choose, ...Object.entries(PRESETS).map(([name, preset]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = preset.label;
+      return option;
+    }));
+    this.presetSelect.addEventListener('change', () => {
+      const preset = PRESETS[this.presetSelect.value];
+      if (!preset) return;
+      this.axiomInput.value = preset.axiom;
+      this.rulesInput.value = preset.rules;
+      this.presetSelect.value = '';
+      this.status.textContent = `${preset.label} loaded, Apply to grow it`;
+    });
+
+    this.axiomInput = this.element.querySelector('.rule-axiom');
+    this.rulesInput = this.element.querySelector('.rule-text');
+    this.status = this.element.querySelector('.panel-status');
+    this.axiomInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.apply();
+    });
+    this.rulesInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) this.apply();
+    });
+    this.element.querySelector('.rule-apply').addEventListener('click', () => this.apply());
+    this.element.querySelector('.rule-revert').addEventListener('click', () => {
+      this.setSource(this.axiom, this.rules);
+    });
+
+    this.element.querySelector('.rule-syntax').append(...SYNTAX.flatMap(([term, meaning]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      dd.textContent = meaning;
+      return [dt, dd];
+    }));
+
+    this.setSource(axiom, rules);
+    container.appendChild(this.element);
+  }
+
+  get visible() {
+    return !this.element.hidden;
+  }
+
+  toggle() {
+    this.element.hidden = !this.element.hidden;
+  }
+
+  // Show the grammar the garden is growing
+  setSource(axiom, rules) {
+    this.axiom = axiom;
+    this.rules = rules;
+    this.axiomInput.value = axiom;
+    this.rulesInput.value = rules;
+    this.status.classList.remove('rule-error');
+  }
+
+  // Report on the last derivation, unless an error is showing
+  showStatus(text) {
+    if (!this.status.classList.contains('rule-error')) this.status.textContent = text;
+  }
+
+  apply() {
+    this.status.classList.remove('rule-error');
+    const error = this.handlers.onApply(this.axiomInput.value, this.rulesInput.value);
+    if (error) {
+      this.status.classList.add('rule-error');
+      this.status.textContent = error;
+    }
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
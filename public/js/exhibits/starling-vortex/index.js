@@ -6,6 +6,10 @@
 // plumage. A breathing vortex force periodically winds the flock into a
 // towering spiral. The cursor is unprojected into world space as a falcon.
 
+import { Exhibit } from '../../core/exhibit.js';
+import { Random } from '../../core/random.js';
+import { captureCanvases } from '../../core/image-export.js';
+
 const MAX_BIRDS = 4000;
 const PERCEPTION = 60;
 const SEP_RADIUS = 24;
@@ -26,6 +30,7 @@ uniform vec3 u_eye;
 uniform float u_aspect;
 uniform float u_time;
 uniform float u_shimmer;
+uniform vec4 u_tile; // export crop: clip xy * scale + offset
 out vec3 v_color;
 out vec2 v_uv;
 
@@ -53,6 +58,7 @@ void main() {
   off.x /= u_aspect;
 
   gl_Position = vec4((hn + off) * head.w, head.z, head.w);
+  gl_Position.xy = gl_Position.xy * u_tile.xy + u_tile.zw * gl_Position.w;
 
   // Iridescence: hue depends on the bird's heading relative to the eye ray,
   // sweeping green (0.36) to violet (0.78) like structural feather color
@@ -78,24 +84,15 @@ void main() {
   outColor = vec4(v_color * a, a);
 }`;
 
-export default class StarlingVortexExhibit {
+export default class StarlingVortexExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.bgCanvas = null;
     this.glCanvas = null;
     this.gl = null;
     this.program = null;
     this.buffers = {};
     this.uniforms = {};
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
-
-    // Tunable parameters
-    this.flockSize = 2000;
-    this.vortexStrength = 1.0;
-    this.shimmer = 1.0;
 
     // Bird state in 3D (struct-of-arrays)
     this.px = new Float32Array(MAX_BIRDS);
@@ -126,17 +123,12 @@ export default class StarlingVortexExhibit {
 
     this.rect = { left: 0, top: 0, width: 1, height: 1 };
 
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
-
     this.handlePointerMove = this.handlePointerMove.bind(this);
     this.handlePointerDown = this.handlePointerDown.bind(this);
     this.handlePointerLeave = this.handlePointerLeave.bind(this);
   }
 
-  async init() {
+  async setup() {
     // Background canvas: pre-rendered twilight nebula behind the GL layer
     this.bgCanvas = document.createElement('canvas');
     this.bgCanvas.style.cssText = 'position:absolute;top:0;left:0;';
@@ -160,14 +152,11 @@ export default class StarlingVortexExhibit {
 
     this.setupGL();
     this.resize();
-    this.spawnBirds(this.flockSize);
-
-    this.glCanvas.addEventListener('pointermove', this.handlePointerMove);
-    this.glCanvas.addEventListener('pointerdown', this.handlePointerDown);
-    this.glCanvas.addEventListener('pointerleave', this.handlePointerLeave);
+    this.spawnBirds(this.activeBirds());
 
-    this.createFPSCounter();
-    this.createControls();
+    this.listen(this.glCanvas, 'pointermove', this.handlePointerMove);
+    this.listen(this.glCanvas, 'pointerdown', this.handlePointerDown);
+    this.listen(this.glCanvas, 'pointerleave', this.handlePointerLeave);
   }
 
   showFallbackMessage() {
@@ -212,6 +201,7 @@ export default class StarlingVortexExhibit {
     this.uniforms.aspect = gl.getUniformLocation(this.program, 'u_aspect');
     this.uniforms.time = gl.getUniformLocation(this.program, 'u_time');
     this.uniforms.shimmer = gl.getUniformLocation(this.program, 'u_shimmer');
+    this.uniforms.tile = gl.getUniformLocation(this.program, 'u_tile');
 
     this.vao = gl.createVertexArray();
     gl.bindVertexArray(this.vao);
@@ -240,12 +230,9 @@ export default class StarlingVortexExhibit {
     gl.vertexAttribPointer(2, 3, gl.FLOAT, false, 0, 0);
     gl.vertexAttribDivisor(2, 1);
 
-    // Per-instance seed (static)
-    const seeds = new Float32Array(MAX_BIRDS);
-    for (let i = 0; i < MAX_BIRDS; i++) seeds[i] = Math.random();
+    // Per-instance seed (static until the composition is regenerated)
     this.buffers.seed = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.seed);
-    gl.bufferData(gl.ARRAY_BUFFER, seeds, gl.STATIC_DRAW);
+    this.uploadBirdSeeds();
     gl.enableVertexAttribArray(3);
     gl.vertexAttribPointer(3, 1, gl.FLOAT, false, 0, 0);
     gl.vertexAttribDivisor(3, 1);
@@ -258,19 +245,27 @@ export default class StarlingVortexExhibit {
     gl.clearColor(0, 0, 0, 0);
   }
 
+  uploadBirdSeeds() {
+    const gl = this.gl;
+    const seeds = new Float32Array(MAX_BIRDS);
+    for (let i = 0; i < MAX_BIRDS; i++) seeds[i] = this.random.next();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.seed);
+    gl.bufferData(gl.ARRAY_BUFFER, seeds, gl.STATIC_DRAW);
+  }
+
   spawnBirds(target) {
     while (this.count < target) {
       const i = this.count++;
       // Spawn in a loose shell so the vortex forms visibly
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const r = WORLD_RADIUS * (0.3 + Math.random() * 0.6);
+      const theta = this.random.range(0, Math.PI * 2);
+      const phi = Math.acos(this.random.range(-1, 1));
+      const r = WORLD_RADIUS * this.random.range(0.3, 0.9);
       this.px[i] = r * Math.sin(phi) * Math.cos(theta);
       this.py[i] = r * Math.cos(phi) * 0.6;
       this.pz[i] = r * Math.sin(phi) * Math.sin(theta);
-      const a = Math.random() * Math.PI * 2;
+      const a = this.random.range(0, Math.PI * 2);
       this.vx[i] = Math.cos(a) * 2;
-      this.vy[i] = (Math.random() - 0.5) * 1.5;
+      this.vy[i] = this.random.range(-0.75, 0.75);
       this.vz[i] = Math.sin(a) * 2;
     }
     this.count = target;
@@ -278,7 +273,7 @@ export default class StarlingVortexExhibit {
 
   // --- Camera math (column-major mat4, matching GLSL) ---
 
-  computeCamera() {
+  computeCamera(aspect = this.rect.width / this.rect.height) {
     const cp = Math.cos(this.camPitch), sp = Math.sin(this.camPitch);
     const cy = Math.cos(this.camYaw), sy = Math.sin(this.camYaw);
     const eye = [CAM_DIST * sy * cp, CAM_DIST * sp, CAM_DIST * cy * cp];
@@ -296,7 +291,6 @@ export default class StarlingVortexExhibit {
     const uy = rz * fx - rx * fz;
     const uz = rx * fy - ry * fx;
 
-    const aspect = this.rect.width / this.rect.height;
     const f = 1 / Math.tan(CAM_FOV / 2);
     const near = 1, far = 4000;
     const nf = 1 / (near - far);
@@ -587,14 +581,20 @@ export default class StarlingVortexExhibit {
     }
 
     gl.viewport(0, 0, this.glCanvas.width, this.glCanvas.height);
+    this.drawFlock(vp, this.rect.width / this.rect.height, [1, 1, 0, 0]);
+  }
+
+  drawFlock(vp, aspect, tile) {
+    const gl = this.gl;
     gl.clear(gl.COLOR_BUFFER_BIT);
 
     gl.useProgram(this.program);
     gl.uniformMatrix4fv(this.uniforms.vp, false, vp);
     gl.uniform3f(this.uniforms.eye, this.eye[0], this.eye[1], this.eye[2]);
-    gl.uniform1f(this.uniforms.aspect, this.rect.width / this.rect.height);
+    gl.uniform1f(this.uniforms.aspect, aspect);
     gl.uniform1f(this.uniforms.time, this.time);
     gl.uniform1f(this.uniforms.shimmer, this.shimmer);
+    gl.uniform4fv(this.uniforms.tile, tile);
 
     gl.bindVertexArray(this.vao);
     gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.pos);
@@ -606,6 +606,53 @@ export default class StarlingVortexExhibit {
     gl.bindVertexArray(null);
   }
 
+  // Exports draw the flock into an offscreen framebuffer with clip space
+  // cropped to the tile, then composite it over the background like the page
+  // does (the GL layer is premultiplied)
+  renderTile(tile) {
+    if (!this.gl) return super.renderTile(tile);
+    const gl = this.gl;
+    const { width, height } = tile;
+
+    const renderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, width, height);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer);
+
+    // Stretch the tile's slice of clip space over the whole framebuffer
+    const aspect = tile.fullWidth / tile.fullHeight;
+    const scaleX = tile.fullWidth / width;
+    const scaleY = tile.fullHeight / height;
+    const left = -1 + (2 * tile.x) / tile.fullWidth;
+    const top = 1 - (2 * tile.y) / tile.fullHeight;
+    gl.viewport(0, 0, width, height);
+    this.drawFlock(this.computeCamera(aspect), aspect, [scaleX, scaleY, -left * scaleX - 1, 1 - top * scaleY]);
+
+    const pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.deleteFramebuffer(framebuffer);
+    gl.deleteRenderbuffer(renderbuffer);
+    this.computeCamera(); // restore the on-screen camera basis
+
+    const image = captureCanvases([this.bgCanvas], tile);
+    const data = image.data;
+    for (let y = 0; y < height; y++) {
+      // GL rows run bottom-up
+      const src = (height - 1 - y) * width * 4;
+      const dst = y * width * 4;
+      for (let i = 0; i < width * 4; i += 4) {
+        const keep = 1 - pixels[src + i + 3] / 255;
+        data[dst + i] = pixels[src + i] + data[dst + i] * keep;
+        data[dst + i + 1] = pixels[src + i + 1] + data[dst + i + 1] * keep;
+        data[dst + i + 2] = pixels[src + i + 2] + data[dst + i + 2] * keep;
+      }
+    }
+    return image;
+  }
+
   renderBackground() {
     const dpr = window.devicePixelRatio || 1;
     const w = this.rect.width, h = this.rect.height;
@@ -631,106 +678,37 @@ export default class StarlingVortexExhibit {
     ctx.fillStyle = glow;
     ctx.fillRect(0, 0, w, h);
 
+    // Stars come from their own stream so a resize redraws the same sky
+    const stars = new Random(this.random.seed);
     for (let i = 0; i < 140; i++) {
-      const a = 0.1 + Math.random() * 0.6;
+      const a = stars.range(0.1, 0.7);
       ctx.fillStyle = `rgba(220, 215, 255, ${a})`;
       ctx.beginPath();
-      ctx.arc(Math.random() * w, Math.random() * h, 0.3 + Math.random() * 0.9, 0, Math.PI * 2);
+      ctx.arc(stars.next() * w, stars.next() * h, stars.range(0.3, 1.2), 0, Math.PI * 2);
       ctx.fill();
     }
   }
 
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
+  // Birds in flight: the flock size scaled by the current quality
+  activeBirds() {
+    return Math.max(1, Math.round(this.flockSize * this.quality));
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
-
-    controlsContainer.innerHTML = '';
-
-    const flockSlider = document.createElement('div');
-    flockSlider.className = 'control-slider';
-    flockSlider.innerHTML = `
-      <label>Birds</label>
-      <input type="range" id="vortex-flock-slider" min="200" max="${MAX_BIRDS}" value="${this.flockSize}" step="100">
-      <span id="vortex-flock-value">${this.flockSize}</span>
-    `;
-    controlsContainer.appendChild(flockSlider);
-
-    document.getElementById('vortex-flock-slider')?.addEventListener('input', (e) => {
-      this.flockSize = parseInt(e.target.value);
-      document.getElementById('vortex-flock-value').textContent = this.flockSize;
-      if (this.flockSize > this.count) {
-        this.spawnBirds(this.flockSize);
-      } else {
-        this.count = this.flockSize;
-      }
-    });
-
-    const vortexSlider = document.createElement('div');
-    vortexSlider.className = 'control-slider';
-    vortexSlider.innerHTML = `
-      <label>Vortex</label>
-      <input type="range" id="vortex-strength-slider" min="0" max="2.5" value="${this.vortexStrength}" step="0.1">
-      <span id="vortex-strength-value">${this.vortexStrength.toFixed(1)}</span>
-    `;
-    controlsContainer.appendChild(vortexSlider);
-
-    document.getElementById('vortex-strength-slider')?.addEventListener('input', (e) => {
-      this.vortexStrength = parseFloat(e.target.value);
-      document.getElementById('vortex-strength-value').textContent = this.vortexStrength.toFixed(1);
-    });
-
-    const shimmerSlider = document.createElement('div');
-    shimmerSlider.className = 'control-slider';
-    shimmerSlider.innerHTML = `
-      <label>Shimmer</label>
-      <input type="range" id="vortex-shimmer-slider" min="0" max="2" value="${this.shimmer}" step="0.1">
-      <span id="vortex-shimmer-value">${this.shimmer.toFixed(1)}</span>
-    `;
-    controlsContainer.appendChild(shimmerSlider);
-
-    document.getElementById('vortex-shimmer-slider')?.addEventListener('input', (e) => {
-      this.shimmer = parseFloat(e.target.value);
-      document.getElementById('vortex-shimmer-value').textContent = this.shimmer.toFixed(1);
-    });
-
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset flock';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
+  resizeFlock() {
+    const target = this.activeBirds();
+    if (target > this.count) {
+      this.spawnBirds(target);
+    } else {
+      this.count = target;
+    }
   }
 
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
+  onParamChange(key) {
+    if (key === 'flockSize') this.resizeFlock();
+  }
 
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
-    }
+  onQualityChange() {
+    this.resizeFlock();
   }
 
   resize() {
@@ -748,62 +726,30 @@ export default class StarlingVortexExhibit {
   }
 
   start() {
+    // Nothing to animate when WebGL2 is unavailable
     if (!this.gl) return;
-    this.isRunning = true;
-    this.animate();
+    super.start();
   }
 
-  animate() {
-    if (!this.isRunning || this.isPaused) return;
-
+  update() {
     this.updateFlock();
-    this.render();
-    this.updateFPS();
-
-    this.animationId = requestAnimationFrame(() => this.animate());
-  }
-
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
   }
 
-  togglePause() {
-    this.isPaused = !this.isPaused;
-    if (!this.isPaused) {
-      this.animate();
-    }
+  reset() {
+    this.camYaw = 0;
+    super.reset();
   }
 
-  reset() {
-    this.flockSize = 2000;
-    this.vortexStrength = 1.0;
-    this.shimmer = 1.0;
+  regenerate() {
+    if (!this.gl) return;
+    this.uploadBirdSeeds();
     this.count = 0;
     this.time = 0;
-    this.camYaw = 0;
-    this.spawnBirds(this.flockSize);
-
-    const pairs = [
-      ['vortex-flock-slider', 'vortex-flock-value', '2000', '2000'],
-      ['vortex-strength-slider', 'vortex-strength-value', '1', '1.0'],
-      ['vortex-shimmer-slider', 'vortex-shimmer-value', '1', '1.0']
-    ];
-    for (const [sliderId, valueId, sliderVal, displayVal] of pairs) {
-      const slider = document.getElementById(sliderId);
-      const value = document.getElementById(valueId);
-      if (slider) slider.value = sliderVal;
-      if (value) value.textContent = displayVal;
-    }
+    this.spawnBirds(this.activeBirds());
+    if (this.bgCanvas) this.renderBackground();
   }
 
-  destroy() {
-    this.stop();
-
+  teardown() {
     if (this.gl) {
       const gl = this.gl;
       for (const key of Object.keys(this.buffers)) gl.deleteBuffer(this.buffers[key]);
@@ -812,16 +758,7 @@ export default class StarlingVortexExhibit {
       gl.getExtension('WEBGL_lose_context')?.loseContext();
     }
 
-    if (this.glCanvas) {
-      this.glCanvas.removeEventListener('pointermove', this.handlePointerMove);
-      this.glCanvas.removeEventListener('pointerdown', this.handlePointerDown);
-      this.glCanvas.removeEventListener('pointerleave', this.handlePointerLeave);
-      this.glCanvas.remove();
-    }
+    if (this.glCanvas) this.glCanvas.remove();
     if (this.bgCanvas) this.bgCanvas.remove();
-    if (this.fpsElement) this.fpsElement.remove();
-
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) controlsContainer.innerHTML = '';
   }
 }
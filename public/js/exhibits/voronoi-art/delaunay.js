@@ -0,0 +1,530 @@
+// Delaunay triangulation and its dual, the Voronoi diagram
+//
+// The triangulation is a sweep-hull construction (as in Delaunator): points
+// are added in order of distance from a seed triangle, each joined to the
+// hull edges it can see, and edges are flipped until every triangle's
+// circumcircle is empty. It runs in O(n log n), fast enough to rebuild
+// every frame for thousands of points.
+//
+// The mesh is stored as half-edges. Edge e runs from triangles[e] to the
+// next vertex of its triangle (e is in triangle floor(e / 3));
+// halfedges[e] is the opposite edge in the neighbouring triangle, or -1 on
+// the convex hull. hull lists the hull's points in order.
+//
+// Voronoi cells are the circumcentres of the triangles round each point,
+// closed off with rays for points on the hull and clipped to a rectangle.
+
+const EPSILON = 2 ** -52;
+
+// Scratch stack of edges waiting to be checked after a flip
+const EDGE_STACK = new Uint32Array(512);
+
+const nextEdge = (e) => (e % 3 === 2 ? e - 2 : e + 1);
+const prevEdge = (e) => (e % 3 === 0 ? e + 2 : e - 1);
+
+const distanceSquared = (ax, ay, bx, by) => (ax - bx) ** 2 + (ay - by) ** 2;
+
+// Twice the signed area of triangle a, b, c; the sweep keeps every triangle
+// positive (counter-clockwise on screen, where y grows downwards)
+function orient(ax, ay, bx, by, cx, cy) {
+  return (ay - cy) * (bx - cx) - (ax - cx) * (by - cy);
+}
+
+// Is p inside the circumcircle of a, b, c?
+function inCircle(ax, ay, bx, by, cx, cy, px, py) {
+  const dx = ax - px;
+  const dy = ay - py;
+  const ex = bx - px;
+  const ey = by - py;
+  const fx = cx - px;
+  const fy = cy - py;
+  const ap = dx * dx + dy * dy;
+  const bp = ex * ex + ey * ey;
+  const cp = fx * fx + fy * fy;
+  return dx * (ey * cp - bp * fy) - dy * (ex * cp - bp * fx) + ap * (ex * fy - ey * fx) < 0;
+}
+
+// Circumcentre of a, b, c as an offset from a, with its squared radius
+// (Infinity for collinear points)
+function circumOffset(ax, ay, bx, by, cx, cy) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const ex = cx - ax;
+  const ey = cy - ay;
+  const bl = dx * dx + dy * dy;
+  const cl = ex * ex + ey * ey;
+  const d = 0.5 / (dx * ey - dy * ex);
+  const x = (ey * bl - dy * cl) * d;
+  const y = (dx * cl - ex * bl) * d;
+  const radius = x * x + y * y;
+  return { x, y, radius: Number.isFinite(radius) ? radius : Infinity };
+}
+
+// Monotonic stand-in for the angle of (dx, dy), in 0..1
+function pseudoAngle(dx, dy) {
+  const p = dx / (Math.abs(dx) + Math.abs(dy));
+  return (dy > 0 ? 3 - p : 1 + p) / 4;
+}
+
+// Keep the part of polygon ([[x, y], ...]) where nx * x + ny * y <= c
+export function clipHalfPlane(polygon, nx, ny, c) {
+  const clipped = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    const da = nx * a[0] + ny * a[1] - c;
+    const db = nx * b[0] + ny * b[1] - c;
+    if (da <= 0) clipped.push(a);
+    if ((da < 0 && db > 0) || (da > 0 && db < 0)) {
+      const t = da / (da - db);
+      clipped.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+    }
+  }
+  return clipped;
+}
+
+function clipToBounds(polygon, [x0, y0, x1, y1]) {
+  let clipped = clipHalfPlane(polygon, -1, 0, -x0);
+  clipped = clipHalfPlane(clipped, 1, 0, x1);
+  clipped = clipHalfPlane(clipped, 0, -1, -y0);
+  return clipHalfPlane(clipped, 0, 1, y1);
+}
+
+export class Delaunay {
+  // points: flat [x0, y0, x1, y1, ...]
+  constructor(points) {
+    this.points = Float64Array.from(points);
+    this.triangulate();
+  }
+
+  // From objects with x and y, or through accessors
+  static from(items, x = (item) => item.x, y = (item) => item.y) {
+    const points = new Float64Array(items.length * 2);
+    items.forEach((item, i) => {
+      points[i * 2] = x(item);
+      points[i * 2 + 1] = y(item);
+    });
+    return new Delaunay(points);
+  }
+
+  triangulate() {
+    const coords = this.points;
+    const n = coords.length >> 1;
+    const maxTriangles = Math.max(2 * n - 5, 0);
+    this.triangles = new Uint32Array(maxTriangles * 3);
+    this.halfedges = new Int32Array(maxTriangles * 3);
+    this.triangleCount = 0;
+
+    if (n < 3) {
+      this.degenerate(n);
+      return;
+    }
+
+    // Seed triangle: the point nearest the middle, its nearest neighbour,
+    // and the point making the smallest circumcircle with them
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < n; i++) {
+      minX = Math.min(minX, coords[2 * i]);
+      minY = Math.min(minY, coords[2 * i + 1]);
+      maxX = Math.max(maxX, coords[2 * i]);
+      maxY = Math.max(maxY, coords[2 * i + 1]);
+    }
+    const nearest = (x, y, skip) => {
+      let best = -1;
+      let bestDistance = Infinity;
+      for (let i = 0; i < n; i++) {
+        const d = distanceSquared(x, y, coords[2 * i], coords[2 * i + 1]);
+        if (d < bestDistance && !skip(i, d)) {
+          best = i;
+          bestDistance = d;
+        }
+      }
+      return best;
+    };
+    const i0 = nearest((minX + maxX) / 2, (minY + maxY) / 2, () => false);
+    const i0x = coords[2 * i0];
+    const i0y = coords[2 * i0 + 1];
+    let i1 = nearest(i0x, i0y, (i, d) => i === i0 || d === 0);
+    if (i1 === -1) {
+      this.degenerate(n);
+      return;
+    }
+    let i1x = coords[2 * i1];
+    let i1y = coords[2 * i1 + 1];
+
+    let i2 = -1;
+    let minRadius = Infinity;
+    for (let i = 0; i < n; i++) {
+      if (i === i0 || i === i1) continue;
+      const { radius } = circumOffset(i0x, i0y, i1x, i1y, coords[2 * i], coords[2 * i + 1]);
+      if (radius < minRadius) {
+        i2 = i;
+        minRadius = radius;
+      }
+    }
+    if (minRadius === Infinity) {
+      this.degenerate(n);
+      return;
+    }
+    let i2x = coords[2 * i2];
+    let i2y = coords[2 * i2 + 1];
+
+    if (orient(i0x, i0y, i1x, i1y, i2x, i2y) < 0) {
+      [i1, i2] = [i2, i1];
+      [i1x, i1y, i2x, i2y] = [i2x, i2y, i1x, i1y];
+    }
+
+    const centre = circumOffset(i0x, i0y, i1x, i1y, i2x, i2y);
+    this.cx = i0x + centre.x;
+    this.cy = i0y + centre.y;
+
+    // Points by distance from the seed circumcentre
+    const dists = new Float64Array(n);
+    for (let i = 0; i < n; i++) dists[i] = distanceSquared(coords[2 * i], coords[2 * i + 1], this.cx, this.cy);
+    const ids = new Uint32Array(n);
+    for (let i = 0; i < n; i++) ids[i] = i;
+    ids.sort((a, b) => dists[a] - dists[b]);
+
+    // The hull as a linked ring of points, each with the triangle on its
+    // outgoing edge, and a hash by angle round the centre to find a point on
+    // it quickly
+    const hullPrev = this.hullPrev = new Uint32Array(n);
+    const hullNext = this.hullNext = new Uint32Array(n);
+    const hullTri = this.hullTri = new Uint32Array(n);
+    this.hashSize = Math.ceil(Math.sqrt(n));
+    const hullHash = new Int32Array(this.hashSize).fill(-1);
+
+    this.hullStart = i0;
+    let hullSize = 3;
+    hullNext[i0] = hullPrev[i2] = i1;
+    hullNext[i1] = hullPrev[i0] = i2;
+    hullNext[i2] = hullPrev[i1] = i0;
+    hullTri[i0] = 0;
+    hullTri[i1] = 1;
+    hullTri[i2] = 2;
+    hullHash[this.hashKey(i0x, i0y)] = i0;
+    hullHash[this.hashKey(i1x, i1y)] = i1;
+    hullHash[this.hashKey(i2x, i2y)] = i2;
+    this.addTriangle(i0, i1, i2, -1, -1, -1);
+
+    let xp = NaN;
+    let yp = NaN;
+    for (let k = 0; k < n; k++) {
+      const i = ids[k];
+      const x = coords[2 * i];
+      const y = coords[2 * i + 1];
+
+      // Skip duplicates and the seed triangle
+      if (Math.abs(x - xp) <= EPSILON && Math.abs(y - yp) <= EPSILON) continue;
+      xp = x;
+      yp = y;
+      if (i === i0 || i === i1 || i === i2) continue;
+
+      // A hull edge the point can see, starting from the hash
+      let start = 0;
+      for (let j = 0, key = this.hashKey(x, y); j < this.hashSize; j++) {
+        start = hullHash[(key + j) % this.hashSize];
+        if (start !== -1 && start !== hullNext[start]) break;
+      }
+      start = hullPrev[start];
+      let e = start;
+      let q = hullNext[e];
+      while (orient(x, y, coords[2 * e], coords[2 * e + 1], coords[2 * q], coords[2 * q + 1]) >= 0) {
+        e = q;
+        if (e === start) {
+          e = -1;
+          break;
+        }
+        q = hullNext[e];
+      }
+      // Inside the hull after all: a near-duplicate
+      if (e === -1) continue;
+
+      let t = this.addTriangle(e, i, hullNext[e], -1, -1, hullTri[e]);
+      hullTri[i] = this.legalize(t + 2);
+      hullTri[e] = t;
+      hullSize++;
+
+      // Fan forward round the hull while the point sees its edges...
+      let next = hullNext[e];
+      q = hullNext[next];
+      while (orient(x, y, coords[2 * next], coords[2 * next + 1], coords[2 * q], coords[2 * q + 1]) < 0) {
+        t = this.addTriangle(next, i, q, hullTri[i], -1, hullTri[next]);
+        hullTri[i] = this.legalize(t + 2);
+        hullNext[next] = next; // removed from the hull
+        hullSize--;
+        next = q;
+        q = hullNext[next];
+      }
+
+      // ...and backward, if the first edge was where the search started
+      if (e === start) {
+        q = hullPrev[e];
+        while (orient(x, y, coords[2 * q], coords[2 * q + 1], coords[2 * e], coords[2 * e + 1]) < 0) {
+          t = this.addTriangle(q, i, e, -1, hullTri[e], hullTri[q]);
+          this.legalize(t + 2);
+          hullTri[q] = t;
+          hullNext[e] = e;
+          hullSize--;
+          e = q;
+          q = hullPrev[e];
+        }
+      }
+
+      this.hullStart = hullPrev[i] = e;
+      hullNext[e] = hullPrev[next] = i;
+      hullNext[i] = next;
+      hullHash[this.hashKey(x, y)] = i;
+      hullHash[this.hashKey(coords[2 * e], coords[2 * e + 1])] = e;
+    }
+
+    this.hull = new Uint32Array(hullSize);
+    for (let k = 0, e = this.hullStart; k < hullSize; k++) {
+      this.hull[k] = e;
+      e = hullNext[e];
+    }
+    this.triangles = this.triangles.subarray(0, this.triangleCount * 3);
+    this.halfedges = this.halfedges.subarray(0, this.triangleCount * 3);
+    this.hullPrev = this.hullNext = this.hullTri = null;
+  }
+
+  // Fewer than three distinct points, or all on a line: no triangles, and
+  // the hull is the points in order along the line
+  degenerate(n) {
+    const coords = this.points;
+    const ids = Array.from({ length: n }, (_, i) => i);
+    const along = (i) => (coords[2 * i] - coords[0]) || (coords[2 * i + 1] - coords[1]);
+    ids.sort((a, b) => along(a) - along(b));
+    this.hull = Uint32Array.from(ids.filter((id, k) => k === 0 || along(id) > along(ids[k - 1])));
+    this.triangles = new Uint32Array(0);
+    this.halfedges = new Int32Array(0);
+  }
+
+  hashKey(x, y) {
+    return Math.floor(pseudoAngle(x - this.cx, y - this.cy) * this.hashSize) % this.hashSize;
+  }
+
+  addTriangle(i0, i1, i2, a, b, c) {
+    const t = this.triangleCount * 3;
+    this.triangles[t] = i0;
+    this.triangles[t + 1] = i1;
+    this.triangles[t + 2] = i2;
+    this.link(t, a);
+    this.link(t + 1, b);
+    this.link(t + 2, c);
+    this.triangleCount++;
+    return t;
+  }
+
+  link(a, b) {
+    this.halfedges[a] = b;
+    if (b !== -1) this.halfedges[b] = a;
+  }
+
+  // Flip edge a and the edges behind it until their triangles are Delaunay;
+  // returns the edge now opposite a's old position
+  legalize(a) {
+    const { triangles, halfedges, points: coords } = this;
+    let stacked = 0;
+    let ar = 0;
+
+    for (;;) {
+      const b = halfedges[a];
+      const a0 = a - a % 3;
+      ar = a0 + (a + 2) % 3;
+
+      if (b === -1) {
+        if (stacked === 0) break;
+        a = EDGE_STACK[--stacked];
+        continue;
+      }
+
+      const b0 = b - b % 3;
+      const al = a0 + (a + 1) % 3;
+      const bl = b0 + (b + 2) % 3;
+      const p0 = triangles[ar];
+      const pr = triangles[a];
+      const pl = triangles[al];
+      const p1 = triangles[bl];
+      const illegal = inCircle(
+        coords[2 * p0], coords[2 * p0 + 1],
+        coords[2 * pr], coords[2 * pr + 1],
+        coords[2 * pl], coords[2 * pl + 1],
+        coords[2 * p1], coords[2 * p1 + 1]
+      );
+
+      if (!illegal) {
+        if (stacked === 0) break;
+        a = EDGE_STACK[--stacked];
+        continue;
+      }
+
+      triangles[a] = p1;
+      triangles[b] = p0;
+      const hbl = halfedges[bl];
+
+      // The flip moved a hull edge: repoint the hull at its new triangle
+      if (hbl === -1) {
+        let e = this.hullStart;
+        do {
+          if (this.hullTri[e] === bl) {
+            this.hullTri[e] = a;
+            break;
+          }
+          e = this.hullPrev[e];
+        } while (e !== this.hullStart);
+      }
+      this.link(a, hbl);
+      this.link(b, halfedges[ar]);
+      this.link(ar, bl);
+
+      // Only extremely degenerate input fills the stack
+      const br = b0 + (b + 1) % 3;
+      if (stacked < EDGE_STACK.length) EDGE_STACK[stacked++] = br;
+    }
+    return ar;
+  }
+
+  // Each edge of the mesh once, as [from, to] point indices
+  *edges() {
+    const { triangles, halfedges } = this;
+    for (let e = 0; e < triangles.length; e++) {
+      if (e > halfedges[e]) yield [triangles[e], triangles[nextEdge(e)]];
+    }
+  }
+
+  voronoi(bounds) {
+    return new Voronoi(this, bounds);
+  }
+}
+
+export class Voronoi {
+  // bounds: [x0, y0, x1, y1]
+  constructor(delaunay, bounds) {
+    this.delaunay = delaunay;
+    this.bounds = bounds;
+    const { points, triangles, halfedges } = delaunay;
+    const n = points.length >> 1;
+
+    this.circumcenters = new Float64Array(triangles.length / 3 * 2);
+    for (let t = 0; t < triangles.length / 3; t++) {
+      const a = triangles[t * 3];
+      const b = triangles[t * 3 + 1];
+      const c = triangles[t * 3 + 2];
+      const ax = points[2 * a];
+      const ay = points[2 * a + 1];
+      const offset = circumOffset(ax, ay, points[2 * b], points[2 * b + 1], points[2 * c], points[2 * c + 1]);
+      this.circumcenters[t * 2] = ax + offset.x;
+      this.circumcenters[t * 2 + 1] = ay + offset.y;
+    }
+
+    // An edge into each point, a hull edge where there is one so the walk
+    // round the point starts at the open side of its cell
+    this.inedges = new Int32Array(n).fill(-1);
+    for (let e = 0; e < triangles.length; e++) {
+      const p = triangles[nextEdge(e)];
+      if (halfedges[e] === -1 || this.inedges[p] === -1) this.inedges[p] = e;
+    }
+
+    // Size of the rays closing hull cells: past the bounds from anywhere in
+    // them or the points
+    let extent = Math.hypot(bounds[2] - bounds[0], bounds[3] - bounds[1]);
+    for (let i = 0; i < points.length; i += 2) {
+      extent = Math.max(extent, Math.abs(points[i] - bounds[0]), Math.abs(points[i + 1] - bounds[1]));
+    }
+    this.rayLength = extent * 4;
+  }
+
+  // Cell of point i as [[x, y], ...] inside the bounds, or null when it is
+  // empty (a duplicate point, or a cell outside the bounds)
+  cellPolygon(i) {
+    const { points, triangles, halfedges } = this.delaunay;
+    let polygon;
+    if (!triangles.length) {
+      polygon = this.degenerateCell(i);
+    } else {
+      const e0 = this.inedges[i];
+      if (e0 === -1) return null;
+      // Round the point triangle by triangle, through the edges leaving it
+      polygon = [];
+      let e = e0;
+      let out;
+      do {
+        const t = Math.floor(e / 3);
+        polygon.push([this.circumcenters[t * 2], this.circumcenters[t * 2 + 1]]);
+        out = nextEdge(e);
+        if (triangles[out] !== i) return null;
+        e = halfedges[out];
+      } while (e !== e0 && e !== -1);
+
+      // Open on the hull: close it with rays out through the hull edges in
+      // and out of the point
+      if (e === -1) {
+        const x = points[2 * i];
+        const y = points[2 * i + 1];
+        const first = this.outward(e0);
+        const last = this.outward(out);
+        const middle = Math.hypot(first[0] + last[0], first[1] + last[1]);
+        const start = polygon[0];
+        const end = polygon[polygon.length - 1];
+        const L = this.rayLength;
+        polygon.push([end[0] + last[0] * L, end[1] + last[1] * L]);
+        if (middle > EPSILON) {
+          polygon.push([x + (first[0] + last[0]) / middle * L, y + (first[1] + last[1]) / middle * L]);
+        }
+        polygon.push([start[0] + first[0] * L, start[1] + first[1] * L]);
+      }
+    }
+    polygon = clipToBounds(polygon, this.bounds);
+    return polygon.length > 2 ? polygon : null;
+  }
+
+  // Unit normal of hull edge e, pointing away from its triangle
+  outward(e) {
+    const { points, triangles } = this.delaunay;
+    const a = triangles[e];
+    const b = triangles[nextEdge(e)];
+    const c = triangles[prevEdge(e)];
+    const dx = points[2 * b] - points[2 * a];
+    const dy = points[2 * b + 1] - points[2 * a + 1];
+    const length = Math.hypot(dx, dy) || 1;
+    let nx = dy / length;
+    let ny = -dx / length;
+    if (nx * (points[2 * c] - points[2 * a]) + ny * (points[2 * c + 1] - points[2 * a + 1]) > 0) {
+      nx = -nx;
+      ny = -ny;
+    }
+    return [nx, ny];
+  }
+
+  // Without triangles the cells are the bounds cut by the bisectors
+  // between neighbours along the line
+  degenerateCell(i) {
+    const { points } = this.delaunay;
+    const [x0, y0, x1, y1] = this.bounds;
+    let polygon = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+    const x = points[2 * i];
+    const y = points[2 * i + 1];
+    for (let j = 0; j < points.length / 2; j++) {
+      const ox = points[2 * j];
+      const oy = points[2 * j + 1];
+      if (j === i || (ox === x && oy === y)) continue;
+      // Closer to i than to j
+      const nx = ox - x;
+      const ny = oy - y;
+      polygon = clipHalfPlane(polygon, nx, ny, (nx * (ox + x) + ny * (oy + y)) / 2);
+    }
+    return polygon;
+  }
+
+  *cellPolygons() {
+    const n = this.delaunay.points.length >> 1;
+    for (let i = 0; i < n; i++) {
+      const polygon = this.cellPolygon(i);
+      if (polygon) yield { index: i, polygon };
+    }
+  }
+}
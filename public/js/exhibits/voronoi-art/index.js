@@ -1,29 +1,59 @@
 // Voronoi Cellular Patterns
 // Organic cellular structures with animated seed points
-
-export default class VoronoiExhibit {
+//
+// Cells are exact polygons from the Delaunay triangulation of the seeds
+// (delaunay.js), rebuilt every frame, so thousands of seeds stay crisp.
+// As a power diagram (power-diagram.js) each seed also has a radius that
+// grows and starts over, and the largest claim the most. Manhattan,
+// Chebyshev and Minkowski distances bend the boundaries, so those diagrams
+// are drawn per pixel (metrics.js). Seeds either drift on noise or relax
+// toward the centroids of their cells (Lloyd's algorithm), which evens
+// them out into a centroidal tessellation.
+//
+// Stipple mode turns a loaded picture into the same kind of tessellation,
+// weighted by its darkness (stipple.js): dots, a mosaic in the picture's
+// colours or one unbroken line (tsp.js). Both modes export as line art
+// through the export panel (core/vector-export.js).
+
+import { Exhibit } from '../../core/exhibit.js';
+import { seedP5 } from '../../core/random.js';
+import { Delaunay } from './delaunay.js';
+import { powerCells } from './power-diagram.js';
+import { rasterCells } from './metrics.js';
+import { Stippler } from './stipple.js';
+
+const MAX_SEEDS = 5000;
+
+// Pixel step of the per-pixel diagrams at full quality; the governor
+// coarsens it to hold the frame rate
+const RASTER_STEP = 2;
+
+// Boundary colour of the per-pixel diagrams, the RGB of the vector cells'
+// outline stroke
+const BOUNDARY_COLOR = [69, 74, 77];
+const WHITE = [255, 255, 255];
+
+export default class VoronoiExhibit extends Exhibit {
   constructor(container, config) {
-    this.container = container;
-    this.config = config;
+    super(container, config);
     this.p5Instance = null;
-    this.animationId = null;
-    this.isRunning = false;
-    this.isPaused = false;
 
     // Voronoi parameters
     this.seedPoints = [];
-    this.seedCount = 40;
-    this.showBoundaries = true;
-    this.animationSpeed = 1;
+    // Centroid of each seed's cell in the last frame, for Lloyd relaxation
+    this.centroids = [];
     this.colorMode = 'rainbow'; // 'rainbow', 'monochrome', 'thermal'
-
-    // Performance tracking
-    this.frameCount = 0;
-    this.lastTime = performance.now();
-    this.fps = 60;
+    // What the last frame drew, for vector export: cell polygons or the
+    // per-pixel labels, the mesh if shown and whether the radii were
+    this.drawn = { cells: [], raster: null, delaunay: null, radii: false };
+
+    // Stipple mode: the loaded picture and its stipples
+    this.image = null;
+    this.stippler = null;
+    this.imageMessage = 'Load an image to stipple';
   }
 
-  async init() {
+  async setup() {
     // Dynamically load p5.js if needed
     if (typeof p5 === 'undefined') {
       await this.loadP5();
@@ -32,11 +62,12 @@ export default class VoronoiExhibit {
     // Create p5 sketch
     this.createSketch();
 
-    // Create controls
-    this.createControls();
-
-    // Create FPS counter
-    this.createFPSCounter();
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = 'image/*';
+    this.fileInput.hidden = true;
+    this.container.appendChild(this.fileInput);
+    this.listen(this.fileInput, 'change', () => this.loadImage());
   }
 
   loadP5() {
@@ -61,14 +92,19 @@ export default class VoronoiExhibit {
         canvas.parent(self.container);
 
         // Initialize seed points
+        seedP5(p, self.random.seed);
         self.initializeSeedPoints(p);
 
         p.colorMode(p.HSB, 360, 100, 100);
         p.noStroke();
+
+        // Frames are driven by the exhibit loop via redraw()
+        p.noLoop();
       };
 
       p.draw = function() {
-        if (!self.isRunning || self.isPaused) {
+        if (self.mode === 'stipple') {
+          self.drawStipples(p);
           return;
         }
 
@@ -82,23 +118,14 @@ export default class VoronoiExhibit {
 
         // Draw seed points
         self.drawSeedPoints(p);
-
-        // Update FPS
-        self.updateFPS();
       };
 
       p.mousePressed = function() {
-        if (self.isMouseInCanvas(p)) {
+        if (self.mode === 'cells' && self.isMouseInCanvas(p)) {
           self.addSeedPoint(p, p.mouseX, p.mouseY);
           return false;
         }
       };
-
-      p.windowResized = function() {
-        if (self.isRunning) {
-          self.resize();
-        }
-      };
     };
 
     this.p5Instance = new p5(sketch);
@@ -107,7 +134,7 @@ export default class VoronoiExhibit {
   initializeSeedPoints(p) {
     this.seedPoints = [];
     for (let i = 0; i < this.seedCount; i++) {
-      this.seedPoints.push({
+      this.seedPoints.push(this.withRadius({
         x: p.random(p.width),
         y: p.random(p.height),
         vx: p.random(-0.5, 0.5),
@@ -116,33 +143,53 @@ export default class VoronoiExhibit {
         noiseOffsetX: p.random(1000),
         noiseOffsetY: p.random(1000),
         age: i * 2 // Stagger creation for visual effect
-      });
+      }));
     }
   }
 
+  // Power-diagram radius, from the seeded generator so the p5 sequence
+  // placing the seeds is unchanged: where it starts and how fast it grows
+  withRadius(seed) {
+    seed.radius = this.random.range(0, Number(this.maxRadius));
+    seed.growth = this.random.range(0.5, 1.5);
+    return seed;
+  }
+
   updateSeedPoints(p) {
     const time = p.frameCount * 0.01 * this.animationSpeed;
+    const relaxing = this.motion === 'lloyd';
+    const growing = this.diagram === 'power';
 
     for (let i = 0; i < this.seedPoints.length; i++) {
       const seed = this.seedPoints[i];
 
-      // Use Perlin noise for smooth organic movement
-      const noiseX = p.noise(seed.noiseOffsetX + time);
-      const noiseY = p.noise(seed.noiseOffsetY + time);
-
-      // Convert noise to velocity
-      seed.vx = (noiseX - 0.5) * 3;
-      seed.vy = (noiseY - 0.5) * 3;
-
-      // Update position
-      seed.x += seed.vx;
-      seed.y += seed.vy;
+      if (relaxing) {
+        this.relaxSeedPoint(p, seed, this.centroids[i]);
+      } else {
+        // Use Perlin noise for smooth organic movement
+        const noiseX = p.noise(seed.noiseOffsetX + time);
+        const noiseY = p.noise(seed.noiseOffsetY + time);
+
+        // Convert noise to velocity
+        seed.vx = (noiseX - 0.5) * 3;
+        seed.vy = (noiseY - 0.5) * 3;
+
+        // Update position
+        seed.x += seed.vx;
+        seed.y += seed.vy;
+
+        // Wrap around edges for seamless animation
+        if (seed.x < -50) seed.x = p.width + 50;
+        if (seed.x > p.width + 50) seed.x = -50;
+        if (seed.y < -50) seed.y = p.height + 50;
+        if (seed.y > p.height + 50) seed.y = -50;
+      }
 
-      // Wrap around edges for seamless animation
-      if (seed.x < -50) seed.x = p.width + 50;
-      if (seed.x > p.width + 50) seed.x = -50;
-      if (seed.y < -50) seed.y = p.height + 50;
-      if (seed.y > p.height + 50) seed.y = -50;
+      // Radii grow to the maximum, then start over
+      if (growing) {
+        seed.radius += seed.growth * this.growthRate * this.animationSpeed;
+        if (seed.radius > this.maxRadius) seed.radius = 0;
+      }
 
       // Shift hue over time
       seed.hue = (seed.hue + 0.05) % 360;
@@ -150,55 +197,107 @@ export default class VoronoiExhibit {
     }
   }
 
-  drawVoronoiDiagram(p) {
-    const pixelSize = 4; // Render every Nth pixel for performance
-    const pixels = p.createImage(p.width / pixelSize, p.height / pixelSize);
-    pixels.loadPixels();
-
-    for (let py = 0; py < p.height; py += pixelSize) {
-      for (let px = 0; px < p.width; px += pixelSize) {
-        // Find closest seed point
-        let closestDist = Infinity;
-        let closestIndex = 0;
-
-        for (let i = 0; i < this.seedPoints.length; i++) {
-          const seed = this.seedPoints[i];
-          const dx = seed.x - px;
-          const dy = seed.y - py;
-          const dist = dx * dx + dy * dy;
-
-          if (dist < closestDist) {
-            closestDist = dist;
-            closestIndex = i;
-          }
-        }
+  // Lloyd relaxation: part of the way to the centroid of the seed's cell
+  // each frame. Seeds stay on the canvas, where their cells are.
+  relaxSeedPoint(p, seed, centroid) {
+    if (centroid) {
+      const rate = Math.min(1, this.relaxation * this.animationSpeed);
+      seed.vx = (centroid.x - seed.x) * rate;
+      seed.vy = (centroid.y - seed.y) * rate;
+      seed.x += seed.vx;
+      seed.y += seed.vy;
+    }
+    seed.x = p.constrain(seed.x, 0, p.width);
+    seed.y = p.constrain(seed.y, 0, p.height);
+  }
 
-        // Get color for this cell
-        const seed = this.seedPoints[closestIndex];
-        const color = this.getColorForSeed(seed, closestDist, p);
-
-        // Set pixel color
-        const imgX = px / pixelSize;
-        const imgY = py / pixelSize;
-        const idx = (imgY * pixels.width + imgX) * 4;
-        pixels.pixels[idx] = color[0];
-        pixels.pixels[idx + 1] = color[1];
-        pixels.pixels[idx + 2] = color[2];
-        pixels.pixels[idx + 3] = 255;
-      }
+  drawVoronoiDiagram(p) {
+    const power = this.diagram === 'power';
+    const sites = this.seedPoints.map(seed => ({ x: seed.x, y: seed.y, radius: power ? seed.radius : 0 }));
+    if (this.metric !== 'euclidean') {
+      this.drawRaster(p, sites);
+      return;
     }
 
-    pixels.updatePixels();
+    const bounds = [0, 0, p.width, p.height];
+    const delaunay = power ? null : Delaunay.from(sites);
+    const cells = power ? powerCells(sites, bounds) : [...delaunay.voronoi(bounds).cellPolygons()];
+    const ctx = p.drawingContext;
+
+    this.centroids = [];
+    for (const { index, polygon } of cells) {
+      this.centroids[index] = polygonCentroid(polygon);
+      ctx.fillStyle = this.cellGradient(ctx, this.seedPoints[index], polygon, p);
+      ctx.beginPath();
+      tracePolygon(ctx, polygon);
+      ctx.fill();
+    }
 
-    // Draw the image scaled up
-    p.image(pixels, 0, 0, p.width, p.height);
+    this.drawn = {
+      cells,
+      raster: null,
+      delaunay: this.showDelaunay ? delaunay : null,
+      radii: power && this.showBoundaries
+    };
 
-    // Draw cell boundaries
     if (this.showBoundaries) {
-      this.drawBoundaries(p);
+      this.drawBoundaries(p, cells);
+      if (power) {
+        this.drawRadii(p);
+      }
+    }
+    if (this.showDelaunay && delaunay) {
+      this.drawDelaunay(p, delaunay);
     }
   }
 
+  // Distances other than Euclidean: the diagram found per pixel, drawn
+  // scaled up
+  drawRaster(p, sites) {
+    const step = Math.round(RASTER_STEP / this.quality);
+    const { columns, rows, labels, distances, centroids } = rasterCells(
+      sites, p.width, p.height, step, this.metric, this.minkowskiP
+    );
+    this.centroids = centroids;
+    this.drawn = { cells: [], raster: { columns, rows, labels, step }, delaunay: null, radii: false };
+
+    const image = p.createImage(columns, rows);
+    image.loadPixels();
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const i = row * columns + column;
+        const label = labels[i];
+        const edge = this.showBoundaries && (
+          (column > 0 && labels[i - 1] !== label) || (row > 0 && labels[i - columns] !== label)
+        );
+        const color = edge ? BOUNDARY_COLOR : this.getColorForSeed(this.seedPoints[label], distances[i], p);
+        image.pixels[i * 4] = color[0];
+        image.pixels[i * 4 + 1] = color[1];
+        image.pixels[i * 4 + 2] = color[2];
+        image.pixels[i * 4 + 3] = 255;
+      }
+    }
+    image.updatePixels();
+    p.image(image, 0, 0, columns * step, rows * step);
+  }
+
+  // Shade a cell outward from its seed, the colour following the squared
+  // distance as getColorForSeed has it
+  cellGradient(ctx, seed, polygon, p) {
+    let reach = 1;
+    for (const [x, y] of polygon) {
+      reach = Math.max(reach, Math.hypot(x - seed.x, y - seed.y));
+    }
+    const gradient = ctx.createRadialGradient(seed.x, seed.y, 0, seed.x, seed.y, reach);
+    const stops = Math.min(64, Math.max(2, Math.ceil(reach / 3)));
+    for (let k = 0; k <= stops; k++) {
+      const distance = reach * k / stops;
+      const [r, g, b] = this.getColorForSeed(seed, distance * distance, p);
+      gradient.addColorStop(k / stops, `rgb(${r}, ${g}, ${b})`);
+    }
+    return gradient;
+  }
+
   getColorForSeed(seed, distance, p) {
     const hue = seed.hue;
     const saturation = 75 + Math.sin(seed.age * 0.05) * 15;
@@ -235,28 +334,45 @@ export default class VoronoiExhibit {
     ];
   }
 
-  drawBoundaries(p) {
+  drawBoundaries(p, cells) {
     p.stroke(200, 10, 30);
-    p.strokeWeight(0.5);
+    p.strokeWeight(1);
     p.noFill();
 
-    // Draw subtle lines between seed points
-    for (let i = 0; i < this.seedPoints.length; i++) {
-      const seed1 = this.seedPoints[i];
-
-      // Draw edges to nearby seeds
-      for (let j = i + 1; j < Math.min(i + 4, this.seedPoints.length); j++) {
-        const seed2 = this.seedPoints[j];
-        const dx = seed2.x - seed1.x;
-        const dy = seed2.y - seed1.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist < 300) {
-          const midX = (seed1.x + seed2.x) / 2;
-          const midY = (seed1.y + seed2.y) / 2;
-          p.point(midX, midY);
-        }
+    for (const { polygon } of cells) {
+      p.beginShape();
+      for (const [x, y] of polygon) {
+        p.vertex(x, y);
       }
+      p.endShape(p.CLOSE);
+    }
+
+    p.noStroke();
+  }
+
+  // Each seed's power-diagram radius
+  drawRadii(p) {
+    p.noFill();
+    p.stroke(0, 0, 100, 0.25);
+    p.strokeWeight(1);
+
+    for (const seed of this.seedPoints) {
+      if (seed.radius > 0) {
+        p.circle(seed.x, seed.y, seed.radius * 2);
+      }
+    }
+
+    p.noStroke();
+  }
+
+  // The dual mesh: seeds whose cells share an edge, joined
+  drawDelaunay(p, delaunay) {
+    const points = delaunay.points;
+    p.stroke(0, 0, 100, 0.35);
+    p.strokeWeight(0.75);
+
+    for (const [a, b] of delaunay.edges()) {
+      p.line(points[a * 2], points[a * 2 + 1], points[b * 2], points[b * 2 + 1]);
     }
 
     p.noStroke();
@@ -267,17 +383,20 @@ export default class VoronoiExhibit {
     p.stroke(200, 15, 40);
     p.strokeWeight(2);
 
+    const size = seedSize(this.seedPoints.length);
+    if (size < 4) p.noStroke();
+
     for (let i = 0; i < this.seedPoints.length; i++) {
       const seed = this.seedPoints[i];
-      p.circle(seed.x, seed.y, 8);
+      p.circle(seed.x, seed.y, size);
     }
 
     p.noStroke();
   }
 
   addSeedPoint(p, x, y) {
-    if (this.seedPoints.length < 100) {
-      this.seedPoints.push({
+    if (this.seedPoints.length < MAX_SEEDS) {
+      const seed = this.withRadius({
         x: x,
         y: y,
         vx: 0,
@@ -287,131 +406,148 @@ export default class VoronoiExhibit {
         noiseOffsetY: p.random(1000),
         age: 0
       });
+      // Grows from the click
+      seed.radius = 0;
+      this.seedPoints.push(seed);
     }
   }
 
-  isMouseInCanvas(p) {
-    return p.mouseX > 0 && p.mouseX < p.width && p.mouseY > 0 && p.mouseY < p.height;
+  // --- Stippling ---
+
+  chooseImage() {
+    this.fileInput.click();
   }
 
-  createControls() {
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (!controlsContainer) return;
+  async loadImage() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = '';
+    if (!file) return;
+    try {
+      this.image = await createImageBitmap(file);
+    } catch {
+      this.image = null;
+      this.imageMessage = `Could not read ${file.name} as an image`;
+    }
+    this.buildStippler();
+    this.setParam('mode', 'stipple');
+  }
 
-    controlsContainer.innerHTML = '';
+  // Scatter fresh stipples over the picture, from the seeded generator
+  buildStippler() {
+    const p = this.p5Instance;
+    this.stippler = this.image && p
+      ? new Stippler(this.image, p.width, p.height, this.stippleCount, this.random)
+      : null;
+  }
 
-    // Animation speed control
-    const speedSlider = document.createElement('div');
-    speedSlider.className = 'control-slider';
-    speedSlider.innerHTML = `
-      <label>Animation Speed</label>
-      <input type="range" id="speed-slider" min="0.1" max="3" value="1" step="0.1">
-    `;
-    controlsContainer.appendChild(speedSlider);
+  // One round of relaxation a frame until the stipples settle, so the
+  // picture can be watched sharpening. The line is only worked out once
+  // they have; until then the stipples show as dots.
+  drawStipples(p) {
+    p.background(0, 0, 100);
+    const stippler = this.stippler;
+    if (!stippler || !stippler.points.length) {
+      p.fill(0, 0, 45);
+      p.textAlign(p.CENTER, p.CENTER);
+      p.textSize(16);
+      p.text(stippler ? 'Nothing dark enough to stipple' : this.imageMessage, p.width / 2, p.height / 2);
+      return;
+    }
+    if (!stippler.settled) stippler.relax(this.quality);
+
+    const ctx = p.drawingContext;
+    if (this.stippleStyle === 'mosaic') {
+      for (const { polygon, color } of stippler.mosaic()) {
+        ctx.fillStyle = `rgb(${color.map(Math.round).join(', ')})`;
+        ctx.beginPath();
+        tracePolygon(ctx, polygon);
+        ctx.fill();
+      }
+    } else if (this.stippleStyle === 'tsp' && stippler.settled) {
+      const points = stippler.path();
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 1;
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      tracePolygon(ctx, points.map(point => [point.x, point.y]));
+      ctx.stroke();
+    } else {
+      const size = this.stippleStyle === 'dots' ? this.stippleSize : 0.3;
+      ctx.fillStyle = '#000';
+      ctx.beginPath();
+      for (const dot of stippler.dots(size)) {
+        ctx.moveTo(dot.x + dot.r, dot.y);
+        ctx.arc(dot.x, dot.y, dot.r, 0, Math.PI * 2);
+      }
+      ctx.fill();
+    }
+  }
 
-    document.getElementById('speed-slider')?.addEventListener('input', (e) => {
-      this.animationSpeed = parseFloat(e.target.value);
-    });
+  // Cell boundaries whether or not they are shown, as they outline the
+  // cells, then the mesh and radii if shown and the seeds
+  drawVector(drawing) {
+    if (this.mode === 'stipple') {
+      this.stippler?.drawVector(drawing, this.stippleStyle, this.stippleSize);
+      return;
+    }
 
-    // Cell count control
-    const cellSlider = document.createElement('div');
-    cellSlider.className = 'control-slider';
-    cellSlider.innerHTML = `
-      <label>Cell Count (${this.seedCount})</label>
-      <input type="range" id="cell-slider" min="10" max="100" value="${this.seedCount}" step="5">
-    `;
-    controlsContainer.appendChild(cellSlider);
-
-    document.getElementById('cell-slider')?.addEventListener('input', (e) => {
-      const newCount = parseInt(e.target.value);
-      if (newCount !== this.seedCount) {
-        this.seedCount = newCount;
-        // Adjust seed points
-        if (this.seedPoints.length < newCount) {
-          while (this.seedPoints.length < newCount) {
-            const p = this.p5Instance;
-            this.seedPoints.push({
-              x: p.random(p.width),
-              y: p.random(p.height),
-              vx: p.random(-0.5, 0.5),
-              vy: p.random(-0.5, 0.5),
-              hue: (this.seedPoints.length / newCount) * 360,
-              noiseOffsetX: p.random(1000),
-              noiseOffsetY: p.random(1000),
-              age: 0
-            });
-          }
-        } else if (this.seedPoints.length > newCount) {
-          this.seedPoints = this.seedPoints.slice(0, newCount);
-        }
-        e.target.previousElementSibling.textContent = `Cell Count (${newCount})`;
+    const { cells, raster, delaunay, radii } = this.drawn;
+    const boundaries = raster ? rasterBoundaries(raster) : cellEdges(cells);
+    for (const [[x1, y1], [x2, y2]] of boundaries) {
+      drawing.line(x1, y1, x2, y2, BOUNDARY_COLOR);
+    }
+    if (delaunay) {
+      const points = delaunay.points;
+      for (const [a, b] of delaunay.edges()) {
+        drawing.line(points[a * 2], points[a * 2 + 1], points[b * 2], points[b * 2 + 1], WHITE, { width: 0.75 });
       }
-    });
+    }
+    for (const seed of this.seedPoints) {
+      if (radii && seed.radius > 0) drawing.circle(seed.x, seed.y, seed.radius, WHITE);
+    }
+    const size = seedSize(this.seedPoints.length);
+    for (const seed of this.seedPoints) {
+      drawing.circle(seed.x, seed.y, size / 2, WHITE, { fill: true });
+    }
+  }
 
-    // Boundaries toggle
-    const boundariesBtn = document.createElement('button');
-    boundariesBtn.className = 'control-button';
-    boundariesBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M12 2v20M2 12h20M6 6l12 12M18 6L6 18"/>
-      </svg>
-    `;
-    boundariesBtn.title = 'Toggle cell boundaries';
-    boundariesBtn.addEventListener('click', () => {
-      this.showBoundaries = !this.showBoundaries;
-      boundariesBtn.classList.toggle('active', this.showBoundaries);
-    });
-    boundariesBtn.classList.add('active');
-    controlsContainer.appendChild(boundariesBtn);
-
-    // Reset button
-    const resetBtn = document.createElement('button');
-    resetBtn.className = 'control-button';
-    resetBtn.innerHTML = `
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/>
-        <path d="M21 3v5h-5"/>
-        <path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/>
-        <path d="M3 21v-5h5"/>
-      </svg>
-    `;
-    resetBtn.title = 'Reset exhibit';
-    resetBtn.addEventListener('click', () => this.reset());
-    controlsContainer.appendChild(resetBtn);
-  }
-
-  createFPSCounter() {
-    this.fpsElement = document.createElement('div');
-    this.fpsElement.className = 'fps-counter good';
-    this.fpsElement.textContent = '60 FPS';
-    this.container.appendChild(this.fpsElement);
-  }
-
-  updateFPS() {
-    this.frameCount++;
-    const now = performance.now();
-    const elapsed = now - this.lastTime;
-
-    if (elapsed >= 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / elapsed);
-      this.frameCount = 0;
-      this.lastTime = now;
-
-      if (this.fpsElement) {
-        this.fpsElement.textContent = `${this.fps} FPS`;
-        this.fpsElement.className = 'fps-counter ' +
-          (this.fps >= 45 ? 'good' : this.fps >= 25 ? 'medium' : 'poor');
-      }
+  isMouseInCanvas(p) {
+    return p.mouseX > 0 && p.mouseX < p.width && p.mouseY > 0 && p.mouseY < p.height;
+  }
+
+  onParamChange(key, value) {
+    if (key === 'seedCount' && this.p5Instance) {
+      this.resizeSeedPoints(this.p5Instance, value);
+    }
+    if (key === 'stippleCount') {
+      this.buildStippler();
     }
   }
 
-  reset() {
+  // Grow or trim the seed list without disturbing the existing cells
+  resizeSeedPoints(p, count) {
+    while (this.seedPoints.length < count) {
+      this.seedPoints.push(this.withRadius({
+        x: p.random(p.width),
+        y: p.random(p.height),
+        vx: p.random(-0.5, 0.5),
+        vy: p.random(-0.5, 0.5),
+        hue: (this.seedPoints.length / count) * 360,
+        noiseOffsetX: p.random(1000),
+        noiseOffsetY: p.random(1000),
+        age: 0
+      }));
+    }
+    if (this.seedPoints.length > count) {
+      this.seedPoints = this.seedPoints.slice(0, count);
+    }
+  }
+
+  regenerate() {
     if (this.p5Instance) {
+      seedP5(this.p5Instance, this.random.seed);
       this.initializeSeedPoints(this.p5Instance);
-      this.animationSpeed = 1;
-
-      const speedSlider = document.getElementById('speed-slider');
-      if (speedSlider) speedSlider.value = '1';
+      this.buildStippler();
     }
   }
 
@@ -419,44 +555,101 @@ export default class VoronoiExhibit {
     if (this.p5Instance) {
       const rect = this.container.getBoundingClientRect();
       this.p5Instance.resizeCanvas(rect.width, rect.height);
+      this.buildStippler();
     }
   }
 
-  start() {
-    this.isRunning = true;
+  render() {
     if (this.p5Instance) {
-      this.p5Instance.loop();
+      this.p5Instance.redraw();
     }
   }
 
-  stop() {
-    this.isRunning = false;
-    this.isPaused = true;
+  teardown() {
     if (this.p5Instance) {
-      this.p5Instance.noLoop();
+      this.p5Instance.remove();
+      this.p5Instance = null;
     }
   }
+}
 
-  togglePause() {
-    this.isPaused = !this.isPaused;
-  }
-
-  destroy() {
-    this.stop();
+// Seed dot diameter: smaller as the cells shrink
+function seedSize(count) {
+  return Math.max(2, Math.min(8, 80 / Math.sqrt(count)));
+}
 
-    if (this.p5Instance) {
-      this.p5Instance.remove();
-      this.p5Instance = null;
+// Every edge of the cells once, though neighbouring cells share them
+function cellEdges(cells) {
+  const seen = new Set();
+  const edges = [];
+  const key = ([x, y]) => `${Math.round(x * 100)},${Math.round(y * 100)}`;
+  for (const { polygon } of cells) {
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i];
+      const b = polygon[(i + 1) % polygon.length];
+      const ka = key(a);
+      const kb = key(b);
+      const edge = ka < kb ? `${ka} ${kb}` : `${kb} ${ka}`;
+      if (ka === kb || seen.has(edge)) continue;
+      seen.add(edge);
+      edges.push([a, b]);
     }
+  }
+  return edges;
+}
 
-    if (this.fpsElement) {
-      this.fpsElement.remove();
+// Boundaries of a per-pixel diagram as the stepped lines between pixels of
+// different cells, merged into runs
+function rasterBoundaries({ columns, rows, labels, step }) {
+  const edges = [];
+  for (let row = 1; row < rows; row++) {
+    let start = -1;
+    for (let column = 0; column <= columns; column++) {
+      const i = row * columns + column;
+      const edge = column < columns && labels[i] !== labels[i - columns];
+      if (edge && start === -1) start = column;
+      if (!edge && start !== -1) {
+        edges.push([[start * step, row * step], [column * step, row * step]]);
+        start = -1;
+      }
     }
-
-    // Clear controls
-    const controlsContainer = document.getElementById('exhibit-controls');
-    if (controlsContainer) {
-      controlsContainer.innerHTML = '';
+  }
+  for (let column = 1; column < columns; column++) {
+    let start = -1;
+    for (let row = 0; row <= rows; row++) {
+      const i = row * columns + column;
+      const edge = row < rows && labels[i] !== labels[i - 1];
+      if (edge && start === -1) start = row;
+      if (!edge && start !== -1) {
+        edges.push([[column * step, start * step], [column * step, row * step]]);
+        start = -1;
+      }
     }
   }
+  return edges;
+}
+
+// Area-weighted centroid of a simple polygon
+function polygonCentroid(polygon) {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const [ax, ay] = polygon[i];
+    const [bx, by] = polygon[(i + 1) % polygon.length];
+    const cross = ax * by - bx * ay;
+    area += cross;
+    x += (ax + bx) * cross;
+    y += (ay + by) * cross;
+  }
+  if (Math.abs(area) < 1e-9) return { x: polygon[0][0], y: polygon[0][1] };
+  return { x: x / (3 * area), y: y / (3 * area) };
+}
+
+function tracePolygon(ctx, polygon) {
+  ctx.moveTo(polygon[0][0], polygon[0][1]);
+  for (let i = 1; i < polygon.length; i++) {
+    ctx.lineTo(polygon[i][0], polygon[i][1]);
+  }
+  ctx.closePath();
 }
@@ -0,0 +1,90 @@
+// Distance metrics for the Voronoi diagram. Only Euclidean cells are
+// polygons; under the others the boundaries bend and step, so the diagram
+// is found per pixel instead (rasterCells).
+//
+// All are Minkowski distances (|dx|^p + |dy|^p)^(1/p): Manhattan is p = 1,
+// Euclidean p = 2 and Chebyshev the limit as p grows. None is ever less
+// than the larger of |dx| and |dy|, which is what lets the search stop.
+
+import { SiteGrid } from './site-grid.js';
+
+export const METRICS = {
+  euclidean: (dx, dy) => Math.sqrt(dx * dx + dy * dy),
+  manhattan: (dx, dy) => Math.abs(dx) + Math.abs(dy),
+  chebyshev: (dx, dy) => Math.max(Math.abs(dx), Math.abs(dy)),
+  minkowski: (dx, dy, p) => (Math.abs(dx) ** p + Math.abs(dy) ** p) ** (1 / p)
+};
+
+// Label every step-th pixel of a width x height canvas with the site that
+// claims it: the one with the least d² - r² for metric distance d and site
+// radius r (0 for a plain Voronoi diagram). sites: [{ x, y, radius }]
+// Returns the grid of labels, each pixel's d² to its site, and the pixel
+// centroid of every site's cell (null where it has none), weighted by
+// weights (one per pixel of the grid) when given.
+export function rasterCells(sites, width, height, step, metric, p = 2, weights = null) {
+  const distance = METRICS[metric];
+  const xs = sites.map(site => site.x);
+  const ys = sites.map(site => site.y);
+  const radii = sites.map(site => site.radius * site.radius);
+  const grid = new SiteGrid(xs, ys, [0, 0, width, height]);
+  const maxRadius = Math.max(0, ...radii);
+
+  const columns = Math.ceil(width / step);
+  const rows = Math.ceil(height / step);
+  const labels = new Int32Array(columns * rows).fill(-1);
+  const distances = new Float32Array(columns * rows);
+  const sums = new Float64Array(sites.length * 3);
+
+  let px = 0;
+  let py = 0;
+  let best = Infinity;
+  let bestDistance = 0;
+  let label = -1;
+  const consider = (i) => {
+    const dx = xs[i] - px;
+    const dy = ys[i] - py;
+    // Cheap lower bound first: most sites are ruled out without a power
+    const least = Math.max(Math.abs(dx), Math.abs(dy));
+    if (least * least - radii[i] >= best) return;
+    const d = distance(dx, dy, p);
+    const value = d * d - radii[i];
+    if (value < best) {
+      best = value;
+      bestDistance = d * d;
+      label = i;
+    }
+  };
+
+  for (let row = 0; row < rows; row++) {
+    py = row * step;
+    const gridRow = grid.row(py);
+    for (let column = 0; column < columns; column++) {
+      px = column * step;
+      const gridColumn = grid.column(px);
+      // Neighbouring pixels mostly share a site: try the last one first
+      best = Infinity;
+      if (label !== -1) consider(label);
+      for (let k = 0; ; k++) {
+        // Ring k and beyond are at least (k - 1) buckets away
+        const reach = Math.max(0, k - 1) * grid.size;
+        if (label !== -1 && reach * reach - maxRadius >= best) break;
+        if (!grid.visitRing(gridColumn, gridRow, k, consider)) break;
+      }
+
+      const index = row * columns + column;
+      labels[index] = label;
+      distances[index] = bestDistance;
+      if (label !== -1) {
+        const weight = weights ? weights[index] : 1;
+        sums[label * 3] += px * weight;
+        sums[label * 3 + 1] += py * weight;
+        sums[label * 3 + 2] += weight;
+      }
+    }
+  }
+
+  const centroids = sites.map((site, i) => (sums[i * 3 + 2]
+    ? { x: sums[i * 3] / sums[i * 3 + 2], y: sums[i * 3 + 1] / sums[i * 3 + 2] }
+    : null));
+  return { columns, rows, labels, distances, centroids };
+}
@@ -0,0 +1,60 @@
+// Power (Laguerre) diagram: the weighted Voronoi diagram in which a site
+// with radius r claims the points where |x - site|² - r² is smallest. The
+// boundaries stay straight, so each cell is the bounds cut by one
+// half-plane per neighbour. Neighbours are taken ring by ring from a
+// SiteGrid until none further out can reach the cell. A site swallowed by
+// larger neighbours has no cell, and a cell need not contain its site.
+
+import { clipHalfPlane } from './delaunay.js';
+import { SiteGrid } from './site-grid.js';
+
+// sites: [{ x, y, radius }]; bounds: [x0, y0, x1, y1]
+// Returns [{ index, polygon: [[x, y], ...] }] for the sites with a cell
+export function powerCells(sites, bounds) {
+  const xs = sites.map(site => site.x);
+  const ys = sites.map(site => site.y);
+  const grid = new SiteGrid(xs, ys, bounds);
+  const maxRadius = Math.max(0, ...sites.map(site => site.radius));
+  const [x0, y0, x1, y1] = bounds;
+
+  const cells = [];
+  sites.forEach((site, i) => {
+    let polygon = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+    const column = grid.column(site.x);
+    const row = grid.row(site.y);
+
+    // Farthest the cell reaches from the site
+    const reach = () => {
+      let farthest = 0;
+      for (const [x, y] of polygon) farthest = Math.max(farthest, Math.hypot(x - site.x, y - site.y));
+      return farthest;
+    };
+    let limit = reach();
+
+    const cut = (j) => {
+      if (j === i || !polygon.length) return;
+      const other = sites[j];
+      const dx = other.x - site.x;
+      const dy = other.y - site.y;
+      const weight = other.radius * other.radius - site.radius * site.radius;
+      if (dx === 0 && dy === 0) {
+        // Same spot: the larger radius wins, then the earlier site
+        if (weight > 0 || (weight === 0 && j < i)) polygon = [];
+        return;
+      }
+      // |x - site|² - r² <= |x - other|² - r_other²
+      const c = (other.x * other.x + other.y * other.y - site.x * site.x - site.y * site.y - weight) / 2;
+      polygon = clipHalfPlane(polygon, dx, dy, c);
+      limit = reach();
+    };
+
+    for (let k = 0; polygon.length; k++) {
+      // A site at distance d >= D cuts no closer than (D² - maxRadius²) / 2D
+      const D = (k - 1) * grid.size;
+      if (D > 0 && (D * D - maxRadius * maxRadius) / (2 * D) >= limit) break;
+      if (!grid.visitRing(column, row, k, cut)) break;
+    }
+    if (polygon.length > 2) cells.push({ index: i, polygon });
+  });
+  return cells;
+}
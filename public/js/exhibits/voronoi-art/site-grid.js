@@ -0,0 +1,79 @@
+// Sites bucketed on a uniform grid, about two to a bucket, so a search can
+// visit them in square rings of buckets outward from a point and stop once
+// nothing further out can matter. A site in ring k + 1 or beyond is at
+// least k bucket sizes from any point of the centre bucket, along x or y.
+
+export class SiteGrid {
+  // xs, ys: site coordinates; bounds: [x0, y0, x1, y1] the searches start
+  // in. The grid covers both.
+  constructor(xs, ys, bounds) {
+    let [x0, y0, x1, y1] = bounds;
+    const n = xs.length;
+    for (let i = 0; i < n; i++) {
+      x0 = Math.min(x0, xs[i]);
+      y0 = Math.min(y0, ys[i]);
+      x1 = Math.max(x1, xs[i]);
+      y1 = Math.max(y1, ys[i]);
+    }
+    this.size = Math.max(1, Math.sqrt((x1 - x0) * (y1 - y0) * 2 / Math.max(1, n)));
+    this.x0 = x0;
+    this.y0 = y0;
+    this.columns = Math.floor((x1 - x0) / this.size) + 1;
+    this.rows = Math.floor((y1 - y0) / this.size) + 1;
+
+    // Counting sort of the sites by bucket: bucket b holds
+    // items[starts[b]] up to items[starts[b + 1]]
+    const buckets = this.columns * this.rows;
+    const bucketOf = new Int32Array(n);
+    this.starts = new Int32Array(buckets + 1);
+    for (let i = 0; i < n; i++) {
+      bucketOf[i] = this.row(ys[i]) * this.columns + this.column(xs[i]);
+      this.starts[bucketOf[i] + 1]++;
+    }
+    for (let b = 0; b < buckets; b++) this.starts[b + 1] += this.starts[b];
+    const fill = this.starts.slice(0, buckets);
+    this.items = new Int32Array(n);
+    for (let i = 0; i < n; i++) this.items[fill[bucketOf[i]]++] = i;
+  }
+
+  column(x) {
+    return Math.min(this.columns - 1, Math.max(0, Math.floor((x - this.x0) / this.size)));
+  }
+
+  row(y) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor((y - this.y0) / this.size)));
+  }
+
+  // Visit every site in ring k of buckets round (column, row), k = 0 being
+  // that bucket alone; false once the ring lies wholly off the grid
+  visitRing(column, row, k, visit) {
+    const { starts, items } = this;
+    return this.visitRingBuckets(column, row, k, (b) => {
+      for (let s = starts[b]; s < starts[b + 1]; s++) visit(items[s]);
+    });
+  }
+
+  // The same walk by bucket index, for searches that keep their own
+  // per-bucket lists
+  visitRingBuckets(column, row, k, visit) {
+    const { columns, rows } = this;
+    const bucket = (c, r) => {
+      if (c >= 0 && c < columns && r >= 0 && r < rows) visit(r * columns + c);
+    };
+
+    if (k === 0) {
+      bucket(column, row);
+      return true;
+    }
+    if (column - k < 0 && column + k >= columns && row - k < 0 && row + k >= rows) return false;
+    for (let c = column - k; c <= column + k; c++) {
+      bucket(c, row - k);
+      bucket(c, row + k);
+    }
+    for (let r = row - k + 1; r < row + k; r++) {
+      bucket(column - k, r);
+      bucket(column + k, r);
+    }
+    return true;
+  }
+}
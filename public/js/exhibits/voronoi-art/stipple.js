@@ -0,0 +1,218 @@
+// Weighted Voronoi stippling (Secord, 2002): stipples are scattered over a
+// picture by its darkness, then moved again and again to the
+// darkness-weighted centroids of their Voronoi cells, which spaces them
+// evenly while keeping the picture's density. Each cell also gives its
+// stipple the average colour under it (mosaic) and a dot size: a dot
+// covering as much of the cell as the picture inks it.
+//
+// The picture is sampled every STEP pixels of the canvas, fitted inside it;
+// at reduced quality relaxation works on blocks of those samples averaged.
+// Dots, mosaic cells and the TSP line are plain geometry, drawn to the
+// canvas by the exhibit and to a VectorDrawing for export here.
+
+import { Delaunay } from './delaunay.js';
+import { rasterCells } from './metrics.js';
+import { tour } from './tsp.js';
+
+const STEP = 2;
+
+// Relaxation stops once no stipple moves further than this (px), or after
+// MAX_ITERATIONS rounds
+const SETTLED = 0.2;
+const MAX_ITERATIONS = 80;
+
+const BLACK = [0, 0, 0];
+
+export class Stippler {
+  // image: anything drawImage takes; random: the exhibit's seeded generator
+  constructor(image, width, height, count, random) {
+    this.width = width;
+    this.height = height;
+    const scale = Math.min(width / image.width, height / image.height);
+    this.frame = {
+      x: (width - image.width * scale) / 2,
+      y: (height - image.height * scale) / 2,
+      width: image.width * scale,
+      height: image.height * scale
+    };
+
+    // Darkness (0 white .. 1 black) and colour of each sample
+    const columns = this.columns = Math.ceil(width / STEP);
+    const rows = this.rows = Math.ceil(height / STEP);
+    const canvas = document.createElement('canvas');
+    canvas.width = columns;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d');
+    const { x, y, width: w, height: h } = this.frame;
+    ctx.drawImage(image, x / STEP, y / STEP, w / STEP, h / STEP);
+    const data = ctx.getImageData(0, 0, columns, rows).data;
+    this.darkness = new Float32Array(columns * rows);
+    this.colors = data;
+    for (let i = 0; i < columns * rows; i++) {
+      const luminance = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+      // Transparent parts are paper
+      this.darkness[i] = (1 - luminance) * data[i * 4 + 3] / 255;
+    }
+
+    // Averaged samples for the last reduced quality relaxed at
+    this.coarse = null;
+
+    this.points = this.scatter(count, random);
+    this.cells = null;
+    this.iterations = 0;
+    this.settled = false;
+    this.tiles = null;
+    this.order = null;
+  }
+
+  // Rejection sampling by darkness
+  scatter(count, random) {
+    const points = [];
+    const { darkness, columns } = this;
+    if (!darkness.some(value => value > 0.01)) return points;
+    for (let attempts = 0; points.length < count && attempts < count * 500; attempts++) {
+      const i = random.int(0, darkness.length);
+      if (random.next() < darkness[i]) {
+        points.push({
+          x: ((i % columns) + random.next()) * STEP,
+          y: (Math.floor(i / columns) + random.next()) * STEP,
+          radius: 0
+        });
+      }
+    }
+    return points;
+  }
+
+  // Darkness and colour averaged over blocks of k x k samples, the colour
+  // weighted by opacity as relax() weighs it
+  samples(k) {
+    if (k === 1) return { step: STEP, darkness: this.darkness, colors: this.colors };
+    if (this.coarse?.k === k) return this.coarse;
+
+    const step = STEP * k;
+    const columns = Math.ceil(this.width / step);
+    const rows = Math.ceil(this.height / step);
+    const darkness = new Float32Array(columns * rows);
+    const colors = new Float32Array(columns * rows * 4);
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const to = row * columns + column;
+        let count = 0;
+        for (let y = row * k; y < Math.min(this.rows, (row + 1) * k); y++) {
+          for (let x = column * k; x < Math.min(this.columns, (column + 1) * k); x++) {
+            const from = y * this.columns + x;
+            const alpha = this.colors[from * 4 + 3];
+            darkness[to] += this.darkness[from];
+            colors[to * 4] += this.colors[from * 4] * alpha;
+            colors[to * 4 + 1] += this.colors[from * 4 + 1] * alpha;
+            colors[to * 4 + 2] += this.colors[from * 4 + 2] * alpha;
+            colors[to * 4 + 3] += alpha;
+            count++;
+          }
+        }
+        const alpha = colors[to * 4 + 3];
+        for (let c = 0; c < 3; c++) colors[to * 4 + c] = alpha ? colors[to * 4 + c] / alpha : 0;
+        if (count) {
+          darkness[to] /= count;
+          colors[to * 4 + 3] = alpha / count;
+        }
+      }
+    }
+    this.coarse = { k, step, darkness, colors };
+    return this.coarse;
+  }
+
+  // One round of weighted Lloyd relaxation, on coarser samples below full
+  // quality
+  relax(quality = 1) {
+    const { points } = this;
+    const { step, darkness, colors } = this.samples(Math.max(1, Math.round(1 / quality)));
+    const { labels, centroids } = rasterCells(points, this.width, this.height, step, 'euclidean', 2, darkness);
+
+    // Ink (summed darkness) and colour under each cell
+    const ink = new Float64Array(points.length);
+    const color = new Float64Array(points.length * 4);
+    for (let i = 0; i < labels.length; i++) {
+      const label = labels[i];
+      if (label === -1) continue;
+      ink[label] += darkness[i];
+      // Paper outside the picture adds nothing to a mosaic cell's colour
+      const alpha = colors[i * 4 + 3];
+      color[label * 4] += colors[i * 4] * alpha;
+      color[label * 4 + 1] += colors[i * 4 + 1] * alpha;
+      color[label * 4 + 2] += colors[i * 4 + 2] * alpha;
+      color[label * 4 + 3] += alpha;
+    }
+    this.cells = points.map((point, i) => ({
+      ink: ink[i] * step * step,
+      color: color[i * 4 + 3]
+        ? [color[i * 4] / color[i * 4 + 3], color[i * 4 + 1] / color[i * 4 + 3], color[i * 4 + 2] / color[i * 4 + 3]]
+        : [255, 255, 255]
+    }));
+
+    let moved = 0;
+    points.forEach((point, i) => {
+      const centroid = centroids[i];
+      if (!centroid) return;
+      moved = Math.max(moved, Math.hypot(centroid.x - point.x, centroid.y - point.y));
+      point.x = centroid.x;
+      point.y = centroid.y;
+    });
+
+    this.iterations++;
+    this.settled = moved < SETTLED || this.iterations >= MAX_ITERATIONS;
+    this.tiles = null;
+    this.order = null;
+  }
+
+  // [{ x, y, r }]: each dot inks its cell as much as the picture does,
+  // scaled by size
+  dots(size) {
+    if (!this.cells) return [];
+    return this.points.map((point, i) => ({
+      x: point.x,
+      y: point.y,
+      r: Math.max(0.4, Math.sqrt(this.cells[i].ink / Math.PI) * size)
+    }));
+  }
+
+  // [{ polygon, color }]: the cells inside the picture, in its colours
+  mosaic() {
+    if (!this.cells || !this.points.length) return [];
+    if (!this.tiles) {
+      const { x, y, width, height } = this.frame;
+      const voronoi = Delaunay.from(this.points).voronoi([x, y, x + width, y + height]);
+      this.tiles = [...voronoi.cellPolygons()].map(({ index, polygon }) => ({
+        polygon,
+        color: this.cells[index].color
+      }));
+    }
+    return this.tiles;
+  }
+
+  // The stipples in the order of a short closed line through them
+  path() {
+    if (!this.order) {
+      const xs = this.points.map(point => point.x);
+      const ys = this.points.map(point => point.y);
+      this.order = tour(xs, ys);
+    }
+    return Array.from(this.order, i => this.points[i]);
+  }
+
+  // One style as line art, framed to the picture (core/vector-export.js)
+  drawVector(drawing, style, size) {
+    drawing.frame = { ...this.frame };
+    if (style === 'mosaic') {
+      for (const { polygon, color } of this.mosaic()) {
+        drawing.polyline(polygon, color.map(Math.round), { closed: true, fill: true });
+      }
+    } else if (style === 'tsp') {
+      drawing.polyline(this.path().map(point => [point.x, point.y]), BLACK, { closed: true });
+    } else {
+      for (const dot of this.dots(size)) {
+        drawing.circle(dot.x, dot.y, dot.r, BLACK, { fill: true });
+      }
+    }
+  }
+}
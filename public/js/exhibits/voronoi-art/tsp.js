@@ -0,0 +1,132 @@
+// A short closed path through every point, for single-line TSP art: a
+// nearest-neighbour tour, then 2-opt moves (swap two edges for the two that
+// uncross them) tried between Delaunay neighbours, where nearly every
+// improving move lies, until none is left or the time budget runs out.
+
+import { Delaunay } from './delaunay.js';
+import { SiteGrid } from './site-grid.js';
+
+// xs, ys: coordinates; returns the visiting order
+export function tour(xs, ys, { budget = 250 } = {}) {
+  const n = xs.length;
+  if (n < 4) return Int32Array.from({ length: n }, (_, i) => i);
+  const order = nearestNeighbourTour(xs, ys);
+  twoOpt(order, xs, ys, performance.now() + budget);
+  return order;
+}
+
+function nearestNeighbourTour(xs, ys) {
+  const n = xs.length;
+  const grid = new SiteGrid(xs, ys, [xs[0], ys[0], xs[0], ys[0]]);
+  // Unvisited points of bucket b: items[starts[b]] up to
+  // items[starts[b] + left[b]], visited ones swapped out past the end
+  const items = grid.items.slice();
+  const slot = new Int32Array(n);
+  items.forEach((item, s) => { slot[item] = s; });
+  const left = new Int32Array(grid.columns * grid.rows);
+  for (let b = 0; b < left.length; b++) left[b] = grid.starts[b + 1] - grid.starts[b];
+  const bucketOf = (i) => grid.row(ys[i]) * grid.columns + grid.column(xs[i]);
+
+  const remove = (i) => {
+    const b = bucketOf(i);
+    const last = grid.starts[b] + --left[b];
+    const moved = items[last];
+    items[slot[i]] = moved;
+    slot[moved] = slot[i];
+    items[last] = i;
+    slot[i] = last;
+  };
+
+  const order = new Int32Array(n);
+  let current = 0;
+  remove(0);
+  for (let k = 1; k < n; k++) {
+    const column = grid.column(xs[current]);
+    const row = grid.row(ys[current]);
+    let best = -1;
+    let bestDistance = Infinity;
+    const visitBucket = (b) => {
+      for (let s = grid.starts[b]; s < grid.starts[b] + left[b]; s++) {
+        const i = items[s];
+        const d = (xs[i] - xs[current]) ** 2 + (ys[i] - ys[current]) ** 2;
+        if (d < bestDistance) {
+          best = i;
+          bestDistance = d;
+        }
+      }
+    };
+    for (let ring = 0; ; ring++) {
+      const reach = Math.max(0, ring - 1) * grid.size;
+      if (best !== -1 && reach * reach >= bestDistance) break;
+      if (!grid.visitRingBuckets(column, row, ring, visitBucket)) break;
+    }
+    order[k] = best;
+    remove(best);
+    current = best;
+  }
+  return order;
+}
+
+function twoOpt(order, xs, ys, deadline) {
+  const n = order.length;
+  const position = new Int32Array(n);
+  order.forEach((point, i) => { position[point] = i; });
+  const distance = (a, b) => Math.hypot(xs[a] - xs[b], ys[a] - ys[b]);
+
+  // Delaunay neighbours of each point, as offsets into one list
+  const delaunay = new Delaunay(Float64Array.from({ length: n * 2 }, (_, i) => (i & 1 ? ys[i >> 1] : xs[i >> 1])));
+  const counts = new Int32Array(n + 1);
+  const edges = [...delaunay.edges()];
+  for (const [a, b] of edges) {
+    counts[a + 1]++;
+    counts[b + 1]++;
+  }
+  for (let i = 0; i < n; i++) counts[i + 1] += counts[i];
+  const neighbours = new Int32Array(counts[n]);
+  const fill = counts.slice(0, n);
+  for (const [a, b] of edges) {
+    neighbours[fill[a]++] = b;
+    neighbours[fill[b]++] = a;
+  }
+
+  // Reverse the tour from position i to position j (going forward, round
+  // the end if need be), or the rest of it, whichever is shorter: the
+  // cycle comes out the same
+  const reverse = (i, j) => {
+    let length = ((j - i + n) % n) + 1;
+    if (length * 2 > n) {
+      [i, j] = [(j + 1) % n, (i - 1 + n) % n];
+      length = n - length;
+    }
+    for (let k = 0; k < length >> 1; k++) {
+      const a = (i + k) % n;
+      const b = (j - k + n) % n;
+      const point = order[a];
+      order[a] = order[b];
+      order[b] = point;
+      position[order[a]] = a;
+      position[order[b]] = b;
+    }
+  };
+
+  let improved = true;
+  while (improved && performance.now() < deadline) {
+    improved = false;
+    for (let a = 0; a < n; a++) {
+      for (let k = counts[a]; k < counts[a + 1]; k++) {
+        const c = neighbours[k];
+        const pa = position[a];
+        const pc = position[c];
+        const b = order[(pa + 1) % n];
+        const d = order[(pc + 1) % n];
+        if (b === c || d === a) continue;
+        // Edges a-b and c-d become a-c and b-d
+        const gain = distance(a, b) + distance(c, d) - distance(a, c) - distance(b, d);
+        if (gain > 1e-9) {
+          reverse((pa + 1) % n, pc);
+          improved = true;
+        }
+      }
+    }
+  }
+}
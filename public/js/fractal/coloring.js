@@ -0,0 +1,346 @@
+// Fractal Coloring - Colour algorithms and gradients for the escape-time
+// fractal exhibits (Mandelbrot, Julia)
+//
+// Colouring runs in two steps, so a new gradient or offset never means
+// iterating again:
+//   1. While a point iterates, OrbitStats gathers what the algorithm needs
+//      and reduces the orbit to one number: >= 0 for points that escape,
+//      -1 - v (v in 0..1) for points inside the set.
+//   2. colorize() maps those numbers through a gradient to RGBA.
+//
+// Algorithms: smooth (continuous iteration count), histogram (the same,
+// equalized over the whole frame), distance (estimated distance to the set
+// in pixels), trap (closest approach to an orbit trap) and stripes
+// (stripe-average colouring). Interior points are black, or shaded by their
+// final modulus or their closest approach to the origin. Newton basins
+// (see formulas.js) take one colour per root instead, darker the slower a
+// point converges.
+
+export const ALGORITHMS = ['smooth', 'histogram', 'distance', 'trap', 'stripes'];
+
+// Stripe-average frequency: stripes per turn around the origin
+const STRIPE_DENSITY = 5;
+
+// Interior points are drawn this much darker than the gradient
+const INTERIOR_SHADE = 0.6;
+
+// Share of the brightness taken off the slowest Newton basin points
+const BASIN_SHADE = 0.85;
+
+const LUT_SIZE = 1024;
+
+// --- Per-point statistics ---
+
+// Collects one orbit at a time: begin(), add(z) after every iteration, then
+// escaped() or inside() for the pixel's value.
+// coloring: { algorithm, interior, trap }; pixelSize scales distance
+// estimates to pixels. The formula's degree and escape radius default to
+// those of z^2 + c.
+export class OrbitStats {
+  constructor({ algorithm = 'smooth', interior = 'black', trap = 'point' } = {}, pixelSize = 1, { degree = 2, radius = 2 } = {}) {
+    this.algorithm = algorithm;
+    this.interior = interior;
+    this.trap = trap;
+    this.pixelSize = pixelSize;
+    this.degree = degree;
+
+    // Squared escape radius. Plain smooth colouring keeps the formula's
+    // own; stripes and distances need a larger radius to come out smooth.
+    this.bailout = Math.max(radius * radius, algorithm === 'smooth' || algorithm === 'histogram' ? 4 : 1e6);
+
+    // Whether the iteration has to carry dz (distance) or call add()
+    this.derivative = algorithm === 'distance';
+    this.tracking = algorithm === 'trap' || algorithm === 'stripes' || interior === 'trap';
+  }
+
+  begin() {
+    this.trapDistance = Infinity;
+    this.closest = Infinity;
+    this.stripeSum = 0;
+    this.stripeLast = 0;
+    this.count = 0;
+  }
+
+  add(zr, zi) {
+    if (this.algorithm === 'trap') {
+      const distance = this.trap === 'cross' ? Math.min(Math.abs(zr), Math.abs(zi))
+        : this.trap === 'circle' ? Math.abs(Math.hypot(zr, zi) - 1)
+        : Math.hypot(zr, zi);
+      if (distance < this.trapDistance) this.trapDistance = distance;
+    } else if (this.algorithm === 'stripes') {
+      this.stripeLast = 0.5 + 0.5 * Math.sin(STRIPE_DENSITY * Math.atan2(zi, zr));
+      this.stripeSum += this.stripeLast;
+      this.count++;
+    }
+    if (this.interior === 'trap') {
+      const modulus = zr * zr + zi * zi;
+      if (modulus < this.closest) this.closest = modulus;
+    }
+  }
+
+  // Value of a point that escaped after n iterations at z, with derivative
+  // (dr, di) when this.derivative is set
+  escaped(n, zr, zi, dr = 0, di = 0) {
+    const modulus = Math.sqrt(zr * zr + zi * zi);
+
+    switch (this.algorithm) {
+      case 'distance': {
+        const derivative = Math.hypot(dr, di);
+        const distance = derivative ? modulus * Math.log(modulus) / derivative : 0;
+        return distance / this.pixelSize;
+      }
+
+      case 'trap':
+        return this.trapDistance;
+
+      case 'stripes': {
+        // Blend the averages with and without the last point by how far
+        // past the escape radius it landed, which hides the iteration bands
+        if (this.count < 2) return this.stripeLast;
+        const average = this.stripeSum / this.count;
+        const previous = (this.stripeSum - this.stripeLast) / (this.count - 1);
+        const blend = 1 + Math.log2(Math.log(Math.sqrt(this.bailout)) / Math.log(modulus));
+        return previous + (average - previous) * Math.min(1, Math.max(0, blend));
+      }
+
+      default: {
+        // Smooth coloring using continuous iteration count
+        const nu = Math.log(Math.log(modulus) / Math.log(2)) / Math.log(this.degree);
+        return Math.max(0, n + 1 - nu);
+      }
+    }
+  }
+
+  // Value of a point still bounded at z after the last iteration
+  inside(zr, zi) {
+    switch (this.interior) {
+      case 'modulus':
+        return -1 - Math.min(1, Math.hypot(zr, zi) / 2);
+      case 'trap':
+        return -1 - Math.min(1, Math.sqrt(Math.sqrt(this.closest)));
+      default:
+        return -1;
+    }
+  }
+}
+
+// --- Gradients ---
+
+// A gradient is a list of stops { position (0..1), color ('#rrggbb') }
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex([r, g, b]) {
+  return '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+}
+
+function hslToHex(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return rgbToHex([channel(0), channel(8), channel(4)]);
+}
+
+export function sortStops(stops) {
+  return [...stops].sort((a, b) => a.position - b.position);
+}
+
+// Colour of a gradient at position (0..1), as '#rrggbb'
+export function gradientColor(stops, position) {
+  const sorted = sortStops(stops);
+  if (position <= sorted[0].position) return sorted[0].color;
+  for (let i = 1; i < sorted.length; i++) {
+    const next = sorted[i];
+    if (position <= next.position) {
+      const previous = sorted[i - 1];
+      const t = (position - previous.position) / ((next.position - previous.position) || 1);
+      const from = hexToRgb(previous.color);
+      const to = hexToRgb(next.color);
+      return rgbToHex(from.map((c, j) => Math.round(c + (to[j] - c) * t)));
+    }
+  }
+  return sorted[sorted.length - 1].color;
+}
+
+// RGB lookup table over 0..1
+function gradientTable(stops) {
+  const table = new Uint8Array(LUT_SIZE * 3);
+  const sorted = sortStops(stops).map(stop => ({ position: stop.position, rgb: hexToRgb(stop.color) }));
+
+  let segment = 0;
+  for (let i = 0; i < LUT_SIZE; i++) {
+    const position = i / (LUT_SIZE - 1);
+    while (segment < sorted.length - 1 && sorted[segment + 1].position < position) segment++;
+    const from = sorted[segment];
+    const to = sorted[Math.min(segment + 1, sorted.length - 1)];
+    const span = to.position - from.position;
+    const t = span > 0 ? Math.min(1, Math.max(0, (position - from.position) / span)) : 0;
+    for (let c = 0; c < 3; c++) {
+      table[i * 3 + c] = Math.round(from.rgb[c] + (to.rgb[c] - from.rgb[c]) * t);
+    }
+  }
+  return table;
+}
+
+// The original HSL ramp: once around the hue circle, lightest halfway
+function spectrumStops() {
+  const stops = [];
+  for (let i = 0; i <= 12; i++) {
+    const t = i / 12;
+    stops.push({ position: t, color: hslToHex(t * 360 % 360, 1, t < 0.5 ? 0.5 + t * 0.5 : 1 - t * 0.5) });
+  }
+  return stops;
+}
+
+function evenStops(colors) {
+  return colors.map((color, i) => ({ position: i / (colors.length - 1), color }));
+}
+
+export const PRESETS = {
+  Spectrum: spectrumStops(),
+  Ultra: [
+    { position: 0, color: '#000764' },
+    { position: 0.16, color: '#206bcb' },
+    { position: 0.42, color: '#edffff' },
+    { position: 0.6425, color: '#ffaa00' },
+    { position: 0.8575, color: '#000200' },
+    { position: 1, color: '#000764' }
+  ],
+  Fire: evenStops(['#000000', '#7f0000', '#ff4500', '#ffd700', '#ffffff']),
+  Electric: evenStops(['#0b0033', '#6a00f4', '#00f5d4', '#fee440', '#0b0033']),
+  Grayscale: evenStops(['#000000', '#ffffff'])
+};
+
+export const DEFAULT_GRADIENT = PRESETS.Spectrum;
+
+// Compact form for share links: "rrggbb@percent,..."
+export function gradientToString(stops) {
+  return sortStops(stops)
+    .map(stop => `${stop.color.slice(1)}@${Number((stop.position * 100).toFixed(1))}`)
+    .join(',');
+}
+
+// Inverse of gradientToString; null unless it holds at least two stops
+export function parseGradient(text) {
+  const stops = [];
+  for (const part of String(text).split(',')) {
+    const match = /^([0-9a-f]{6})@(\d+(?:\.\d+)?)$/i.exec(part.trim());
+    if (!match) return null;
+    stops.push({ position: Math.min(1, Number(match[2]) / 100), color: `#${match[1].toLowerCase()}` });
+  }
+  return stops.length >= 2 ? sortStops(stops) : null;
+}
+
+export function sameGradient(a, b) {
+  return gradientToString(a) === gradientToString(b);
+}
+
+// --- Colouring ---
+
+// Cumulative distribution of the escaped values in one or more arrays, by
+// whole iteration, for histogram equalization
+export function equalize(arrays) {
+  let max = 0;
+  for (const values of arrays) {
+    if (!values) continue;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] > max) max = values[i];
+    }
+  }
+
+  const counts = new Float64Array(Math.ceil(max) + 2);
+  let total = 0;
+  for (const values of arrays) {
+    if (!values) continue;
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (value >= 0) {
+        counts[Math.floor(value)]++;
+        total++;
+      }
+    }
+  }
+
+  // cdf[k]: share of escaped points below iteration k
+  const cdf = new Float32Array(counts.length + 1);
+  for (let k = 0; k < counts.length; k++) {
+    cdf[k + 1] = cdf[k] + counts[k] / (total || 1);
+  }
+  return cdf;
+}
+
+// Everything colorize() needs, built once per frame or settings change.
+// settings: { gradient, algorithm, interior, offset (0..1), maxIterations,
+// histogram (from equalize(), for the histogram algorithm), basins (number
+// of roots when the values are Newton basins) }
+export function createPalette({ gradient, algorithm = 'smooth', interior = 'black', offset = 0, maxIterations, histogram, basins = 0 }) {
+  return {
+    table: gradientTable(gradient),
+    algorithm,
+    interior,
+    offset,
+    maxIterations,
+    histogram,
+    basins
+  };
+}
+
+// Gradient position (0..1, before the offset) of an escaped value
+function position(palette, value) {
+  switch (palette.algorithm) {
+    case 'histogram': {
+      const cdf = palette.histogram;
+      if (!cdf) return value / palette.maxIterations;
+      const k = Math.min(Math.floor(value), cdf.length - 2);
+      return cdf[k] + (cdf[k + 1] - cdf[k]) * (value - k);
+    }
+    case 'distance':
+      return Math.min(1, Math.log2(1 + value) / 10);
+    case 'trap':
+      return Math.min(1, Math.sqrt(value));
+    case 'stripes':
+      return value;
+    default:
+      return value / palette.maxIterations;
+  }
+}
+
+// Write RGBA for each value into data (4 bytes per value)
+export function colorize(values, data, palette) {
+  const { table, offset, interior, basins } = palette;
+  const last = LUT_SIZE - 1;
+
+  for (let i = 0, j = 0; i < values.length; i++, j += 4) {
+    const value = values[i];
+    let shade = 1;
+    let t;
+
+    if (value >= 0 && basins) {
+      const root = Math.floor(value);
+      t = (root + 0.5) / basins + offset;
+      shade = 1 - BASIN_SHADE * (value - root);
+    } else if (value >= 0) {
+      t = position(palette, value) + offset;
+    } else if (interior === 'black') {
+      data[j] = data[j + 1] = data[j + 2] = 0;
+      data[j + 3] = 255;
+      continue;
+    } else {
+      t = -1 - value + offset;
+      shade = INTERIOR_SHADE;
+    }
+
+    // The gradient wraps around, like the hue circle it replaces
+    if (t > 1) t -= Math.floor(t);
+    const index = Math.round(t * last) * 3;
+    data[j] = table[index] * shade;
+    data[j + 1] = table[index + 1] * shade;
+    data[j + 2] = table[index + 2] * shade;
+    data[j + 3] = 255;
+  }
+}
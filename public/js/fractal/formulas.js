@@ -0,0 +1,356 @@
+// Fractal Formulas - The escape-time and Newton formulas of the Mandelbrot
+// explorer
+//
+// A formula travels to the render workers as a plain object:
+//   { name, exponent (multibrot), coefficients and roots (newton) }
+// formulaSpec() builds it from the exhibit's params. The plain Mandelbrot
+// iteration, with its perturbation deep zoom, lives in
+// exhibits/mandelbrot/fractal.js; iterator() covers the others.
+//
+// Escape-time formulas produce colouring values through OrbitStats (see
+// coloring.js). Newton basins encode the root a point converges to and how
+// fast: root index + speed, with speed in 0..1.
+
+export const FORMULAS = {
+  mandelbrot: { label: 'Mandelbrot', view: { x: -0.5, y: 0, zoom: 1 }, deep: true },
+  burningShip: { label: 'Burning Ship', view: { x: -0.45, y: -0.5, zoom: 1.1 } },
+  tricorn: { label: 'Tricorn', view: { x: -0.3, y: 0, zoom: 1 } },
+  multibrot: { label: 'Multibrot', view: { x: 0, y: 0, zoom: 1 } },
+  phoenix: { label: 'Phoenix', view: { x: -0.25, y: 0, zoom: 1.6 } },
+  newton: { label: 'Newton', view: { x: 0, y: 0, zoom: 1.3 } }
+};
+
+const MAX_DEGREE = 12;
+
+// Weight of the previous z in the Phoenix formula, Ushiki's classic choice
+const PHOENIX_P = -0.5;
+
+// Newton iteration stops once a step is this small
+const NEWTON_TOLERANCE = 1e-6;
+
+// Iterations at which a basin is drawn at half brightness (see colorize())
+const NEWTON_SPEED = 8;
+
+// --- Polynomials ---
+
+// Complex numbers here are [re, im] pairs
+function multiply([ar, ai], [br, bi]) {
+  return [ar * br - ai * bi, ar * bi + ai * br];
+}
+
+function divide([ar, ai], [br, bi]) {
+  const m = br * br + bi * bi;
+  return [(ar * br + ai * bi) / m, (ai * br - ar * bi) / m];
+}
+
+// Value of the polynomial with coefficients (lowest power first) at z
+function evaluate(coefficients, z) {
+  let value = [0, 0];
+  for (let k = coefficients.length - 1; k >= 0; k--) {
+    value = multiply(value, z);
+    value = [value[0] + coefficients[k][0], value[1] + coefficients[k][1]];
+  }
+  return value;
+}
+
+// Parse a polynomial in z such as "z^3 - 1", "2z^4 + (1-i)z - 3i" or
+// "z^5 - 3*z". Returns coefficients, lowest power first, or null unless it is
+// a polynomial of degree 2..MAX_DEGREE.
+export function parsePolynomial(text) {
+  const source = String(text).toLowerCase().replace(/\s+/g, '');
+  const coefficients = parseTerms(source, true);
+  if (!coefficients) return null;
+
+  while (coefficients.length && !coefficients[coefficients.length - 1][0] && !coefficients[coefficients.length - 1][1]) {
+    coefficients.pop();
+  }
+  const degree = coefficients.length - 1;
+  return degree >= 2 && degree <= MAX_DEGREE ? coefficients : null;
+}
+
+// Sum of terms [sign][coefficient][*][z[^power]], where a coefficient is a
+// real or imaginary number or a bracketed complex number. Without allowZ
+// (inside brackets) only the constant term is allowed.
+function parseTerms(source, allowZ) {
+  const coefficients = [];
+  const number = /^(\d+\.?\d*|\.\d+)/;
+  let at = 0;
+
+  while (at < source.length) {
+    let sign = 1;
+    if (source[at] === '+' || source[at] === '-') {
+      sign = source[at] === '-' ? -1 : 1;
+      at++;
+    } else if (at > 0) {
+      return null;
+    }
+
+    let coefficient = null;
+    if (source[at] === '(') {
+      const close = source.indexOf(')', at);
+      const inner = close === -1 ? null : parseTerms(source.slice(at + 1, close), false);
+      if (!inner) return null;
+      coefficient = inner[0] || [0, 0];
+      at = close + 1;
+    } else {
+      const match = number.exec(source.slice(at));
+      const value = match ? Number(match[1]) : 1;
+      if (match) at += match[1].length;
+      if (source[at] === 'i') {
+        coefficient = [0, value];
+        at++;
+      } else if (match) {
+        coefficient = [value, 0];
+      }
+    }
+
+    let power = 0;
+    if (coefficient && source[at] === '*') at++;
+    if (source[at] === 'z') {
+      if (!allowZ) return null;
+      at++;
+      power = 1;
+      if (source[at] === '^') {
+        const match = /^\d+/.exec(source.slice(at + 1));
+        if (!match) return null;
+        power = Number(match[0]);
+        at += 1 + match[0].length;
+      }
+    } else if (!coefficient) {
+      return null;
+    }
+    if (power > MAX_DEGREE) return null;
+
+    const [re, im] = coefficient || [1, 0];
+    while (coefficients.length <= power) coefficients.push([0, 0]);
+    coefficients[power][0] += sign * re;
+    coefficients[power][1] += sign * im;
+  }
+
+  return coefficients.length ? coefficients : null;
+}
+
+// Distinct roots by Durand-Kerner; repeated roots come back once
+export function polynomialRoots(coefficients) {
+  const degree = coefficients.length - 1;
+  const lead = coefficients[degree];
+  const monic = coefficients.map(c => divide(c, lead));
+
+  let roots = Array.from({ length: degree }, (_, k) => {
+    let z = [1, 0];
+    for (let i = 0; i < k; i++) z = multiply(z, [0.4, 0.9]);
+    return z;
+  });
+
+  for (let pass = 0; pass < 500; pass++) {
+    let moved = 0;
+    roots = roots.map((root, i) => {
+      let denominator = [1, 0];
+      roots.forEach((other, j) => {
+        if (i !== j) denominator = multiply(denominator, [root[0] - other[0], root[1] - other[1]]);
+      });
+      const step = divide(evaluate(monic, root), denominator);
+      if (!Number.isFinite(step[0]) || !Number.isFinite(step[1])) return root;
+      moved = Math.max(moved, Math.hypot(step[0], step[1]));
+      return [root[0] - step[0], root[1] - step[1]];
+    });
+    if (moved < 1e-14) break;
+  }
+
+  // Repeated roots converge slowly, to points close together
+  const distinct = [];
+  for (const root of roots) {
+    if (!distinct.some(other => Math.hypot(root[0] - other[0], root[1] - other[1]) < 1e-4)) {
+      distinct.push(root);
+    }
+  }
+  return distinct;
+}
+
+// --- Formulas ---
+
+// What the workers need for a formula; null if the polynomial of a Newton
+// formula does not parse
+export function formulaSpec(name, { exponent = 3, polynomial = 'z^3 - 1' } = {}) {
+  if (name === 'multibrot') return { name, exponent };
+  if (name === 'newton') {
+    const coefficients = parsePolynomial(polynomial);
+    return coefficients ? { name, coefficients, roots: polynomialRoots(coefficients) } : null;
+  }
+  return { name };
+}
+
+// Degree and escape radius, for OrbitStats
+export function escapeOptions(formula) {
+  if (formula?.name !== 'multibrot') return { degree: 2, radius: 2 };
+
+  // Below degree 2 orbits need to get further out before they surely escape
+  const degree = formula.exponent;
+  return { degree, radius: degree > 1 ? Math.max(2, 2 ** (1 / (degree - 1))) : 2 };
+}
+
+// Function (cx, cy, maxIterations, stats) -> colouring value for a formula
+// other than the plain Mandelbrot set. The non-analytic formulas (Burning
+// Ship, Tricorn) and Phoenix carry |dz| as a real bound for distance
+// estimates.
+export function iterator(formula) {
+  switch (formula.name) {
+    case 'burningShip': return burningShip;
+    case 'tricorn': return tricorn;
+    case 'phoenix': return phoenix;
+    case 'multibrot': return (cx, cy, maxIterations, stats) => multibrot(cx, cy, maxIterations, stats, formula.exponent);
+    case 'newton': return (cx, cy, maxIterations, stats) => newton(cx, cy, maxIterations, stats, formula);
+    default: throw new Error(`Unknown formula "${formula.name}"`);
+  }
+}
+
+// z = (|x| + i|y|)^2 + c
+function burningShip(cx, cy, maxIterations, stats) {
+  const { bailout, derivative, tracking } = stats;
+  let x = 0;
+  let y = 0;
+  let d = 0;
+  let iteration = 0;
+
+  stats.begin();
+  while (x * x + y * y <= bailout && iteration < maxIterations) {
+    if (derivative) d = 2 * Math.hypot(x, y) * d + 1;
+    const ax = Math.abs(x);
+    const ay = Math.abs(y);
+    x = ax * ax - ay * ay + cx;
+    y = 2 * ax * ay + cy;
+    iteration++;
+    if (tracking) stats.add(x, y);
+  }
+
+  return iteration < maxIterations ? stats.escaped(iteration, x, y, d, 0) : stats.inside(x, y);
+}
+
+// z = conj(z)^2 + c
+function tricorn(cx, cy, maxIterations, stats) {
+  const { bailout, derivative, tracking } = stats;
+  let x = 0;
+  let y = 0;
+  let d = 0;
+  let iteration = 0;
+
+  stats.begin();
+  while (x * x + y * y <= bailout && iteration < maxIterations) {
+    if (derivative) d = 2 * Math.hypot(x, y) * d + 1;
+    const xtemp = x * x - y * y + cx;
+    y = -2 * x * y + cy;
+    x = xtemp;
+    iteration++;
+    if (tracking) stats.add(x, y);
+  }
+
+  return iteration < maxIterations ? stats.escaped(iteration, x, y, d, 0) : stats.inside(x, y);
+}
+
+// z = z^n + c for a real exponent n, on the principal branch
+function multibrot(cx, cy, maxIterations, stats, exponent) {
+  const { bailout, derivative, tracking } = stats;
+  let x = 0;
+  let y = 0;
+  let d = 0;
+  let iteration = 0;
+
+  stats.begin();
+  while (x * x + y * y <= bailout && iteration < maxIterations) {
+    const modulus2 = x * x + y * y;
+    if (derivative) d = exponent * modulus2 ** ((exponent - 1) / 2) * d + 1;
+    const r = modulus2 ** (exponent / 2);
+    const theta = exponent * Math.atan2(y, x);
+    x = r * Math.cos(theta) + cx;
+    y = r * Math.sin(theta) + cy;
+    iteration++;
+    if (tracking) stats.add(x, y);
+  }
+
+  return iteration < maxIterations ? stats.escaped(iteration, x, y, d, 0) : stats.inside(x, y);
+}
+
+// Ushiki's Phoenix with c over the plane: z = z^2 + c + p z', where z' is
+// the previous z
+function phoenix(cx, cy, maxIterations, stats) {
+  const { bailout, derivative, tracking } = stats;
+  let x = 0;
+  let y = 0;
+  let px = 0;
+  let py = 0;
+  let d = 0;
+  let iteration = 0;
+
+  stats.begin();
+  while (x * x + y * y <= bailout && iteration < maxIterations) {
+    if (derivative) d = 2 * Math.hypot(x, y) * d + 1;
+    const xtemp = x * x - y * y + cx + PHOENIX_P * px;
+    const ytemp = 2 * x * y + cy + PHOENIX_P * py;
+    px = x;
+    py = y;
+    x = xtemp;
+    y = ytemp;
+    iteration++;
+    if (tracking) stats.add(x, y);
+  }
+
+  return iteration < maxIterations ? stats.escaped(iteration, x, y, d, 0) : stats.inside(x, y);
+}
+
+// Newton's method for the polynomial from z = c. Points that settle on a
+// root give root index + speed; the rest count as inside.
+function newton(cx, cy, maxIterations, stats, { coefficients, roots }) {
+  const degree = coefficients.length - 1;
+  const tolerance2 = NEWTON_TOLERANCE * NEWTON_TOLERANCE;
+  let x = cx;
+  let y = cy;
+  let previous = Infinity;
+
+  stats.begin();
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    // p(z) and p'(z) together by Horner's rule
+    let pr = coefficients[degree][0];
+    let pi = coefficients[degree][1];
+    let dr = 0;
+    let di = 0;
+    for (let k = degree - 1; k >= 0; k--) {
+      const drtemp = dr * x - di * y + pr;
+      di = dr * y + di * x + pi;
+      dr = drtemp;
+      const prtemp = pr * x - pi * y + coefficients[k][0];
+      pi = pr * y + pi * x + coefficients[k][1];
+      pr = prtemp;
+    }
+
+    const m = dr * dr + di * di;
+    if (m === 0) break;
+    const sr = (pr * dr + pi * di) / m;
+    const si = (pi * dr - pr * di) / m;
+    x -= sr;
+    y -= si;
+    if (stats.tracking) stats.add(x, y);
+
+    const step = sr * sr + si * si;
+    if (step < tolerance2) {
+      let root = 0;
+      let nearest = Infinity;
+      roots.forEach(([rx, ry], index) => {
+        const distance = (x - rx) ** 2 + (y - ry) ** 2;
+        if (distance < nearest) {
+          nearest = distance;
+          root = index;
+        }
+      });
+
+      // Convergence is quadratic, so the log of the step roughly doubles
+      // each time; where the previous step fell between the tolerance and
+      // its square root gives a fractional iteration count
+      const fraction = previous < 1 ? Math.log2(Math.log(tolerance2) / Math.log(previous)) : 1;
+      const smooth = iteration - 1 + Math.min(1, Math.max(0, fraction));
+      return root + smooth / (smooth + NEWTON_SPEED);
+    }
+    previous = step;
+  }
+
+  return stats.inside(x, y);
+}
@@ -0,0 +1,414 @@
+// GPU Renderer - Computes Mandelbrot and Julia colouring values in a WebGL2
+// fragment shader
+//
+// The shader produces the same numbers as the CPU path (OrbitStats in
+// coloring.js): one float per pixel, read back and coloured by colorize(),
+// so switching between the two never changes the picture. GPUs only have
+// 32-bit floats, so the orbit itself is iterated in float-float arithmetic
+// (each number is an unevaluated sum hi + lo of two floats, about 48 bits
+// of mantissa); the statistics gathered along the way only need floats.
+// That is precise enough for every view short of the perturbation zooms.
+//
+// create() returns null when WebGL2 or float render targets are missing;
+// callers keep their CPU path for that, for formulas the shader does not
+// know, for tiles too heavy to draw without stalling the page, and for
+// anything after the context is lost. run() and cancel()
+// mirror WorkerPool for tile jobs, one tile per task so the page stays
+// responsive.
+
+// Largest block rendered and read back at once
+const BAND_SIZE = 1024;
+
+// Most iterations times pixels one draw call may run. The whole orbit loop
+// runs in one draw and readPixels waits for it, so past this a block heavy
+// with interior points stalls the page, or trips the driver's watchdog and
+// loses the context.
+const WORK_BUDGET = 1e8;
+
+const ALGORITHMS = { smooth: 0, histogram: 1, distance: 2, trap: 3, stripes: 4 };
+const INTERIORS = { black: 0, modulus: 1, trap: 2 };
+const TRAPS = { point: 0, cross: 1, circle: 2 };
+
+// Must match STRIPE_DENSITY in coloring.js
+const STRIPE_DENSITY = 5;
+
+const VERTEX_SHADER = `#version 300 es
+void main() {
+  // One triangle that covers the viewport
+  vec2 position = vec2(gl_VertexID == 1 ? 3.0 : -1.0, gl_VertexID == 2 ? 3.0 : -1.0);
+  gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+
+uniform vec2 u_first;        // first grid cell of this band
+uniform vec2 u_offset;       // tile position in the full frame
+uniform float u_step;
+uniform vec4 u_min;          // top left of the frame: x (hi, lo), y (hi, lo)
+uniform vec4 u_pixel;        // size of a pixel: x (hi, lo), y (hi, lo)
+uniform bool u_julia;
+uniform vec4 u_c;            // Julia c: real (hi, lo), imag (hi, lo)
+uniform int u_maxIterations;
+uniform int u_algorithm;
+uniform int u_interior;
+uniform int u_trap;
+uniform float u_bailout;
+uniform float u_pixelSize;
+
+// Always 1.0; multiplying by it keeps the compiler from simplifying the
+// float-float error terms away
+uniform float u_one;
+
+out vec4 outValue;
+
+// --- Float-float arithmetic ---
+
+vec2 quickTwoSum(float a, float b) {
+  float s = a + b;
+  return vec2(s, b - (s * u_one - a));
+}
+
+vec2 twoSum(float a, float b) {
+  float s = a + b;
+  float v = s * u_one - a;
+  return vec2(s, (a - (s - v)) + (b - v));
+}
+
+vec2 split(float a) {
+  float t = a * 4097.0;
+  float hi = t * u_one - (t - a);
+  return vec2(hi, a - hi);
+}
+
+vec2 twoProduct(float a, float b) {
+  float p = a * b;
+  vec2 sa = split(a);
+  vec2 sb = split(b);
+  float error = ((sa.x * sb.x - p) + sa.x * sb.y + sa.y * sb.x) + sa.y * sb.y;
+  return vec2(p, error);
+}
+
+vec2 ffAdd(vec2 a, vec2 b) {
+  vec2 s = twoSum(a.x, b.x);
+  return quickTwoSum(s.x, s.y + a.y + b.y);
+}
+
+vec2 ffMul(vec2 a, vec2 b) {
+  vec2 p = twoProduct(a.x, b.x);
+  return quickTwoSum(p.x, p.y + a.x * b.y + a.y * b.x);
+}
+
+void main() {
+  // Whole pixel numbers are exact in floats, and the position needs all
+  // the precision the orbit has: chaotic points near the set amplify any
+  // error in it
+  vec2 pixel = (floor(gl_FragCoord.xy) + u_first) * u_step + u_offset;
+  vec2 px = ffAdd(u_min.xy, ffMul(vec2(pixel.x, 0.0), u_pixel.xy));
+  vec2 py = ffAdd(u_min.zw, ffMul(vec2(pixel.y, 0.0), u_pixel.zw));
+
+  // Mandelbrot: z starts at 0 and c is the pixel; Julia the other way round
+  vec2 zx = u_julia ? px : vec2(0.0);
+  vec2 zy = u_julia ? py : vec2(0.0);
+  vec2 cx = u_julia ? u_c.xy : px;
+  vec2 cy = u_julia ? u_c.zw : py;
+
+  // dz, kept below float overflow by a running scale of 1e-30 per step
+  // down; the +1 of the Mandelbrot derivative shrinks with it
+  vec2 dz = u_julia ? vec2(1.0, 0.0) : vec2(0.0);
+  float dzShift = u_julia ? 0.0 : 1.0;
+  float dzScale = 0.0;
+
+  bool derivative = u_algorithm == 2;
+  bool tracking = u_algorithm == 3 || u_algorithm == 4 || u_interior == 2;
+
+  float trapDistance = 1e30;
+  float closest = 1e30;
+  float stripeSum = 0.0;
+  float stripeLast = 0.0;
+  float count = 0.0;
+
+  int iteration = 0;
+  for (int i = 0; i <= u_maxIterations; i++) {
+    float x = zx.x;
+    float y = zy.x;
+
+    // Orbit statistics (OrbitStats.add); Julia orbits count their start
+    if (tracking && (iteration > 0 || u_julia)) {
+      if (u_algorithm == 3) {
+        float distance = u_trap == 1 ? min(abs(x), abs(y))
+          : u_trap == 2 ? abs(length(vec2(x, y)) - 1.0)
+          : length(vec2(x, y));
+        trapDistance = min(trapDistance, distance);
+      } else if (u_algorithm == 4) {
+        stripeLast = 0.5 + 0.5 * sin(${STRIPE_DENSITY.toFixed(1)} * atan(y, x));
+        stripeSum += stripeLast;
+        count += 1.0;
+      }
+      if (u_interior == 2) closest = min(closest, x * x + y * y);
+    }
+
+    if (x * x + y * y > u_bailout || iteration >= u_maxIterations) break;
+
+    if (derivative) {
+      dz = 2.0 * vec2(x * dz.x - y * dz.y, x * dz.y + y * dz.x) + vec2(dzShift, 0.0);
+      if (max(abs(dz.x), abs(dz.y)) > 1e30) {
+        dz *= 1e-30;
+        dzShift *= 1e-30;
+        dzScale += 1.0;
+      }
+    }
+
+    vec2 xx = ffMul(zx, zx);
+    vec2 yy = ffMul(zy, zy);
+    vec2 xy = ffMul(zx, zy);
+    zx = ffAdd(ffAdd(xx, -yy), cx);
+    zy = ffAdd(2.0 * xy, cy);
+    iteration++;
+  }
+
+  float x = zx.x;
+  float y = zy.x;
+  float modulus = length(vec2(x, y));
+  float value;
+
+  if (iteration < u_maxIterations) {
+    if (u_algorithm == 2) {
+      // Estimated distance in pixels, in logs so dz's scale cancels
+      float size = length(dz);
+      value = size > 0.0
+        ? exp(log(modulus * log(modulus)) - log(size) - dzScale * log(1e30) - log(u_pixelSize))
+        : 0.0;
+    } else if (u_algorithm == 3) {
+      value = trapDistance;
+    } else if (u_algorithm == 4) {
+      if (count < 2.0) {
+        value = stripeLast;
+      } else {
+        float average = stripeSum / count;
+        float previous = (stripeSum - stripeLast) / (count - 1.0);
+        float blend = 1.0 + log2(log(sqrt(u_bailout)) / log(modulus));
+        value = previous + (average - previous) * clamp(blend, 0.0, 1.0);
+      }
+    } else {
+      float nu = log(log(modulus) / log(2.0)) / log(2.0);
+      value = max(0.0, float(iteration) + 1.0 - nu);
+    }
+  } else if (u_interior == 1) {
+    value = -1.0 - min(1.0, modulus / 2.0);
+  } else if (u_interior == 2) {
+    value = -1.0 - min(1.0, sqrt(sqrt(closest)));
+  } else {
+    value = -1.0;
+  }
+
+  outValue = vec4(value, 0.0, 0.0, 1.0);
+}`;
+
+// Split a double into the two floats of a float-float
+function splitDouble(value) {
+  const hi = Math.fround(value);
+  return [hi, Math.fround(value - hi)];
+}
+
+function compile(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(gl.getShaderInfoLog(shader) || 'Shader failed to compile');
+  }
+  return shader;
+}
+
+export class GpuRenderer {
+  // onLost fires if the browser takes the context away; from then on
+  // supports() is false
+  static create({ onLost } = {}) {
+    try {
+      return new GpuRenderer(onLost);
+    } catch (error) {
+      console.info('Fractal GPU renderer unavailable, using the CPU:', error.message);
+      return null;
+    }
+  }
+
+  constructor(onLost) {
+    this.queue = [];
+    this.timer = null;
+    this.lost = false;
+    this.targetSize = { width: 0, height: 0 };
+
+    this.canvas = document.createElement('canvas');
+    const gl = this.canvas.getContext('webgl2', { antialias: false, depth: false, stencil: false });
+    if (!gl) throw new Error('WebGL2 is not supported');
+    if (!gl.getExtension('EXT_color_buffer_float')) throw new Error('Float render targets are not supported');
+    this.gl = gl;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+    gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program) || 'Shader failed to link');
+    }
+    this.program = program;
+    this.uniforms = {};
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+      const { name } = gl.getActiveUniform(program, i);
+      this.uniforms[name] = gl.getUniformLocation(program, name);
+    }
+
+    // The vertex shader needs no attributes, but WebGL wants a VAO bound
+    this.vao = gl.createVertexArray();
+    this.texture = gl.createTexture();
+    this.framebuffer = gl.createFramebuffer();
+
+    this.canvas.addEventListener('webglcontextlost', (e) => {
+      e.preventDefault();
+      this.lost = true;
+      this.cancel();
+      onLost?.();
+    });
+  }
+
+  // Whether the shader can draw a view: the Mandelbrot formula (not in
+  // perturbation) or a Julia set, in tiles of that many pixels that fit the
+  // work budget. Bigger jobs are better left to workers, where they cannot
+  // hold up the page.
+  supports(view, pixels = 0) {
+    if (this.lost || view.maxIterations * pixels > WORK_BUDGET) return false;
+    const name = view.formula?.name ?? 'mandelbrot';
+    return (name === 'mandelbrot' && view.reference === undefined) || name === 'julia';
+  }
+
+  // Float RGBA target big enough for a band of width x height
+  ensureTarget(width, height) {
+    if (width <= this.targetSize.width && height <= this.targetSize.height) return;
+    const gl = this.gl;
+    this.targetSize = {
+      width: Math.max(width, this.targetSize.width),
+      height: Math.max(height, this.targetSize.height)
+    };
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, this.targetSize.width, this.targetSize.height, 0, gl.RGBA, gl.FLOAT, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+      throw new Error('Float render target is incomplete');
+    }
+  }
+
+  // Colouring values of tile ({ x, y, width, height, fullWidth, fullHeight })
+  // of view, laid out like the workers' (see mandelbrot/fractal.js):
+  // with step > 1 every step x step block takes the value of its corner.
+  // view is the workers' view; a Julia view has formula { name: 'julia',
+  // cReal, cImag } and may fix the plane's height with rangeY.
+  values(tile, view, step = 1) {
+    if (this.lost) throw new Error('WebGL context lost');
+    const gl = this.gl;
+    const u = this.uniforms;
+    const columns = Math.ceil(tile.width / step);
+    const rows = Math.ceil(tile.height / step);
+    const grid = new Float32Array(columns * rows);
+
+    const rangeX = 4 / view.zoom;
+    const rangeY = view.rangeY ?? rangeX * tile.fullHeight / tile.fullWidth;
+    const coloring = view.coloring ?? {};
+    const algorithm = coloring.algorithm ?? 'smooth';
+    const julia = view.formula?.name === 'julia';
+
+    gl.useProgram(this.program);
+    gl.bindVertexArray(this.vao);
+    gl.uniform2f(u.u_offset, tile.x, tile.y);
+    gl.uniform1f(u.u_step, step);
+    gl.uniform4f(u.u_min, ...splitDouble(view.centerX - rangeX / 2), ...splitDouble(view.centerY - rangeY / 2));
+    gl.uniform4f(u.u_pixel, ...splitDouble(rangeX / tile.fullWidth), ...splitDouble(rangeY / tile.fullHeight));
+    gl.uniform1i(u.u_julia, julia ? 1 : 0);
+    if (julia) {
+      gl.uniform4f(u.u_c, ...splitDouble(view.formula.cReal), ...splitDouble(view.formula.cImag));
+    }
+    gl.uniform1i(u.u_maxIterations, view.maxIterations);
+    gl.uniform1i(u.u_algorithm, ALGORITHMS[algorithm] ?? 0);
+    gl.uniform1i(u.u_interior, INTERIORS[coloring.interior] ?? 0);
+    gl.uniform1i(u.u_trap, TRAPS[coloring.trap] ?? 0);
+    // Same escape radius as OrbitStats for z^2 + c
+    gl.uniform1f(u.u_bailout, algorithm === 'smooth' || algorithm === 'histogram' ? 4 : 1e6);
+    gl.uniform1f(u.u_pixelSize, rangeX / tile.fullWidth);
+    gl.uniform1f(u.u_one, 1);
+
+    // Bands are cut short enough that no draw runs past the work budget
+    const bandWidth = Math.min(columns, BAND_SIZE);
+    const bandHeight = Math.max(1, Math.min(rows, BAND_SIZE,
+      Math.floor(WORK_BUDGET / (view.maxIterations * bandWidth))));
+    this.ensureTarget(bandWidth, bandHeight);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+
+    for (let top = 0; top < rows; top += bandHeight) {
+      for (let left = 0; left < columns; left += BAND_SIZE) {
+        const width = Math.min(BAND_SIZE, columns - left);
+        const height = Math.min(bandHeight, rows - top);
+        gl.viewport(0, 0, width, height);
+        gl.uniform2f(u.u_first, left, top);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        // Row r of the read-back band is grid row top + r: gl_FragCoord
+        // counts from the bottom, and so does readPixels
+        const band = new Float32Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, band);
+        for (let r = 0; r < height; r++) {
+          const row = (top + r) * columns + left;
+          for (let c = 0; c < width; c++) grid[row + c] = band[(r * width + c) * 4];
+        }
+      }
+    }
+
+    if (step === 1) return grid;
+
+    const values = new Float32Array(tile.width * tile.height);
+    for (let y = 0; y < tile.height; y++) {
+      const from = Math.floor(y / step) * columns;
+      for (let x = 0; x < tile.width; x++) values[y * tile.width + x] = grid[from + Math.floor(x / step)];
+    }
+    return values;
+  }
+
+  // WorkerPool-style tile jobs: run({ type: 'tile', tile, view, step })
+  // resolves with { tile, values }
+  run(message) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  schedule() {
+    if (this.timer !== null || !this.queue.length) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const job = this.queue.shift();
+      if (job) {
+        const { tile, view, step } = job.message;
+        try {
+          job.resolve({ tile, values: this.values(tile, view, step) });
+        } catch (error) {
+          job.reject(error);
+        }
+      }
+      this.schedule();
+    }, 0);
+  }
+
+  cancel() {
+    for (const job of this.queue) job.reject(new DOMException('Job cancelled', 'AbortError'));
+    this.queue = [];
+  }
+
+  destroy() {
+    this.cancel();
+    this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+  }
+}
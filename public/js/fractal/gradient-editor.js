@@ -0,0 +1,249 @@
+// Gradient Editor - Panel for editing the colour gradient of a fractal exhibit
+//
+// Stops are handles on a gradient bar: drag to move, click the bar to add
+// one, drag a handle off the bar (or press Delete) to remove it. The
+// selected stop's colour comes from a colour input. Gradients can start
+// from a preset or a saved palette, and be saved under a name; saved
+// palettes are shared by every fractal exhibit through localStorage.
+
+import { PRESETS, sortStops, gradientColor } from './coloring.js';
+
+const STORAGE_KEY = 'airt.fractal.palettes';
+
+// Dragging a handle this far (px) above or below the bar removes it
+const REMOVE_DISTANCE = 40;
+
+export function loadPalettes() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list)
+      ? list.filter(p => typeof p?.name === 'string' && Array.isArray(p.stops) && p.stops.length >= 2)
+      : [];
+  } catch (error) {
+    console.warn('Could not read saved palettes:', error);
+    return [];
+  }
+}
+
+function savePalettes(palettes) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(palettes));
+  } catch (error) {
+    console.warn('Could not save palettes:', error);
+  }
+}
+
+export class GradientEditor {
+  // onChange(stops) fires on every edit, including each step of a drag
+  constructor(container, { stops, onChange }) {
+    this.stops = sortStops(stops);
+    this.selected = 0;
+    this.onChange = onChange;
+    this.palettes = loadPalettes();
+
+    this.element = document.createElement('div');
+    this.element.className = 'overlay-panel gradient-editor';
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <h4>Gradient</h4>
+      <div class="gradient-bar"></div>
+      <div class="gradient-stop-row">
+        <input type="color" class="gradient-color" aria-label="Stop colour">
+        <span class="gradient-position panel-status"></span>
+        <button type="button" class="panel-secondary gradient-remove">Remove stop</button>
+      </div>
+      <select class="gradient-presets" aria-label="Palettes"></select>
+      <form class="bookmark-form">
+        <input type="text" placeholder="Palette name" maxlength="40">
+        <button type="submit" class="panel-primary">Save</button>
+      </form>
+      <div class="panel-actions">
+        <button type="button" class="panel-secondary gradient-delete" hidden>Delete saved palette</button>
+      </div>`;
+
+    this.bar = this.element.querySelector('.gradient-bar');
+    this.colorInput = this.element.querySelector('.gradient-color');
+    this.positionLabel = this.element.querySelector('.gradient-position');
+    this.removeButton = this.element.querySelector('.gradient-remove');
+    this.presetSelect = this.element.querySelector('.gradient-presets');
+    this.nameInput = this.element.querySelector('form input');
+    this.deleteButton = this.element.querySelector('.gradient-delete');
+
+    this.bar.addEventListener('pointerdown', (e) => this.barPointerDown(e));
+    this.colorInput.addEventListener('input', () => {
+      this.stops[this.selected].color = this.colorInput.value;
+      this.changed();
+    });
+    this.removeButton.addEventListener('click', () => this.removeStop(this.selected));
+    this.presetSelect.addEventListener('change', () => this.choosePalette());
+    this.element.querySelector('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.savePalette();
+    });
+    this.deleteButton.addEventListener('click', () => this.deletePalette());
+
+    container.appendChild(this.element);
+    this.renderPresets();
+    this.renderStops();
+  }
+
+  toggle() {
+    this.element.hidden = !this.element.hidden;
+  }
+
+  // Replace the gradient from outside (reset, share link) without firing
+  // onChange
+  setStops(stops) {
+    this.stops = sortStops(stops);
+    this.selected = Math.min(this.selected, this.stops.length - 1);
+    this.renderStops();
+  }
+
+  // A stop being dragged off the bar already drops out of the preview
+  changed() {
+    this.renderStops();
+    this.onChange(this.stops
+      .filter(stop => !stop.removing)
+      .map(({ position, color }) => ({ position, color })));
+  }
+
+  // --- Stops ---
+
+  renderStops() {
+    const css = this.stops.map(stop => `${stop.color} ${(stop.position * 100).toFixed(2)}%`).join(', ');
+    this.bar.style.background = `linear-gradient(to right, ${css})`;
+
+    this.bar.replaceChildren(...this.stops.map((stop, index) => {
+      const handle = document.createElement('button');
+      handle.type = 'button';
+      handle.className = 'gradient-handle';
+      handle.classList.toggle('selected', index === this.selected);
+      handle.style.left = `${stop.position * 100}%`;
+      handle.style.background = stop.color;
+      handle.title = 'Drag to move, drag off the bar to remove';
+      handle.dataset.index = String(index);
+      handle.addEventListener('keydown', (e) => {
+        if (e.key === 'Delete' || e.key === 'Backspace') this.removeStop(index);
+      });
+      return handle;
+    }));
+
+    const stop = this.stops[this.selected];
+    this.colorInput.value = stop.color;
+    this.positionLabel.textContent = `${Math.round(stop.position * 100)}%`;
+    this.removeButton.disabled = this.stops.length <= 2;
+  }
+
+  barPointerDown(e) {
+    const rect = this.bar.getBoundingClientRect();
+    const positionAt = (clientX) => Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+
+    let index = e.target.dataset.index !== undefined ? Number(e.target.dataset.index) : -1;
+    if (index === -1) {
+      // Clicking the bar itself adds a stop in the colour already there
+      const position = positionAt(e.clientX);
+      const added = { position, color: gradientColor(this.stops, position) };
+      this.stops = sortStops([...this.stops, added]);
+      index = this.stops.indexOf(added);
+      this.selected = index;
+      this.changed();
+    } else {
+      this.selected = index;
+      this.renderStops();
+    }
+
+    // Keep dragging the same stop object while the list re-sorts
+    const stop = this.stops[index];
+    const move = (event) => {
+      const away = Math.max(rect.top - event.clientY, event.clientY - rect.bottom);
+      stop.removing = away > REMOVE_DISTANCE && this.stops.length > 2;
+      stop.position = positionAt(event.clientX);
+      this.stops = sortStops(this.stops);
+      this.selected = this.stops.indexOf(stop);
+      this.bar.classList.toggle('removing', stop.removing);
+      this.changed();
+    };
+    const up = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+      this.bar.classList.remove('removing');
+      if (stop.removing) {
+        this.removeStop(this.stops.indexOf(stop));
+      }
+      delete stop.removing;
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+    e.preventDefault();
+  }
+
+  removeStop(index) {
+    if (this.stops.length <= 2 || index < 0) return;
+    this.stops.splice(index, 1);
+    this.selected = Math.min(index, this.stops.length - 1);
+    this.changed();
+  }
+
+  // --- Palettes ---
+
+  renderPresets() {
+    const option = (value, label) => {
+      const element = document.createElement('option');
+      element.value = value;
+      element.textContent = label;
+      return element;
+    };
+
+    const builtIn = document.createElement('optgroup');
+    builtIn.label = 'Presets';
+    builtIn.append(...Object.keys(PRESETS).map(name => option(`preset:${name}`, name)));
+
+    const saved = document.createElement('optgroup');
+    saved.label = 'Saved';
+    saved.append(...this.palettes.map((palette, index) => option(`saved:${index}`, palette.name)));
+
+    this.presetSelect.replaceChildren(option('', 'Load a palette…'), builtIn);
+    if (this.palettes.length) this.presetSelect.append(saved);
+    this.deleteButton.hidden = true;
+  }
+
+  choosePalette() {
+    const [kind, key] = this.presetSelect.value.split(':');
+    const stops = kind === 'preset' ? PRESETS[key] : this.palettes[Number(key)]?.stops;
+    this.deleteButton.hidden = kind !== 'saved';
+    if (!stops) return;
+
+    this.stops = sortStops(stops.map(stop => ({ ...stop })));
+    this.selected = 0;
+    this.changed();
+  }
+
+  // A palette saved under an existing name replaces it
+  savePalette() {
+    const name = this.nameInput.value.trim();
+    if (!name) return;
+
+    const palette = { name, stops: this.stops.map(({ position, color }) => ({ position, color })) };
+    const existing = this.palettes.findIndex(p => p.name === name);
+    if (existing === -1) {
+      this.palettes.push(palette);
+    } else {
+      this.palettes[existing] = palette;
+    }
+    savePalettes(this.palettes);
+    this.nameInput.value = '';
+    this.renderPresets();
+  }
+
+  deletePalette() {
+    const [kind, key] = this.presetSelect.value.split(':');
+    if (kind !== 'saved') return;
+    this.palettes.splice(Number(key), 1);
+    savePalettes(this.palettes);
+    this.renderPresets();
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}